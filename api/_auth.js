@@ -0,0 +1,323 @@
+// Student Authentication
+// Sign-in is a one-time code sent to a Caleb University address. Both the pending
+// code ("challenge") and the resulting session live in HMAC-signed cookies keyed with
+// AUTH_SECRET, so no database is needed and any serverless instance can check them.
+// The wrong-code counter and resend cooldown live in the 'auth' cache store, which is
+// the shared KV database on Vercel, so the limits hold across instances and cold starts.
+
+const crypto = require('crypto');
+const { getCacheStore } = require('./_cache');
+
+const SESSION_COOKIE = 'curb_session';
+const CHALLENGE_COOKIE = 'curb_auth_challenge';
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const CODE_TTL_SECONDS = 10 * 60; // 10 minutes
+const CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+// name@calebuniversity.edu.ng or name@<sub>.calebuniversity.edu.ng, nothing else
+const STUDENT_EMAIL_PATTERN = /^[a-z0-9._%+-]+@(?:[a-z0-9-]+\.)*calebuniversity\.edu\.ng$/;
+
+// Cache keys for wrong-code counts per challenge nonce, and last send time per email
+const ATTEMPTS_KEY_PREFIX = 'attempts:';
+const CODE_SENT_KEY_PREFIX = 'sent:';
+
+/**
+ * Read the signing secret.
+ * @returns {string} AUTH_SECRET, or '' when unset.
+ */
+function getAuthSecret() {
+  return String(process.env.AUTH_SECRET || '');
+}
+
+/**
+ * Check whether API routes must see a valid session.
+ * On when AUTH_SECRET is set, and always on in Vercel production so a missing
+ * secret locks the API instead of opening it. Off for local development without a secret.
+ * @returns {boolean} True when sessions are enforced.
+ */
+function isAuthEnabled() {
+  return Boolean(getAuthSecret()) || process.env.VERCEL_ENV === 'production';
+}
+
+/**
+ * Normalize an email address for comparison and storage.
+ * @param {*} email - Raw input.
+ * @returns {string} Trimmed, lower-cased address ('' for non-strings).
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Check that an address belongs to Caleb University.
+ * @param {*} email - Raw input.
+ * @returns {boolean} True for a well-formed university address.
+ */
+function isStudentEmail(email) {
+  const normalized = normalizeEmail(email);
+  return normalized.length <= 254 && STUDENT_EMAIL_PATTERN.test(normalized);
+}
+
+/**
+ * Generate a six-digit sign-in code.
+ * @returns {string} Code, zero-padded.
+ */
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+/**
+ * HMAC a value with the auth secret.
+ * @param {string} value - Value to sign.
+ * @param {string} secret - Signing key.
+ * @returns {string} base64url digest.
+ */
+function hmac(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Compare two strings in constant time.
+ * @param {string} a - First value.
+ * @param {string} b - Second value.
+ * @returns {boolean} True when equal.
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Sign a payload as "<base64url JSON>.<signature>".
+ * @param {Object} payload - Data to sign.
+ * @param {string} secret - Signing key.
+ * @returns {string} Token.
+ */
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body, secret)}`;
+}
+
+/**
+ * Verify a signed token and return its payload.
+ * @param {string} token - Token from signToken.
+ * @param {string} secret - Signing key.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {Object|null} Payload, or null when tampered, malformed or expired (exp in seconds).
+ */
+function verifyToken(token, secret, now = Date.now()) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined || !safeEqual(signature, hmac(body, secret))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the Cookie header.
+ * @param {Object} req - HTTP request.
+ * @returns {Object} Cookie name to value.
+ */
+function parseCookies(req) {
+  const header = (req.headers && req.headers.cookie) || '';
+  const cookies = {};
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that are not ours and not URI-encoded
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Check whether the request reached us over HTTPS (directly or via Vercel's proxy).
+ * @param {Object} req - HTTP request.
+ * @returns {boolean} True for HTTPS.
+ */
+function isSecureRequest(req) {
+  const forwarded = String((req.headers && req.headers['x-forwarded-proto']) || '').split(',')[0].trim();
+  if (forwarded) return forwarded === 'https';
+  return Boolean(req.socket && req.socket.encrypted);
+}
+
+/**
+ * Build a Set-Cookie value. Cookies are always HttpOnly and SameSite=Lax.
+ * @param {Object} req - HTTP request (decides the Secure flag).
+ * @param {string} name - Cookie name.
+ * @param {string} value - Cookie value ('' with maxAge 0 clears it).
+ * @param {Object} options - { maxAge: seconds, path }.
+ * @returns {string} Header value.
+ */
+function serializeCookie(req, name, value, { maxAge, path = '/' }) {
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (isSecureRequest(req)) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Start a sign-in: build the challenge cookie for an emailed code.
+ * @param {string} email - Normalized university address.
+ * @param {string} code - Code sent to that address.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {string} Signed challenge token.
+ */
+function createChallenge(email, code, now = Date.now()) {
+  const secret = getAuthSecret();
+  const nonce = crypto.randomBytes(12).toString('base64url');
+  return signToken({
+    typ: 'challenge',
+    email,
+    nonce,
+    code: hmac(`${nonce}:${code}`, secret),
+    exp: Math.floor(now / 1000) + CODE_TTL_SECONDS
+  }, secret);
+}
+
+/**
+ * Check a code against the challenge cookie.
+ * @param {string} token - Challenge token from the cookie.
+ * @param {string} code - Code the user typed.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {Promise<{email: string}|{error: string}>} The verified address, or an error code:
+ *   CODE_EXPIRED (no valid challenge), CODE_LOCKED (too many wrong codes), CODE_INVALID.
+ */
+async function checkChallenge(token, code, now = Date.now()) {
+  const secret = getAuthSecret();
+  const challenge = verifyToken(token, secret, now);
+  if (!challenge || challenge.typ !== 'challenge' || typeof challenge.nonce !== 'string' ||
+    typeof challenge.email !== 'string') {
+    return { error: 'CODE_EXPIRED' };
+  }
+
+  const store = getCacheStore('auth');
+  const key = `${ATTEMPTS_KEY_PREFIX}${challenge.nonce}`;
+  // The counter expires with the challenge it counts
+  const ttlMs = Math.max(challenge.exp * 1000 - now, 1000);
+  const entry = await store.get(key);
+  const attempts = entry ? entry.value : 0;
+  if (attempts >= MAX_CODE_ATTEMPTS) {
+    return { error: 'CODE_LOCKED' };
+  }
+
+  const typed = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(typed) || !safeEqual(hmac(`${challenge.nonce}:${typed}`, secret), challenge.code)) {
+    await store.set(key, attempts + 1, ttlMs);
+    return { error: 'CODE_INVALID' };
+  }
+
+  // One use only; the client also drops the cookie
+  await store.set(key, MAX_CODE_ATTEMPTS, ttlMs);
+  return { email: challenge.email };
+}
+
+/**
+ * Check and record the resend cooldown for an address.
+ * @param {string} email - Normalized address.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {Promise<number>} Seconds to wait before another code may be sent (0 = go ahead).
+ */
+async function claimCodeSend(email, now = Date.now()) {
+  const store = getCacheStore('auth');
+  const key = `${CODE_SENT_KEY_PREFIX}${email}`;
+  const entry = await store.get(key);
+  if (entry && now - entry.value < CODE_RESEND_COOLDOWN_MS) {
+    return Math.ceil((CODE_RESEND_COOLDOWN_MS - (now - entry.value)) / 1000);
+  }
+
+  await store.set(key, now, CODE_RESEND_COOLDOWN_MS);
+  return 0;
+}
+
+/**
+ * Issue a session token for a verified address.
+ * @param {string} email - Verified address.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {{token: string, expiresAt: number}} Token and expiry (ms).
+ */
+function createSession(email, now = Date.now()) {
+  const exp = Math.floor(now / 1000) + SESSION_TTL_SECONDS;
+  return {
+    token: signToken({ typ: 'session', email, exp }, getAuthSecret()),
+    expiresAt: exp * 1000
+  };
+}
+
+/**
+ * Read the signed-in user from the session cookie.
+ * @param {Object} req - HTTP request.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {{email: string, expiresAt: number}|null} Session, or null when missing/invalid/expired.
+ */
+function readSession(req, now = Date.now()) {
+  const payload = verifyToken(parseCookies(req)[SESSION_COOKIE], getAuthSecret(), now);
+  // typ keeps a challenge token (which the user can read) from passing as a session
+  if (!payload || payload.typ !== 'session' || typeof payload.email !== 'string') return null;
+  return { email: payload.email, expiresAt: payload.exp * 1000 };
+}
+
+/**
+ * Pick the Cache-Control for a response only signed-in users may see.
+ * A shared (CDN) cache would hand it to anyone, so with auth on it becomes private.
+ * @param {string} publicValue - Header to use when auth is off.
+ * @returns {string} Header value.
+ */
+function cacheControlFor(publicValue) {
+  return isAuthEnabled() ? 'private, no-cache' : publicValue;
+}
+
+/**
+ * Reset the attempt counters and cooldowns (tests).
+ * @returns {Promise<void>}
+ */
+function resetAuthState() {
+  return getCacheStore('auth').clear();
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  CHALLENGE_COOKIE,
+  SESSION_TTL_SECONDS,
+  CODE_TTL_SECONDS,
+  MAX_CODE_ATTEMPTS,
+  getAuthSecret,
+  isAuthEnabled,
+  normalizeEmail,
+  isStudentEmail,
+  generateCode,
+  signToken,
+  verifyToken,
+  parseCookies,
+  serializeCookie,
+  createChallenge,
+  checkChallenge,
+  claimCodeSend,
+  createSession,
+  readSession,
+  cacheControlFor,
+  resetAuthState
+};
@@ -0,0 +1,254 @@
+// Cache Stores
+// browse, coverage and team keep their warm data in a cache store instead of a module-level
+// Map, so the backing storage can be swapped without touching the routes.
+//
+// Store interface (every method is async):
+//   get(key, { allowStale })  → { value, storedAt, expiresAt } or null. Expired entries count
+//                               as missing unless allowStale is set (team serves stale sheets
+//                               when Google is down).
+//   set(key, value, ttlMs)    → stores a JSON-serializable value
+//   delete(key)
+//   clear()
+//
+// CACHE_STORE selects the backing:
+// - "memory": a Map per namespace, per instance. Lost on cold starts.
+// - "file": one JSON file per entry under CACHE_DIR (default .cache/api/). Survives restarts
+//   and redeploys, and is shared by every instance that mounts the same folder (server.js,
+//   containers with a shared volume). On Vercel only /tmp is writable and it is not
+//   shared, so it does not help there.
+// - "kv": a Redis database over the Upstash REST API (what Vercel's KV / Upstash
+//   integration provisions; KV_REST_API_URL and KV_REST_API_TOKEN). Shared by every
+//   instance and survives cold starts, so this is the one to use on Vercel.
+// Unset, it is "kv" when KV_REST_API_URL and KV_REST_API_TOKEN are set and "memory" otherwise.
+//
+// TTLs stay per route and can be overridden with <ROUTE>_CACHE_TTL_SECONDS.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getKvConfig, createKvClient } = require('./_kv');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '.cache', 'api');
+const DEFAULT_MAX_ENTRIES = 1000;
+const KV_KEY_PREFIX = 'curb:';
+// Redis keeps entries this long past their TTL, for readers that accept stale data
+const KV_STALE_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// One store per namespace and backing, so every request in an instance shares it
+const stores = new Map();
+
+/**
+ * Create a store backed by an in-memory Map.
+ * The oldest entry is evicted once maxEntries is reached.
+ * @param {Object} [options] - Store options.
+ * @param {number} [options.maxEntries=1000] - Entry cap.
+ * @returns {Object} Cache store.
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key, { allowStale = false } = {}) {
+      const entry = entries.get(key);
+      if (!entry || (!allowStale && entry.expiresAt <= Date.now())) {
+        return null;
+      }
+      return entry;
+    },
+
+    async set(key, value, ttlMs) {
+      const storedAt = Date.now();
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        // Maps iterate in insertion order: the first key is the oldest
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, storedAt, expiresAt: storedAt + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Create a store that keeps one JSON file per entry in a folder.
+ * Writes go to a temporary file first and are renamed into place, so concurrent
+ * readers never see half an entry. Unreadable files count as missing.
+ * @param {Object} options - Store options.
+ * @param {string} options.dir - Folder for the entries (created on first write).
+ * @returns {Object} Cache store.
+ */
+function createFileStore(options) {
+  const dir = path.resolve(options.dir);
+
+  /**
+   * Map a key to its file (keys hold paths and query values, so they are hashed).
+   * @param {string} key - Cache key.
+   * @returns {string} File path.
+   */
+  function fileFor(key) {
+    return path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  return {
+    name: 'file',
+    dir,
+
+    async get(key, { allowStale = false } = {}) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+
+      // Guard against hash collisions and hand-edited files
+      if (!entry || entry.key !== key || typeof entry.expiresAt !== 'number') {
+        return null;
+      }
+      if (!allowStale && entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    },
+
+    async set(key, value, ttlMs) {
+      const storedAt = Date.now();
+      const filePath = fileFor(key);
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ key, value, storedAt, expiresAt: storedAt + ttlMs }));
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Create a store in a Redis database reached over the Upstash REST API.
+ * Entries carry their own expiry, like the file store's; Redis drops them a grace period
+ * later so team can still serve a stale sheet. Failed reads count as misses, failed
+ * writes throw, as with the file store.
+ * @param {Object} options - Store options.
+ * @param {string} options.url - REST endpoint (KV_REST_API_URL).
+ * @param {string} options.token - Bearer token (KV_REST_API_TOKEN).
+ * @param {string} options.namespace - Key prefix that keeps routes apart.
+ * @param {Function} [options.fetchImpl=fetch] - fetch implementation (tests).
+ * @returns {Object} Cache store.
+ */
+function createKvStore(options) {
+  const { namespace } = options;
+  const { run, scanKeys } = createKvClient(options);
+  const prefix = `${KV_KEY_PREFIX}${namespace}:`;
+
+  return {
+    name: 'kv',
+
+    async get(key, { allowStale = false } = {}) {
+      let entry;
+      try {
+        entry = JSON.parse(await run(['GET', `${prefix}${key}`]));
+      } catch (error) {
+        console.warn('KV cache read failed:', error.message);
+        return null;
+      }
+
+      if (!entry || typeof entry.expiresAt !== 'number') {
+        return null;
+      }
+      if (!allowStale && entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    },
+
+    async set(key, value, ttlMs) {
+      const storedAt = Date.now();
+      const entry = JSON.stringify({ value, storedAt, expiresAt: storedAt + ttlMs });
+      await run(['SET', `${prefix}${key}`, entry, 'PX', String(ttlMs + KV_STALE_GRACE_MS)]);
+    },
+
+    async delete(key) {
+      await run(['DEL', `${prefix}${key}`]);
+    },
+
+    async clear() {
+      const keys = await scanKeys(prefix);
+      if (keys.length > 0) await run(['DEL', ...keys]);
+    }
+  };
+}
+
+/**
+ * Read the backing the environment selects.
+ * @param {Object} env - Environment variables.
+ * @returns {string} 'memory', 'file' or 'kv'.
+ */
+function selectBackend(env) {
+  const backend = String(env.CACHE_STORE || '').trim().toLowerCase();
+  if (backend) return backend;
+  return getKvConfig(env) ? 'kv' : 'memory';
+}
+
+/**
+ * Get the shared store for a route, as selected by the environment.
+ * @param {string} namespace - Route name (browse, coverage, team); keeps keys apart.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {Object} Cache store.
+ */
+function getCacheStore(namespace, env = process.env) {
+  const backend = selectBackend(env);
+  const dir = backend === 'file' ? path.join(env.CACHE_DIR || DEFAULT_CACHE_DIR, namespace) : '';
+  const url = backend === 'kv' ? env.KV_REST_API_URL : '';
+  const id = `${backend}:${namespace}:${dir}${url}`;
+
+  if (!stores.has(id)) {
+    if (backend === 'kv') {
+      const kv = getKvConfig(env);
+      if (!kv) {
+        throw new Error('CACHE_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+      }
+      stores.set(id, createKvStore({ ...kv, namespace }));
+    } else {
+      stores.set(id, backend === 'file' ? createFileStore({ dir }) : createMemoryStore());
+    }
+  }
+  return stores.get(id);
+}
+
+/**
+ * Read a route's cache TTL.
+ * @param {string} envName - Override variable, in seconds (e.g. BROWSE_CACHE_TTL_SECONDS).
+ * @param {number} defaultMs - TTL when the variable is unset or invalid.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {number} TTL in milliseconds.
+ */
+function getCacheTtl(envName, defaultMs, env = process.env) {
+  const seconds = Number.parseInt(env[envName], 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : defaultMs;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getCacheStore,
+  getCacheTtl
+};
@@ -0,0 +1,507 @@
+// Data Stores
+// Records the app owns (coverage history, paper requests), as opposed to the caches in
+// api/_cache.js, which can always be rebuilt from Drive. Losing these loses data, so the
+// default backing is a folder on disk.
+//
+// Store interface (every method is async):
+//   read(key)          → stored value, or null
+//   update(key, fn)    → fn(current value or null) returns the next value; returns it too.
+//                        Updates to one key are serialized within an instance; the KV
+//                        backing also retries fn when another instance wrote the key first.
+//   delete(key)
+//   entries()          → [{ key, value }] for every key
+//   clear()
+//
+// Blob stores hold bytes that do not belong inside a JSON record (submitted PDFs waiting
+// for review), next to the records of the same backing:
+//   put(key, buffer), get(key) → Buffer or null, delete(key)
+//
+// DATA_STORE selects the backing:
+// - "file": one JSON file per key under DATA_DIR/<namespace> (DATA_DIR defaults to .data/).
+//   Survives restarts and redeploys on any host with a disk (server.js, containers with a
+//   volume).
+// - "kv": the shared Redis database (api/_kv.js, KV_REST_API_URL and KV_REST_API_TOKEN).
+//   Every serverless instance sees the same records, so this is the backing for Vercel.
+// - "memory": a Map per namespace, per instance (tests, throwaway demos).
+// Unset, it is "kv" when the KV variables are set and "file" otherwise. Vercel functions
+// have no shared disk, so there "file" needs an explicit DATA_DIR; without one every store
+// call fails with DATASTORE_UNAVAILABLE (handlers answer 503) instead of writing records
+// to one instance's /tmp, where other instances never see them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getKvConfig, createKvClient } = require('./_kv');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '.data');
+const KV_DATA_PREFIX = 'curb:data:';
+const KV_BLOB_PREFIX = 'curb:blob:';
+// Compare-and-set attempts before an update gives up on a hot key
+const KV_UPDATE_ATTEMPTS = 5;
+// Keys per MGET/DEL request, and blob bytes per Redis value (base64 grows them by a third)
+const KV_BATCH_SIZE = 100;
+const KV_BLOB_CHUNK_BYTES = 512 * 1024;
+const DATASTORE_UNAVAILABLE = 'DATASTORE_UNAVAILABLE';
+
+// One store per namespace and backing, so every request in an instance shares it
+const stores = new Map();
+
+/**
+ * Run updates to the same key one after another.
+ * @returns {Function} (key, task) → promise of task's result.
+ */
+function createKeyQueue() {
+  const queues = new Map();
+
+  return (key, task) => {
+    const previous = queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(key, next);
+    return next.finally(() => {
+      if (queues.get(key) === next) queues.delete(key);
+    });
+  };
+}
+
+/**
+ * Create a data store backed by an in-memory Map.
+ * Values are copied in and out, as the file store's JSON round trip would.
+ * @returns {Object} Data store.
+ */
+function createMemoryDatastore() {
+  const records = new Map();
+  const enqueue = createKeyQueue();
+  const copy = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    async read(key) {
+      return copy(records.get(key));
+    },
+
+    update(key, fn) {
+      return enqueue(key, async () => {
+        const next = copy(await fn(copy(records.get(key))));
+        records.set(key, next);
+        return copy(next);
+      });
+    },
+
+    delete(key) {
+      return enqueue(key, async () => {
+        records.delete(key);
+      });
+    },
+
+    async entries() {
+      return Array.from(records.entries()).map(([key, value]) => ({ key, value: copy(value) }));
+    },
+
+    async clear() {
+      records.clear();
+    }
+  };
+}
+
+/**
+ * Create a data store that keeps one JSON file per key in a folder.
+ * Writes go through a temporary file that is renamed into place, so readers never see
+ * half a record. Unreadable files count as missing.
+ * @param {Object} options - Store options.
+ * @param {string} options.dir - Folder for the records (created on first write).
+ * @returns {Object} Data store.
+ */
+function createFileDatastore(options) {
+  const dir = path.resolve(options.dir);
+  const enqueue = createKeyQueue();
+
+  /**
+   * Map a key to its file (keys hold department names with slashes, so they are hashed).
+   * @param {string} key - Record key.
+   * @returns {string} File path.
+   */
+  function fileFor(key) {
+    return path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Read one record file.
+   * @param {string} filePath - Record file.
+   * @returns {Promise<Object|null>} { key, value }, or null when missing or unreadable.
+   */
+  async function readFile(filePath) {
+    try {
+      const record = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return record && typeof record.key === 'string' ? record : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read a record by key.
+   * @param {string} key - Record key.
+   * @returns {Promise<*>} Value, or null.
+   */
+  async function read(key) {
+    const record = await readFile(fileFor(key));
+    // Guard against hash collisions and hand-edited files
+    return record && record.key === key ? record.value : null;
+  }
+
+  return {
+    name: 'file',
+    dir,
+    read,
+
+    update(key, fn) {
+      return enqueue(key, async () => {
+        const value = await fn(await read(key));
+        const filePath = fileFor(key);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify({ key, value }));
+        await fs.promises.rename(tempPath, filePath);
+        return value;
+      });
+    },
+
+    delete(key) {
+      return enqueue(key, () => fs.promises.rm(fileFor(key), { force: true }));
+    },
+
+    async entries() {
+      let names;
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch (error) {
+        return [];
+      }
+
+      const records = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readFile(path.join(dir, name))));
+      return records.filter(Boolean).map(({ key, value }) => ({ key, value }));
+    },
+
+    async clear() {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Create a data store in the shared Redis database.
+ * Each record is one JSON string under curb:data:<namespace>:<key>. Updates read the
+ * record, run fn and write back with compare-and-set, re-running fn when another instance
+ * changed the record in between, so concurrent votes or follows are not lost.
+ * @param {Object} options - Store options.
+ * @param {string} options.url - REST endpoint (KV_REST_API_URL).
+ * @param {string} options.token - Bearer token (KV_REST_API_TOKEN).
+ * @param {string} options.namespace - Feature name; keeps records apart.
+ * @param {Function} [options.fetchImpl=fetch] - fetch implementation (tests).
+ * @returns {Object} Data store.
+ */
+function createKvDatastore(options) {
+  const { run, compareAndSet, scanKeys } = createKvClient(options);
+  const prefix = `${KV_DATA_PREFIX}${options.namespace}:`;
+  const enqueue = createKeyQueue();
+
+  /**
+   * Parse a stored record; unreadable values count as missing, as with the file store.
+   * @param {string|null} raw - Raw Redis value.
+   * @returns {*} Value, or null.
+   */
+  function parse(raw) {
+    if (typeof raw !== 'string') return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    name: 'kv',
+
+    async read(key) {
+      return parse(await run(['GET', `${prefix}${key}`]));
+    },
+
+    update(key, fn) {
+      return enqueue(key, async () => {
+        for (let attempt = 0; attempt < KV_UPDATE_ATTEMPTS; attempt++) {
+          const raw = await run(['GET', `${prefix}${key}`]);
+          const value = await fn(parse(raw));
+          const next = JSON.stringify(value === undefined ? null : value);
+          if (await compareAndSet(`${prefix}${key}`, raw, next)) return parse(next);
+        }
+        throw new Error(`Record ${key} kept changing while it was being updated`);
+      });
+    },
+
+    delete(key) {
+      return enqueue(key, () => run(['DEL', `${prefix}${key}`]));
+    },
+
+    async entries() {
+      const keys = await scanKeys(prefix);
+      const records = [];
+      for (let i = 0; i < keys.length; i += KV_BATCH_SIZE) {
+        const batch = keys.slice(i, i + KV_BATCH_SIZE);
+        const values = await run(['MGET', ...batch]);
+        batch.forEach((redisKey, index) => {
+          if (values[index] !== null) records.push({ key: redisKey.slice(prefix.length), value: parse(values[index]) });
+        });
+      }
+      return records;
+    },
+
+    async clear() {
+      const keys = await scanKeys(prefix);
+      for (let i = 0; i < keys.length; i += KV_BATCH_SIZE) {
+        await run(['DEL', ...keys.slice(i, i + KV_BATCH_SIZE)]);
+      }
+    }
+  };
+}
+
+/**
+ * Create a blob store backed by an in-memory Map.
+ * @returns {Object} Blob store.
+ */
+function createMemoryBlobStore() {
+  const blobs = new Map();
+
+  return {
+    name: 'memory',
+
+    async put(key, buffer) {
+      blobs.set(key, Buffer.from(buffer));
+    },
+
+    async get(key) {
+      return blobs.has(key) ? Buffer.from(blobs.get(key)) : null;
+    },
+
+    async delete(key) {
+      blobs.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a blob store that keeps one file per key in a folder.
+ * @param {Object} options - Store options.
+ * @param {string} options.dir - Folder for the blobs (created on first write).
+ * @returns {Object} Blob store.
+ */
+function createFileBlobStore(options) {
+  const dir = path.resolve(options.dir);
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.bin`);
+
+  return {
+    name: 'file',
+    dir,
+
+    async put(key, buffer) {
+      const filePath = fileFor(key);
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Create a blob store in the shared Redis database.
+ * A blob is split into base64 chunks (curb:blob:<namespace>:<key>:<n>) so no single
+ * request grows past the REST API's size limit; a manifest under the bare key records
+ * how many there are and is written last, so readers never see half a blob.
+ * @param {Object} options - Store options (url, token, namespace, fetchImpl), as createKvDatastore.
+ * @returns {Object} Blob store.
+ */
+function createKvBlobStore(options) {
+  const { run } = createKvClient(options);
+  const prefix = `${KV_BLOB_PREFIX}${options.namespace}:`;
+
+  /**
+   * Read a blob's manifest.
+   * @param {string} key - Blob key.
+   * @returns {Promise<{chunks: number, size: number}|null>} Manifest, or null when missing.
+   */
+  async function readManifest(key) {
+    const raw = await run(['GET', `${prefix}${key}`]);
+    return typeof raw === 'string' ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Delete chunks from a given index up to the old count.
+   * @param {string} key - Blob key.
+   * @param {number} from - First chunk to delete.
+   * @param {number} to - Chunk count to delete up to.
+   */
+  async function deleteChunks(key, from, to) {
+    for (let i = from; i < to; i += KV_BATCH_SIZE) {
+      const keys = [];
+      for (let n = i; n < Math.min(to, i + KV_BATCH_SIZE); n++) keys.push(`${prefix}${key}:${n}`);
+      await run(['DEL', ...keys]);
+    }
+  }
+
+  return {
+    name: 'kv',
+
+    async put(key, buffer) {
+      const bytes = Buffer.from(buffer);
+      const previous = await readManifest(key);
+      const chunks = Math.ceil(bytes.length / KV_BLOB_CHUNK_BYTES);
+
+      for (let n = 0; n < chunks; n++) {
+        const chunk = bytes.subarray(n * KV_BLOB_CHUNK_BYTES, (n + 1) * KV_BLOB_CHUNK_BYTES);
+        await run(['SET', `${prefix}${key}:${n}`, chunk.toString('base64')]);
+      }
+      await run(['SET', `${prefix}${key}`, JSON.stringify({ chunks, size: bytes.length })]);
+      if (previous && previous.chunks > chunks) await deleteChunks(key, chunks, previous.chunks);
+    },
+
+    async get(key) {
+      const manifest = await readManifest(key);
+      if (!manifest) return null;
+
+      const parts = [];
+      for (let n = 0; n < manifest.chunks; n++) {
+        const chunk = await run(['GET', `${prefix}${key}:${n}`]);
+        if (typeof chunk !== 'string') return null;
+        parts.push(Buffer.from(chunk, 'base64'));
+      }
+      return Buffer.concat(parts);
+    },
+
+    async delete(key) {
+      const manifest = await readManifest(key);
+      await run(['DEL', `${prefix}${key}`]);
+      if (manifest) await deleteChunks(key, 0, manifest.chunks);
+    }
+  };
+}
+
+/**
+ * Create a store whose every call fails with DATASTORE_UNAVAILABLE, for hosts where no
+ * backing would keep the data (handlers turn the error into a 503).
+ * @param {string} message - What to configure.
+ * @returns {Object} Data store and blob store methods that all reject.
+ */
+function createUnavailableStore(message) {
+  const fail = async () => {
+    const error = new Error(message);
+    error.code = DATASTORE_UNAVAILABLE;
+    throw error;
+  };
+
+  return {
+    name: 'unavailable',
+    read: fail,
+    update: fail,
+    delete: fail,
+    entries: fail,
+    clear: fail,
+    put: fail,
+    get: fail
+  };
+}
+
+/**
+ * Resolve the backing the environment selects.
+ * @param {Object} env - Environment variables.
+ * @returns {{backend: string, dataDir?: string, kv?: Object, reason?: string}} Backing and its settings;
+ *   backend 'unavailable' comes with the reason.
+ */
+function selectBackend(env) {
+  const configured = String(env.DATA_STORE || '').trim().toLowerCase();
+  const kv = getKvConfig(env);
+
+  if (configured === 'memory') return { backend: 'memory' };
+  if (configured === 'kv' || (!configured && kv)) {
+    return kv
+      ? { backend: 'kv', kv }
+      : { backend: 'unavailable', reason: 'DATA_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN.' };
+  }
+  if (env.DATA_DIR) return { backend: 'file', dataDir: env.DATA_DIR };
+  // The repository folder is read-only on Vercel and /tmp is private to one instance
+  if (env.VERCEL) {
+    return {
+      backend: 'unavailable',
+      reason: 'No shared data store is configured: connect a KV database (KV_REST_API_URL and ' +
+        'KV_REST_API_TOKEN) to keep requests, shared papers, follows and history on Vercel.'
+    };
+  }
+  return { backend: 'file', dataDir: DEFAULT_DATA_DIR };
+}
+
+/**
+ * Get the shared data store for a feature, as selected by the environment.
+ * @param {string} namespace - Feature name (history, requests); keeps records apart.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {Object} Data store.
+ */
+function getDatastore(namespace, env = process.env) {
+  const { backend, dataDir, kv, reason } = selectBackend(env);
+  const dir = backend === 'file' ? path.join(dataDir, namespace) : '';
+  const id = `${backend}:${namespace}:${dir}${kv ? kv.url : ''}`;
+
+  if (!stores.has(id)) {
+    if (backend === 'unavailable') stores.set(id, createUnavailableStore(reason));
+    else if (backend === 'kv') stores.set(id, createKvDatastore({ ...kv, namespace }));
+    else stores.set(id, backend === 'file' ? createFileDatastore({ dir }) : createMemoryDatastore());
+  }
+  return stores.get(id);
+}
+
+/**
+ * Get the shared blob store for a feature, as selected by the environment.
+ * @param {string} namespace - Feature name (submissions).
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {Object} Blob store.
+ */
+function getBlobStore(namespace, env = process.env) {
+  const { backend, dataDir, kv, reason } = selectBackend(env);
+  const dir = backend === 'file' ? path.join(dataDir, 'blobs', namespace) : '';
+  const id = `blob:${backend}:${namespace}:${dir}${kv ? kv.url : ''}`;
+
+  if (!stores.has(id)) {
+    if (backend === 'unavailable') stores.set(id, createUnavailableStore(reason));
+    else if (backend === 'kv') stores.set(id, createKvBlobStore({ ...kv, namespace }));
+    else stores.set(id, backend === 'file' ? createFileBlobStore({ dir }) : createMemoryBlobStore());
+  }
+  return stores.get(id);
+}
+
+module.exports = {
+  DATASTORE_UNAVAILABLE,
+  createMemoryDatastore,
+  createFileDatastore,
+  createKvDatastore,
+  createMemoryBlobStore,
+  createFileBlobStore,
+  createKvBlobStore,
+  getDatastore,
+  getBlobStore
+};
@@ -0,0 +1,126 @@
+// Coverage History
+// Every completed coverage scan is recorded as one point, so completeness can be charted
+// over time instead of vanishing with the 5-minute coverage cache.
+//
+// Point: { session, scannedAt, uploaded, total, completion }, kept per department, oldest
+// first, capped at MAX_POINTS per department. Stored in the "history" data store
+// (api/_datastore.js): JSON files under DATA_DIR, or the shared KV database on Vercel, so
+// the trend outlives cold starts and every instance appends to the same series.
+
+const { getDatastore } = require('./_datastore');
+
+const MAX_POINTS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap a data store with the history operations.
+ * @param {Object} datastore - Data store (see api/_datastore.js).
+ * @returns {Object} History store: append(department, point), list(department), clear().
+ */
+function createHistoryStore(datastore) {
+  return {
+    append(department, point) {
+      return datastore.update(department, points => (points || []).concat(point).slice(-MAX_POINTS));
+    },
+
+    async list(department) {
+      const points = await datastore.read(department);
+      return Array.isArray(points) ? points : [];
+    },
+
+    clear() {
+      return datastore.clear();
+    }
+  };
+}
+
+/**
+ * Get the shared history store, as selected by the environment.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {Object} History store.
+ */
+function getHistoryStore(env = process.env) {
+  return createHistoryStore(getDatastore('history', env));
+}
+
+/**
+ * Turn a coverage scan into a history point.
+ * @param {string} session - Session label (e.g. "2025/26").
+ * @param {Array<{status: string}>} rows - Coverage rows from api/coverage.js.
+ * @param {number} [scannedAt=Date.now()] - Scan time.
+ * @returns {Object} { session, scannedAt, uploaded, total, completion }.
+ */
+function toHistoryPoint(session, rows, scannedAt = Date.now()) {
+  const uploaded = rows.filter(row => row.status === 'uploaded').length;
+  const total = rows.length;
+  return {
+    session,
+    scannedAt,
+    uploaded,
+    total,
+    completion: total > 0 ? Math.round((uploaded / total) * 100) : null
+  };
+}
+
+/**
+ * Record a completed scan. History is a side record: failures are logged, never thrown,
+ * so a read-only disk cannot break the scan itself.
+ * @param {string} department - Normalized department name.
+ * @param {Object} point - From toHistoryPoint.
+ * @param {Object} [store] - History store (defaults to getHistoryStore()).
+ * @returns {Promise<boolean>} True when the point was written.
+ */
+async function recordScan(department, point, store = getHistoryStore()) {
+  try {
+    await store.append(department, point);
+    return true;
+  } catch (error) {
+    console.error('Coverage history write failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Start of the UTC day, or of the UTC week (Monday), holding a timestamp.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {string} interval - "day" or "week".
+ * @returns {number} Bucket start in milliseconds.
+ */
+function bucketStart(timestamp, interval) {
+  const day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+  if (interval !== 'week') return day;
+  // 1970-01-01 was a Thursday: shift so buckets start on Mondays
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return day - weekday * DAY_MS;
+}
+
+/**
+ * Reduce points to a trend: the last scan in each day or week, oldest first.
+ * @param {Array} points - History points, oldest first.
+ * @param {string} interval - "scan" (every point), "day" or "week".
+ * @returns {Array} Points with a `period` (bucket start, ISO date) added.
+ */
+function toTrend(points, interval) {
+  if (interval === 'scan') {
+    return points.map(point => ({ ...point, period: new Date(point.scannedAt).toISOString().slice(0, 10) }));
+  }
+
+  const buckets = new Map();
+  points.forEach((point) => {
+    // Later scans in the same bucket overwrite earlier ones
+    buckets.set(bucketStart(point.scannedAt, interval), point);
+  });
+
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, point]) => ({ ...point, period: new Date(start).toISOString().slice(0, 10) }));
+}
+
+module.exports = {
+  MAX_POINTS,
+  createHistoryStore,
+  getHistoryStore,
+  toHistoryPoint,
+  recordScan,
+  toTrend
+};
@@ -0,0 +1,329 @@
+// Storage Index
+// A precomputed snapshot of the whole storage tree (folders, files, sizes, modified times,
+// IDs) so browse, search and coverage can answer without walking Drive on every click.
+// crawlIndex builds it (scripts/build-index.js, or /api/drive-index?rebuild=1 for admins)
+// and it is kept in the cache store (api/_cache.js, "index" namespace) for INDEX_TTL_SECONDS.
+//
+// Index shape:
+//   { version, storage, rootId, builtAt, mode,
+//     folders: { [folderId]: { name, parentId, modifiedTime, folders: [childId], files: [...], truncated } } }
+//
+// createIndexedProvider wraps a storage provider so reads come from the index and anything
+// the index does not know (folders created since the crawl, files, byte streams) falls
+// back to the live provider.
+
+const { MAX_SEGMENTS, normalizeFolderName } = require('./_utils');
+const { getCacheStore, getCacheTtl } = require('./_cache');
+
+const INDEX_VERSION = 1;
+const INDEX_TTL = getCacheTtl('INDEX_TTL_SECONDS', 24 * 60 * 60 * 1000); // 24 hours
+const CRAWL_CONCURRENCY = 4;
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Cache key for a provider's index (Drive and a local tree never share one).
+ * @param {Object} storage - Storage provider.
+ * @returns {string} Cache key.
+ */
+function indexKey(storage) {
+  return `tree:${storage.name}:${storage.rootId}`;
+}
+
+/**
+ * Walk the whole tree under the storage root and build an index.
+ * Incremental mode still lists every folder's subfolders (that is how changes further
+ * down are noticed) but reuses the previous file listing of any folder whose
+ * modifiedTime has not changed, which skips most of the file-listing calls.
+ * @param {Object} storage - Storage provider.
+ * @param {Object} [options] - Crawl options.
+ * @param {Object} [options.previous] - Earlier index to reuse in incremental mode.
+ * @param {boolean} [options.incremental=false] - Only re-list files of changed folders.
+ * @returns {Promise<{index: Object, stats: Object}>} The index and crawl counters.
+ */
+async function crawlIndex(storage, options = {}) {
+  const { incremental = false } = options;
+  const previous = incremental && options.previous && options.previous.rootId === storage.rootId
+    ? options.previous
+    : null;
+  const folders = {
+    [storage.rootId]: { name: '', parentId: null, modifiedTime: null, folders: [], files: [], truncated: false }
+  };
+  const stats = { folders: 0, files: 0, listedFolders: 0, reusedFolders: 0 };
+  let queue = [{ id: storage.rootId, depth: 0 }];
+
+  /**
+   * Fill in one folder's children and file list.
+   * @param {{id: string, depth: number}} item - Folder to visit.
+   * @returns {Promise<Array<{id: string, depth: number}>>} Subfolders to visit next.
+   */
+  async function visit({ id, depth }) {
+    const entry = folders[id];
+    const before = previous && previous.folders[id];
+    const children = depth < MAX_SEGMENTS ? await storage.listFolders(id) : [];
+
+    if (before && entry.modifiedTime && before.modifiedTime === entry.modifiedTime) {
+      entry.files = before.files;
+      entry.truncated = before.truncated;
+      stats.reusedFolders += 1;
+    } else {
+      const { files, truncated } = await storage.listFiles(id);
+      entry.files = files;
+      entry.truncated = Boolean(truncated);
+      stats.listedFolders += 1;
+    }
+
+    const next = [];
+    for (const child of children) {
+      // A folder reachable twice (Drive shortcuts, multiple parents) is indexed once
+      if (folders[child.id]) continue;
+      folders[child.id] = {
+        name: child.name,
+        parentId: id,
+        modifiedTime: child.modifiedTime || null,
+        folders: [],
+        files: [],
+        truncated: false
+      };
+      entry.folders.push(child.id);
+      next.push({ id: child.id, depth: depth + 1 });
+    }
+    return next;
+  }
+
+  while (queue.length > 0) {
+    const next = [];
+    for (let i = 0; i < queue.length; i += CRAWL_CONCURRENCY) {
+      const batch = await Promise.all(queue.slice(i, i + CRAWL_CONCURRENCY).map(visit));
+      batch.forEach(children => next.push(...children));
+    }
+    queue = next;
+  }
+
+  for (const entry of Object.values(folders)) {
+    stats.folders += 1;
+    stats.files += entry.files.length;
+  }
+
+  return {
+    index: {
+      version: INDEX_VERSION,
+      storage: storage.name,
+      rootId: storage.rootId,
+      builtAt: Date.now(),
+      mode: previous ? 'incremental' : 'full',
+      folders
+    },
+    stats
+  };
+}
+
+/**
+ * Load the stored index for a provider.
+ * @param {Object} storage - Storage provider.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.allowStale=false] - Also return an expired index (for incremental crawls).
+ * @returns {Promise<Object|null>} Index or null.
+ */
+async function loadIndex(storage, options = {}) {
+  if (!storage || !storage.rootId) return null;
+
+  const entry = await getCacheStore('index').get(indexKey(storage), { allowStale: Boolean(options.allowStale) });
+  const index = entry ? entry.value : null;
+  return index && index.version === INDEX_VERSION && index.rootId === storage.rootId ? index : null;
+}
+
+/**
+ * Store an index for later requests.
+ * @param {Object} storage - Storage provider the index was built from.
+ * @param {Object} index - Index from crawlIndex.
+ * @returns {Promise<void>}
+ */
+async function saveIndex(storage, index) {
+  await getCacheStore('index').set(indexKey(storage), index, INDEX_TTL);
+}
+
+/**
+ * Crawl a provider and store the result; incremental crawls start from the stored index.
+ * The stored index is also what `added` is measured against (new-file notifications).
+ * @param {Object} storage - Storage provider.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.incremental=false] - Reuse unchanged folders' file listings.
+ * @returns {Promise<{index: Object, stats: Object, added: Array}>} The new index, crawl
+ *   counters and the files it holds that the previous index did not.
+ */
+async function rebuildIndex(storage, options = {}) {
+  const { incremental = false } = options;
+  const previous = await loadIndex(storage, { allowStale: true });
+  const result = await crawlIndex(storage, { incremental, previous });
+  await saveIndex(storage, result.index);
+  return { ...result, added: listNewFiles(previous, result.index) };
+}
+
+/**
+ * Summarize an index without its contents.
+ * @param {Object|null} index - Index or null.
+ * @returns {Object} { indexed, builtAt, mode, folders, files }.
+ */
+function describeIndex(index) {
+  if (!index) {
+    return { indexed: false, builtAt: null, mode: null, folders: 0, files: 0 };
+  }
+
+  const entries = Object.values(index.folders);
+  return {
+    indexed: true,
+    builtAt: index.builtAt,
+    mode: index.mode,
+    folders: entries.length,
+    files: entries.reduce((total, entry) => total + entry.files.length, 0)
+  };
+}
+
+/**
+ * List every indexed file below the root with its folder breadcrumb.
+ * Same shape as the live tree walk in api/_tree.js.
+ * @param {Object} index - Index.
+ * @returns {Array<{file: Object, segments: Array<string>}>} Files with folder names from department down.
+ */
+function listIndexedFiles(index) {
+  const results = [];
+  const stack = [{ id: index.rootId, segments: [] }];
+
+  while (stack.length > 0) {
+    const { id, segments } = stack.pop();
+    const entry = index.folders[id];
+    if (!entry) continue;
+
+    // PDFs sit below department level; the root folder itself only holds departments
+    if (segments.length > 0) {
+      entry.files.forEach(file => results.push({ file, segments }));
+    }
+    entry.folders.forEach(childId => {
+      const child = index.folders[childId];
+      if (child) stack.push({ id: childId, segments: [...segments, normalizeFolderName(child.name)] });
+    });
+  }
+
+  return results;
+}
+
+/**
+ * List the files of an index that an earlier index of the same tree did not hold.
+ * Without an earlier index nothing counts as new (a first crawl finds everything).
+ * @param {Object|null} previous - Earlier index.
+ * @param {Object} index - Current index.
+ * @returns {Array<{file: Object, segments: Array<string>}>} New files with folder names.
+ */
+function listNewFiles(previous, index) {
+  if (!previous || previous.rootId !== index.rootId) return [];
+
+  const known = new Set();
+  Object.values(previous.folders).forEach(entry => entry.files.forEach(file => known.add(file.id)));
+  return listIndexedFiles(index).filter(({ file }) => !known.has(file.id));
+}
+
+/**
+ * Wrap a storage provider so reads are answered from an index.
+ * Folders the index does not hold, and lookups it cannot answer, go to the live provider.
+ * @param {Object} index - Index for this provider.
+ * @param {Object} storage - Live storage provider.
+ * @returns {Object} Storage provider.
+ */
+function createIndexedProvider(index, storage) {
+  const folders = index.folders;
+
+  /**
+   * Folder objects ({ id, name, modifiedTime }) for an indexed folder's children.
+   * @param {Object} entry - Index entry.
+   * @returns {Array} Folder objects.
+   */
+  function childrenOf(entry) {
+    return entry.folders
+      .filter(id => folders[id])
+      .map(id => ({ id, name: folders[id].name, modifiedTime: folders[id].modifiedTime }));
+  }
+
+  return {
+    name: storage.name,
+    rootId: storage.rootId,
+    indexedAt: index.builtAt,
+    live: storage,
+
+    isConfigured() {
+      return storage.isConfigured();
+    },
+
+    async listFolders(folderId) {
+      const entry = folders[folderId];
+      return entry ? childrenOf(entry) : storage.listFolders(folderId);
+    },
+
+    async listFiles(folderId) {
+      const entry = folders[folderId];
+      return entry ? { files: entry.files, truncated: entry.truncated } : storage.listFiles(folderId);
+    },
+
+    async findChildByName(parentId, name) {
+      const entry = folders[parentId];
+      if (entry) {
+        const target = normalizeFolderName(name.replace(/~/g, '/'));
+        const match = childrenOf(entry).find(f => normalizeFolderName(f.name) === target);
+        if (match) return match;
+      }
+      // Not indexed, or created since the crawl
+      return storage.findChildByName(parentId, name);
+    },
+
+    async hasFiles(folderId) {
+      const entry = folders[folderId];
+      return entry ? entry.files.length > 0 : storage.hasFiles(folderId);
+    },
+
+    async resolveAncestry(itemId, maxDepth) {
+      // Only folders are indexed by ID; files are checked live
+      if (!folders[itemId] || itemId === storage.rootId) {
+        return storage.resolveAncestry(itemId, maxDepth);
+      }
+
+      const chain = [];
+      for (let id = itemId; id !== storage.rootId; id = folders[id].parentId) {
+        if (!folders[id] || chain.length >= maxDepth) return null;
+        chain.unshift({ id, name: folders[id].name, mimeType: FOLDER_MIME_TYPE, parents: [folders[id].parentId] });
+      }
+      chain[chain.length - 1].modifiedTime = folders[itemId].modifiedTime;
+      return chain;
+    },
+
+    async openFile(fileId, range) {
+      return storage.openFile(fileId, range);
+    }
+  };
+}
+
+/**
+ * Get the provider request handlers should read from: index-backed when an unexpired
+ * index exists, otherwise the live provider.
+ * @param {Object} storage - Live storage provider.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.maxAgeMs] - Go live once the index was built longer ago than this,
+ *   so a route never shows older listings than its own cache would.
+ * @returns {Promise<Object>} Storage provider.
+ */
+async function withIndex(storage, options = {}) {
+  const index = await loadIndex(storage);
+  if (!index) return storage;
+  if (options.maxAgeMs !== undefined && Date.now() - index.builtAt >= options.maxAgeMs) return storage;
+  return createIndexedProvider(index, storage);
+}
+
+module.exports = {
+  crawlIndex,
+  loadIndex,
+  saveIndex,
+  rebuildIndex,
+  describeIndex,
+  listIndexedFiles,
+  listNewFiles,
+  createIndexedProvider,
+  withIndex
+};
@@ -0,0 +1,99 @@
+// Upstash Redis REST Client
+// The shared Redis database behind CACHE_STORE=kv (api/_cache.js) and DATA_STORE=kv
+// (api/_datastore.js). Vercel's KV / Upstash integration sets KV_REST_API_URL and
+// KV_REST_API_TOKEN; every command is one POST of its argument array, answered with
+// { result } or { error }.
+
+// Compare-and-set for one key: writes ARGV[2] only while the key still holds ARGV[1]
+// ('' standing for a missing key). Lets updates from different instances retry instead
+// of overwriting each other.
+const COMPARE_AND_SET_SCRIPT = [
+  "local current = redis.call('GET', KEYS[1])",
+  "if (current or '') ~= ARGV[1] then return 0 end",
+  "redis.call('SET', KEYS[1], ARGV[2])",
+  'return 1'
+].join('\n');
+
+const SCAN_COUNT = 200;
+
+/**
+ * Read the KV connection settings from the environment.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {{url: string, token: string}|null} Settings, or null when KV is not configured.
+ */
+function getKvConfig(env = process.env) {
+  const url = String(env.KV_REST_API_URL || '').trim();
+  const token = String(env.KV_REST_API_TOKEN || '').trim();
+  return url && token ? { url, token } : null;
+}
+
+/**
+ * Create a client for one database.
+ * @param {Object} options - Client options.
+ * @param {string} options.url - REST endpoint (KV_REST_API_URL).
+ * @param {string} options.token - Bearer token (KV_REST_API_TOKEN).
+ * @param {Function} [options.fetchImpl=fetch] - fetch implementation (tests).
+ * @returns {{run: Function, compareAndSet: Function, scanKeys: Function}} Client.
+ */
+function createKvClient(options) {
+  const { url, token, fetchImpl = fetch } = options;
+
+  /**
+   * Run one Redis command.
+   * @param {Array<string>} command - Command and arguments (e.g. ['GET', key]).
+   * @returns {Promise<*>} The command's result.
+   * @throws {Error} When the request fails or Redis answers with an error.
+   */
+  async function run(command) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(command)
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.error) {
+      throw new Error(`KV ${command[0]} failed: ${payload.error || response.status}`);
+    }
+    return payload.result;
+  }
+
+  return {
+    run,
+
+    /**
+     * Set a key only if it still holds the expected raw value.
+     * @param {string} key - Redis key.
+     * @param {string|null} expected - Raw value read earlier, or null when it was missing.
+     * @param {string} next - Raw value to write.
+     * @returns {Promise<boolean>} True when written, false when another writer got there first.
+     */
+    async compareAndSet(key, expected, next) {
+      return Number(await run(['EVAL', COMPARE_AND_SET_SCRIPT, '1', key, expected === null ? '' : expected, next])) === 1;
+    },
+
+    /**
+     * List every key starting with a prefix.
+     * @param {string} prefix - Key prefix.
+     * @returns {Promise<Array<string>>} Keys.
+     */
+    async scanKeys(prefix) {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await run(['SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', String(SCAN_COUNT)]);
+        keys.push(...batch);
+        cursor = String(next);
+      } while (cursor !== '0');
+      return keys;
+    }
+  };
+}
+
+module.exports = {
+  COMPARE_AND_SET_SCRIPT,
+  getKvConfig,
+  createKvClient
+};
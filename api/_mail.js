@@ -0,0 +1,131 @@
+// Mail Transports
+// Sends sign-in codes. Every transport exposes send({ to, subject, text }).
+// MAIL_TRANSPORT selects one:
+// - "resend": Resend's HTTP API (RESEND_API_KEY, MAIL_FROM). Used in production.
+// - "outbox": writes each message as a JSON file under MAIL_OUTBOX_DIR (default
+//   .outbox/). For local development and tests; read the code from the newest file.
+// Without MAIL_TRANSPORT, "resend" is used when RESEND_API_KEY is set or NODE_ENV is
+// "production", else "outbox". Production never falls back to the outbox on its own: a
+// missing key fails each send with a MAIL_NOT_CONFIGURED error naming RESEND_API_KEY.
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '.outbox');
+const DEFAULT_FROM = 'CURB <no-reply@curb.app>';
+
+/**
+ * Create a transport that writes messages to a folder instead of sending them.
+ * @param {Object} [options] - Transport options.
+ * @param {string} [options.dir] - Outbox folder (created on first send).
+ * @returns {{name: string, dir: string, send: Function}} Transport.
+ */
+function createOutboxTransport(options = {}) {
+  const dir = path.resolve(options.dir || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+
+  return {
+    name: 'outbox',
+    dir,
+
+    /**
+     * Write one message as <timestamp>-<random>.json.
+     * @param {{to: string, subject: string, text: string}} message - Message.
+     * @returns {Promise<string>} Path of the written file.
+     */
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const filePath = path.join(dir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+      return filePath;
+    }
+  };
+}
+
+/**
+ * Create a transport that sends through the Resend HTTP API.
+ * @param {Object} [options] - Transport options.
+ * @param {string} [options.apiKey] - Resend API key (default RESEND_API_KEY).
+ * @param {string} [options.from] - Sender (default MAIL_FROM).
+ * @returns {{name: string, send: Function}} Transport.
+ */
+function createResendTransport(options = {}) {
+  const apiKey = options.apiKey || process.env.RESEND_API_KEY || '';
+  const from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    name: 'resend',
+
+    /**
+     * Send one message.
+     * @param {{to: string, subject: string, text: string}} message - Message.
+     * @returns {Promise<void>}
+     * @throws {Error} When the key is missing (code MAIL_NOT_CONFIGURED) or Resend rejects the message.
+     */
+    send(message) {
+      if (!apiKey) {
+        const error = new Error('RESEND_API_KEY is not configured');
+        error.code = 'MAIL_NOT_CONFIGURED';
+        return Promise.reject(error);
+      }
+
+      const body = JSON.stringify({ from, to: [message.to], subject: message.subject, text: message.text });
+
+      return new Promise((resolve, reject) => {
+        const request = https.request('https://api.resend.com/emails', {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+          },
+          timeout: 10000
+        }, (response) => {
+          let data = '';
+          response.on('data', (chunk) => {
+            data += chunk;
+          });
+          response.on('end', () => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+              resolve();
+            } else {
+              reject(new Error(`Mail request failed with status ${response.statusCode}: ${data}`));
+            }
+          });
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Mail request timed out')));
+        request.on('error', reject);
+        request.end(body);
+      });
+    }
+  };
+}
+
+/**
+ * Pick the transport from the environment. The outbox is only used when asked for
+ * (MAIL_TRANSPORT=outbox) or outside production.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {{name: string, send: Function}} Transport.
+ */
+function getMailTransport(env = process.env) {
+  const configured = String(env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  const useResend = Boolean(env.RESEND_API_KEY) || env.NODE_ENV === 'production';
+  const name = configured || (useResend ? 'resend' : 'outbox');
+  return name === 'resend'
+    ? createResendTransport({ apiKey: env.RESEND_API_KEY, from: env.MAIL_FROM })
+    : createOutboxTransport({ dir: env.MAIL_OUTBOX_DIR });
+}
+
+module.exports = {
+  createOutboxTransport,
+  createResendTransport,
+  getMailTransport
+};
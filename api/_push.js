@@ -0,0 +1,126 @@
+// Push Follows
+// Students follow a department, or one level of it, from the levels page. When an index
+// rebuild finds PDFs that were not in the previous index (see listNewFiles in api/_index.js),
+// every browser following their folder gets one notification that deep-links to them.
+//
+// Subscriptions live in the "push-subscriptions" data store, one record per browser, keyed
+// by a hash of its push endpoint:
+// { endpoint, keys: { p256dh, auth }, email, follows: [{ department, level }], createdAt, updatedAt }
+// level is null for a whole-department follow.
+
+const crypto = require('crypto');
+const { normalizeFolderName } = require('./_utils');
+const { getDatastore } = require('./_datastore');
+const { getVapidConfig, sendNotification } = require('./_webpush');
+
+const SEND_CONCURRENCY = 8;
+
+/**
+ * Data store key for a browser subscription.
+ * @param {string} endpoint - Push endpoint.
+ * @returns {string} Key.
+ */
+function subscriptionKey(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+}
+
+/**
+ * Compare folder names the way browse does (normalized, case-insensitive).
+ * @param {string} a - Folder name.
+ * @param {string} b - Folder name.
+ * @returns {boolean} True when they name the same folder.
+ */
+function sameFolder(a, b) {
+  return normalizeFolderName(String(a || '')).toLowerCase() === normalizeFolderName(String(b || '')).toLowerCase();
+}
+
+/**
+ * Whether a file's folder is covered by a follow.
+ * @param {{department: string, level: string|null}} follow - Follow.
+ * @param {Array<string>} segments - The file's folder names from department down.
+ * @returns {boolean} True when the follow covers it.
+ */
+function followMatches(follow, segments) {
+  return sameFolder(segments[0], follow.department) && (!follow.level || sameFolder(segments[1], follow.level));
+}
+
+/**
+ * Build the notification for a set of new files: it links to the deepest folder they share.
+ * @param {Array<{file: Object, segments: Array<string>}>} entries - New files (at least one).
+ * @returns {{title: string, body: string, tag: string, url: string}} Notification data.
+ */
+function buildNotification(entries) {
+  const shared = entries.slice(1).reduce((prefix, { segments }) => {
+    let length = 0;
+    while (length < prefix.length && sameFolder(prefix[length], segments[length])) length += 1;
+    return prefix.slice(0, length);
+  }, entries[0].segments);
+
+  const where = shared.length > 0 ? shared.join(' › ') : 'the folders you follow';
+  // Same routes as the app (buildBrowsePath in js/navigation.js): slashes inside folder names travel as ~
+  const route = shared.map(segment => encodeURIComponent(segment.replace(/\//g, '~'))).join('/');
+
+  return {
+    title: 'New past questions',
+    body: entries.length === 1
+      ? `${entries[0].file.name} was added to ${where}.`
+      : `${entries.length} new papers in ${where}.`,
+    tag: `new-files:${route}`,
+    url: route ? `/browse/${route}` : '/'
+  };
+}
+
+/**
+ * Tell every follower about newly indexed files.
+ * Push services answer 404/410 for subscriptions the browser has dropped; those are
+ * removed. Other failures are counted and left for the next rebuild.
+ * @param {Array<{file: Object, segments: Array<string>}>} added - Files new since the last index.
+ * @param {Object} [options] - Options.
+ * @param {Object} [options.env=process.env] - Environment (VAPID keys, data store).
+ * @returns {Promise<{subscriptions: number, sent: number, failed: number, removed: number}>} Counters.
+ */
+async function notifyFollowers(added, options = {}) {
+  const { env = process.env } = options;
+  const result = { subscriptions: 0, sent: 0, failed: 0, removed: 0 };
+  const vapid = getVapidConfig(env);
+  if (!vapid || added.length === 0) return result;
+
+  const store = getDatastore('push-subscriptions', env);
+  const deliveries = (await store.entries())
+    .filter(({ value }) => value && Array.isArray(value.follows))
+    .map(({ key, value }) => ({
+      key,
+      subscription: value,
+      matched: added.filter(({ segments }) => value.follows.some(follow => followMatches(follow, segments)))
+    }))
+    .filter(({ matched }) => matched.length > 0);
+  result.subscriptions = deliveries.length;
+
+  for (let i = 0; i < deliveries.length; i += SEND_CONCURRENCY) {
+    await Promise.all(deliveries.slice(i, i + SEND_CONCURRENCY).map(async ({ key, subscription, matched }) => {
+      try {
+        const { statusCode } = await sendNotification(subscription, buildNotification(matched), { vapid, env });
+        if (statusCode === 404 || statusCode === 410) {
+          await store.delete(key);
+          result.removed += 1;
+        } else if (statusCode >= 200 && statusCode < 300) {
+          result.sent += 1;
+        } else {
+          result.failed += 1;
+        }
+      } catch (error) {
+        console.error('Push delivery failed:', error.message);
+        result.failed += 1;
+      }
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  subscriptionKey,
+  followMatches,
+  buildNotification,
+  notifyFollowers
+};
@@ -0,0 +1,181 @@
+// Coverage Report Export
+// CSV and printable HTML versions of the coverage results, so reps can attach a report to
+// their updates instead of screenshotting the Track page. Used by api/coverage.js (one
+// department, one session) and api/coverage/summary.js (every department and session).
+//
+// A report is a title, a subtitle and sections of plain tables:
+//   { title, subtitle, sections: [{ heading, columns: [...], rows: [[...], ...] }] }
+// CSV puts the sections one after another with a blank line between them. The HTML page
+// has no scripts (the site CSP blocks inline ones); readers print it or save it as PDF.
+
+const { buildContentDisposition } = require('./_utils');
+
+const FORMATS = ['json', 'csv', 'html'];
+
+const STATUS_LABELS = {
+  uploaded: 'Uploaded',
+  'empty-folder': 'Session found, no PDFs',
+  'missing-folder': 'Session folder missing'
+};
+
+/**
+ * Human label for a coverage status.
+ * @param {string} status - uploaded, empty-folder or missing-folder.
+ * @returns {string} Label.
+ */
+function statusLabel(status) {
+  return STATUS_LABELS[status] || 'Unknown';
+}
+
+/**
+ * Count statuses per semester, the same summary the Track page shows above each table.
+ * @param {Array<{semester: string, status: string}>} rows - Coverage rows.
+ * @returns {Array<{semester: string, uploaded: number, emptyFolder: number, missingFolder: number, other: number}>}
+ *   One entry per semester, in first-seen order.
+ */
+function summarizeBySemester(rows) {
+  const summaries = new Map();
+
+  rows.forEach((row) => {
+    const semester = String(row.semester || '').trim();
+    if (!summaries.has(semester)) {
+      summaries.set(semester, { semester, uploaded: 0, emptyFolder: 0, missingFolder: 0, other: 0 });
+    }
+
+    const summary = summaries.get(semester);
+    if (row.status === 'uploaded') summary.uploaded += 1;
+    else if (row.status === 'empty-folder') summary.emptyFolder += 1;
+    else if (row.status === 'missing-folder') summary.missingFolder += 1;
+    else summary.other += 1;
+  });
+
+  return Array.from(summaries.values());
+}
+
+/**
+ * Quote one CSV field. Values starting with a formula character get a leading quote so
+ * spreadsheet apps show them as text instead of running them.
+ * @param {*} value - Cell value.
+ * @returns {string} CSV field.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV.
+ * @param {Object} report - { title, subtitle, sections }.
+ * @returns {string} CSV text (CRLF line endings, as spreadsheet apps expect).
+ */
+function toCsv(report) {
+  const lines = [[report.title], [report.subtitle]];
+  report.sections.forEach((section) => {
+    lines.push([], [section.heading], section.columns, ...section.rows);
+  });
+  return `${lines.map(cells => cells.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Escape text for HTML.
+ * @param {*} value - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Render a report as a standalone, printable HTML page.
+ * @param {Object} report - { title, subtitle, sections }.
+ * @returns {string} HTML document.
+ */
+function toHtml(report) {
+  const sections = report.sections.map(section => `
+    <h2>${escapeHtml(section.heading)}</h2>
+    <table>
+      <thead><tr>${section.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${section.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n        ')}
+      </tbody>
+    </table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.4rem; margin: 0 0 0.25rem; color: #2E9E58; }
+    h2 { font-size: 1rem; margin: 1.75rem 0 0.5rem; }
+    .subtitle, .hint { color: #6b7280; font-size: 0.85rem; margin: 0; }
+    .hint { margin-top: 0.75rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; }
+    th { background: #f3f4f6; }
+    tr { break-inside: avoid; }
+    @media print { body { margin: 0; } .hint { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="subtitle">${escapeHtml(report.subtitle)}</p>
+  <p class="hint">Print this page (Ctrl+P / Cmd+P) and choose "Save as PDF" to attach it to an update.</p>
+  ${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Read and check the format query parameter.
+ * @param {Object} query - Request query.
+ * @returns {string|null} json, csv or html; null when the value is not supported.
+ */
+function parseFormat(query) {
+  const format = typeof query.format === 'string' && query.format ? query.format.trim().toLowerCase() : 'json';
+  return FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Send a report as a CSV download or an HTML page.
+ * @param {Object} res - HTTP response.
+ * @param {string} format - csv or html.
+ * @param {Object} report - { title, subtitle, sections }.
+ * @param {string} fileName - Download name without extension.
+ */
+function sendReport(res, format, report, fileName) {
+  const safeName = fileName.replace(/[\\/:*?"<>|]+/g, '-');
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', buildContentDisposition(`${safeName}.csv`, 'attachment'));
+    // The byte-order mark makes Excel read the file as UTF-8
+    res.status(200).end(`\uFEFF${toCsv(report)}`);
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', buildContentDisposition(`${safeName}.html`, 'inline'));
+  res.status(200).end(toHtml(report));
+}
+
+module.exports = {
+  FORMATS,
+  statusLabel,
+  summarizeBySemester,
+  toCsv,
+  toHtml,
+  parseFormat,
+  sendReport
+};
@@ -0,0 +1,150 @@
+// Roles
+// Who may do what, derived from the team sheets api/team.js already reads: an address in
+// the current session's executives sheet is an executive, one in the reps sheet is the rep
+// for that row's department. ADMIN_EMAILS (comma-separated) lists admins. Everyone else
+// who signs in is a student. The sheets need an "email" column for this to work.
+
+const { normalizeFolderName } = require('./_utils');
+const { isAuthEnabled, normalizeEmail } = require('./_auth');
+
+const ROLES = {
+  STUDENT: 'student',
+  REP: 'rep',
+  EXECUTIVE: 'executive',
+  ADMIN: 'admin'
+};
+
+// Coverage tracker and force refresh (both trigger live storage scans)
+const TRACKER_ROLES = [ROLES.REP, ROLES.EXECUTIVE, ROLES.ADMIN];
+
+/**
+ * Read the admin list.
+ * @returns {Set<string>} Normalized admin addresses.
+ */
+function getAdminEmails() {
+  return new Set(String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean));
+}
+
+/**
+ * Keep only rows from the latest session (rows without a session always count).
+ * @param {Array<Object>} rows - Sheet rows with a session field.
+ * @param {Function} extractSessions - Latest-first session lister from api/team.js.
+ * @returns {Array<Object>} Current rows.
+ */
+function currentRows(rows, extractSessions) {
+  const [latest] = extractSessions(rows);
+  return rows.filter(row => !row.session || row.session === latest);
+}
+
+/**
+ * Work out a signed-in user's role.
+ * @param {string} email - Verified address from the session.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.bypassCache=false] - Re-read the sheets.
+ * @returns {Promise<{role: string, department: string|null}>} Role and, for reps, their department.
+ */
+async function resolveRole(email, options = {}) {
+  const address = normalizeEmail(email);
+  if (!address) {
+    return { role: ROLES.STUDENT, department: null };
+  }
+
+  if (getAdminEmails().has(address)) {
+    return { role: ROLES.ADMIN, department: null };
+  }
+
+  const executivesUrl = process.env.TEAM_SHEET_EXECUTIVES_URL;
+  const repsUrl = process.env.TEAM_SHEET_REPS_URL;
+  if (!executivesUrl || !repsUrl) {
+    return { role: ROLES.STUDENT, department: null };
+  }
+
+  // Required here, not at the top: api/team.js uses this module for its own force refresh
+  const { fetchAllExecutives, fetchAllDepartmentReps, extractSessions } = require('./team');
+  const { bypassCache = false } = options;
+
+  const [execResult, repResult] = await Promise.allSettled([
+    fetchAllExecutives(executivesUrl, { bypassCache }),
+    fetchAllDepartmentReps(repsUrl, { bypassCache })
+  ]);
+
+  if (execResult.status === 'fulfilled' &&
+    currentRows(execResult.value, extractSessions).some(row => row.email === address)) {
+    return { role: ROLES.EXECUTIVE, department: null };
+  }
+
+  if (repResult.status === 'fulfilled') {
+    const rep = currentRows(repResult.value, extractSessions).find(row => row.email === address);
+    if (rep) {
+      return { role: ROLES.REP, department: rep.department };
+    }
+  }
+
+  if (execResult.status === 'rejected' || repResult.status === 'rejected') {
+    // Fail closed: an unreadable sheet grants nothing
+    console.error('Role lookup could not read the team sheets');
+  }
+
+  return { role: ROLES.STUDENT, department: null };
+}
+
+/**
+ * Role guard: require one of the given roles. Call after requireAuth.
+ * Answers 403 with code ROLE_REQUIRED otherwise. With sign-in off (local development)
+ * everything is allowed. The resolved role is left on req.role.
+ * Returns true if the request was handled (caller should return early).
+ * @param {Object} req - HTTP request object (req.auth from requireAuth).
+ * @param {Object} res - HTTP response object.
+ * @param {Array<string>} allowedRoles - Roles that may continue.
+ * @returns {Promise<boolean>} True if request was fully handled.
+ */
+async function requireRole(req, res, allowedRoles) {
+  if (!isAuthEnabled()) {
+    req.role = { role: ROLES.ADMIN, department: null };
+    return false;
+  }
+
+  req.role = req.role || await resolveRole(req.auth && req.auth.email);
+  if (allowedRoles.includes(req.role.role)) {
+    return false;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(403).json({
+    error: 'Forbidden',
+    code: 'ROLE_REQUIRED',
+    message: 'Only department reps and executives can do this.'
+  });
+  return true;
+}
+
+/**
+ * Check whether a role may see a department's data. Reps are limited to their own.
+ * @param {{role: string, department: string|null}} roleInfo - From requireRole/resolveRole.
+ * @param {string} department - Department name (~ allowed for /).
+ * @returns {boolean} True when allowed.
+ */
+function canAccessDepartment(roleInfo, department) {
+  if (!roleInfo || roleInfo.role !== ROLES.REP) {
+    return true;
+  }
+
+  // Sheet values arrive HTML-escaped (see sanitize in api/team.js)
+  const normalize = value => normalizeFolderName(String(value || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&#039;/g, "'")
+    .replace(/~/g, '/'))
+    .toLowerCase();
+  return normalize(roleInfo.department) === normalize(department);
+}
+
+module.exports = {
+  ROLES,
+  TRACKER_ROLES,
+  resolveRole,
+  requireRole,
+  canAccessDepartment
+};
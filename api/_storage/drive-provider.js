@@ -0,0 +1,180 @@
+// Storage Provider: Google Drive v3
+// Wraps the Drive helpers in api/_utils.js behind the storage-provider interface
+// (see api/_storage/index.js). The only adapter that talks to Google.
+// Reads use the API key; writes (filing approved submissions) use a service account.
+
+const crypto = require('crypto');
+const {
+  normalizeFolderName,
+  makeAPIRequest,
+  listDriveFiles,
+  listFolders,
+  openDriveFileStream,
+  resolveAncestry
+} = require('../_utils');
+const { createServiceAccountAuth, requestJson } = require('./google-auth');
+
+const FOLDER_FIELDS = 'files(id,name,modifiedTime)';
+const FILE_FIELDS = 'files(id,name,modifiedTime,size,webViewLink,webContentLink)';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+
+/**
+ * Create a Google Drive storage provider.
+ * @param {Object} config - Provider configuration.
+ * @param {string} config.apiKey - Google API key.
+ * @param {string} config.rootFolderId - Root Drive folder ID (holds the department folders).
+ * @param {Object} [config.serviceAccount] - { clientEmail, privateKey } with edit access to the root folder.
+ * @returns {Object} Storage provider.
+ */
+function createDriveProvider({ apiKey, rootFolderId, serviceAccount = {} }) {
+  const auth = createServiceAccountAuth(serviceAccount);
+
+  /**
+   * Call a Drive write endpoint as the service account.
+   * @param {string} url - Endpoint URL.
+   * @param {Object} headers - Request headers (Content-Type).
+   * @param {string|Buffer} body - Request body.
+   * @returns {Promise<Object>} Created item ({ id, name }).
+   */
+  async function authorizedPost(url, headers, body) {
+    const token = await auth.getAccessToken();
+    return requestJson(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        Authorization: `Bearer ${token}`,
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, body);
+  }
+
+  return {
+    name: 'drive',
+    rootId: rootFolderId,
+
+    /**
+     * @returns {boolean} True when the API key and root folder are set.
+     */
+    isConfigured() {
+      return Boolean(apiKey && rootFolderId);
+    },
+
+    /**
+     * List subfolders of a folder (all pages).
+     * @param {string} folderId - Drive folder ID.
+     * @returns {Promise<Array>} Folder objects ({ id, name, modifiedTime }).
+     */
+    async listFolders(folderId) {
+      return listFolders(folderId, apiKey, FOLDER_FIELDS);
+    },
+
+    /**
+     * List PDF files directly inside a folder (all pages, up to the page cap).
+     * @param {string} folderId - Drive folder ID.
+     * @returns {Promise<{files: Array, truncated: boolean}>} File objects and truncation flag.
+     */
+    async listFiles(folderId) {
+      return listDriveFiles(
+        `'${folderId}' in parents and mimeType='application/pdf' and trashed=false`,
+        apiKey,
+        FILE_FIELDS
+      );
+    },
+
+    /**
+     * Find a subfolder by display name (~ stands for / in path segments).
+     * @param {string} parentId - Parent folder ID.
+     * @param {string} name - Folder name or path segment.
+     * @returns {Promise<Object|null>} Folder object or null.
+     */
+    async findChildByName(parentId, name) {
+      const folders = await this.listFolders(parentId);
+      const target = normalizeFolderName(name.replace(/~/g, '/'));
+      return folders.find(f => normalizeFolderName(f.name) === target) || null;
+    },
+
+    /**
+     * Check whether a folder directly contains at least one PDF.
+     * @param {string} folderId - Drive folder ID.
+     * @returns {Promise<boolean>} True if any PDF exists.
+     */
+    async hasFiles(folderId) {
+      const query = encodeURIComponent(`'${folderId}' in parents and mimeType='application/pdf' and trashed=false`);
+      const url = `https://www.googleapis.com/drive/v3/files?q=${query}&fields=files(id)&pageSize=1&key=${apiKey}`;
+      const response = await makeAPIRequest(url);
+      return Boolean(response.files && response.files.length > 0);
+    },
+
+    /**
+     * Walk an item's parents up to the root folder.
+     * @param {string} itemId - Drive file or folder ID.
+     * @param {number} maxDepth - Maximum folders between root and the item.
+     * @returns {Promise<Array|null>} Items below root down to the item, or null if outside the tree.
+     */
+    async resolveAncestry(itemId, maxDepth) {
+      return resolveAncestry(itemId, rootFolderId, apiKey, maxDepth);
+    },
+
+    /**
+     * Open a file's bytes (or one byte range of them) for streaming.
+     * @param {string} fileId - Drive file ID (check it with resolveAncestry first).
+     * @param {{start: number, end: number}} [range] - Inclusive byte range.
+     * @returns {Promise<{stream: stream.Readable, size: number|null}>} Byte stream and its length when known.
+     */
+    async openFile(fileId, range = null) {
+      const stream = await openDriveFileStream(fileId, apiKey, range);
+      const length = Number.parseInt(stream.headers['content-length'], 10);
+      return { stream, size: Number.isFinite(length) ? length : null };
+    },
+
+    /**
+     * @returns {boolean} True when a service account is set up for writes.
+     */
+    canWrite() {
+      return this.isConfigured() && auth.isConfigured();
+    },
+
+    /**
+     * Create a subfolder (~ in the name stands for /).
+     * @param {string} parentId - Parent folder ID.
+     * @param {string} name - Folder name or path segment.
+     * @returns {Promise<Object>} Created folder ({ id, name }).
+     */
+    async createFolder(parentId, name) {
+      const body = JSON.stringify({
+        name: normalizeFolderName(name.replace(/~/g, '/')),
+        mimeType: FOLDER_MIME_TYPE,
+        parents: [parentId]
+      });
+      return authorizedPost(`${FILES_URL}?fields=id,name&supportsAllDrives=true`, {
+        'Content-Type': 'application/json; charset=utf-8'
+      }, body);
+    },
+
+    /**
+     * Upload a file into a folder (one multipart request: metadata, then bytes).
+     * @param {string} folderId - Folder ID.
+     * @param {string} name - File name.
+     * @param {Buffer} buffer - File contents.
+     * @param {string} [mimeType='application/pdf'] - File type.
+     * @returns {Promise<Object>} Created file ({ id, name }).
+     */
+    async saveFile(folderId, name, buffer, mimeType = 'application/pdf') {
+      const boundary = `curb-${crypto.randomBytes(12).toString('hex')}`;
+      const body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n` +
+          `${JSON.stringify({ name, parents: [folderId] })}\r\n` +
+          `--${boundary}\r\nContent-Type: ${mimeType}\r\n\r\n`),
+        buffer,
+        Buffer.from(`\r\n--${boundary}--`)
+      ]);
+      return authorizedPost(`${UPLOAD_URL}?uploadType=multipart&fields=id,name&supportsAllDrives=true`, {
+        'Content-Type': `multipart/related; boundary=${boundary}`
+      }, body);
+    }
+  };
+}
+
+module.exports = { createDriveProvider };
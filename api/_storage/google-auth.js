@@ -0,0 +1,123 @@
+// Google Service Account Auth
+// Reads only need the API key, but Drive refuses writes made with one. Filing approved
+// submissions therefore signs in as a service account (OAuth 2.0 JWT bearer grant) that
+// has been given edit access to the root folder.
+
+const https = require('https');
+const crypto = require('crypto');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive';
+// Tokens last an hour; renew a little early so a slow upload never carries an expired one
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Send an HTTPS request and parse the JSON reply.
+ * @param {string} url - Request URL.
+ * @param {Object} options - https.request options (method, headers).
+ * @param {string|Buffer} [body] - Request body.
+ * @returns {Promise<Object>} Parsed response.
+ * @throws {Error} With statusCode when Google answers with an error.
+ */
+function requestJson(url, options, body) {
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, { timeout: 30000, ...options }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let data = null;
+        try {
+          data = raw ? JSON.parse(raw) : {};
+        } catch (parseError) {
+          data = null;
+        }
+
+        if (response.statusCode >= 200 && response.statusCode < 300 && data) {
+          resolve(data);
+          return;
+        }
+
+        const message = data && data.error
+          ? (data.error.message || data.error_description || data.error)
+          : raw.slice(0, 200);
+        const error = new Error(`Google request failed with status ${response.statusCode}: ${message}`);
+        error.statusCode = response.statusCode;
+        reject(error);
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Google request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Create an access-token source for a service account.
+ * @param {Object} config - Service account credentials.
+ * @param {string} config.clientEmail - Service account email.
+ * @param {string} config.privateKey - PEM private key (literal \n sequences are accepted).
+ * @returns {{isConfigured: Function, getAccessToken: Function}} Token source.
+ */
+function createServiceAccountAuth({ clientEmail, privateKey }) {
+  const key = typeof privateKey === 'string' ? privateKey.replace(/\\n/g, '\n') : '';
+  let cached = null;
+
+  /**
+   * Sign the JWT assertion exchanged for an access token.
+   * @param {number} now - Current time in seconds.
+   * @returns {string} Signed assertion.
+   */
+  function signAssertion(now) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+      iss: clientEmail,
+      scope: DRIVE_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(key, 'base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  return {
+    /**
+     * @returns {boolean} True when both credentials are set.
+     */
+    isConfigured() {
+      return Boolean(clientEmail && key);
+    },
+
+    /**
+     * Get an access token, reusing the last one until it is close to expiring.
+     * @returns {Promise<string>} Bearer token.
+     */
+    async getAccessToken() {
+      if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return cached.token;
+      }
+
+      const body = new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: signAssertion(Math.floor(Date.now() / 1000))
+      }).toString();
+      const data = await requestJson(TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, body);
+
+      cached = { token: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+      return cached.token;
+    }
+  };
+}
+
+module.exports = {
+  createServiceAccountAuth,
+  requestJson
+};
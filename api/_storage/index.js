@@ -0,0 +1,55 @@
+// Storage Providers
+// browse and coverage talk to a storage provider instead of Google Drive directly,
+// so the Drive v3 dependency lives in one adapter and the app can run against a
+// local folder tree (offline demos, tests, backup hosting).
+//
+// Provider interface (every method is async unless noted):
+//   name                          'drive' | 'local'
+//   rootId                        ID of the folder holding the department folders
+//   isConfigured()                (sync) true when credentials/paths are set
+//   listFolders(folderId)         → [{ id, name, modifiedTime }]
+//   listFiles(folderId)           → { files: [{ id, name, size, modifiedTime, webViewLink, webContentLink }], truncated }
+//   findChildByName(parentId, n)  → folder or null (~ in n stands for /)
+//   hasFiles(folderId)            → true if the folder directly holds a PDF
+//   resolveAncestry(id, maxDepth) → [{ id, name, mimeType, parents }] below root down to id, or null
+//                                   (the last item also carries size/modifiedTime, and md5Checksum on Drive)
+//   openFile(fileId, range)       → { stream, size } for the whole file or an inclusive { start, end }
+//                                   byte range (size null when unknown)
+//
+// Writes (approved submissions, api/submissions.js):
+//   canWrite()                    (sync) true when the provider can create folders and files
+//   createFolder(parentId, name)  → { id, name } (~ in name stands for /)
+//   saveFile(folderId, name, buffer, mimeType) → { id, name }
+
+const { createDriveProvider } = require('./drive-provider');
+const { createLocalProvider } = require('./local-provider');
+
+/**
+ * Build the storage provider selected by the environment.
+ * STORAGE_BACKEND=local reads LOCAL_STORAGE_ROOT; anything else uses Google Drive
+ * (writes there need GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY).
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {Object} Storage provider.
+ */
+function getStorage(env = process.env) {
+  const backend = String(env.STORAGE_BACKEND || 'drive').trim().toLowerCase();
+
+  if (backend === 'local') {
+    return createLocalProvider({ rootDir: env.LOCAL_STORAGE_ROOT });
+  }
+
+  return createDriveProvider({
+    apiKey: env.GOOGLE_DRIVE_API_KEY,
+    rootFolderId: env.GOOGLE_DRIVE_ROOT_FOLDER_ID,
+    serviceAccount: {
+      clientEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      privateKey: env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY
+    }
+  });
+}
+
+module.exports = {
+  getStorage,
+  createDriveProvider,
+  createLocalProvider
+};
@@ -0,0 +1,45 @@
+// Local-Disk API Handlers
+// Browse/coverage/file/bundle/index handlers bound to a local folder tree, so the file and
+// bundle endpoints stream the PDFs straight from disk. server.js mounts these in local
+// mode so the resource bank keeps working with no Google API key and no internet
+// (campus LAN demos, the cPanel/backup deployment).
+
+const { createLocalProvider } = require('./local-provider');
+
+/**
+ * Create the API handler map for local mode.
+ * Browse, coverage, file, bundle and the index rebuild serve from rootDir, and approved
+ * submissions are filed into it; search, recent and team keep their normal (Google-backed)
+ * handlers and report their own configuration errors. Sign-in, coverage history, paper
+ * requests, push subscriptions and student profiles do not touch storage and are mounted
+ * unchanged.
+ * @param {string} rootDir - Directory holding the department folders.
+ * @returns {Object} Handler map for server.js createServer({ apiHandlers }).
+ */
+function createLocalApiHandlers(rootDir) {
+  const storage = createLocalProvider({ rootDir });
+
+  return {
+    browse: require('../browse').withStorage(storage),
+    coverage: require('../coverage').withStorage(storage),
+    coverageSummary: require('../coverage/summary').withStorage(storage),
+    file: require('../file').withStorage(storage),
+    bundle: require('../bundle').withStorage(storage),
+    driveIndex: require('../drive-index').withStorage(storage),
+    submissions: require('../submissions').withStorage(storage),
+    coverageHistory: require('../coverage-history'),
+    requests: require('../requests'),
+    push: require('../push'),
+    profile: require('../profile'),
+    team: require('../team'),
+    search: require('../search'),
+    recent: require('../recent'),
+    authRequest: require('../auth/request'),
+    authVerify: require('../auth/verify'),
+    authSession: require('../auth/session')
+  };
+}
+
+module.exports = {
+  createLocalApiHandlers
+};
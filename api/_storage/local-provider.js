@@ -0,0 +1,316 @@
+// Storage Provider: Local Directory Tree
+// Serves a Department/Level/Semester/Session folder tree of PDFs from disk,
+// so the app can run and be tested without Google Drive.
+//
+// On-disk layout mirrors the Drive root folder. Folder names cannot contain '/',
+// so '~' is used instead (e.g. "2024~25 Session") and reported back as '/'.
+// IDs are the item's path relative to the root, base64url-encoded with an "L" prefix.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeFolderName } = require('../_utils');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const PDF_MIME_TYPE = 'application/pdf';
+const ID_PREFIX = 'L';
+const MAX_NAME_COPIES = 100;
+
+/**
+ * Encode a root-relative path as an item ID.
+ * @param {string} relativePath - POSIX path relative to the root ('' for the root).
+ * @returns {string} Item ID.
+ */
+function toId(relativePath) {
+  return ID_PREFIX + Buffer.from(relativePath, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode an item ID back to a root-relative path.
+ * @param {string} id - Item ID.
+ * @returns {string|null} POSIX relative path, or null if the ID is malformed.
+ */
+function fromId(id) {
+  if (typeof id !== 'string' || !id.startsWith(ID_PREFIX)) return null;
+  const relativePath = Buffer.from(id.slice(ID_PREFIX.length), 'base64url').toString('utf8');
+  const segments = relativePath.split('/').filter(Boolean);
+  if (segments.some(segment => segment === '..' || segment === '.')) return null;
+  return segments.join('/');
+}
+
+/**
+ * Convert an on-disk entry name to its display name.
+ * @param {string} entryName - Directory entry name.
+ * @returns {string} Name with ~ restored to /.
+ */
+function toDisplayName(entryName) {
+  return entryName.replace(/~/g, '/');
+}
+
+/**
+ * Check whether a directory entry is a PDF file.
+ * @param {fs.Dirent} entry - Directory entry.
+ * @returns {boolean} True for *.pdf files.
+ */
+function isPdf(entry) {
+  return entry.isFile() && /\.pdf$/i.test(entry.name);
+}
+
+/**
+ * Create a local-directory storage provider.
+ * @param {Object} config - Provider configuration.
+ * @param {string} config.rootDir - Directory holding the department folders.
+ * @param {string} [config.fileUrl='/api/file'] - Endpoint that serves file bytes by ?id=.
+ * @returns {Object} Storage provider.
+ */
+function createLocalProvider({ rootDir, fileUrl = '/api/file' }) {
+  const root = rootDir ? path.resolve(rootDir) : '';
+
+  /**
+   * Resolve an item ID to an absolute path inside the root.
+   * @param {string} id - Item ID.
+   * @returns {string|null} Absolute path, or null if malformed or outside the root.
+   */
+  function resolvePath(id) {
+    const relativePath = fromId(id);
+    if (relativePath === null || !root) return null;
+
+    const absolutePath = path.resolve(root, relativePath);
+    const fromRoot = path.relative(root, absolutePath);
+    if (fromRoot.startsWith('..') || path.isAbsolute(fromRoot)) return null;
+    return absolutePath;
+  }
+
+  /**
+   * Read a directory's entries, skipping hidden files.
+   * @param {string} folderId - Folder ID.
+   * @returns {Promise<Array<{entry: fs.Dirent, relativePath: string}>>} Visible entries, sorted by name.
+   */
+  async function readEntries(folderId) {
+    const absolutePath = resolvePath(folderId);
+    if (!absolutePath) return [];
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(absolutePath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    const base = fromId(folderId);
+    return entries
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => ({ entry, relativePath: base ? `${base}/${entry.name}` : entry.name }));
+  }
+
+  return {
+    name: 'local',
+    rootId: toId(''),
+    rootDir: root,
+
+    /**
+     * @returns {boolean} True when the root directory is set.
+     */
+    isConfigured() {
+      return Boolean(root);
+    },
+
+    /**
+     * List subfolders of a folder.
+     * @param {string} folderId - Folder ID.
+     * @returns {Promise<Array>} Folder objects ({ id, name, modifiedTime }).
+     */
+    async listFolders(folderId) {
+      const entries = await readEntries(folderId);
+      const folders = [];
+
+      for (const { entry, relativePath } of entries) {
+        if (!entry.isDirectory()) continue;
+        const stats = await fs.promises.stat(path.join(root, relativePath));
+        folders.push({
+          id: toId(relativePath),
+          name: toDisplayName(entry.name),
+          modifiedTime: stats.mtime.toISOString()
+        });
+      }
+
+      return folders;
+    },
+
+    /**
+     * List PDF files directly inside a folder.
+     * @param {string} folderId - Folder ID.
+     * @returns {Promise<{files: Array, truncated: boolean}>} File objects (never truncated).
+     */
+    async listFiles(folderId) {
+      const entries = await readEntries(folderId);
+      const files = [];
+
+      for (const { entry, relativePath } of entries) {
+        if (!isPdf(entry)) continue;
+        const stats = await fs.promises.stat(path.join(root, relativePath));
+        const id = toId(relativePath);
+        files.push({
+          id,
+          name: entry.name,
+          modifiedTime: stats.mtime.toISOString(),
+          // Drive reports sizes as strings; keep the same shape
+          size: String(stats.size),
+          webViewLink: `${fileUrl}?id=${encodeURIComponent(id)}`,
+          webContentLink: `${fileUrl}?id=${encodeURIComponent(id)}&download=1`
+        });
+      }
+
+      return { files, truncated: false };
+    },
+
+    /**
+     * Find a subfolder by display name (~ stands for / in path segments).
+     * @param {string} parentId - Parent folder ID.
+     * @param {string} name - Folder name or path segment.
+     * @returns {Promise<Object|null>} Folder object or null.
+     */
+    async findChildByName(parentId, name) {
+      const folders = await this.listFolders(parentId);
+      const target = normalizeFolderName(name.replace(/~/g, '/'));
+      return folders.find(f => normalizeFolderName(f.name) === target) || null;
+    },
+
+    /**
+     * Check whether a folder directly contains at least one PDF.
+     * @param {string} folderId - Folder ID.
+     * @returns {Promise<boolean>} True if any PDF exists.
+     */
+    async hasFiles(folderId) {
+      const entries = await readEntries(folderId);
+      return entries.some(({ entry }) => isPdf(entry));
+    },
+
+    /**
+     * Describe every item from just below the root down to the given item.
+     * @param {string} itemId - File or folder ID.
+     * @param {number} maxDepth - Maximum folders between root and the item.
+     * @returns {Promise<Array|null>} Items ({ id, name, mimeType, parents }; the last also has
+     *   modifiedTime and, for files, size), or null if missing.
+     */
+    async resolveAncestry(itemId, maxDepth) {
+      const absolutePath = resolvePath(itemId);
+      if (!absolutePath) return null;
+
+      const segments = fromId(itemId).split('/').filter(Boolean);
+      if (segments.length > maxDepth) return null;
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(absolutePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      const isFile = stats.isFile();
+      const fileMimeType = /\.pdf$/i.test(absolutePath) ? PDF_MIME_TYPE : 'application/octet-stream';
+      return segments.map((segment, index) => {
+        const isLast = index === segments.length - 1;
+        const item = {
+          id: toId(segments.slice(0, index + 1).join('/')),
+          name: isLast && isFile ? segment : toDisplayName(segment),
+          mimeType: isLast && isFile ? fileMimeType : FOLDER_MIME_TYPE,
+          parents: [toId(segments.slice(0, index).join('/'))]
+        };
+        if (isLast) {
+          // Same fields Drive reports for the item itself
+          item.modifiedTime = stats.mtime.toISOString();
+          if (isFile) item.size = String(stats.size);
+        }
+        return item;
+      });
+    },
+
+    /**
+     * Open a file's bytes (or one byte range of them) for streaming.
+     * @param {string} fileId - File ID (check it with resolveAncestry first).
+     * @param {{start: number, end: number}} [range] - Inclusive byte range.
+     * @returns {Promise<{stream: stream.Readable, size: number}>} Byte stream and its length.
+     */
+    async openFile(fileId, range = null) {
+      const absolutePath = resolvePath(fileId);
+      if (!absolutePath) {
+        const error = new Error('File not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (range) {
+        return {
+          stream: fs.createReadStream(absolutePath, { start: range.start, end: range.end }),
+          size: range.end - range.start + 1
+        };
+      }
+
+      const stats = await fs.promises.stat(absolutePath);
+      return { stream: fs.createReadStream(absolutePath), size: stats.size };
+    },
+
+    /**
+     * @returns {boolean} True when the root directory is set (writes go straight to disk).
+     */
+    canWrite() {
+      return Boolean(root);
+    },
+
+    /**
+     * Create a subfolder, or return it if it already exists.
+     * @param {string} parentId - Parent folder ID.
+     * @param {string} name - Folder name or path segment (/ and ~ are stored as ~).
+     * @returns {Promise<Object>} Folder ({ id, name }).
+     */
+    async createFolder(parentId, name) {
+      const parentPath = resolvePath(parentId);
+      const entryName = normalizeFolderName(name).replace(/\//g, '~');
+      if (!parentPath || !entryName || entryName.startsWith('.')) {
+        throw new Error('Invalid folder');
+      }
+
+      await fs.promises.mkdir(path.join(parentPath, entryName), { recursive: true });
+      const base = fromId(parentId);
+      return { id: toId(base ? `${base}/${entryName}` : entryName), name: toDisplayName(entryName) };
+    },
+
+    /**
+     * Write a file into a folder. An existing file is never replaced: the name gets a
+     * " (2)", " (3)"… suffix instead, as Drive would show two uploads side by side.
+     * @param {string} folderId - Folder ID.
+     * @param {string} name - File name.
+     * @param {Buffer} buffer - File contents.
+     * @returns {Promise<Object>} File ({ id, name }).
+     */
+    async saveFile(folderId, name, buffer) {
+      const folderPath = resolvePath(folderId);
+      const safeName = String(name).replace(/[\\/\u0000-\u001F\u007F]/g, '_');
+      if (!folderPath || !safeName || safeName.startsWith('.')) {
+        throw new Error('Invalid file');
+      }
+
+      await fs.promises.mkdir(folderPath, { recursive: true });
+      const extension = path.extname(safeName);
+      const stem = safeName.slice(0, safeName.length - extension.length);
+
+      for (let copy = 1; copy <= MAX_NAME_COPIES; copy += 1) {
+        const entryName = copy === 1 ? safeName : `${stem} (${copy})${extension}`;
+        try {
+          await fs.promises.writeFile(path.join(folderPath, entryName), buffer, { flag: 'wx' });
+        } catch (error) {
+          if (error.code === 'EEXIST') continue;
+          throw error;
+        }
+        const base = fromId(folderId);
+        return { id: toId(base ? `${base}/${entryName}` : entryName), name: entryName };
+      }
+      throw new Error(`Too many files named ${safeName}`);
+    }
+  };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,176 @@
+// Whole-Tree File Listing
+// Every PDF under the Drive root with its folder breadcrumb, for the routes that look
+// across all departments at once (search, the recently-added feed). The tree is walked
+// once and cached per instance, or read from the crawled storage index (api/_index.js)
+// when one has been built.
+
+const {
+  normalizeFolderName,
+  extractCourseCode,
+  listDriveFiles
+} = require('./_utils');
+const { getStorage } = require('./_storage');
+const { loadIndex, listIndexedFiles } = require('./_index');
+
+// Whole-tree file listing cache with 30-minute TTL (same as browse path cache)
+const treeCache = { data: null, timestamp: null };
+// Flattened file list of the last index seen, so it is not rebuilt per request
+const indexedEntries = { builtAt: null, data: null };
+const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const MAX_TREE_DEPTH = 6;
+const PARENTS_PER_QUERY = 40;
+
+/**
+ * List Drive items whose parent is any of the given folders.
+ * Batches parents into a single `or` query to keep the number of Drive calls low;
+ * each batch follows pagination through listDriveFiles.
+ * @param {Array<string>} parentIds - Parent folder IDs.
+ * @param {string} mimeCondition - Drive mimeType condition (e.g. "mimeType='application/pdf'").
+ * @param {string} fields - Drive API fields to return.
+ * @param {string} apiKey - Google API key.
+ * @returns {Promise<Array>} Array of Drive items (with parents).
+ */
+async function listChildrenOfMany(parentIds, mimeCondition, fields, apiKey) {
+  const items = [];
+
+  for (let i = 0; i < parentIds.length; i += PARENTS_PER_QUERY) {
+    const batch = parentIds.slice(i, i + PARENTS_PER_QUERY);
+    const parentClause = batch.map(id => `'${id}' in parents`).join(' or ');
+    const { files } = await listDriveFiles(
+      `(${parentClause}) and ${mimeCondition} and trashed=false`,
+      apiKey,
+      fields,
+      { orderBy: '' }
+    );
+    items.push(...files);
+  }
+
+  return items;
+}
+
+/**
+ * Walk the whole folder tree under the root and collect every PDF with its folder breadcrumb.
+ * Walks level by level so each depth costs only a handful of batched Drive calls.
+ * @param {string} rootFolderId - Root Drive folder ID.
+ * @param {string} apiKey - Google API key.
+ * @returns {Promise<Array>} Array of { file, segments } entries.
+ */
+async function walkTree(rootFolderId, apiKey) {
+  const segmentsById = new Map([[rootFolderId, []]]);
+  let frontier = [rootFolderId];
+
+  for (let depth = 0; depth < MAX_TREE_DEPTH && frontier.length > 0; depth++) {
+    const folders = await listChildrenOfMany(
+      frontier,
+      "mimeType='application/vnd.google-apps.folder'",
+      'files(id,name,parents)',
+      apiKey
+    );
+
+    const next = [];
+    for (const folder of folders) {
+      const parentId = (folder.parents || []).find(id => segmentsById.has(id));
+      if (!parentId || segmentsById.has(folder.id)) continue;
+
+      segmentsById.set(folder.id, [...segmentsById.get(parentId), normalizeFolderName(folder.name)]);
+      next.push(folder.id);
+    }
+    frontier = next;
+  }
+
+  // PDFs sit below department level; the root folder itself only holds departments.
+  const folderIds = Array.from(segmentsById.keys()).filter(id => segmentsById.get(id).length > 0);
+  const files = await listChildrenOfMany(
+    folderIds,
+    "mimeType='application/pdf'",
+    'files(id,name,modifiedTime,size,webViewLink,webContentLink,parents)',
+    apiKey
+  );
+
+  return files
+    .map(file => {
+      const parentId = (file.parents || []).find(id => segmentsById.has(id));
+      return parentId ? { file, segments: segmentsById.get(parentId) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the cached tree listing, re-walking Drive when expired.
+ * @param {string} rootFolderId - Root Drive folder ID.
+ * @param {string} apiKey - Google API key.
+ * @param {boolean} forceRefresh - Skip the cache.
+ * @returns {Promise<{entries: Array, cached: boolean}>} Tree entries and cache state.
+ */
+async function getTreeEntries(rootFolderId, apiKey, forceRefresh) {
+  const isValid = treeCache.data !== null &&
+    treeCache.timestamp !== null &&
+    (Date.now() - treeCache.timestamp) < CACHE_TTL;
+
+  if (!forceRefresh && isValid) {
+    return { entries: treeCache.data, cached: true };
+  }
+
+  const entries = await walkTree(rootFolderId, apiKey);
+  treeCache.data = entries;
+  treeCache.timestamp = Date.now();
+  return { entries, cached: false };
+}
+
+/**
+ * Get the file list of the crawled index, if there is one.
+ * @returns {Promise<Array|null>} Tree entries, or null without an index.
+ */
+async function getIndexedEntries() {
+  const index = await loadIndex(getStorage());
+  if (!index) return null;
+
+  if (indexedEntries.builtAt !== index.builtAt) {
+    indexedEntries.data = listIndexedFiles(index);
+    indexedEntries.builtAt = index.builtAt;
+  }
+  return indexedEntries.data;
+}
+
+/**
+ * Map folder segments onto browse breadcrumbs.
+ * Jupeb has no semester layer: Jupeb/Subject/Session.
+ * @param {Array<string>} segments - Folder names from department downwards.
+ * @returns {Object} Breadcrumb fields.
+ */
+function toBreadcrumbs(segments) {
+  const [department = null, level = null, third = null, fourth = null] = segments;
+
+  if (department === 'Jupeb') {
+    return { department, level, semester: null, session: third };
+  }
+
+  return { department, level, semester: third, session: fourth };
+}
+
+/**
+ * Shape a tree entry for the client: file fields, breadcrumbs and its folder's browse path.
+ * @param {{file: Object, segments: Array<string>}} entry - Tree entry.
+ * @returns {Object} File result.
+ */
+function toFileResult({ file, segments }) {
+  return {
+    id: file.id,
+    name: file.name,
+    courseCode: extractCourseCode(file.name),
+    size: file.size,
+    modifiedTime: file.modifiedTime,
+    webViewLink: file.webViewLink,
+    webContentLink: file.webContentLink,
+    ...toBreadcrumbs(segments),
+    // Slashes inside folder names travel as ~ in browse paths (see api/browse.js).
+    path: `/${segments.map(segment => segment.replace(/\//g, '~')).join('/')}`
+  };
+}
+
+module.exports = {
+  getTreeEntries,
+  getIndexedEntries,
+  toBreadcrumbs,
+  toFileResult
+};
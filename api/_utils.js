@@ -1,10 +1,12 @@
 /**
  * Shared Utilities for CURB API Serverless Functions
  * Centralizes common helpers to prevent duplication across browse.js, coverage.js, team.js.
+ * Sign-in token helpers live in api/_auth.js; requireAuth here is the guard handlers call.
  * @module api/_utils
  */
 
 const https = require('https');
+const { isAuthEnabled, readSession } = require('./_auth');
 
 // ──────────────────────────────────────────────────────────────────────
 // Constants
@@ -22,6 +24,27 @@ const LEVEL_EXCEPTIONS = {
   "Jupeb": ["Art", "Business", "Science"],
 };
 
+/**
+ * Drive files.list page size (Drive's maximum) and default page cap.
+ * 10 pages × 1000 items comfortably covers the largest department folders.
+ */
+const DRIVE_PAGE_SIZE = 1000;
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Drive IDs only ever contain URL-safe base64 characters. The length cap leaves
+ * room for local-provider IDs, which encode the whole relative path.
+ */
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]{1,512}$/;
+
+// Browse-path limits shared by every endpoint that takes a ?path= (browse, bundle)
+const MAX_PATH_LENGTH = 512;
+const MAX_SEGMENTS = 8;
+const MAX_SEGMENT_LENGTH = 120;
+
+// Enough for the file proxy to set Content-Length and ETag without a second lookup
+const ANCESTRY_FIELDS = 'id,name,mimeType,parents,trashed,size,modifiedTime,md5Checksum';
+
 // ──────────────────────────────────────────────────────────────────────
 // Folder / String Normalization
 // ──────────────────────────────────────────────────────────────────────
@@ -36,6 +59,67 @@ function normalizeFolderName(name) {
   return name.trim().replace(/\s+/g, ' ');
 }
 
+/**
+ * Extract a course code from a past-question file name.
+ * Matches 2–4 letters followed by 3 digits and an optional letter suffix,
+ * tolerating spaces, dashes or underscores between them.
+ * Examples: "CSC201 - Intro.pdf", "csc 201.pdf", "MTH-101A exam.pdf" → "CSC 201", "CSC 201", "MTH 101A".
+ * @param {string} name - File name.
+ * @returns {string|null} Canonical "ABC 123" course code, or null when none is found.
+ */
+function extractCourseCode(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  const match = name.match(/(?:^|[^A-Za-z])([A-Za-z]{2,4})[\s_-]*(\d{3}[A-Za-z]?)(?![A-Za-z0-9])/);
+  if (!match) return null;
+
+  return `${match[1].toUpperCase()} ${match[2].toUpperCase()}`;
+}
+
+/**
+ * Normalize user-supplied course code input to the canonical "ABC 123" form.
+ * @param {string} value - Raw course code (e.g. "csc201", "CSC-201").
+ * @returns {string|null} Canonical course code, or null when invalid.
+ */
+function normalizeCourseCode(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^([A-Za-z]{2,4})[\s_-]*(\d{3}[A-Za-z]?)$/);
+  if (!match) return null;
+
+  return `${match[1].toUpperCase()} ${match[2].toUpperCase()}`;
+}
+
+/**
+ * Validate a client-supplied browse path and split it into segments.
+ * Segments keep their ~ (stands for / in folder names); storage.findChildByName converts it.
+ * @param {string} rawPath - Path such as "/Computer Science/100 Level".
+ * @returns {{segments: Array<string>}|{error: string}} Segments, or a client-facing error message.
+ */
+function parseBrowsePath(rawPath) {
+  const path = typeof rawPath === 'string' ? rawPath.trim() || '/' : '/';
+
+  if (path.length > MAX_PATH_LENGTH) {
+    return { error: 'path is too long.' };
+  }
+
+  const segments = path.split('/').filter(s => s.length > 0);
+
+  if (segments.length > MAX_SEGMENTS) {
+    return { error: 'path has too many segments.' };
+  }
+
+  const hasInvalidSegment = segments.some(segment =>
+    segment.length > MAX_SEGMENT_LENGTH || /[\u0000-\u001F\u007F\\]/.test(segment)
+  );
+
+  if (hasInvalidSegment) {
+    return { error: 'path contains invalid segment values.' };
+  }
+
+  return { segments };
+}
+
 // ──────────────────────────────────────────────────────────────────────
 // HTTP Helpers
 // ──────────────────────────────────────────────────────────────────────
@@ -63,7 +147,9 @@ function makeAPIRequest(url) {
             reject(new Error(`Failed to parse API response: ${e.message}`));
           }
         } else {
-          reject(new Error(`API request failed with status ${res.statusCode}: ${data}`));
+          const error = new Error(`API request failed with status ${res.statusCode}: ${data}`);
+          error.statusCode = res.statusCode;
+          reject(error);
         }
       });
     }).on('error', (err) => {
@@ -76,21 +162,167 @@ function makeAPIRequest(url) {
 // Google Drive Helpers
 // ──────────────────────────────────────────────────────────────────────
 
+/**
+ * Resolve the maximum number of Drive result pages to fetch per listing.
+ * Configurable via DRIVE_MAX_PAGES; each page holds up to DRIVE_PAGE_SIZE items.
+ * @returns {number} Page cap (at least 1).
+ */
+function getMaxPages() {
+  const configured = Number.parseInt(process.env.DRIVE_MAX_PAGES, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_PAGES;
+}
+
+/**
+ * Run a Drive files.list query, following nextPageToken across pages.
+ * Stops at the page cap and reports whether more results were left behind.
+ * @param {string} query - Raw (unencoded) Drive query string.
+ * @param {string} apiKey - Google API key.
+ * @param {string} [fields='files(id,name)'] - Drive API fields to return (nextPageToken is added).
+ * @param {Object} [options] - Listing options.
+ * @param {string} [options.orderBy='name'] - Drive orderBy clause ('' to skip).
+ * @param {number} [options.maxPages] - Page cap override (defaults to getMaxPages()).
+ * @returns {Promise<{files: Array, truncated: boolean}>} All collected items and truncation flag.
+ */
+async function listDriveFiles(query, apiKey, fields = 'files(id,name)', options = {}) {
+  const { orderBy = 'name', maxPages = getMaxPages() } = options;
+  const baseUrl = `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}` +
+    `&fields=${encodeURIComponent(`nextPageToken,${fields}`)}` +
+    `&pageSize=${DRIVE_PAGE_SIZE}` +
+    (orderBy ? `&orderBy=${encodeURIComponent(orderBy)}` : '') +
+    `&key=${apiKey}`;
+
+  const files = [];
+  let pageToken = null;
+  let pages = 0;
+
+  do {
+    const url = pageToken ? `${baseUrl}&pageToken=${encodeURIComponent(pageToken)}` : baseUrl;
+    const response = await makeAPIRequest(url);
+    files.push(...(response.files || []));
+    pageToken = response.nextPageToken || null;
+    pages += 1;
+  } while (pageToken && pages < maxPages);
+
+  if (pageToken) {
+    console.warn(`Drive listing truncated after ${pages} page(s): ${query}`);
+  }
+
+  return { files, truncated: Boolean(pageToken) };
+}
+
 /**
  * List folders in a Google Drive directory.
+ * Follows pagination transparently (see listDriveFiles).
  * @param {string} folderId - The Drive folder ID.
  * @param {string} apiKey - Google API key.
  * @param {string} [fields='files(id,name)'] - Drive API fields to return.
  * @returns {Promise<Array>} Array of folder objects.
  */
 async function listFolders(folderId, apiKey, fields = 'files(id,name)') {
-  const query = encodeURIComponent(
-    `'${folderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`
+  const { files } = await listDriveFiles(
+    `'${folderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+    apiKey,
+    fields
   );
-  const url = `https://www.googleapis.com/drive/v3/files?q=${query}&fields=${encodeURIComponent(fields)}&orderBy=name&key=${apiKey}`;
+  return files;
+}
 
-  const response = await makeAPIRequest(url);
-  return response.files || [];
+/**
+ * Check that a value looks like a Drive file/folder ID.
+ * Drive IDs are URL-safe base64-ish strings; anything else is rejected before it
+ * reaches a Drive query or URL.
+ * @param {string} value - Candidate ID.
+ * @returns {boolean} True if the value is a plausible Drive ID.
+ */
+function isValidDriveId(value) {
+  return typeof value === 'string' && DRIVE_ID_PATTERN.test(value);
+}
+
+/**
+ * Fetch metadata for a single Drive file or folder.
+ * @param {string} fileId - The Drive file ID.
+ * @param {string} apiKey - Google API key.
+ * @param {string} [fields='id,name,mimeType,parents,trashed'] - Drive API fields to return.
+ * @returns {Promise<Object>} Drive file resource.
+ */
+async function getDriveFile(fileId, apiKey, fields = 'id,name,mimeType,parents,trashed') {
+  const url = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}` +
+    `?fields=${encodeURIComponent(fields)}&key=${apiKey}`;
+  return makeAPIRequest(url);
+}
+
+/**
+ * Open a streaming download of a Drive file's bytes (files.get with alt=media).
+ * Follows Google's redirects to its content host.
+ * @param {string} fileId - The Drive file ID.
+ * @param {string} apiKey - Google API key.
+ * @param {{start: number, end: number}} [range] - Inclusive byte range to fetch.
+ * @returns {Promise<http.IncomingMessage>} Readable response (200, or 206 for a range).
+ * @throws {Error} With statusCode set when Drive refuses the download.
+ */
+function openDriveFileStream(fileId, apiKey, range = null) {
+  const initialUrl = `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(fileId)}` +
+    `?alt=media&key=${apiKey}`;
+  const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+  const expectedStatus = range ? 206 : 200;
+
+  const request = (url, redirectsLeft) => new Promise((resolve, reject) => {
+    https.get(url, { headers }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirectsLeft > 0) {
+        res.resume();
+        resolve(request(new URL(res.headers.location, url).toString(), redirectsLeft - 1));
+        return;
+      }
+
+      if (res.statusCode !== expectedStatus) {
+        res.resume();
+        const error = new Error(`File download failed with status ${res.statusCode}`);
+        error.statusCode = res.statusCode;
+        reject(error);
+        return;
+      }
+
+      resolve(res);
+    }).on('error', reject);
+  });
+
+  return request(initialUrl, 3);
+}
+
+/**
+ * Walk an item's parents up to the root folder.
+ * Used to prove that a client-supplied ID belongs to the configured tree.
+ * @param {string} itemId - Drive file or folder ID.
+ * @param {string} rootFolderId - Root Drive folder ID.
+ * @param {string} apiKey - Google API key.
+ * @param {number} [maxDepth=8] - Maximum number of folders between root and the item.
+ * @returns {Promise<Array|null>} Items from just below root down to the item itself
+ *   (empty for the root), or null if the item is missing, trashed or outside the tree.
+ */
+async function resolveAncestry(itemId, rootFolderId, apiKey, maxDepth = 8) {
+  const chain = [];
+  let currentId = itemId;
+
+  while (currentId !== rootFolderId) {
+    if (chain.length >= maxDepth) return null;
+
+    let item;
+    try {
+      item = await getDriveFile(currentId, apiKey, ANCESTRY_FIELDS);
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+
+    if (!item || item.trashed || !Array.isArray(item.parents) || item.parents.length === 0) {
+      return null;
+    }
+
+    chain.unshift(item);
+    currentId = item.parents[0];
+  }
+
+  return chain;
 }
 
 // ──────────────────────────────────────────────────────────────────────
@@ -101,37 +333,44 @@ async function listFolders(folderId, apiKey, fields = 'files(id,name)') {
  * Apply CORS headers based on the ALLOWED_ORIGIN environment variable.
  * If ALLOWED_ORIGIN is not set or origin doesn't match, no CORS header
  * is sent — browsers will block cross-origin requests (safe default).
+ * The allowed origin may send the session cookie (Allow-Credentials).
  *
  * @param {Object} req - HTTP request object.
  * @param {Object} res - HTTP response object.
+ * @param {Array<string>} [allowedMethods=['GET']] - Methods the endpoint accepts.
  */
-function setupCors(req, res) {
+function setupCors(req, res, allowedMethods = ['GET']) {
   const allowedOrigin = process.env.ALLOWED_ORIGIN || '';
   const requestOrigin = req.headers.origin || '';
 
   if (allowedOrigin && requestOrigin === allowedOrigin) {
     res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Vary', 'Origin');
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', [...allowedMethods, 'OPTIONS'].join(', '));
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
 /**
  * Handle preflight + method guard.
+ * Re-applies the CORS headers with the endpoint's methods, so preflights list them.
  * Returns true if the request was handled (caller should return early).
  * @param {Object} req - HTTP request object.
  * @param {Object} res - HTTP response object.
+ * @param {Array<string>} [allowedMethods=['GET']] - Methods the endpoint accepts.
  * @returns {boolean} True if request was fully handled.
  */
-function handlePreflightAndMethodGuard(req, res) {
+function handlePreflightAndMethodGuard(req, res, allowedMethods = ['GET']) {
+  setupCors(req, res, allowedMethods);
+
   if (req.method === 'OPTIONS') {
     res.status(200).end();
     return true;
   }
 
-  if (req.method !== 'GET') {
+  if (!allowedMethods.includes(req.method)) {
     res.status(405).json({ error: 'Method not allowed' });
     return true;
   }
@@ -139,6 +378,132 @@ function handlePreflightAndMethodGuard(req, res) {
   return false;
 }
 
+/**
+ * Auth guard: require a signed-in student.
+ * Verifies the signed session cookie set by /api/auth/verify and, when it is missing,
+ * tampered or expired, answers 401 with code AUTH_REQUIRED (the client shows the
+ * sign-in screen on that code). Passes everything through when sign-in is off.
+ * On success the session ({ email, expiresAt }) is left on req.auth.
+ * Returns true if the request was handled (caller should return early).
+ * @param {Object} req - HTTP request object.
+ * @param {Object} res - HTTP response object.
+ * @returns {boolean} True if request was fully handled.
+ */
+function requireAuth(req, res) {
+  if (!isAuthEnabled()) {
+    return false;
+  }
+
+  const session = readSession(req);
+  if (session) {
+    req.auth = session;
+    return false;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(401).json({
+    error: 'Sign-in required',
+    code: 'AUTH_REQUIRED',
+    message: 'Sign in with your Caleb University email to continue.'
+  });
+  return true;
+}
+
+/**
+ * Answer 503 for data store errors that mean no backing is configured on this host
+ * (code DATASTORE_UNAVAILABLE from api/_datastore.js). Other errors are left to the caller.
+ * @param {Object} res - HTTP response object.
+ * @param {Error} error - Error from a data store call.
+ * @returns {boolean} True if the error was answered.
+ */
+function sendStoreUnavailable(res, error) {
+  if (!error || error.code !== 'DATASTORE_UNAVAILABLE') {
+    return false;
+  }
+
+  console.error('Data store unavailable:', error.message);
+  res.status(503).json({ error: 'Storage is not configured', code: error.code, message: error.message });
+  return true;
+}
+
+// ──────────────────────────────────────────────────────────────────────
+// File Streaming
+// ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Build a Content-Disposition header for a file name.
+ * Sends an ASCII fallback plus the RFC 5987 UTF-8 form so every browser
+ * gets a sensible download name.
+ * @param {string} fileName - Original file name.
+ * @param {string} [type='inline'] - 'inline' or 'attachment'.
+ * @returns {string} Header value.
+ */
+function buildContentDisposition(fileName, type = 'inline') {
+  const name = String(fileName || 'download.pdf').replace(/[\u0000-\u001F\u007F]/g, '');
+  const asciiName = name.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+  const encodedName = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+/**
+ * Parse a single-range HTTP Range header ("bytes=start-end", "bytes=start-", "bytes=-suffix").
+ * Multi-range and non-byte requests are ignored so the caller sends the whole file.
+ * @param {string} header - Range request header.
+ * @param {number} size - Total file size in bytes.
+ * @returns {{start: number, end: number}|null|false} Inclusive byte range, null to send the
+ *   whole file, or false when the range cannot be satisfied (respond 416).
+ */
+function parseByteRange(header, size) {
+  if (typeof header !== 'string' || !Number.isFinite(size)) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = Number.parseInt(match[2], 10);
+    if (suffixLength === 0) return false;
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number.parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(Number.parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Copy a readable stream into a response, respecting backpressure.
+ * Works with Node's ServerResponse and the server.js response wrapper
+ * (both expose write/end/once).
+ * @param {stream.Readable} source - Readable stream.
+ * @param {Object} res - HTTP response object.
+ * @returns {Promise<void>} Resolves when the response has ended.
+ */
+function pipeStream(source, res) {
+  return new Promise((resolve, reject) => {
+    source.on('data', (chunk) => {
+      if (res.write(chunk) === false && typeof res.once === 'function') {
+        source.pause();
+        res.once('drain', () => source.resume());
+      }
+    });
+    source.on('end', () => {
+      res.end();
+      resolve();
+    });
+    source.on('error', (error) => {
+      if (typeof source.destroy === 'function') source.destroy();
+      res.end();
+      reject(error);
+    });
+  });
+}
+
 // ──────────────────────────────────────────────────────────────────────
 // Session Normalization (shared between coverage.js and team.js)
 // ──────────────────────────────────────────────────────────────────────
@@ -177,10 +542,24 @@ function normalizeSessionLabel(value) {
 
 module.exports = {
   LEVEL_EXCEPTIONS,
+  MAX_SEGMENTS,
   normalizeFolderName,
+  extractCourseCode,
+  normalizeCourseCode,
+  parseBrowsePath,
   makeAPIRequest,
+  listDriveFiles,
   listFolders,
+  isValidDriveId,
+  getDriveFile,
+  openDriveFileStream,
+  resolveAncestry,
   setupCors,
   handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable,
+  buildContentDisposition,
+  parseByteRange,
+  pipeStream,
   normalizeSessionLabel
 };
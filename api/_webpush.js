@@ -0,0 +1,213 @@
+// Web Push Protocol
+// Sends one notification to a browser push service: the payload is encrypted for the
+// subscription (RFC 8291, aes128gcm) and the request is signed with the server's VAPID
+// key (RFC 8292), which is how the push service knows the sender is allowed to use it.
+//
+// VAPID keys are a P-256 key pair in base64url: the public key as an uncompressed point
+// (65 bytes, shared with browsers) and the private key as the raw 32-byte scalar.
+// scripts/generate-vapid-keys.js prints a fresh pair.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Push services keep undelivered notifications this long (seconds) for offline devices
+const DEFAULT_TTL = 24 * 60 * 60;
+// VAPID tokens may live at most 24 hours; 12 leaves room for clock skew
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const REQUEST_TIMEOUT_MS = 15000;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+// The browsers' push services (Chrome/Android, Firefox, Edge/Windows, Safari). Subscriptions
+// are posted by clients, so anything else would let them point the server at any URL.
+const PUSH_SERVICE_HOSTS = new Set(['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com']);
+const PUSH_SERVICE_SUFFIXES = ['.notify.windows.com', '.push.apple.com'];
+
+/**
+ * Read the VAPID configuration from the environment.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {{publicKey: string, privateKey: string, subject: string}|null} Keys, or null when push is off.
+ */
+function getVapidConfig(env = process.env) {
+  const publicKey = String(env.VAPID_PUBLIC_KEY || '').trim();
+  const privateKey = String(env.VAPID_PRIVATE_KEY || '').trim();
+  const subject = String(env.VAPID_SUBJECT || '').trim();
+  if (!publicKey || !privateKey || !/^(mailto:|https:)/.test(subject)) {
+    return null;
+  }
+  return { publicKey, privateKey, subject };
+}
+
+/**
+ * Generate a VAPID key pair.
+ * @returns {{publicKey: string, privateKey: string}} base64url keys.
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  // The scalar comes back without leading zero bytes; JWK wants all 32
+  const privateKey = ecdh.getPrivateKey();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]).toString('base64url')
+  };
+}
+
+/**
+ * Whether a push service URL may be called: https on the default port at one of the
+ * known push services. Plain http is accepted for loopback hosts when
+ * PUSH_ALLOW_LOCAL_ENDPOINTS=1, so a mock push service on this machine can stand in
+ * for a real one.
+ * @param {string} endpoint - Subscription endpoint.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {boolean} True when allowed.
+ */
+function isAllowedEndpoint(endpoint, env = process.env) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.username || url.password) return false;
+  if (url.protocol === 'https:') {
+    const host = url.hostname.toLowerCase();
+    return url.port === '' &&
+      (PUSH_SERVICE_HOSTS.has(host) || PUSH_SERVICE_SUFFIXES.some(suffix => host.endsWith(suffix)));
+  }
+  return url.protocol === 'http:' &&
+    env.PUSH_ALLOW_LOCAL_ENDPOINTS === '1' &&
+    LOOPBACK_HOSTS.has(url.hostname);
+}
+
+/**
+ * Build the VAPID Authorization header for a push service.
+ * @param {string} endpoint - Subscription endpoint (its origin is the token audience).
+ * @param {{publicKey: string, privateKey: string, subject: string}} vapid - VAPID config.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {string} Header value ("vapid t=..., k=...").
+ */
+function vapidAuthorization(endpoint, vapid, now = Date.now()) {
+  const publicKey = Buffer.from(vapid.publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33, 65).toString('base64url'),
+      d: vapid.privateKey
+    }
+  });
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_SECONDS,
+    sub: vapid.subject
+  })}`;
+  // JWS wants the raw r||s signature, not DER
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+/**
+ * HKDF with SHA-256, as a Buffer.
+ * @param {Buffer} salt - Salt.
+ * @param {Buffer} ikm - Input keying material.
+ * @param {Buffer} info - Context info.
+ * @param {number} length - Output length in bytes.
+ * @returns {Buffer} Derived key.
+ */
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a payload for one subscription (single aes128gcm record).
+ * @param {{p256dh: string, auth: string}} keys - Subscription keys (base64url).
+ * @param {Buffer} payload - Plaintext.
+ * @returns {Buffer} Encrypted body: header (salt, record size, sender key) and ciphertext.
+ */
+function encryptPayload(keys, payload) {
+  const receiverKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+  const sender = crypto.createECDH('prime256v1');
+  const senderKey = sender.generateKeys();
+  const sharedSecret = sender.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+
+  const ikm = hkdf(
+    authSecret,
+    sharedSecret,
+    Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]),
+    32
+  );
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (only) record; no padding
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+  return Buffer.concat([header, senderKey, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Deliver one notification to a push service.
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription - Browser subscription.
+ * @param {Object|string} payload - Notification data (objects are sent as JSON).
+ * @param {Object} options - Delivery options.
+ * @param {{publicKey: string, privateKey: string, subject: string}} options.vapid - VAPID config.
+ * @param {number} [options.ttl=DEFAULT_TTL] - Seconds the push service may hold the message.
+ * @param {Object} [options.env=process.env] - Environment (endpoint policy).
+ * @returns {Promise<{statusCode: number}>} The push service's answer.
+ * @throws {Error} For endpoints that are not allowed and network failures.
+ */
+function sendNotification(subscription, payload, options) {
+  const { vapid, ttl = DEFAULT_TTL, env = process.env } = options;
+  if (!isAllowedEndpoint(subscription.endpoint, env)) {
+    return Promise.reject(new Error('Push endpoint is not allowed'));
+  }
+
+  const plaintext = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  const body = encryptPayload(subscription.keys, plaintext);
+  const transport = subscription.endpoint.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(subscription.endpoint, {
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        Authorization: vapidAuthorization(subscription.endpoint, vapid),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': body.length,
+        TTL: String(ttl),
+        Urgency: 'normal'
+      }
+    }, (response) => {
+      // Push services answer with an empty or short body; only the status matters
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Push service timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  getVapidConfig,
+  generateVapidKeys,
+  isAllowedEndpoint,
+  vapidAuthorization,
+  encryptPayload,
+  sendNotification
+};
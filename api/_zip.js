@@ -0,0 +1,165 @@
+// Streaming ZIP Writer
+// Writes a ZIP archive straight into an HTTP response, one entry at a time, so a
+// whole session of PDFs never has to sit in memory. Entries are "stored" (no
+// compression): PDFs are already compressed and deflating them again only costs CPU.
+// Sizes and CRC-32 go in a data descriptor after each entry, the standard way to
+// stream a ZIP whose sizes are not known up front. ZIP64 is not supported, so callers
+// must keep the archive under 4 GB (the bundle endpoint's limits are far below that).
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0: data descriptors
+// Bit 3: sizes/CRC follow in a data descriptor; bit 11: names are UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const METHOD_STORED = 0;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Continue a CRC-32 over another chunk.
+ * @param {number} crc - CRC so far (start with 0).
+ * @param {Buffer} chunk - Next bytes.
+ * @returns {number} Updated CRC (unsigned).
+ */
+function crc32(crc, chunk) {
+  let c = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time/date fields (local ZIP timestamps).
+ * @param {Date} date - Modification date.
+ * @returns {{time: number, date: number}} DOS time and date.
+ */
+function toDosDateTime(date) {
+  const valid = date instanceof Date && !Number.isNaN(date.getTime()) && date.getFullYear() >= 1980;
+  const d = valid ? date : new Date(1980, 0, 1);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+/**
+ * Create a ZIP writer bound to a response.
+ * @param {Object} res - HTTP response exposing write/once (Node's or server.js's wrapper).
+ * @returns {{addEntry: Function, finish: Function}} Writer.
+ */
+function createZipWriter(res) {
+  const entries = [];
+  let offset = 0;
+
+  /**
+   * Write a chunk, waiting for 'drain' when the response buffer is full.
+   * @param {Buffer} chunk - Bytes to write.
+   * @returns {Promise<void>}
+   */
+  function write(chunk) {
+    offset += chunk.length;
+    if (res.write(chunk) !== false || typeof res.once !== 'function') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => res.once('drain', resolve));
+  }
+
+  return {
+    /**
+     * Stream one file into the archive.
+     * @param {string} name - Path inside the archive (use / between folders).
+     * @param {AsyncIterable<Buffer>} source - Readable stream of the file's bytes.
+     * @param {Date} [modified] - Modification time.
+     * @returns {Promise<void>}
+     */
+    async addEntry(name, source, modified) {
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const { time, date } = toDosDateTime(modified);
+      const headerOffset = offset;
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+      header.writeUInt16LE(METHOD_STORED, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      // CRC and sizes (14-25) stay zero; they are in the data descriptor
+      header.writeUInt16LE(nameBuffer.length, 26);
+      header.writeUInt16LE(0, 28);
+      await write(Buffer.concat([header, nameBuffer]));
+
+      let crc = 0;
+      let size = 0;
+      for await (const chunk of source) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        crc = crc32(crc, buffer);
+        size += buffer.length;
+        await write(buffer);
+      }
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(size, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+
+      entries.push({ nameBuffer, time, date, crc, size, headerOffset });
+    },
+
+    /**
+     * Write the central directory and end the response.
+     * @returns {Promise<void>}
+     */
+    async finish() {
+      const directoryOffset = offset;
+
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+        record.writeUInt16LE(ZIP_VERSION, 4);
+        record.writeUInt16LE(ZIP_VERSION, 6);
+        record.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+        record.writeUInt16LE(METHOD_STORED, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.size, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        // Extra/comment lengths, disk number and attributes (30-41) stay zero
+        record.writeUInt32LE(entry.headerOffset, 42);
+        await write(Buffer.concat([record, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await write(end);
+
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  crc32,
+  createZipWriter
+};
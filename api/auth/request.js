@@ -0,0 +1,97 @@
+// Serverless Function: Request a Sign-In Code
+// POST { email } with a Caleb University address. Emails a six-digit code and sets a
+// short-lived signed challenge cookie; /api/auth/verify exchanges the code for a session.
+
+const { setupCors, handlePreflightAndMethodGuard } = require('../_utils');
+const {
+  CHALLENGE_COOKIE,
+  CODE_TTL_SECONDS,
+  getAuthSecret,
+  normalizeEmail,
+  isStudentEmail,
+  generateCode,
+  createChallenge,
+  claimCodeSend,
+  serializeCookie
+} = require('../_auth');
+const { getMailTransport } = require('../_mail');
+
+/**
+ * Handle a code request.
+ * @param {Object} req - HTTP request (JSON body { email }).
+ * @param {Object} res - HTTP response.
+ * @param {Object} transport - Mail transport (see api/_mail).
+ */
+async function handleAuthRequest(req, res, transport) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['POST'])) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!getAuthSecret()) {
+    console.error('AUTH_SECRET is not configured');
+    return res.status(500).json({ error: 'Server configuration error', message: 'Sign-in is not configured.' });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const email = normalizeEmail(body.email);
+  if (!isStudentEmail(email)) {
+    return res.status(400).json({
+      error: 'Invalid email',
+      code: 'INVALID_EMAIL',
+      message: 'Use your Caleb University email address.'
+    });
+  }
+
+  let retryAfter;
+  try {
+    retryAfter = await claimCodeSend(email);
+  } catch (error) {
+    console.error('Error checking the code cooldown:', error);
+    return res.status(503).json({ error: 'Sign-in unavailable', message: 'Sign-in is briefly unavailable. Try again.' });
+  }
+  if (retryAfter > 0) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many requests',
+      code: 'CODE_COOLDOWN',
+      message: `Wait ${retryAfter} seconds before requesting another code.`,
+      retryAfter
+    });
+  }
+
+  const code = generateCode();
+  try {
+    await transport.send({
+      to: email,
+      subject: `Your CURB sign-in code: ${code}`,
+      text: `Your Caleb University Resource Bank sign-in code is ${code}.\n\n` +
+        `It expires in ${CODE_TTL_SECONDS / 60} minutes. If you did not ask for it, ignore this email.`
+    });
+  } catch (error) {
+    console.error('Error sending sign-in code:', error);
+    if (error.code === 'MAIL_NOT_CONFIGURED') {
+      return res.status(500).json({ error: 'Server configuration error', message: `Sign-in email is not configured: ${error.message}.` });
+    }
+    return res.status(502).json({ error: 'Failed to send code', message: 'Could not send the email. Try again.' });
+  }
+
+  res.setHeader('Set-Cookie', serializeCookie(req, CHALLENGE_COOKIE, createChallenge(email, code), {
+    maxAge: CODE_TTL_SECONDS,
+    path: '/api/auth'
+  }));
+  return res.status(200).json({ ok: true, email, expiresIn: CODE_TTL_SECONDS });
+}
+
+/**
+ * Main handler for Vercel serverless function (mail transport chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleAuthRequest(req, res, getMailTransport());
+
+/**
+ * Build a handler bound to a specific mail transport (tests, server.js).
+ * @param {Object} transport - Mail transport.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withTransport = transport => (req, res) => handleAuthRequest(req, res, transport);
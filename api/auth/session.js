@@ -0,0 +1,46 @@
+// Serverless Function: Sign-In Status
+// GET reports whether sign-in is required and who is signed in, so the email gate can
+// skip itself when auth is off (local development) or the cookie is still valid. Also
+// reports the signed-in user's role so the client can hide what the server would refuse.
+// DELETE signs out by clearing the session cookie.
+
+const { setupCors, handlePreflightAndMethodGuard } = require('../_utils');
+const { SESSION_COOKIE, isAuthEnabled, readSession, serializeCookie } = require('../_auth');
+const { ROLES, resolveRole } = require('../_roles');
+
+/**
+ * Handle a status check or sign-out.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+async function handleAuthSession(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'DELETE'])) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'DELETE') {
+    res.setHeader('Set-Cookie', serializeCookie(req, SESSION_COOKIE, '', { maxAge: 0 }));
+    return res.status(200).json({ ok: true });
+  }
+
+  const authRequired = isAuthEnabled();
+  const session = readSession(req);
+  let access = { role: null, department: null };
+  if (!authRequired) {
+    // Matches requireRole: with sign-in off everything is allowed
+    access = { role: ROLES.ADMIN, department: null };
+  } else if (session) {
+    access = await resolveRole(session.email);
+  }
+
+  return res.status(200).json({
+    authRequired,
+    signedIn: Boolean(session),
+    email: session ? session.email : null,
+    expiresAt: session ? session.expiresAt : null,
+    role: access.role,
+    department: access.department
+  });
+}
+
+module.exports = handleAuthSession;
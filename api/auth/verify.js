@@ -0,0 +1,69 @@
+// Serverless Function: Verify a Sign-In Code
+// POST { code } together with the challenge cookie from /api/auth/request. On success
+// sets the signed session cookie that the API routes check, and clears the challenge.
+
+const { setupCors, handlePreflightAndMethodGuard } = require('../_utils');
+const {
+  SESSION_COOKIE,
+  CHALLENGE_COOKIE,
+  SESSION_TTL_SECONDS,
+  getAuthSecret,
+  parseCookies,
+  checkChallenge,
+  createSession,
+  serializeCookie
+} = require('../_auth');
+
+const ERROR_STATUS = {
+  CODE_EXPIRED: 400,
+  CODE_LOCKED: 429,
+  CODE_INVALID: 400
+};
+
+const ERROR_MESSAGES = {
+  CODE_EXPIRED: 'This code has expired. Request a new one.',
+  CODE_LOCKED: 'Too many wrong codes. Request a new one.',
+  CODE_INVALID: 'That code is not right. Check the email and try again.'
+};
+
+/**
+ * Handle a code check.
+ * @param {Object} req - HTTP request (JSON body { code }).
+ * @param {Object} res - HTTP response.
+ */
+async function handleAuthVerify(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['POST'])) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!getAuthSecret()) {
+    console.error('AUTH_SECRET is not configured');
+    return res.status(500).json({ error: 'Server configuration error', message: 'Sign-in is not configured.' });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  let result;
+  try {
+    result = await checkChallenge(parseCookies(req)[CHALLENGE_COOKIE], body.code);
+  } catch (error) {
+    console.error('Error checking the sign-in code:', error);
+    return res.status(503).json({ error: 'Sign-in unavailable', message: 'Sign-in is briefly unavailable. Try again.' });
+  }
+
+  if (result.error) {
+    return res.status(ERROR_STATUS[result.error]).json({
+      error: 'Verification failed',
+      code: result.error,
+      message: ERROR_MESSAGES[result.error]
+    });
+  }
+
+  const session = createSession(result.email);
+  res.setHeader('Set-Cookie', [
+    serializeCookie(req, SESSION_COOKIE, session.token, { maxAge: SESSION_TTL_SECONDS }),
+    serializeCookie(req, CHALLENGE_COOKIE, '', { maxAge: 0, path: '/api/auth' })
+  ]);
+  return res.status(200).json({ ok: true, email: result.email, expiresAt: session.expiresAt });
+}
+
+module.exports = handleAuthVerify;
@@ -1,53 +1,167 @@
 // Serverless Function: Lazy-Loading Google Drive Browser
 // This endpoint fetches contents of a specific folder path on-demand
 // Much faster than fetching the entire structure upfront
+// Folder access goes through the storage provider (Google Drive by default, see api/_storage)
 
 const {
   LEVEL_EXCEPTIONS,
+  MAX_SEGMENTS,
   normalizeFolderName,
-  makeAPIRequest,
-  listFolders,
+  extractCourseCode,
+  parseBrowsePath,
+  isValidDriveId,
   setupCors,
-  handlePreflightAndMethodGuard
+  handlePreflightAndMethodGuard,
+  requireAuth
 } = require('./_utils');
-
-// Per-path cache with 30-minute TTL (survives within same serverless instance)
-const pathCache = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-const MAX_PATH_LENGTH = 512;
-const MAX_SEGMENTS = 8;
-const MAX_SEGMENT_LENGTH = 120;
+const { getStorage } = require('./_storage');
+const { cacheControlFor } = require('./_auth');
+const { TRACKER_ROLES, requireRole } = require('./_roles');
+const { getCacheStore, getCacheTtl } = require('./_cache');
+const { withIndex } = require('./_index');
+
+// Per-path listing cache, 30 minutes by default (memory per instance, or shared; see api/_cache.js)
+const CACHE_TTL = getCacheTtl('BROWSE_CACHE_TTL_SECONDS', 30 * 60 * 1000);
 const ALLOWED_TYPES = new Set(['folders', 'files']);
 
+// Path-to-folder-ID map (and its reverse) so repeat requests skip the
+// root-to-leaf findChildByName walk. Same TTL as the listing cache, but always
+// per instance: cached listings carry their folderId, so a cold start rebuilds it cheaply.
+const folderIdCache = new Map();
+const folderPathCache = new Map();
+
+/**
+ * List PDF files in a folder (all pages, up to the configured cap)
+ * Each file is tagged with the course code parsed from its name (or null)
+ * @param {Object} storage - Storage provider
+ * @param {string} folderId - The folder ID
+ * @returns {Promise<{files: Array, truncated: boolean}>} File objects and truncation flag
+ */
+async function listFiles(storage, folderId) {
+  const { files, truncated } = await storage.listFiles(folderId);
+
+  return {
+    files: files.map(file => ({
+      ...file,
+      courseCode: extractCourseCode(file.name)
+    })),
+    truncated
+  };
+}
+
+/**
+ * Build the folder-ID cache key for a list of path segments.
+ * Segments are normalized the same way storage.findChildByName matches them.
+ * @param {Array<string>} segments - Path segments (may contain ~ instead of /)
+ * @returns {string} Cache key
+ */
+function toPathKey(segments) {
+  return '/' + segments.map(segment => normalizeFolderName(segment.replace(/~/g, '/'))).join('/');
+}
+
+/**
+ * Format folder names as a browse path (slashes inside names travel as ~)
+ * @param {Array<string>} names - Folder names from department downwards
+ * @returns {string} Browse path
+ */
+function formatPath(names) {
+  return '/' + names.map(name => name.replace(/\//g, '~')).join('/');
+}
+
+/**
+ * Remember the folder ID for a path
+ * @param {Array<string>} segments - Path segments
+ * @param {string} folderId - Drive folder ID
+ */
+function rememberFolderId(segments, folderId) {
+  const timestamp = Date.now();
+  folderIdCache.set(toPathKey(segments), { id: folderId, timestamp });
+  folderPathCache.set(folderId, { segments: segments.slice(), timestamp });
+}
+
+/**
+ * Look up a cached folder ID for a path
+ * @param {Array<string>} segments - Path segments
+ * @returns {string|null} Folder ID or null
+ */
+function getKnownFolderId(segments) {
+  const cached = folderIdCache.get(toPathKey(segments));
+  return isCacheValid(cached) ? cached.id : null;
+}
+
+/**
+ * Look up the cached path segments of a folder ID
+ * @param {string} folderId - Drive folder ID
+ * @returns {Array<string>|null} Path segments or null
+ */
+function getKnownFolderPath(folderId) {
+  const cached = folderPathCache.get(folderId);
+  return isCacheValid(cached) ? cached.segments : null;
+}
+
 /**
- * List PDF files in a Google Drive folder
- * @param {string} folderId - The Drive folder ID
- * @param {string} apiKey - Google API key
- * @returns {Promise<Array>} Array of file objects
+ * Resolve a path to its folder ID.
+ * Starts from the longest cached prefix and only walks the remaining segments.
+ * @param {Object} storage - Storage provider
+ * @param {Array<string>} segments - Path segments
+ * @param {boolean} forceRefresh - Ignore cached IDs and walk from the root
+ * @returns {Promise<{folderId: string|null, missingSegment: string|null}>} Resolved ID, or the first segment not found
  */
-async function listFiles(folderId, apiKey) {
-  const query = encodeURIComponent(`'${folderId}' in parents and mimeType='application/pdf' and trashed=false`);
-  const url = `https://www.googleapis.com/drive/v3/files?q=${query}&fields=files(id,name,modifiedTime,size,webViewLink,webContentLink)&orderBy=name&key=${apiKey}`;
+async function resolveFolderId(storage, segments, forceRefresh) {
+  let depth = 0;
+  let currentFolderId = storage.rootId;
+
+  if (!forceRefresh) {
+    for (let i = segments.length; i > 0; i--) {
+      const knownId = getKnownFolderId(segments.slice(0, i));
+      if (knownId) {
+        depth = i;
+        currentFolderId = knownId;
+        break;
+      }
+    }
+  }
+
+  for (; depth < segments.length; depth++) {
+    const folder = await storage.findChildByName(currentFolderId, segments[depth]);
+    if (!folder) {
+      return { folderId: null, missingSegment: segments[depth] };
+    }
 
-  const response = await makeAPIRequest(url);
-  return response.files || [];
+    currentFolderId = folder.id;
+    rememberFolderId(segments.slice(0, depth + 1), currentFolderId);
+  }
+
+  return { folderId: currentFolderId, missingSegment: null };
 }
 
 /**
- * Find a folder by name within a parent folder
- * Handles ~ as / substitution for folder names with slashes
- * @param {string} parentId - Parent folder ID
- * @param {string} folderName - Name of folder to find (may contain ~ instead of /)
- * @param {string} apiKey - Google API key
- * @returns {Promise<Object|null>} Folder object or null if not found
+ * Resolve a client-supplied folder ID to its path segments.
+ * Unknown IDs are checked by walking their parents up to the root, so IDs from
+ * outside the resource bank are never listed.
+ * @param {Object} storage - Storage provider
+ * @param {string} folderId - Folder ID
+ * @param {boolean} forceRefresh - Ignore cached paths
+ * @returns {Promise<Array<string>|null>} Path segments, or null if not a folder in the tree
  */
-async function findFolderByName(parentId, folderName, apiKey) {
-  const folders = await listFolders(parentId, apiKey, 'files(id,name,modifiedTime)');
+async function resolveFolderPath(storage, folderId, forceRefresh) {
+  if (folderId === storage.rootId) return [];
+
+  const known = forceRefresh ? null : getKnownFolderPath(folderId);
+  if (known) return known;
 
-  // Normalize the target name - convert ~ back to / for matching
-  const normalizedTarget = normalizeFolderName(folderName.replace(/~/g, '/'));
+  const ancestry = await storage.resolveAncestry(folderId, MAX_SEGMENTS);
+  if (!ancestry || ancestry.length === 0) return null;
 
-  return folders.find(f => normalizeFolderName(f.name) === normalizedTarget) || null;
+  const target = ancestry[ancestry.length - 1];
+  if (target.mimeType !== 'application/vnd.google-apps.folder') return null;
+
+  const segments = [];
+  for (const folder of ancestry) {
+    segments.push(normalizeFolderName(folder.name));
+    rememberFolderId(segments, folder.id);
+  }
+  return segments;
 }
 
 /**
@@ -60,8 +174,8 @@ function getCacheKey(path) {
 }
 
 /**
- * Check if cached data is still valid
- * @param {Object} cached - Cached data object
+ * Check if a folder ID cache entry is still valid
+ * @param {Object} cached - Cached entry with a timestamp
  * @returns {boolean} True if valid
  */
 function isCacheValid(cached) {
@@ -72,54 +186,52 @@ function isCacheValid(cached) {
 /**
  * Get cached data for a path
  * @param {string} path - The folder path
- * @returns {Object|null} Cached data or null
+ * @returns {Promise<Object|null>} Cached data or null
  */
-function getCached(path) {
-  const key = getCacheKey(path);
-  const cached = pathCache.get(key);
-
-  if (cached && isCacheValid(cached)) {
-    return cached;
-  }
-
-  // Expired or not found
-  pathCache.delete(key);
-  return null;
+async function getCached(path) {
+  const entry = await getCacheStore('browse').get(getCacheKey(path));
+  return entry ? { ...entry.value, timestamp: entry.storedAt } : null;
 }
 
 /**
  * Set cached data for a path
  * @param {string} path - The folder path
  * @param {Object} data - Data to cache
+ * @param {Object} [meta] - Listing metadata (e.g. { folderId, truncated })
+ * @returns {Promise<void>}
  */
-function setCache(path, data) {
-  const key = getCacheKey(path);
-  pathCache.set(key, {
+async function setCache(path, data, meta = {}) {
+  await getCacheStore('browse').set(getCacheKey(path), {
     data,
-    timestamp: Date.now()
-  });
+    folderId: meta.folderId || null,
+    truncated: Boolean(meta.truncated)
+  }, CACHE_TTL);
 }
 
 /**
- * Main handler for Vercel Serverless Function
+ * Handle a browse request against a storage provider
  * 
  * Query parameters:
  * - path: The folder path to browse (e.g., "/Computer Science/100 Level/1st Semester")
  * - type: What to return - "folders" or "files" (default: "folders")
+ * - id: Optional Drive folder ID (from a previous response's folderId or folder list).
+ *       Skips the path walk; path is then derived from the folder's ancestry.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} storage - Storage provider (see api/_storage)
  */
-module.exports = async (req, res) => {
+async function handleBrowse(req, res, storage) {
   // CORS — restrict to configured origin
   setupCors(req, res);
 
   // Preflight + method guard
   if (handlePreflightAndMethodGuard(req, res)) return;
 
-  try {
-    // Get credentials from environment variables
-    const apiKey = process.env.GOOGLE_DRIVE_API_KEY;
-    const rootFolderId = process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID;
+  // Signed-in students only
+  if (requireAuth(req, res)) return;
 
-    if (!apiKey || !rootFolderId) {
+  try {
+    if (!storage.isConfigured()) {
       console.error('Missing environment variables');
       res.status(500).json({
         error: 'Server configuration error',
@@ -131,10 +243,19 @@ module.exports = async (req, res) => {
     // Parse query parameters
     const rawPath = typeof req.query.path === 'string' ? req.query.path : '/';
     const rawType = typeof req.query.type === 'string' ? req.query.type : 'folders';
-    const path = rawPath.trim() || '/';
+    const rawId = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+    let path = rawPath.trim() || '/';
     const type = rawType.trim().toLowerCase(); // 'folders' or 'files'
     const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
 
+    // Bypassing the caches re-walks storage: reps and executives only
+    if (forceRefresh && await requireRole(req, res, TRACKER_ROLES)) return;
+
+    // Read from the crawled index while it is no older than this route's cache (live calls on a
+    // miss, and once it ages past that, so new uploads show up as fast as without an index);
+    // force refresh goes live
+    const source = forceRefresh ? storage : await withIndex(storage, { maxAgeMs: CACHE_TTL });
+
     if (!ALLOWED_TYPES.has(type)) {
       res.status(400).json({
         error: 'Invalid query parameter',
@@ -143,87 +264,98 @@ module.exports = async (req, res) => {
       return;
     }
 
-    if (path.length > MAX_PATH_LENGTH) {
+    if (rawId && !isValidDriveId(rawId)) {
       res.status(400).json({
         error: 'Invalid query parameter',
-        message: 'path is too long.'
+        message: 'id is not a valid folder ID.'
       });
       return;
     }
 
     // Note: ~ is used in URLs to represent / in folder names (e.g., "2024~25 Session")
-    // The conversion from ~ to / happens in findFolderByName, not here
+    // The conversion from ~ to / happens in storage.findChildByName, not here
     // This preserves correct path splitting
 
+    let segments;
+    let currentFolderId = null;
+
+    if (rawId) {
+      // Jump straight to a known folder; its path comes from the tree itself
+      segments = await resolveFolderPath(source, rawId, forceRefresh);
+
+      if (!segments) {
+        res.status(404).json({
+          error: 'Path not found',
+          message: 'Folder not found in the resource bank',
+          id: rawId
+        });
+        return;
+      }
+
+      currentFolderId = rawId;
+      path = formatPath(segments);
+    } else {
+      // Parse the path into segments (limits shared with /api/bundle)
+      const parsed = parseBrowsePath(path);
+
+      if (parsed.error) {
+        res.status(400).json({
+          error: 'Invalid query parameter',
+          message: parsed.error
+        });
+        return;
+      }
+
+      segments = parsed.segments;
+    }
+
     // Check cache first
     const cacheKey = `${path}:${type}`;
-    const cached = forceRefresh ? null : getCached(cacheKey);
+    const cached = forceRefresh ? null : await getCached(cacheKey);
 
     if (cached) {
       res.setHeader('X-Cache', 'HIT');
       // Item #4: CDN-level caching. s-maxage lets Vercel's edge cache serve
       // the same response to all 200 concurrent students without invoking the function.
-      res.setHeader('Cache-Control', 'public, s-maxage=1800, stale-while-revalidate=3600');
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=1800, stale-while-revalidate=3600'));
       res.status(200).json({
         path,
         type,
+        folderId: cached.folderId,
         data: cached.data,
+        truncated: Boolean(cached.truncated),
         cached: true,
         timestamp: cached.timestamp
       });
       return;
     }
 
-    // Parse the path into segments
-    const segments = path.split('/').filter(s => s.length > 0);
+    // Navigate to the target folder (starting from the deepest cached folder ID)
+    if (!currentFolderId) {
+      const { folderId, missingSegment } = await resolveFolderId(source, segments, forceRefresh);
 
-    if (segments.length > MAX_SEGMENTS) {
-      res.status(400).json({
-        error: 'Invalid query parameter',
-        message: 'path has too many segments.'
-      });
-      return;
-    }
-
-    const hasInvalidSegment = segments.some(segment =>
-      segment.length > MAX_SEGMENT_LENGTH || /[\u0000-\u001F\u007F\\]/.test(segment)
-    );
-
-    if (hasInvalidSegment) {
-      res.status(400).json({
-        error: 'Invalid query parameter',
-        message: 'path contains invalid segment values.'
-      });
-      return;
-    }
-
-    // Navigate to the target folder
-    let currentFolderId = rootFolderId;
-
-    for (const segment of segments) {
-      const folder = await findFolderByName(currentFolderId, segment, apiKey);
-
-      if (!folder) {
+      if (!folderId) {
         res.status(404).json({
           error: 'Path not found',
-          message: `Folder "${segment}" not found in path`,
+          message: `Folder "${missingSegment}" not found in path`,
           path
         });
         return;
       }
 
-      currentFolderId = folder.id;
+      currentFolderId = folderId;
     }
 
     // Fetch the requested content
     let data;
+    let truncated = false;
 
     if (type === 'files') {
       // Get PDF files in this folder
-      data = await listFiles(currentFolderId, apiKey);
+      ({ files: data, truncated } = await listFiles(source, currentFolderId));
     } else {
       // Get subfolders
-      const folders = await listFolders(currentFolderId, apiKey, 'files(id,name,modifiedTime)');
+      const folders = await source.listFolders(currentFolderId);
 
       // Filter and normalize folder names
       data = folders.map(f => ({
@@ -250,10 +382,13 @@ module.exports = async (req, res) => {
           });
         }
       }
+
+      // Child IDs let the next level down skip the walk entirely
+      data.forEach(f => rememberFolderId([...segments, f.name], f.id));
     }
 
     // Cache the result
-    setCache(cacheKey, data);
+    await setCache(cacheKey, data, { folderId: currentFolderId, truncated });
 
     // Return response
     res.setHeader('X-Cache', forceRefresh ? 'BYPASS' : 'MISS');
@@ -262,12 +397,14 @@ module.exports = async (req, res) => {
       res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     } else {
       // Item #4: CDN-level caching for scalability
-      res.setHeader('Cache-Control', 'public, s-maxage=1800, stale-while-revalidate=3600');
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=1800, stale-while-revalidate=3600'));
     }
     res.status(200).json({
       path,
       type,
+      folderId: currentFolderId,
       data,
+      truncated,
       cached: false,
       forceRefresh,
       timestamp: Date.now()
@@ -280,4 +417,18 @@ module.exports = async (req, res) => {
       message: error.message
     });
   }
-};
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleBrowse(req, res, getStorage());
+
+/**
+ * Build a browse handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleBrowse(req, res, storage);
@@ -0,0 +1,224 @@
+// Serverless Function: ZIP Bundle Download
+// Streams every PDF under a browse path (a session, a semester, ...) as one ZIP, so
+// students do not have to download a folder's papers one by one. Sub-folders become
+// folders inside the archive. Size and file-count limits are checked from the listing
+// before anything is streamed.
+
+const {
+  MAX_SEGMENTS,
+  parseBrowsePath,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  buildContentDisposition
+} = require('./_utils');
+const { getStorage } = require('./_storage');
+const { createZipWriter } = require('./_zip');
+
+// Department alone is too broad; Level is the shallowest folder worth bundling
+const MIN_BUNDLE_SEGMENTS = 2;
+// Small enough to copy from Drive within a default Vercel function timeout; raise them
+// with BUNDLE_MAX_FILES / BUNDLE_MAX_MB together with the function's maxDuration
+const DEFAULT_LIMITS = {
+  maxFiles: 40,
+  maxBytes: 50 * 1024 * 1024 // 50 MB
+};
+
+/**
+ * Read the bundle limits, with BUNDLE_MAX_FILES and BUNDLE_MAX_MB overriding the defaults.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {{maxFiles: number, maxBytes: number}} Limits.
+ */
+function getBundleLimits(env = process.env) {
+  const maxFiles = Number.parseInt(env.BUNDLE_MAX_FILES, 10);
+  const maxMegabytes = Number.parseInt(env.BUNDLE_MAX_MB, 10);
+  return {
+    maxFiles: Number.isFinite(maxFiles) && maxFiles > 0 ? maxFiles : DEFAULT_LIMITS.maxFiles,
+    maxBytes: Number.isFinite(maxMegabytes) && maxMegabytes > 0 ? maxMegabytes * 1024 * 1024 : DEFAULT_LIMITS.maxBytes
+  };
+}
+
+/**
+ * Make a folder or file name safe to use as one archive path component.
+ * @param {string} name - Display name (may contain / or ~).
+ * @returns {string} Name without path separators or control characters.
+ */
+function toArchiveName(name) {
+  return String(name)
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .replace(/[~/\\]/g, '-')
+    .trim() || 'untitled';
+}
+
+/**
+ * Walk a folder tree and list every PDF with its archive path.
+ * Stops as soon as a limit is exceeded.
+ * @param {Object} storage - Storage provider.
+ * @param {string} folderId - Folder to start from.
+ * @param {number} depthLeft - How many more folder levels may be entered.
+ * @param {Object} limits - { maxFiles, maxBytes }.
+ * @returns {Promise<{files: Array, totalBytes: number, overLimit: boolean}>} Files to bundle.
+ */
+async function collectFiles(storage, folderId, depthLeft, limits) {
+  const result = { files: [], totalBytes: 0, overLimit: false };
+
+  async function visit(id, prefix, depth) {
+    const { files, truncated } = await storage.listFiles(id);
+    if (truncated) {
+      result.overLimit = true;
+      return;
+    }
+
+    for (const file of files) {
+      result.files.push({ ...file, archivePath: prefix + toArchiveName(file.name) });
+      result.totalBytes += Number.parseInt(file.size, 10) || 0;
+      if (result.files.length > limits.maxFiles || result.totalBytes > limits.maxBytes) {
+        result.overLimit = true;
+        return;
+      }
+    }
+
+    if (depth <= 0) return;
+
+    const folders = await storage.listFolders(id);
+    for (const folder of folders) {
+      await visit(folder.id, `${prefix}${toArchiveName(folder.name)}/`, depth - 1);
+      if (result.overLimit) return;
+    }
+  }
+
+  await visit(folderId, '', depthLeft);
+  return result;
+}
+
+/**
+ * Give repeated archive paths a " (2)", " (3)", ... suffix before the extension.
+ * @param {Array} files - Files with archivePath.
+ */
+function dedupeArchivePaths(files) {
+  const seen = new Map();
+  for (const file of files) {
+    const key = file.archivePath.toLowerCase();
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    if (count > 1) {
+      file.archivePath = file.archivePath.replace(/(\.[^./]+)?$/, ext => ` (${count})${ext || ''}`);
+    }
+  }
+}
+
+/**
+ * Handle a bundle request against a storage provider.
+ *
+ * Query parameters:
+ * - path: Browse path to bundle, e.g. "/Computer Science/100 Level/1st Semester/2024~25 Session"
+ * - check: "1" to only report { fileCount, totalBytes } (or the limit error) without streaming
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider (see api/_storage).
+ * @param {Object} [limits] - { maxFiles, maxBytes } overrides (default: getBundleLimits()).
+ */
+async function handleBundle(req, res, storage, limits = getBundleLimits()) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+
+  if (!storage.isConfigured()) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const parsed = parseBrowsePath(req.query.path);
+  if (parsed.error) {
+    return res.status(400).json({ error: 'Invalid query parameter', message: parsed.error });
+  }
+
+  const { segments } = parsed;
+  if (segments.length < MIN_BUNDLE_SEGMENTS) {
+    return res.status(400).json({
+      error: 'Invalid query parameter',
+      message: 'path must point to a level, semester or session folder.'
+    });
+  }
+
+  let files;
+  try {
+    let folderId = storage.rootId;
+    for (const segment of segments) {
+      const folder = await storage.findChildByName(folderId, segment);
+      if (!folder) {
+        return res.status(404).json({ error: 'Path not found', message: `Folder "${segment}" not found` });
+      }
+      folderId = folder.id;
+    }
+
+    const collected = await collectFiles(storage, folderId, MAX_SEGMENTS - segments.length, limits);
+
+    if (collected.overLimit) {
+      return res.status(413).json({
+        error: 'Bundle too large',
+        message: `Bundles are limited to ${limits.maxFiles} files and ${Math.round(limits.maxBytes / (1024 * 1024))} MB. ` +
+          'Open a single session instead.',
+        maxFiles: limits.maxFiles,
+        maxBytes: limits.maxBytes
+      });
+    }
+
+    if (collected.files.length === 0) {
+      return res.status(404).json({ error: 'No files', message: 'There are no PDFs in this folder yet.' });
+    }
+
+    if (req.query.check === '1') {
+      // Dry run: lets the client show the size (or the limit error) before downloading
+      return res.status(200).json({
+        fileCount: collected.files.length,
+        totalBytes: collected.totalBytes,
+        maxFiles: limits.maxFiles,
+        maxBytes: limits.maxBytes
+      });
+    }
+
+    files = collected.files;
+  } catch (error) {
+    console.error('Error preparing bundle:', error);
+    return res.status(502).json({ error: 'Failed to prepare bundle', message: error.message });
+  }
+
+  dedupeArchivePaths(files);
+
+  const archiveName = `${segments.map(toArchiveName).join(' - ')}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', buildContentDisposition(archiveName, 'attachment'));
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('X-Bundle-File-Count', String(files.length));
+  res.status(200);
+
+  const zip = createZipWriter(res);
+  try {
+    for (const file of files) {
+      const { stream } = await storage.openFile(file.id);
+      await zip.addEntry(file.archivePath, stream, new Date(file.modifiedTime));
+    }
+    await zip.finish();
+  } catch (error) {
+    // Headers are out; all we can do is stop (the client sees a broken download)
+    console.error('Error streaming bundle:', error);
+    res.end();
+  }
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleBundle(req, res, getStorage());
+
+/**
+ * Build a bundle handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @param {Object} [limits] - { maxFiles, maxBytes } overrides (tests).
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage, limits) => (req, res) => handleBundle(req, res, storage, limits);
+
+module.exports.getBundleLimits = getBundleLimits;
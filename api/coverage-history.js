@@ -0,0 +1,83 @@
+// Serverless Function: Coverage History
+// How a department's upload completeness changed over time, from the scans api/coverage.js
+// records (see api/_history.js). Feeds the trend chart on the Track page.
+// Query: department (required), session (defaults to the latest one scanned),
+// interval = week (default, last scan per week) | day | scan (every scan).
+
+const {
+  normalizeFolderName,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable
+} = require('./_utils');
+const { TRACKER_ROLES, requireRole, canAccessDepartment } = require('./_roles');
+const { getHistoryStore, toTrend } = require('./_history');
+const { normalizeSessionFolderName } = require('./coverage');
+
+const MAX_PARAM_LENGTH = 120;
+const INTERVALS = ['week', 'day', 'scan'];
+
+/**
+ * Handle a coverage history request.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+async function handleCoverageHistory(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+  if (await requireRole(req, res, TRACKER_ROLES)) return;
+
+  const departmentQuery = typeof req.query.department === 'string' ? req.query.department.trim() : '';
+  const sessionQuery = typeof req.query.session === 'string' ? req.query.session.trim() : '';
+  const interval = typeof req.query.interval === 'string' && req.query.interval ? req.query.interval : 'week';
+
+  if (!departmentQuery) {
+    return res.status(400).json({ error: 'Missing department parameter' });
+  }
+
+  if (departmentQuery.length > MAX_PARAM_LENGTH || sessionQuery.length > MAX_PARAM_LENGTH) {
+    return res.status(400).json({ error: 'Invalid parameter length' });
+  }
+
+  if (/[\u0000-\u001F\u007F\\]/.test(departmentQuery) || /[\u0000-\u001F\u007F\\]/.test(sessionQuery)) {
+    return res.status(400).json({ error: 'Invalid department or session value' });
+  }
+
+  if (!INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+
+  if (!canAccessDepartment(req.role, departmentQuery)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      code: 'DEPARTMENT_FORBIDDEN',
+      message: 'Reps can only track their own department.'
+    });
+  }
+
+  const department = normalizeFolderName(departmentQuery.replace(/~/g, '/'));
+
+  try {
+    const points = await getHistoryStore().list(department);
+    const sessions = Array.from(new Set(points.map(point => point.session))).sort().reverse();
+    const session = sessionQuery ? normalizeSessionFolderName(sessionQuery) : (sessions[0] || null);
+
+    // New scans land here at any time, so the answer is never cached
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      department,
+      session,
+      sessions,
+      interval,
+      points: toTrend(points.filter(point => point.session === session), interval)
+    });
+  } catch (error) {
+    if (sendStoreUnavailable(res, error)) return;
+    console.error('Coverage history error:', error);
+    return res.status(500).json({ error: 'Failed to read coverage history', message: error.message });
+  }
+}
+
+module.exports = handleCoverageHistory;
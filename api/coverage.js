@@ -1,18 +1,25 @@
 // Serverless Function: Auto-Generated Progress Coverage (Per-Session)
 // Scans a specific department's Drive hierarchy to see if a TARGET SESSION exists and has PDFs.
 // Very fast because it uses targeted Google Drive queries.
+// Folder access goes through the storage provider (Google Drive by default, see api/_storage).
 
 const {
   LEVEL_EXCEPTIONS,
   normalizeFolderName,
-  makeAPIRequest,
-  listFolders,
   setupCors,
-  handlePreflightAndMethodGuard
+  handlePreflightAndMethodGuard,
+  requireAuth
 } = require('./_utils');
-
-const coverageCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000;
+const { cacheControlFor } = require('./_auth');
+const { TRACKER_ROLES, requireRole, canAccessDepartment } = require('./_roles');
+const { getStorage } = require('./_storage');
+const { getCacheStore, getCacheTtl } = require('./_cache');
+const { withIndex } = require('./_index');
+const { toHistoryPoint, recordScan } = require('./_history');
+const { statusLabel, summarizeBySemester, parseFormat, sendReport } = require('./_report');
+
+// Scan results, 5 minutes by default (memory per instance, or shared; see api/_cache.js)
+const CACHE_TTL = getCacheTtl('COVERAGE_CACHE_TTL_SECONDS', 5 * 60 * 1000);
 const MAX_PARAM_LENGTH = 120;
 
 // Item #13: Rate limiter — track active scans to prevent Google API quota exhaustion.
@@ -63,13 +70,13 @@ function normalizeSessionFolderName(label) {
 /**
  * Find the target session folder inside a parent.
  * Uses exact normalized label matching first, then falls back to fuzzy numeric matching.
- * @param {string} parentId - Parent folder Drive ID.
+ * @param {Object} storage - Storage provider.
+ * @param {string} parentId - Parent folder ID.
  * @param {string} targetSessionName - Desired session (e.g. "2025/26 Session").
- * @param {string} apiKey - Google API key.
  * @returns {Promise<Object|null>} Matching folder or null.
  */
-async function findTargetSessionFolder(parentId, targetSessionName, apiKey) {
-  const folders = await listFolders(parentId, apiKey);
+async function findTargetSessionFolder(storage, parentId, targetSessionName) {
+  const folders = await storage.listFolders(parentId);
 
   // Prefer exact match against normalized session labels
   const normalizedTargetLabel = normalizeSessionFolderName(targetSessionName);
@@ -94,27 +101,14 @@ async function findTargetSessionFolder(parentId, targetSessionName, apiKey) {
   }) || null;
 }
 
-/**
- * Check whether a folder contains at least one PDF.
- * @param {string} folderId - Drive folder ID.
- * @param {string} apiKey - Google API key.
- * @returns {Promise<boolean>} True if any PDF exists.
- */
-async function hasFiles(folderId, apiKey) {
-  const query = encodeURIComponent(`'${folderId}' in parents and mimeType='application/pdf' and trashed=false`);
-  const url = `https://www.googleapis.com/drive/v3/files?q=${query}&fields=files(id)&pageSize=1&key=${apiKey}`;
-  const response = await makeAPIRequest(url);
-  return response.files && response.files.length > 0;
-}
-
 /**
  * Check whether a folder tree contains at least one PDF (BFS).
  * Handles structures where PDFs are placed in nested course folders.
+ * @param {Object} storage - Storage provider.
  * @param {string} rootFolderId - Session folder ID.
- * @param {string} apiKey - Google API key.
  * @returns {Promise<boolean>} True if any PDF exists in the subtree.
  */
-async function hasFilesDeep(rootFolderId, apiKey) {
+async function hasFilesDeep(storage, rootFolderId) {
   if (!rootFolderId) return false;
 
   const queue = [{ id: rootFolderId, depth: 0 }];
@@ -136,7 +130,7 @@ async function hasFilesDeep(rootFolderId, apiKey) {
       break;
     }
 
-    const hasPdfDirectly = await hasFiles(current.id, apiKey);
+    const hasPdfDirectly = await storage.hasFiles(current.id);
     if (hasPdfDirectly) {
       return true;
     }
@@ -145,7 +139,7 @@ async function hasFilesDeep(rootFolderId, apiKey) {
       continue;
     }
 
-    const children = await listFolders(current.id, apiKey);
+    const children = await storage.listFolders(current.id);
     for (const child of children) {
       if (child && child.id && !visited.has(child.id)) {
         queue.push({ id: child.id, depth: current.depth + 1 });
@@ -157,21 +151,70 @@ async function hasFilesDeep(rootFolderId, apiKey) {
 }
 
 /**
- * Main handler for Vercel serverless function.
+ * Keep only the levels a department really has, for departments listed in LEVEL_EXCEPTIONS.
+ * @param {string} departmentName - Normalized department name.
+ * @param {Array} levels - Level folders.
+ * @returns {Array} Level folders to scan.
+ */
+function filterLevels(departmentName, levels) {
+  const validLevels = LEVEL_EXCEPTIONS[departmentName];
+  if (!validLevels) return levels;
+
+  return levels.filter(f => {
+    const levelMatch = f.name.match(/(\d+)/);
+    if (levelMatch) return validLevels.includes(parseInt(levelMatch[1]));
+    return validLevels.includes(f.name);
+  });
+}
+
+/**
+ * Build the exportable report for one department and session (see api/_report.js).
+ * @param {string} department - Department name.
+ * @param {string} session - Session label as scanned (e.g. "2025/26 Session").
+ * @param {Array} rows - Coverage rows.
+ * @returns {Object} Report.
+ */
+function buildCoverageReport(department, session, rows) {
+  return {
+    title: `${department} coverage report`,
+    subtitle: `${session}, generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+    sections: [
+      {
+        heading: 'Summary by semester',
+        columns: ['Semester', 'Uploaded', 'Empty folder', 'Missing folder', 'Other'],
+        rows: summarizeBySemester(rows).map(summary => [
+          summary.semester, summary.uploaded, summary.emptyFolder, summary.missingFolder, summary.other
+        ])
+      },
+      {
+        heading: 'Levels',
+        columns: ['Level', 'Semester', 'Status'],
+        rows: rows.map(row => [row.level, row.semester, statusLabel(row.status)])
+      }
+    ]
+  };
+}
+
+/**
+ * Handle a coverage request against a storage provider.
+ * Query: format=csv (download) or format=html (printable report) instead of JSON.
  * @param {Object} req - HTTP request.
  * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider (see api/_storage).
  */
-module.exports = async (req, res) => {
+async function handleCoverage(req, res, storage) {
   setupCors(req, res);
   if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+  // The tracker runs live scans: reps (own department) and executives only
+  if (await requireRole(req, res, TRACKER_ROLES)) return;
 
-  const apiKey = process.env.GOOGLE_DRIVE_API_KEY;
-  const rootFolderId = process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID;
   const departmentQuery = typeof req.query.department === 'string' ? req.query.department.trim() : '';
   let targetSessionQuery = typeof req.query.session === 'string' ? req.query.session.trim() : '';
   const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
+  const format = parseFormat(req.query);
 
-  if (!apiKey || !rootFolderId) {
+  if (!storage.isConfigured()) {
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
@@ -179,6 +222,10 @@ module.exports = async (req, res) => {
     return res.status(400).json({ error: 'Missing department or session parameter' });
   }
 
+  if (!format) {
+    return res.status(400).json({ error: 'format must be one of: json, csv, html' });
+  }
+
   if (departmentQuery.length > MAX_PARAM_LENGTH || targetSessionQuery.length > MAX_PARAM_LENGTH) {
     return res.status(400).json({ error: 'Invalid parameter length' });
   }
@@ -187,6 +234,14 @@ module.exports = async (req, res) => {
     return res.status(400).json({ error: 'Invalid department or session value' });
   }
 
+  if (!canAccessDepartment(req.role, departmentQuery)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      code: 'DEPARTMENT_FORBIDDEN',
+      message: 'Reps can only track their own department.'
+    });
+  }
+
   // Ensure "Session" is in the name, e.g. user passes "2025/26" we look for "2025/26 Session"
   if (!targetSessionQuery.toLowerCase().includes('session')) {
     targetSessionQuery += ' Session';
@@ -195,11 +250,15 @@ module.exports = async (req, res) => {
   const deptNameTarget = normalizeFolderName(departmentQuery.replace(/~/g, '/'));
   const cacheKey = `${deptNameTarget}_${targetSessionQuery}`;
 
-  const cached = forceRefresh ? null : coverageCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
+  const cached = forceRefresh ? null : await getCacheStore('coverage').get(cacheKey);
+  if (cached) {
     res.setHeader('X-Cache', 'HIT');
-    res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
-    return res.status(200).json({ department: deptNameTarget, session: targetSessionQuery, data: cached.data, cached: true });
+    res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=300, stale-while-revalidate=600'));
+    if (format !== 'json') {
+      return sendReport(res, format, buildCoverageReport(deptNameTarget, targetSessionQuery, cached.value),
+        `${deptNameTarget} coverage ${normalizeSessionFolderName(targetSessionQuery)}`);
+    }
+    return res.status(200).json({ department: deptNameTarget, session: targetSessionQuery, data: cached.value, cached: true });
   }
 
   // Item #13: Rate limiter — reject if too many scans active in this instance
@@ -213,32 +272,25 @@ module.exports = async (req, res) => {
   activeScans += 1;
 
   try {
-    const rootFolders = await listFolders(rootFolderId, apiKey);
+    // The crawled index answers most scans without touching storage; force refresh goes live
+    const source = forceRefresh ? storage : await withIndex(storage);
+    const rootFolders = await source.listFolders(source.rootId);
     const deptFolder = rootFolders.find(f => normalizeFolderName(f.name) === deptNameTarget);
     if (!deptFolder) return res.status(404).json({ error: 'Department not found' });
 
     const isJupeb = deptNameTarget === 'Jupeb';
-    let levels = await listFolders(deptFolder.id, apiKey);
-
-    const validLevels = LEVEL_EXCEPTIONS[deptNameTarget];
-    if (validLevels) {
-      levels = levels.filter(f => {
-        const levelMatch = f.name.match(/(\d+)/);
-        if (levelMatch) return validLevels.includes(parseInt(levelMatch[1]));
-        return validLevels.includes(f.name);
-      });
-    }
+    const levels = filterLevels(deptNameTarget, await source.listFolders(deptFolder.id));
 
     const coverageData = [];
 
     await Promise.all(levels.map(async (level) => {
-      const subFolders = await listFolders(level.id, apiKey);
+      const subFolders = await source.listFolders(level.id);
 
       if (isJupeb) {
-        const sessionFolder = await findTargetSessionFolder(level.id, targetSessionQuery, apiKey);
+        const sessionFolder = await findTargetSessionFolder(source, level.id, targetSessionQuery);
         let hasPdf = false;
         if (sessionFolder) {
-          hasPdf = await hasFilesDeep(sessionFolder.id, apiKey);
+          hasPdf = await hasFilesDeep(source, sessionFolder.id);
         }
         coverageData.push({
           level: level.name,
@@ -247,10 +299,10 @@ module.exports = async (req, res) => {
         });
       } else {
         await Promise.all(subFolders.map(async (semester) => {
-          const sessionFolder = await findTargetSessionFolder(semester.id, targetSessionQuery, apiKey);
+          const sessionFolder = await findTargetSessionFolder(source, semester.id, targetSessionQuery);
           let hasPdf = false;
           if (sessionFolder) {
-            hasPdf = await hasFilesDeep(sessionFolder.id, apiKey);
+            hasPdf = await hasFilesDeep(source, sessionFolder.id);
           }
           coverageData.push({
             level: level.name,
@@ -267,13 +319,25 @@ module.exports = async (req, res) => {
       return a.semester.localeCompare(b.semester);
     });
 
-    coverageCache.set(cacheKey, { data: coverageData, timestamp: Date.now() });
+    // The scan already succeeded, so a failing cache write is logged, not returned
+    try {
+      await getCacheStore('coverage').set(cacheKey, coverageData, CACHE_TTL);
+    } catch (error) {
+      console.error('Coverage cache write failed:', error);
+    }
+    // Completed scans feed the trend chart (see api/_history.js); cache hits are not new scans.
+    // recordScan logs and swallows its own write failures for the same reason.
+    await recordScan(deptNameTarget, toHistoryPoint(normalizeSessionFolderName(targetSessionQuery), coverageData));
 
     res.setHeader('X-Cache', forceRefresh ? 'BYPASS' : 'MISS');
     if (forceRefresh) {
       res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     } else {
-      res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=300, stale-while-revalidate=600'));
+    }
+    if (format !== 'json') {
+      return sendReport(res, format, buildCoverageReport(deptNameTarget, targetSessionQuery, coverageData),
+        `${deptNameTarget} coverage ${normalizeSessionFolderName(targetSessionQuery)}`);
     }
     return res.status(200).json({
       department: deptNameTarget,
@@ -289,4 +353,23 @@ module.exports = async (req, res) => {
   } finally {
     activeScans -= 1;
   }
-};
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleCoverage(req, res, getStorage());
+
+/**
+ * Build a coverage handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleCoverage(req, res, storage);
+
+// Scan helpers shared with api/coverage/summary.js
+module.exports.filterLevels = filterLevels;
+module.exports.normalizeSessionFolderName = normalizeSessionFolderName;
+module.exports.hasFilesDeep = hasFilesDeep;
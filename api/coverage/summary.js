@@ -0,0 +1,256 @@
+// Serverless Function: University Coverage Summary
+// One request for the whole department × level × semester × session matrix, so the Track
+// page can draw a heatmap instead of scanning departments one accordion at a time.
+// Cells use the same states as /api/coverage: uploaded, empty-folder, missing-folder.
+// The matrix is built once (from the crawled index when there is one) and cached; reps
+// get only their own department's rows.
+
+const {
+  normalizeFolderName,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth
+} = require('../_utils');
+const { cacheControlFor } = require('../_auth');
+const { TRACKER_ROLES, requireRole, canAccessDepartment } = require('../_roles');
+const { getStorage } = require('../_storage');
+const { getCacheStore, getCacheTtl } = require('../_cache');
+const { withIndex } = require('../_index');
+const { filterLevels, normalizeSessionFolderName, hasFilesDeep } = require('../coverage');
+const { statusLabel, parseFormat, sendReport } = require('../_report');
+
+// Whole-tree scans are costly; 30 minutes by default
+const CACHE_TTL = getCacheTtl('COVERAGE_SUMMARY_CACHE_TTL_SECONDS', 30 * 60 * 1000);
+const CACHE_KEY = 'summary';
+const SESSION_LABEL = /^\d{4}\/\d{2}$/;
+
+// A scan already running in this instance is shared instead of started twice
+let pendingScan = null;
+
+/**
+ * Percentage of uploaded cells, or null when there are none to count.
+ * @param {number} uploaded - Uploaded cells.
+ * @param {number} total - All cells.
+ * @returns {number|null} Whole percentage.
+ */
+function toPercent(uploaded, total) {
+  return total > 0 ? Math.round((uploaded / total) * 100) : null;
+}
+
+/**
+ * List the level/semester slots of one department with their session folders.
+ * Jupeb has no semester layer, so each subject is one "Full Year" slot.
+ * @param {Object} storage - Storage provider.
+ * @param {Object} department - Department folder.
+ * @returns {Promise<Array<{level: string, semester: string, sessions: Map}>>} Slots, sessions keyed by label.
+ */
+async function listSlots(storage, department) {
+  const departmentName = normalizeFolderName(department.name);
+  const levels = filterLevels(departmentName, await storage.listFolders(department.id));
+  const slots = [];
+
+  await Promise.all(levels.map(async (level) => {
+    const parents = departmentName === 'Jupeb'
+      ? [{ id: level.id, name: 'Full Year' }]
+      : await storage.listFolders(level.id);
+
+    await Promise.all(parents.map(async (semester) => {
+      const sessions = new Map();
+      for (const folder of await storage.listFolders(semester.id)) {
+        const label = normalizeSessionFolderName(folder.name);
+        if (SESSION_LABEL.test(label) && !sessions.has(label)) {
+          sessions.set(label, folder);
+        }
+      }
+      slots.push({ level: level.name, semester: semester.name, sessions });
+    }));
+  }));
+
+  slots.sort((a, b) => (a.level !== b.level
+    ? a.level.localeCompare(b.level)
+    : a.semester.localeCompare(b.semester)));
+  return slots;
+}
+
+/**
+ * Scan every department and build the coverage matrix.
+ * Sessions are every session folder found anywhere, latest first; a slot without a
+ * folder for one of them is missing-folder.
+ * @param {Object} storage - Storage provider.
+ * @returns {Promise<Object>} { sessions, departments, generatedAt }.
+ */
+async function buildSummary(storage) {
+  const departmentFolders = await storage.listFolders(storage.rootId);
+  const scanned = [];
+
+  // One department at a time keeps the number of parallel storage calls bounded
+  for (const folder of departmentFolders) {
+    scanned.push({ name: normalizeFolderName(folder.name), slots: await listSlots(storage, folder) });
+  }
+
+  const sessionSet = new Set();
+  scanned.forEach(({ slots }) => slots.forEach(slot => slot.sessions.forEach((_folder, label) => sessionSet.add(label))));
+  const sessions = Array.from(sessionSet).sort().reverse();
+
+  const departments = [];
+  for (const { name, slots } of scanned) {
+    const bySession = Object.fromEntries(sessions.map(session => [session, { uploaded: 0, total: 0 }]));
+    let uploaded = 0;
+
+    const rows = await Promise.all(slots.map(async (slot) => {
+      const statuses = await Promise.all(sessions.map(async (session) => {
+        const folder = slot.sessions.get(session);
+        if (!folder) return 'missing-folder';
+        return await hasFilesDeep(storage, folder.id) ? 'uploaded' : 'empty-folder';
+      }));
+      const cells = Object.fromEntries(sessions.map((session, i) => [session, statuses[i]]));
+      return { level: slot.level, semester: slot.semester, cells };
+    }));
+
+    rows.forEach(row => sessions.forEach((session) => {
+      bySession[session].total += 1;
+      if (row.cells[session] === 'uploaded') {
+        bySession[session].uploaded += 1;
+        uploaded += 1;
+      }
+    }));
+
+    departments.push({
+      department: name,
+      completion: toPercent(uploaded, rows.length * sessions.length),
+      sessions: Object.fromEntries(sessions.map(session => [session, {
+        ...bySession[session],
+        completion: toPercent(bySession[session].uploaded, bySession[session].total)
+      }])),
+      rows
+    });
+  }
+
+  return { sessions, departments, generatedAt: Date.now() };
+}
+
+/**
+ * Build the exportable whole-university report (see api/_report.js).
+ * @param {Array<string>} sessions - Session labels, latest first.
+ * @param {Array} departments - Departments the reader may see.
+ * @param {number|null} completion - Overall completion.
+ * @param {number} generatedAt - Scan time.
+ * @returns {Object} Report.
+ */
+function buildSummaryReport(sessions, departments, completion, generatedAt) {
+  const percent = value => (value === null || value === undefined ? '' : `${value}%`);
+
+  return {
+    title: 'University coverage report',
+    subtitle: `${completion === null ? 'No slots found' : `${completion}% of slots uploaded`}, scanned ${new Date(generatedAt).toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+    sections: [
+      {
+        heading: 'Completion by department',
+        columns: ['Department', ...sessions, 'Overall'],
+        rows: departments.map(entry => [
+          entry.department,
+          ...sessions.map(session => percent(entry.sessions[session] && entry.sessions[session].completion)),
+          percent(entry.completion)
+        ])
+      },
+      {
+        heading: 'Levels',
+        columns: ['Department', 'Level', 'Semester', ...sessions],
+        rows: departments.flatMap(entry => entry.rows.map(row => [
+          entry.department,
+          row.level,
+          row.semester,
+          ...sessions.map(session => statusLabel(row.cells[session]))
+        ]))
+      }
+    ]
+  };
+}
+
+/**
+ * Handle a summary request against a storage provider.
+ * Query: refresh=1 rescans live storage (bypasses the cache and the index);
+ * format=csv (download) or format=html (printable report) instead of JSON.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider (see api/_storage).
+ */
+async function handleCoverageSummary(req, res, storage) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+  if (await requireRole(req, res, TRACKER_ROLES)) return;
+
+  const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
+  const format = parseFormat(req.query);
+
+  if (!format) {
+    return res.status(400).json({ error: 'format must be one of: json, csv, html' });
+  }
+
+  if (!storage.isConfigured()) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  try {
+    const store = getCacheStore('coverage');
+    const cached = forceRefresh ? null : await store.get(CACHE_KEY);
+    let summary = cached ? cached.value : null;
+
+    if (!summary) {
+      if (!pendingScan) {
+        pendingScan = (async () => {
+          const source = forceRefresh ? storage : await withIndex(storage);
+          const result = await buildSummary(source);
+          await store.set(CACHE_KEY, result, CACHE_TTL);
+          return result;
+        })().finally(() => {
+          pendingScan = null;
+        });
+      }
+      summary = await pendingScan;
+    }
+
+    const departments = summary.departments.filter(entry => canAccessDepartment(req.role, entry.department));
+    const uploaded = departments.reduce((total, entry) => total + Object.values(entry.sessions)
+      .reduce((sum, session) => sum + session.uploaded, 0), 0);
+    const cells = departments.reduce((total, entry) => total + entry.rows.length * summary.sessions.length, 0);
+    const completion = toPercent(uploaded, cells);
+
+    res.setHeader('X-Cache', forceRefresh ? 'BYPASS' : (cached ? 'HIT' : 'MISS'));
+    if (forceRefresh) {
+      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    } else {
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=300, stale-while-revalidate=600'));
+    }
+    if (format !== 'json') {
+      return sendReport(res, format,
+        buildSummaryReport(summary.sessions, departments, completion, summary.generatedAt),
+        `University coverage ${new Date(summary.generatedAt).toISOString().slice(0, 10)}`);
+    }
+    return res.status(200).json({
+      sessions: summary.sessions,
+      completion,
+      departments,
+      generatedAt: summary.generatedAt,
+      cached: Boolean(cached)
+    });
+  } catch (error) {
+    console.error('Coverage summary error:', error);
+    return res.status(500).json({ error: 'Failed to generate coverage summary', message: error.message });
+  }
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleCoverageSummary(req, res, getStorage());
+
+/**
+ * Build a summary handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleCoverageSummary(req, res, storage);
@@ -0,0 +1,97 @@
+// Serverless Function: Storage Index Status and Rebuild
+// Reports the crawled index browse, search and coverage read from (see api/_index.js).
+// ?rebuild=1 crawls the whole tree again (admins only); add &incremental=1 to only re-list
+// files of folders whose modifiedTime changed since the last crawl.
+// A full crawl of a large Drive can outlast a serverless time limit; scripts/build-index.js
+// runs the same crawl from a terminal or a scheduled job.
+// Files the rebuild finds that the previous index did not hold are pushed to the students
+// following their department or level (api/_push.js).
+
+const { setupCors, handlePreflightAndMethodGuard, requireAuth } = require('./_utils');
+const { ROLES, TRACKER_ROLES, requireRole } = require('./_roles');
+const { getStorage } = require('./_storage');
+const { loadIndex, rebuildIndex, describeIndex } = require('./_index');
+const { notifyFollowers } = require('./_push');
+
+// One crawl at a time per instance: overlapping crawls only double the Drive calls
+let activeRebuild = false;
+
+/**
+ * Handle an index status or rebuild request against a storage provider.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider (see api/_storage).
+ */
+async function handleDriveIndex(req, res, storage) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+
+  const rebuild = req.query.rebuild === '1';
+  const incremental = req.query.incremental === '1';
+  if (await requireRole(req, res, rebuild ? [ROLES.ADMIN] : TRACKER_ROLES)) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!storage.isConfigured()) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'API credentials not configured.'
+    });
+  }
+
+  if (!rebuild) {
+    return res.status(200).json(describeIndex(await loadIndex(storage)));
+  }
+
+  if (activeRebuild) {
+    return res.status(409).json({
+      error: 'Rebuild already running',
+      code: 'REBUILD_RUNNING',
+      message: 'An index rebuild is already in progress. Try again when it finishes.'
+    });
+  }
+
+  activeRebuild = true;
+  const startedAt = Date.now();
+
+  try {
+    const { index, stats, added } = await rebuildIndex(storage, { incremental });
+    // The index is already saved; a failed delivery must not report the rebuild as failed
+    const push = await notifyFollowers(added).catch((error) => {
+      console.error('New-file notifications failed:', error);
+      return null;
+    });
+    return res.status(200).json({
+      ...describeIndex(index),
+      rebuilt: true,
+      listedFolders: stats.listedFolders,
+      reusedFolders: stats.reusedFolders,
+      addedFiles: added.length,
+      notified: push ? push.sent : 0,
+      durationMs: Date.now() - startedAt
+    });
+  } catch (error) {
+    console.error('Index rebuild failed:', error);
+    return res.status(500).json({
+      error: 'Failed to rebuild index',
+      message: error.message
+    });
+  } finally {
+    activeRebuild = false;
+  }
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleDriveIndex(req, res, getStorage());
+
+/**
+ * Build an index handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleDriveIndex(req, res, storage);
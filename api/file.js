@@ -0,0 +1,207 @@
+// Serverless Function: Same-Origin PDF Proxy
+// Streams a past-question PDF's bytes through our own origin, so the in-app viewer
+// (and the installed PWA) can load it without leaving the app or calling Google directly.
+// Only files inside the configured root tree are served. Supports ETag revalidation and
+// single byte ranges, which pdf.js uses to fetch large files a chunk at a time.
+
+const {
+  isValidDriveId,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  buildContentDisposition,
+  parseByteRange,
+  pipeStream
+} = require('./_utils');
+const { getStorage } = require('./_storage');
+const { TRACKER_ROLES, requireRole } = require('./_roles');
+const { getCacheStore, getCacheTtl } = require('./_cache');
+
+// Department/Level/Semester/Session/file.pdf plus room for nested course folders
+const MAX_FILE_DEPTH = 8;
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Verified file metadata, keyed by provider + file ID, 30 minutes by default like browse
+// (memory per instance, or shared; see api/_cache.js). A viewer issues many range
+// requests per file; this keeps each one from re-walking the parent chain.
+const CACHE_TTL = getCacheTtl('FILE_CACHE_TTL_SECONDS', 30 * 60 * 1000);
+
+/**
+ * Look up a file and check that it is a PDF inside the root tree.
+ * @param {Object} storage - Storage provider.
+ * @param {string} fileId - File ID.
+ * @param {boolean} forceRefresh - Skip the metadata cache.
+ * @returns {Promise<Object|null>} { name, size, etag, lastModified }, or null if not servable.
+ */
+async function getFileMeta(storage, fileId, forceRefresh) {
+  const cache = getCacheStore('file');
+  const key = `${storage.name}:${fileId}`;
+  const cached = forceRefresh ? null : await cache.get(key);
+  if (cached) {
+    return cached.value;
+  }
+
+  // Proves the file lives under the root folder; anything else is "not found"
+  const ancestry = await storage.resolveAncestry(fileId, MAX_FILE_DEPTH);
+  const file = ancestry && ancestry[ancestry.length - 1];
+
+  if (!file || file.mimeType !== PDF_MIME_TYPE) {
+    await cache.delete(key);
+    return null;
+  }
+
+  const size = Number.parseInt(file.size, 10);
+  const modified = Date.parse(file.modifiedTime);
+  const meta = {
+    name: file.name,
+    size: Number.isFinite(size) ? size : null,
+    etag: buildEtag(file, size, modified),
+    lastModified: Number.isFinite(modified) ? new Date(modified).toUTCString() : null
+  };
+
+  await cache.set(key, meta, CACHE_TTL);
+  return meta;
+}
+
+/**
+ * Build a strong ETag from the file's checksum, or its size and modified time.
+ * @param {Object} file - Item from resolveAncestry.
+ * @param {number} size - File size in bytes (NaN when unknown).
+ * @param {number} modified - Modified time in ms (NaN when unknown).
+ * @returns {string|null} Quoted ETag, or null when nothing identifies the version.
+ */
+function buildEtag(file, size, modified) {
+  if (file.md5Checksum) return `"${file.md5Checksum}"`;
+  if (!Number.isFinite(size) || !Number.isFinite(modified)) return null;
+  return `"${size.toString(16)}-${modified.toString(16)}"`;
+}
+
+/**
+ * Check an If-None-Match header against the current ETag.
+ * @param {string} header - If-None-Match request header.
+ * @param {string} etag - Current ETag.
+ * @returns {boolean} True when the client's copy is current.
+ */
+function matchesEtag(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Set caching and validator headers shared by 200/206/304 responses.
+ * @param {Object} res - HTTP response.
+ * @param {Object} file - Metadata from getFileMeta.
+ * @param {boolean} forceRefresh - Whether the client asked for fresh data.
+ */
+function setValidatorHeaders(res, file, forceRefresh) {
+  res.setHeader('Cache-Control', forceRefresh ? 'no-store, no-cache, must-revalidate' : 'private, max-age=3600');
+  if (file.etag) res.setHeader('ETag', file.etag);
+  if (file.lastModified) res.setHeader('Last-Modified', file.lastModified);
+  if (file.size !== null) res.setHeader('Accept-Ranges', 'bytes');
+}
+
+/**
+ * Handle a file request against a storage provider.
+ *
+ * Query parameters:
+ * - id: File ID from a browse listing
+ * - download: "1" to send the file as an attachment instead of inline
+ * - refresh/force: "1" to re-verify the file instead of using cached metadata
+ *
+ * Honours Range (single range), If-Range and If-None-Match request headers.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider (see api/_storage).
+ */
+async function handleFile(req, res, storage) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'HEAD'])) return;
+  if (requireAuth(req, res)) return;
+
+  const fileId = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+
+  if (!storage.isConfigured()) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  if (!isValidDriveId(fileId)) {
+    return res.status(400).json({ error: 'Invalid query parameter', message: 'id is not a valid file ID.' });
+  }
+
+  const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
+  const headers = req.headers || {};
+
+  // Re-verifying against the root tree is a force refresh: reps and executives only
+  if (forceRefresh && await requireRole(req, res, TRACKER_ROLES)) return;
+
+  try {
+    const file = await getFileMeta(storage, fileId, forceRefresh);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Validators first, so 304/416 answers carry no PDF headers
+    if (matchesEtag(headers['if-none-match'], file.etag)) {
+      setValidatorHeaders(res, file, forceRefresh);
+      return res.status(304).end();
+    }
+
+    // If-Range: only honour the range when the client's copy is still current
+    const ifRange = headers['if-range'];
+    const rangeHeader = !ifRange || ifRange === file.etag ? headers.range : undefined;
+    const range = file.size !== null ? parseByteRange(rangeHeader, file.size) : null;
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'Range not satisfiable' });
+    }
+
+    const { stream, size } = await storage.openFile(fileId, range);
+    const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', PDF_MIME_TYPE);
+    res.setHeader('Content-Disposition', buildContentDisposition(file.name, disposition));
+    setValidatorHeaders(res, file, forceRefresh);
+
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+      res.setHeader('Content-Length', String(range.end - range.start + 1));
+      res.status(206);
+    } else {
+      const length = size !== null ? size : file.size;
+      if (length !== null) res.setHeader('Content-Length', String(length));
+      res.status(200);
+    }
+
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      return res.end();
+    }
+
+    await pipeStream(stream, res);
+  } catch (error) {
+    console.error('Error in file endpoint:', error);
+    if (res.headersSent) {
+      // pipeStream has already ended the response
+      return;
+    }
+    const status = error.statusCode === 404 ? 404 : 502;
+    return res.status(status).json({ error: 'Failed to fetch file', message: error.message });
+  }
+}
+
+/**
+ * Main handler for Vercel serverless function (storage chosen by environment).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = (req, res) => handleFile(req, res, getStorage());
+
+/**
+ * Build a file handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleFile(req, res, storage);
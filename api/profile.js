@@ -0,0 +1,257 @@
+// Serverless Function: Student Profile
+// Favorites, recently opened files and the home department/level for the signed-in
+// student, so they follow the student between devices. The browser keeps its own copy
+// (js/profile-store.js) and sends it here to merge whenever it changes.
+//
+// GET                              { profile }
+// PUT { favorites, recent, home? } merge with the stored profile; returns the merged { profile }
+//
+// Merging is per item: the newer updatedAt (favorites, home) or viewedAt (recent) wins,
+// so a star added on one device and removed later on another stays removed. Removed
+// favorites are kept as { removed: true } for REMOVED_FAVORITE_DAYS so every device
+// hears about them, then forgotten. home is { department, level, session } from
+// onboarding, or { skipped: true } when the student chose to browse everything.
+
+const {
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable
+} = require('./_utils');
+const { getDatastore } = require('./_datastore');
+
+const MAX_FAVORITES = 200;
+const MAX_RECENT = 20;
+const REMOVED_FAVORITE_DAYS = 90;
+const MAX_ID_LENGTH = 200;
+const MAX_NAME_LENGTH = 300;
+const MAX_FOLDER_LENGTH = 120;
+const FAVORITE_KINDS = new Set(['file', 'department']);
+
+/**
+ * Read an optional string field.
+ * @param {*} value - Raw value.
+ * @param {number} maxLength - Longest allowed value.
+ * @returns {string|null} Trimmed string, or null when absent or invalid.
+ */
+function readString(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text || text.length > maxLength || /[\u0000-\u001F\u007F]/.test(text)) return null;
+  return text;
+}
+
+/**
+ * Read a timestamp. Ones from the future (a device clock running fast) are brought back
+ * to now, so they cannot win every later merge.
+ * @param {*} value - Raw value (ms since epoch).
+ * @param {number} now - Current time in ms.
+ * @returns {number|null} Timestamp, or null when invalid.
+ */
+function readTimestamp(value, now) {
+  return Number.isFinite(value) && value > 0 ? Math.floor(Math.min(value, now)) : null;
+}
+
+/**
+ * Read the folder a file lives in.
+ * @param {*} value - Raw { department, level, semester, session }.
+ * @returns {{department: string|null, level: string|null, semester: string|null, session: string|null}} Folder.
+ */
+function readFolder(value) {
+  const folder = value && typeof value === 'object' ? value : {};
+  return {
+    department: readString(folder.department, MAX_FOLDER_LENGTH),
+    level: readString(folder.level, MAX_FOLDER_LENGTH),
+    semester: readString(folder.semester, MAX_FOLDER_LENGTH),
+    session: readString(folder.session, MAX_FOLDER_LENGTH)
+  };
+}
+
+/**
+ * Check one favorite from the request body.
+ * @param {*} value - Raw favorite.
+ * @param {number} now - Current time in ms.
+ * @returns {Object|null} Favorite, or null when invalid.
+ */
+function parseFavorite(value, now) {
+  if (!value || typeof value !== 'object' || !FAVORITE_KINDS.has(value.kind)) return null;
+
+  const id = readString(value.id, MAX_ID_LENGTH);
+  const updatedAt = readTimestamp(value.updatedAt, now);
+  if (!id || !updatedAt) return null;
+
+  const favorite = {
+    key: `${value.kind}:${id}`,
+    kind: value.kind,
+    id,
+    name: readString(value.name, MAX_NAME_LENGTH) || id,
+    updatedAt
+  };
+  if (value.removed === true) {
+    return { ...favorite, removed: true };
+  }
+  if (value.kind === 'file') {
+    favorite.courseCode = readString(value.courseCode, MAX_FOLDER_LENGTH);
+    favorite.folder = readFolder(value.folder);
+  }
+  return favorite;
+}
+
+/**
+ * Check one recently opened file from the request body.
+ * @param {*} value - Raw entry.
+ * @param {number} now - Current time in ms.
+ * @returns {Object|null} Entry, or null when invalid.
+ */
+function parseRecent(value, now) {
+  if (!value || typeof value !== 'object') return null;
+
+  const id = readString(value.id, MAX_ID_LENGTH);
+  const viewedAt = readTimestamp(value.viewedAt, now);
+  if (!id || !viewedAt) return null;
+
+  return {
+    id,
+    name: readString(value.name, MAX_NAME_LENGTH) || id,
+    courseCode: readString(value.courseCode, MAX_FOLDER_LENGTH),
+    folder: readFolder(value.folder),
+    viewedAt
+  };
+}
+
+/**
+ * Check the home department and level from the request body.
+ * @param {*} value - Raw home.
+ * @param {number} now - Current time in ms.
+ * @returns {Object|null} Home, or null when absent or invalid.
+ */
+function parseHome(value, now) {
+  if (!value || typeof value !== 'object') return null;
+
+  const updatedAt = readTimestamp(value.updatedAt, now);
+  if (!updatedAt) return null;
+  if (value.skipped === true) {
+    return { skipped: true, updatedAt };
+  }
+
+  const department = readString(value.department, MAX_FOLDER_LENGTH);
+  const level = readString(value.level, MAX_FOLDER_LENGTH);
+  if (!department || !level) return null;
+  return { department, level, session: readString(value.session, MAX_FOLDER_LENGTH), updatedAt };
+}
+
+/**
+ * Keep the newest version of each item.
+ * @param {Array} items - Items from both sides.
+ * @param {string} idField - Field that identifies an item.
+ * @param {string} timeField - Field that orders versions.
+ * @returns {Array} One item per id, newest first.
+ */
+function newestById(items, idField, timeField) {
+  const byId = new Map();
+  for (const item of items) {
+    const current = byId.get(item[idField]);
+    if (!current || item[timeField] > current[timeField]) {
+      byId.set(item[idField], item);
+    }
+  }
+  return [...byId.values()].sort((a, b) => b[timeField] - a[timeField]);
+}
+
+/**
+ * Merge a stored profile with one sent by a browser.
+ * @param {{favorites: Array, recent: Array, home: Object|null}} stored - Stored profile.
+ * @param {{favorites: Array, recent: Array, home: Object|null}} incoming - Checked profile from the request.
+ * @param {number} now - Current time in ms.
+ * @returns {{favorites: Array, recent: Array, home: Object|null}} Merged profile.
+ */
+function mergeProfiles(stored, incoming, now) {
+  const forgetBefore = now - REMOVED_FAVORITE_DAYS * 24 * 60 * 60 * 1000;
+  const favorites = newestById([...incoming.favorites, ...stored.favorites], 'key', 'updatedAt');
+  const starred = favorites.filter(item => !item.removed).slice(0, MAX_FAVORITES);
+  const removed = favorites
+    .filter(item => item.removed && item.updatedAt >= forgetBefore)
+    .slice(0, MAX_FAVORITES);
+
+  return {
+    favorites: [...starred, ...removed].sort((a, b) => b.updatedAt - a.updatedAt),
+    recent: newestById([...incoming.recent, ...stored.recent], 'id', 'viewedAt').slice(0, MAX_RECENT),
+    home: !stored.home || (incoming.home && incoming.home.updatedAt > stored.home.updatedAt)
+      ? incoming.home
+      : stored.home
+  };
+}
+
+/**
+ * Read a stored profile record.
+ * @param {Object|null} record - Stored record.
+ * @returns {{favorites: Array, recent: Array, home: Object|null}} Profile (empty when nothing is stored).
+ */
+function toProfile(record) {
+  return {
+    favorites: record && Array.isArray(record.favorites) ? record.favorites : [],
+    recent: record && Array.isArray(record.recent) ? record.recent : [],
+    home: record && record.home ? record.home : null
+  };
+}
+
+/**
+ * Handle a profile call.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+async function handleProfile(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'PUT'])) return;
+  if (requireAuth(req, res)) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  // With sign-in turned off there is no student to keep a profile for; the browser's
+  // own copy still works, so this is not an auth error the client should act on
+  const email = req.auth && req.auth.email ? String(req.auth.email).toLowerCase() : null;
+  if (!email) {
+    return res.status(403).json({
+      error: 'Profile sync is not available',
+      code: 'PROFILE_UNAVAILABLE',
+      message: 'Favorites are only synced when sign-in is enabled.'
+    });
+  }
+
+  const store = getDatastore('profiles');
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ profile: toProfile(await store.read(email)) });
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    if (!Array.isArray(body.favorites) || !Array.isArray(body.recent)) {
+      return res.status(400).json({
+        error: 'Invalid profile',
+        message: 'favorites and recent must be arrays.'
+      });
+    }
+
+    const now = Date.now();
+    // More than one full profile's worth of items cannot come from a real browser
+    const incoming = {
+      favorites: body.favorites.slice(0, MAX_FAVORITES * 2).map(item => parseFavorite(item, now)).filter(Boolean),
+      recent: body.recent.slice(0, MAX_RECENT).map(item => parseRecent(item, now)).filter(Boolean),
+      home: parseHome(body.home, now)
+    };
+
+    let profile;
+    await store.update(email, (record) => {
+      profile = mergeProfiles(toProfile(record), incoming, now);
+      return { ...profile, updatedAt: now };
+    });
+    return res.status(200).json({ profile });
+  } catch (error) {
+    if (sendStoreUnavailable(res, error)) return;
+    console.error('Profile error:', error);
+    return res.status(500).json({ error: 'Failed to update profile', message: error.message });
+  }
+}
+
+module.exports = handleProfile;
@@ -0,0 +1,164 @@
+// Serverless Function: Push Subscriptions
+// Browsers register here to be told when new papers land in a department or level they
+// follow (delivery: api/_push.js, after each index rebuild).
+//
+// GET                                               { enabled, publicKey } for PushManager.subscribe
+// POST   { subscription, department?, level? }      follow; without a department, just list follows
+// DELETE { subscription, department, level? }       unfollow; the last unfollow forgets the browser
+//
+// subscription is the browser's PushSubscription JSON ({ endpoint, keys: { p256dh, auth } }).
+
+const {
+  normalizeFolderName,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable
+} = require('./_utils');
+const { getDatastore } = require('./_datastore');
+const { getVapidConfig, isAllowedEndpoint } = require('./_webpush');
+const { subscriptionKey } = require('./_push');
+
+const MAX_FOLLOWS = 20;
+const MAX_ENDPOINT_LENGTH = 2048;
+const MAX_PARAM_LENGTH = 120;
+
+/**
+ * Read and check a PushSubscription from the request body.
+ * @param {*} value - Raw subscription.
+ * @returns {{endpoint: string, keys: {p256dh: string, auth: string}}|null} Subscription, or null when invalid.
+ */
+function parseSubscription(value) {
+  if (!value || typeof value !== 'object' || !value.keys || typeof value.keys !== 'object') return null;
+
+  const { endpoint } = value;
+  const { p256dh, auth } = value.keys;
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH || !isAllowedEndpoint(endpoint)) {
+    return null;
+  }
+  if (typeof p256dh !== 'string' || typeof auth !== 'string') return null;
+
+  // An uncompressed P-256 point and a 16-byte auth secret, as browsers generate them
+  const publicKey = Buffer.from(p256dh, 'base64url');
+  if (publicKey.length !== 65 || publicKey[0] !== 4 || Buffer.from(auth, 'base64url').length !== 16) {
+    return null;
+  }
+  return { endpoint, keys: { p256dh, auth } };
+}
+
+/**
+ * Read an optional folder name from the request body.
+ * @param {*} value - Raw value.
+ * @returns {string|null} Normalized name, '' when absent, null when invalid.
+ */
+function parseFolder(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name.length > MAX_PARAM_LENGTH || /[\u0000-\u001F\u007F\\]/.test(name)) {
+    return null;
+  }
+  return name ? normalizeFolderName(name.replace(/~/g, '/')) : '';
+}
+
+/**
+ * Whether two follows name the same folder.
+ * @param {{department: string, level: string|null}} a - Follow.
+ * @param {{department: string, level: string|null}} b - Follow.
+ * @returns {boolean} True when equal.
+ */
+function sameFollow(a, b) {
+  return a.department.toLowerCase() === b.department.toLowerCase() &&
+    String(a.level || '').toLowerCase() === String(b.level || '').toLowerCase();
+}
+
+/**
+ * Handle a push subscription call.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+async function handlePush(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'POST', 'DELETE'])) return;
+  if (requireAuth(req, res)) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+  const vapid = getVapidConfig();
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ enabled: Boolean(vapid), publicKey: vapid ? vapid.publicKey : null });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const subscription = parseSubscription(body.subscription);
+  if (!subscription) {
+    return res.status(400).json({ error: 'Invalid push subscription' });
+  }
+
+  const department = parseFolder(body.department);
+  const level = parseFolder(body.level);
+  if (department === null || level === null || (level && !department)) {
+    return res.status(400).json({ error: 'Invalid department or level value' });
+  }
+  if (req.method === 'DELETE' && !department) {
+    return res.status(400).json({ error: 'Missing department' });
+  }
+  if (!vapid && department) {
+    return res.status(503).json({
+      error: 'Push notifications are not configured',
+      code: 'PUSH_DISABLED',
+      message: 'Set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT to enable them.'
+    });
+  }
+
+  const store = getDatastore('push-subscriptions');
+  const key = subscriptionKey(subscription.endpoint);
+  const target = { department, level: level || null };
+  const now = Date.now();
+  let follows = [];
+  let tooMany = false;
+
+  try {
+    if (!department) {
+      const record = await store.read(key);
+      follows = record && Array.isArray(record.follows) ? record.follows : [];
+      return res.status(200).json({ enabled: Boolean(vapid), follows });
+    }
+
+    await store.update(key, (record) => {
+      follows = record && Array.isArray(record.follows) ? record.follows : [];
+
+      if (req.method === 'DELETE') {
+        follows = follows.filter(follow => !sameFollow(follow, target));
+        return follows.length > 0 ? { ...record, follows, updatedAt: now } : null;
+      }
+
+      if (!follows.some(follow => sameFollow(follow, target))) {
+        tooMany = follows.length >= MAX_FOLLOWS;
+        if (!tooMany) follows = [...follows, target];
+      }
+      return {
+        ...subscription,
+        email: req.auth && req.auth.email ? req.auth.email : null,
+        follows,
+        createdAt: record && record.createdAt ? record.createdAt : now,
+        updatedAt: now
+      };
+    });
+    // Unfollowing the last folder drops the subscription rather than keeping an empty record
+    if (req.method === 'DELETE' && follows.length === 0) await store.delete(key);
+  } catch (error) {
+    if (sendStoreUnavailable(res, error)) return;
+    console.error('Push subscription error:', error);
+    return res.status(500).json({ error: 'Failed to update push subscription', message: error.message });
+  }
+
+  if (tooMany) {
+    return res.status(400).json({
+      error: 'Too many follows',
+      code: 'TOO_MANY_FOLLOWS',
+      message: `A browser can follow at most ${MAX_FOLLOWS} departments and levels.`
+    });
+  }
+  return res.status(200).json({ enabled: true, follows });
+}
+
+module.exports = handlePush;
@@ -0,0 +1,116 @@
+// Serverless Function: Recently Added Past Questions
+// The most recently added or modified PDFs across the whole tree, newest first, for the
+// "Recently added" section on the home page. Reads the same tree listing as search
+// (api/_tree.js), so it costs no extra Drive calls once search or the index has run.
+//
+// GET ?department=&level=&limit=   department and level narrow the feed (~ stands for /)
+
+const {
+  normalizeFolderName,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth
+} = require('./_utils');
+const { cacheControlFor } = require('./_auth');
+const { TRACKER_ROLES, requireRole } = require('./_roles');
+const { getTreeEntries, getIndexedEntries, toFileResult } = require('./_tree');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_PARAM_LENGTH = 120;
+
+// Newest-first copy of the last tree listing seen, so it is not re-sorted per request
+const sortedEntries = { source: null, data: null };
+
+/**
+ * Read an optional folder-name filter.
+ * @param {*} value - Raw query value.
+ * @returns {string|null} Normalized name, '' when absent, null when invalid.
+ */
+function parseFolderFilter(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name.length > MAX_PARAM_LENGTH || /[\u0000-\u001F\u007F\\]/.test(name)) {
+    return null;
+  }
+  return name ? normalizeFolderName(name.replace(/~/g, '/')).toLowerCase() : '';
+}
+
+/**
+ * Order tree entries newest first (files without a modified time go last).
+ * @param {Array} entries - Tree entries ({ file, segments }).
+ * @returns {Array} Sorted copy, reused while the listing is unchanged.
+ */
+function newestFirst(entries) {
+  if (sortedEntries.source !== entries) {
+    const time = entry => Date.parse(entry.file.modifiedTime) || 0;
+    sortedEntries.data = entries.slice().sort((a, b) => time(b) - time(a));
+    sortedEntries.source = entries;
+  }
+  return sortedEntries.data;
+}
+
+/**
+ * Main handler for Vercel serverless function.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = async (req, res) => {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+
+  const apiKey = process.env.GOOGLE_DRIVE_API_KEY;
+  const rootFolderId = process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID;
+  const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
+
+  // A forced feed rebuilds the whole-tree listing: reps and executives only
+  if (forceRefresh && await requireRole(req, res, TRACKER_ROLES)) return;
+
+  const department = parseFolderFilter(req.query.department);
+  const level = parseFolderFilter(req.query.level);
+  if (department === null || level === null) {
+    return res.status(400).json({ error: 'Invalid department or level value' });
+  }
+  if (level && !department) {
+    return res.status(400).json({ error: 'level needs a department' });
+  }
+
+  const requestedLimit = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+    ? Math.min(requestedLimit, MAX_LIMIT)
+    : DEFAULT_LIMIT;
+
+  const indexed = forceRefresh ? null : await getIndexedEntries();
+
+  if (!indexed && (!apiKey || !rootFolderId)) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  try {
+    const { entries, cached } = indexed
+      ? { entries: indexed, cached: true }
+      : await getTreeEntries(rootFolderId, apiKey, forceRefresh);
+
+    const matches = newestFirst(entries).filter(({ segments }) =>
+      (!department || String(segments[0]).toLowerCase() === department) &&
+      (!level || String(segments[1]).toLowerCase() === level));
+
+    res.setHeader('X-Cache', forceRefresh ? 'BYPASS' : (cached ? 'HIT' : 'MISS'));
+    if (forceRefresh) {
+      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    } else {
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=1800, stale-while-revalidate=3600'));
+    }
+    return res.status(200).json({
+      department: department ? req.query.department.trim() : null,
+      level: level ? req.query.level.trim() : null,
+      data: matches.slice(0, limit).map(toFileResult),
+      total: matches.length,
+      cached,
+      forceRefresh
+    });
+  } catch (error) {
+    console.error('Error in recent endpoint:', error);
+    return res.status(500).json({ error: 'Failed to list recent files', message: error.message });
+  }
+};
@@ -0,0 +1,249 @@
+// Serverless Function: Missing-Paper Requests
+// Students ask for a paper from a folder that has none yet; reps and executives see the
+// most-requested ones per department on the Track page.
+//
+// POST   { path, courseCode? }     any signed-in student; one vote per student per paper
+// GET    ?department=&limit=       reps (own department) and executives: ranked requests
+// DELETE ?department=&id=          reps and executives: clear a request once it is uploaded
+//
+// Requests live in the "requests" data store (api/_datastore.js), one record per department:
+// { department, papers: [{ id, path, courseCode, level, semester, session, count, voters,
+//   firstRequestedAt, lastRequestedAt }] }. Voters are hashed emails, never the addresses.
+
+const crypto = require('crypto');
+const {
+  normalizeFolderName,
+  normalizeCourseCode,
+  parseBrowsePath,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable
+} = require('./_utils');
+const { TRACKER_ROLES, requireRole, canAccessDepartment } = require('./_roles');
+const { getDatastore } = require('./_datastore');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Oldest, least-requested papers are dropped past this, so one department cannot grow forever
+const MAX_PAPERS_PER_DEPARTMENT = 500;
+const MAX_PARAM_LENGTH = 120;
+
+/**
+ * Stable ID for a requested paper: one folder, one course code.
+ * @param {string} path - Folder path.
+ * @param {string|null} courseCode - Canonical course code.
+ * @returns {string} Paper ID.
+ */
+function paperId(path, courseCode) {
+  return crypto.createHash('sha256').update(`${path}|${courseCode || ''}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash a voter's email so the store never holds addresses.
+ * @param {string} email - Signed-in email.
+ * @returns {string} Voter hash.
+ */
+function voterId(email) {
+  return crypto.createHash('sha256').update(`curb-request:${email}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Order papers by votes, then by most recent request.
+ * @param {Object} a - Paper.
+ * @param {Object} b - Paper.
+ * @returns {number} Sort order.
+ */
+function byRank(a, b) {
+  return b.count - a.count || b.lastRequestedAt - a.lastRequestedAt;
+}
+
+/**
+ * Public view of a paper (voters stay on the server).
+ * @param {Object} paper - Stored paper.
+ * @returns {Object} Paper without voters.
+ */
+function toPublicPaper({ voters, ...paper }) {
+  return paper;
+}
+
+/**
+ * Read and check a department query value.
+ * @param {*} value - Raw value.
+ * @returns {string|null} Normalized department, '' when absent, null when invalid.
+ */
+function parseDepartment(value) {
+  const department = typeof value === 'string' ? value.trim() : '';
+  if (department.length > MAX_PARAM_LENGTH || /[\u0000-\u001F\u007F\\]/.test(department)) {
+    return null;
+  }
+  return department ? normalizeFolderName(department.replace(/~/g, '/')) : '';
+}
+
+/**
+ * Record a student's request for a paper.
+ * @param {Object} req - HTTP request (JSON body { path, courseCode }).
+ * @param {Object} res - HTTP response.
+ * @param {Object} store - Data store.
+ */
+async function createRequest(req, res, store) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const parsed = parseBrowsePath(body.path);
+  if (parsed.error) {
+    return res.status(400).json({ error: 'Invalid path', message: parsed.error });
+  }
+
+  // A paper lives in a session folder: Dept/Level/Semester/Session, or Jupeb/Subject/Session
+  const { segments } = parsed;
+  if (segments.length < 3 || segments.length > 4) {
+    return res.status(400).json({ error: 'Invalid path', message: 'path must point to a session folder.' });
+  }
+
+  const rawCourse = typeof body.courseCode === 'string' ? body.courseCode.trim() : '';
+  const courseCode = rawCourse ? normalizeCourseCode(rawCourse) : null;
+  if (rawCourse && !courseCode) {
+    return res.status(400).json({
+      error: 'Invalid course code',
+      message: 'courseCode must look like a course code (e.g. "CSC 201").'
+    });
+  }
+
+  const path = `/${segments.join('/')}`;
+  const department = normalizeFolderName(segments[0].replace(/~/g, '/'));
+  const id = paperId(path, courseCode);
+  // Without sign-in there is no one to tell apart, so every request counts
+  const voter = req.auth && req.auth.email ? voterId(req.auth.email) : null;
+  const now = Date.now();
+  let paper;
+  let alreadyRequested = false;
+
+  await store.update(department, (record) => {
+    const papers = record && Array.isArray(record.papers) ? record.papers : [];
+    paper = papers.find(item => item.id === id);
+
+    if (!paper) {
+      paper = {
+        id,
+        path,
+        courseCode,
+        level: segments[1],
+        semester: segments.length === 4 ? segments[2] : null,
+        session: segments[segments.length - 1],
+        count: 0,
+        voters: [],
+        firstRequestedAt: now,
+        lastRequestedAt: now
+      };
+      papers.push(paper);
+    }
+
+    alreadyRequested = Boolean(voter) && paper.voters.includes(voter);
+    if (!alreadyRequested) {
+      paper.count += 1;
+      paper.lastRequestedAt = now;
+      if (voter) paper.voters.push(voter);
+    }
+
+    return {
+      department,
+      papers: papers.sort(byRank).slice(0, MAX_PAPERS_PER_DEPARTMENT)
+    };
+  });
+
+  return res.status(200).json({ ok: true, alreadyRequested, paper: toPublicPaper(paper) });
+}
+
+/**
+ * List the most-requested papers per department.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} store - Data store.
+ */
+async function listRequests(req, res, store) {
+  const department = parseDepartment(req.query.department);
+  if (department === null) {
+    return res.status(400).json({ error: 'Invalid department value' });
+  }
+
+  const requestedLimit = Number.parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+    ? Math.min(requestedLimit, MAX_LIMIT)
+    : DEFAULT_LIMIT;
+
+  const departments = (await store.entries())
+    .map(({ value }) => value)
+    .filter(record => record && Array.isArray(record.papers) && record.papers.length > 0)
+    .filter(record => (!department || record.department === department) &&
+      canAccessDepartment(req.role, record.department))
+    .map(record => ({
+      department: record.department,
+      total: record.papers.reduce((sum, paper) => sum + paper.count, 0),
+      papers: record.papers.slice().sort(byRank).slice(0, limit).map(toPublicPaper)
+    }))
+    .sort((a, b) => b.total - a.total || a.department.localeCompare(b.department));
+
+  return res.status(200).json({ departments });
+}
+
+/**
+ * Clear a request (the paper has been uploaded, or it cannot be found).
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} store - Data store.
+ */
+async function deleteRequest(req, res, store) {
+  const department = parseDepartment(req.query.department);
+  const id = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+  if (!department || !/^[0-9a-f]{16}$/.test(id)) {
+    return res.status(400).json({ error: 'Missing or invalid department or id parameter' });
+  }
+
+  if (!canAccessDepartment(req.role, department)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      code: 'DEPARTMENT_FORBIDDEN',
+      message: 'Reps can only manage requests for their own department.'
+    });
+  }
+
+  let removed = false;
+  await store.update(department, (record) => {
+    const papers = record && Array.isArray(record.papers) ? record.papers : [];
+    const remaining = papers.filter(paper => paper.id !== id);
+    removed = remaining.length !== papers.length;
+    return { department, papers: remaining };
+  });
+
+  if (!removed) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  return res.status(200).json({ ok: true, id });
+}
+
+/**
+ * Handle a paper request call.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+async function handleRequests(req, res) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'POST', 'DELETE'])) return;
+  if (requireAuth(req, res)) return;
+  // Anyone signed in may ask for a paper; the board and clearing it are for the tracker roles
+  if (req.method !== 'POST' && await requireRole(req, res, TRACKER_ROLES)) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+  const store = getDatastore('requests');
+
+  try {
+    if (req.method === 'POST') return await createRequest(req, res, store);
+    if (req.method === 'DELETE') return await deleteRequest(req, res, store);
+    return await listRequests(req, res, store);
+  } catch (error) {
+    if (sendStoreUnavailable(res, error)) return;
+    console.error('Paper requests error:', error);
+    return res.status(500).json({ error: 'Failed to process paper request', message: error.message });
+  }
+}
+
+module.exports = handleRequests;
@@ -0,0 +1,149 @@
+// Serverless Function: Past-Question File Search
+// Searches PDF file names across the whole Drive tree (every department, level,
+// semester and session) and returns each match with its browse breadcrumbs.
+// The tree listing (walked once per instance, or read from the crawled index) comes from
+// api/_tree.js, shared with the recently-added feed.
+
+const {
+  extractCourseCode,
+  normalizeCourseCode,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth
+} = require('./_utils');
+const { cacheControlFor } = require('./_auth');
+const { TRACKER_ROLES, requireRole } = require('./_roles');
+const { getTreeEntries, getIndexedEntries, toBreadcrumbs, toFileResult } = require('./_tree');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_RESULTS = 50;
+
+/**
+ * Normalize text for matching: lowercase and strip everything but letters and digits,
+ * so "CSC 201", "csc201" and "CSC-201" all compare equal.
+ * @param {string} value - Raw text.
+ * @returns {string} Compact comparison key.
+ */
+function compactText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check whether a file name matches a search query.
+ * Matches the compacted query as a whole, or every whitespace-separated term.
+ * @param {string} fileName - File name.
+ * @param {string} query - Raw search query.
+ * @returns {boolean} True if the file matches.
+ */
+function matchesQuery(fileName, query) {
+  const compactName = compactText(fileName);
+  const compactQuery = compactText(query);
+  if (!compactQuery) return false;
+
+  if (compactName.includes(compactQuery)) {
+    return true;
+  }
+
+  const terms = query.split(/\s+/).map(compactText).filter(Boolean);
+  return terms.length > 1 && terms.every(term => compactName.includes(term));
+}
+
+/**
+ * Order session folder names latest first ("2024/25 Session" before "2023/24 Session").
+ * @param {string} a - Session A.
+ * @param {string} b - Session B.
+ * @returns {number} Sort comparator result.
+ */
+function compareSessionsDesc(a, b) {
+  const yearA = Number.parseInt((String(a || '').match(/\d{4}/) || ['0'])[0], 10);
+  const yearB = Number.parseInt((String(b || '').match(/\d{4}/) || ['0'])[0], 10);
+  if (yearA !== yearB) return yearB - yearA;
+  return String(b || '').localeCompare(String(a || ''));
+}
+
+/**
+ * Main handler for Vercel serverless function.
+ *
+ * Query parameters (one of):
+ * - q: Search text matched against PDF file names (e.g. "CSC 201")
+ * - course: Course code; returns every session's paper for that course (e.g. "CSC201")
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+module.exports = async (req, res) => {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
+
+  const apiKey = process.env.GOOGLE_DRIVE_API_KEY;
+  const rootFolderId = process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID;
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const rawCourse = typeof req.query.course === 'string' ? req.query.course.trim() : '';
+  const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
+
+  // A forced search rebuilds the whole-tree listing: reps and executives only
+  if (forceRefresh && await requireRole(req, res, TRACKER_ROLES)) return;
+
+  // Force refresh always re-walks Drive; otherwise a crawled index stands in for the walk
+  const indexed = forceRefresh ? null : await getIndexedEntries();
+
+  if (!indexed && (!apiKey || !rootFolderId)) {
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const courseCode = rawCourse ? normalizeCourseCode(rawCourse) : null;
+  if (rawCourse && !courseCode) {
+    return res.status(400).json({
+      error: 'Invalid query parameter',
+      message: 'course must look like a course code (e.g. "CSC 201").'
+    });
+  }
+
+  if (!courseCode && (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH)) {
+    return res.status(400).json({
+      error: 'Invalid query parameter',
+      message: `q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters.`
+    });
+  }
+
+  if (/[\u0000-\u001F\u007F\\]/.test(query)) {
+    return res.status(400).json({
+      error: 'Invalid query parameter',
+      message: 'q contains invalid characters.'
+    });
+  }
+
+  try {
+    const { entries, cached } = indexed
+      ? { entries: indexed, cached: true }
+      : await getTreeEntries(rootFolderId, apiKey, forceRefresh);
+
+    const matches = courseCode
+      ? entries
+        .filter(entry => extractCourseCode(entry.file.name) === courseCode)
+        .sort((a, b) => compareSessionsDesc(toBreadcrumbs(a.segments).session, toBreadcrumbs(b.segments).session))
+      : entries.filter(entry => matchesQuery(entry.file.name, query));
+    const results = matches.slice(0, MAX_RESULTS).map(toFileResult);
+
+    res.setHeader('X-Cache', forceRefresh ? 'BYPASS' : (cached ? 'HIT' : 'MISS'));
+    if (forceRefresh) {
+      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    } else {
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=1800, stale-while-revalidate=3600'));
+    }
+    return res.status(200).json({
+      query,
+      course: courseCode,
+      data: results,
+      total: matches.length,
+      truncated: matches.length > MAX_RESULTS,
+      cached,
+      forceRefresh
+    });
+
+  } catch (error) {
+    console.error('Error in search endpoint:', error);
+    return res.status(500).json({ error: 'Failed to search files', message: error.message });
+  }
+};
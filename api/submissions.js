@@ -0,0 +1,436 @@
+// Serverless Function: Paper Submissions
+// Students upload past questions they have; the Quality Control lead (an admin) reviews
+// each one and approval files the PDF into the storage backend, where browse picks it up.
+//
+// POST ?path=&courseCode=&title=   any signed-in student; body is the PDF itself
+//                                   (Content-Type: application/pdf), path is the session folder
+// GET  ?status=                     admins: the queue (pending by default; approved, rejected, all)
+// GET  ?id=&file=1                  admins: the submitted PDF, for review
+// POST ?id=&action=approve|reject   admins: JSON body { reason } (shown for rejections)
+//
+// Submissions live in the "submissions" data store (api/_datastore.js), one record per ID:
+// { id, status, path, department, level, semester, session, courseCode, title, fileName, size,
+//   submittedBy, submittedAt, filingAt, reviewedBy, reviewedAt, reason, filedPath, fileId }.
+// Approval marks a record "filing" while it copies the PDF; one left there by a function that
+// timed out goes back in the queue after FILING_TIMEOUT_MS.
+// The PDF waits in the "submissions" blob store until it is filed or rejected.
+
+const crypto = require('crypto');
+const {
+  normalizeFolderName,
+  normalizeCourseCode,
+  normalizeSessionLabel,
+  parseBrowsePath,
+  buildContentDisposition,
+  setupCors,
+  handlePreflightAndMethodGuard,
+  requireAuth,
+  sendStoreUnavailable
+} = require('./_utils');
+const { getStorage } = require('./_storage');
+const { ROLES, requireRole } = require('./_roles');
+const { getDatastore, getBlobStore } = require('./_datastore');
+const { getCacheStore } = require('./_cache');
+
+// Vercel caps request bodies at 4.5 MB; scanned papers above this should be compressed first
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+// Submissions one student can have waiting at once, so the queue cannot be flooded
+const MAX_PENDING_PER_SUBMITTER = 5;
+const MAX_TITLE_LENGTH = 80;
+const MAX_LISTED = 100;
+const STATUSES = new Set(['pending', 'approved', 'rejected', 'all']);
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+// Longer than any function run, so a live approval is never claimed twice
+const FILING_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Read the upload size limit.
+ * @returns {number} Largest accepted PDF in bytes.
+ */
+function getMaxBytes() {
+  const configured = Number.parseInt(process.env.SUBMISSION_MAX_BYTES, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Check whether a record was left mid-approval by a run that never finished.
+ * @param {Object} record - Submission record.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {boolean} True when it is "filing" and older than FILING_TIMEOUT_MS.
+ */
+function isStuckFiling(record, now = Date.now()) {
+  return record.status === 'filing' && now - (Number(record.filingAt) || 0) >= FILING_TIMEOUT_MS;
+}
+
+/**
+ * Read the uploaded PDF. Hosts that buffer bodies hand over a Buffer (or another byte
+ * array); server.js leaves non-JSON bodies on the stream.
+ * @param {Object} req - HTTP request.
+ * @param {number} limit - Largest body accepted.
+ * @returns {Promise<Buffer>} Body bytes.
+ * @throws {Error} With statusCode 413 when the body is too large.
+ */
+function readPdfBody(req, limit) {
+  const tooLarge = () => Object.assign(new Error('File too large'), { statusCode: 413 });
+
+  if (req.body instanceof Uint8Array || req.body instanceof ArrayBuffer) {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body);
+    return body.length > limit ? Promise.reject(tooLarge()) : Promise.resolve(body);
+  }
+  // Nothing left to read: no stream, or the host already drained it into something else
+  if (typeof req.on !== 'function' || req.readableEnded) {
+    return Promise.resolve(Buffer.alloc(0));
+  }
+  if (Number.parseInt(req.headers['content-length'], 10) > limit) {
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.destroy();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Tidy a paper title for use in a file name.
+ * @param {*} value - Raw title.
+ * @returns {string} Title without path or control characters ('' when absent).
+ */
+function cleanTitle(value) {
+  return typeof value === 'string'
+    ? normalizeFolderName(value.replace(/[\\/:*?"<>|\u0000-\u001F\u007F]/g, ' ')).slice(0, MAX_TITLE_LENGTH).trim()
+    : '';
+}
+
+/**
+ * Name a filed paper the way the team names them: "CSC 201 - Title.pdf".
+ * @param {string} courseCode - Canonical course code.
+ * @param {string} title - Paper title ('' for none).
+ * @returns {string} File name.
+ */
+function toFileName(courseCode, title) {
+  return title ? `${courseCode} - ${title}.pdf` : `${courseCode}.pdf`;
+}
+
+/**
+ * Find a folder by name; session folders also match on the session ("2024/25" finds
+ * "2024/25 Session").
+ * @param {Object} storage - Storage provider.
+ * @param {string} parentId - Parent folder ID.
+ * @param {string} segment - Path segment.
+ * @param {boolean} isSession - Whether the segment names a session.
+ * @returns {Promise<Object|null>} Folder, or null.
+ */
+async function findFolder(storage, parentId, segment, isSession) {
+  const exact = await storage.findChildByName(parentId, segment);
+  if (exact || !isSession) return exact;
+
+  const session = normalizeSessionLabel(segment.replace(/~/g, '/'));
+  const folders = await storage.listFolders(parentId);
+  return folders.find(folder => normalizeSessionLabel(folder.name) === session) || null;
+}
+
+/**
+ * File an approved submission: walk to its session folder, creating the level, semester
+ * and session folders that do not exist yet (the department must exist), then save it.
+ * @param {Object} storage - Storage provider.
+ * @param {Object} submission - Submission record.
+ * @param {Buffer} pdf - File contents.
+ * @returns {Promise<{fileId: string, filedPath: string}|{error: string}>} Where it went.
+ */
+async function fileSubmission(storage, submission, pdf) {
+  const segments = submission.path.split('/').filter(Boolean);
+  const department = await storage.findChildByName(storage.rootId, segments[0]);
+  if (!department) {
+    return { error: `Department folder "${submission.department}" not found` };
+  }
+
+  let folderId = department.id;
+  const names = [department.name];
+  for (let index = 1; index < segments.length; index += 1) {
+    const isSession = index === segments.length - 1;
+    let folder = await findFolder(storage, folderId, segments[index], isSession);
+    if (!folder) {
+      const name = isSession
+        ? `${normalizeSessionLabel(segments[index].replace(/~/g, '/'))} Session`
+        : segments[index];
+      folder = await storage.createFolder(folderId, name);
+    }
+    folderId = folder.id;
+    names.push(folder.name);
+  }
+
+  const saved = await storage.saveFile(folderId, submission.fileName, pdf, 'application/pdf');
+  return {
+    fileId: saved.id,
+    filedPath: '/' + names.map(name => name.replace(/\//g, '~')).concat(saved.name).join('/')
+  };
+}
+
+/**
+ * Queue a student's upload for review.
+ * @param {Object} req - HTTP request (PDF body).
+ * @param {Object} res - HTTP response.
+ * @param {Object} store - Submission records.
+ * @param {Object} blobs - Submitted PDFs.
+ */
+async function createSubmission(req, res, store, blobs) {
+  const parsed = parseBrowsePath(req.query.path);
+  if (parsed.error) {
+    return res.status(400).json({ error: 'Invalid path', message: parsed.error });
+  }
+
+  // Same shape as paper requests: Dept/Level/Semester/Session, or Jupeb/Subject/Session
+  const { segments } = parsed;
+  if (segments.length < 3 || segments.length > 4) {
+    return res.status(400).json({ error: 'Invalid path', message: 'path must point to a session folder.' });
+  }
+
+  const courseCode = normalizeCourseCode(req.query.courseCode);
+  if (!courseCode) {
+    return res.status(400).json({
+      error: 'Invalid course code',
+      message: 'courseCode must look like a course code (e.g. "CSC 201").'
+    });
+  }
+
+  const submittedBy = req.auth && req.auth.email ? req.auth.email : null;
+  if (submittedBy) {
+    const pending = (await store.entries())
+      .filter(({ value }) => value && value.status === 'pending' && value.submittedBy === submittedBy);
+    if (pending.length >= MAX_PENDING_PER_SUBMITTER) {
+      return res.status(429).json({
+        error: 'Too many pending submissions',
+        code: 'TOO_MANY_PENDING',
+        message: `You already have ${MAX_PENDING_PER_SUBMITTER} papers waiting for review.`
+      });
+    }
+  }
+
+  const maxBytes = getMaxBytes();
+  let pdf;
+  try {
+    pdf = await readPdfBody(req, maxBytes);
+  } catch (error) {
+    if (error.statusCode !== 413) throw error;
+    return res.status(413).json({
+      error: 'File too large',
+      message: `Papers must be ${Math.floor(maxBytes / (1024 * 1024))} MB or smaller.`
+    });
+  }
+
+  if (pdf.length < 5 || pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return res.status(400).json({ error: 'Invalid file', message: 'Only PDF files can be submitted.' });
+  }
+
+  const title = cleanTitle(req.query.title);
+  const id = crypto.randomBytes(8).toString('hex');
+  const submission = {
+    id,
+    status: 'pending',
+    path: `/${segments.join('/')}`,
+    department: normalizeFolderName(segments[0].replace(/~/g, '/')),
+    level: segments[1],
+    semester: segments.length === 4 ? segments[2] : null,
+    session: segments[segments.length - 1],
+    courseCode,
+    title,
+    fileName: toFileName(courseCode, title),
+    size: pdf.length,
+    submittedBy,
+    submittedAt: Date.now()
+  };
+
+  // Bytes first: a record must never point at a missing file
+  await blobs.put(id, pdf);
+  await store.update(id, () => submission);
+
+  return res.status(201).json({ ok: true, submission: { id, status: submission.status, fileName: submission.fileName } });
+}
+
+/**
+ * List the moderation queue.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} store - Submission records.
+ */
+async function listSubmissions(req, res, store) {
+  const status = typeof req.query.status === 'string' && req.query.status ? req.query.status : 'pending';
+  if (!STATUSES.has(status)) {
+    return res.status(400).json({ error: 'Invalid status value' });
+  }
+
+  const submissions = (await store.entries())
+    .map(({ value }) => value)
+    // Approvals that never finished are offered for review again
+    .map(value => (value && isStuckFiling(value) ? { ...value, status: 'pending' } : value))
+    .filter(value => value && (status === 'all' || value.status === status))
+    // The queue is worked oldest first; reviewed ones read newest first
+    .sort((a, b) => (status === 'pending' ? a.submittedAt - b.submittedAt : b.submittedAt - a.submittedAt));
+
+  return res.status(200).json({
+    status,
+    total: submissions.length,
+    submissions: submissions.slice(0, MAX_LISTED)
+  });
+}
+
+/**
+ * Send a submitted PDF for review.
+ * @param {Object} res - HTTP response.
+ * @param {Object} submission - Submission record.
+ * @param {Object} blobs - Submitted PDFs.
+ */
+async function sendSubmissionFile(res, submission, blobs) {
+  const pdf = await blobs.get(submission.id);
+  if (!pdf) {
+    return res.status(404).json({ error: 'File not found', message: 'Reviewed submissions do not keep their file.' });
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', String(pdf.length));
+  res.setHeader('Content-Disposition', buildContentDisposition(submission.fileName, 'inline'));
+  return res.status(200).end(pdf);
+}
+
+/**
+ * Approve or reject a pending submission.
+ * @param {Object} req - HTTP request (JSON body { reason }).
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider.
+ * @param {Object} store - Submission records.
+ * @param {Object} blobs - Submitted PDFs.
+ */
+async function reviewSubmission(req, res, storage, store, blobs) {
+  const id = req.query.id;
+  const action = req.query.action;
+  if (action !== 'approve' && action !== 'reject') {
+    return res.status(400).json({ error: 'action must be approve or reject' });
+  }
+
+  if (action === 'approve' && !(storage.isConfigured() && storage.canWrite())) {
+    return res.status(503).json({
+      error: 'Storage is read-only',
+      message: 'Set up a service account with edit access to the Drive folder to file submissions.'
+    });
+  }
+
+  if (!await store.read(id)) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+
+  // Claim the submission so two reviewers cannot file it twice
+  let claimed = null;
+  let current = null;
+  await store.update(id, (record) => {
+    current = record;
+    if (record.status !== 'pending' && !isStuckFiling(record)) return record;
+    current = { ...record, status: 'pending' };
+    delete current.filingAt;
+    claimed = { ...current, status: 'filing', filingAt: Date.now() };
+    return claimed;
+  });
+
+  if (!claimed) {
+    return res.status(409).json({ error: 'Already reviewed', submission: current });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const review = {
+    reviewedBy: req.auth && req.auth.email ? req.auth.email : null,
+    reviewedAt: Date.now()
+  };
+
+  if (action === 'reject') {
+    const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, 300) : '';
+    const submission = await store.update(id, () => ({ ...current, ...review, status: 'rejected', reason }));
+    await blobs.delete(id);
+    return res.status(200).json({ ok: true, submission });
+  }
+
+  let filed;
+  try {
+    const pdf = await blobs.get(id);
+    filed = pdf
+      ? await fileSubmission(storage, current, pdf)
+      : { error: 'The submitted file is missing' };
+  } catch (error) {
+    filed = { error: error.message };
+  }
+
+  if (filed.error) {
+    // Back in the queue, so it can be approved once the folder problem is fixed
+    await store.update(id, () => current);
+    return res.status(502).json({ error: 'Failed to file submission', message: filed.error });
+  }
+
+  const submission = await store.update(id, () => ({ ...current, ...review, status: 'approved', ...filed }));
+  await blobs.delete(id);
+  // The folder the student submitted from now has a new file
+  await getCacheStore('browse').delete(`${current.path}:files`);
+
+  return res.status(200).json({ ok: true, submission });
+}
+
+/**
+ * Handle a submission call.
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ * @param {Object} storage - Storage provider.
+ */
+async function handleSubmissions(req, res, storage) {
+  setupCors(req, res);
+  if (handlePreflightAndMethodGuard(req, res, ['GET', 'POST'])) return;
+  if (requireAuth(req, res)) return;
+
+  const id = typeof req.query.id === 'string' ? req.query.id.trim() : '';
+  const isUpload = req.method === 'POST' && !id;
+  // Anyone signed in may submit; the queue and its files are for the QC lead (admins)
+  if (!isUpload && await requireRole(req, res, [ROLES.ADMIN])) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+  const store = getDatastore('submissions');
+  const blobs = getBlobStore('submissions');
+
+  try {
+    if (isUpload) return await createSubmission(req, res, store, blobs);
+
+    if (id && !ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid id parameter' });
+    }
+    if (req.method === 'POST') return await reviewSubmission(req, res, storage, store, blobs);
+    if (!id) return await listSubmissions(req, res, store);
+
+    const submission = await store.read(id);
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    if (req.query.file === '1') return await sendSubmissionFile(res, submission, blobs);
+    return res.status(200).json({ submission });
+  } catch (error) {
+    if (sendStoreUnavailable(res, error)) return;
+    console.error('Submissions error:', error);
+    return res.status(500).json({ error: 'Failed to process submission', message: error.message });
+  }
+}
+
+module.exports = (req, res) => handleSubmissions(req, res, getStorage());
+
+/**
+ * Build a submissions handler bound to a specific storage provider (used by server.js local mode).
+ * @param {Object} storage - Storage provider.
+ * @returns {Function} Serverless-style handler.
+ */
+module.exports.withStorage = (storage) => (req, res) => handleSubmissions(req, res, storage);
@@ -8,16 +8,16 @@ const { URL } = require('url');
 const {
   setupCors,
   handlePreflightAndMethodGuard,
+  requireAuth,
   normalizeSessionLabel
 } = require('./_utils');
+const { cacheControlFor } = require('./_auth');
+const { TRACKER_ROLES, requireRole } = require('./_roles');
+const { getCacheStore, getCacheTtl } = require('./_cache');
 
-// Cache for the full parsed sheet data (all sessions)
-// We cache the raw parsed data and filter per-request
-const cache = {
-  executives: { data: null, timestamp: null },
-  reps: { data: null, timestamp: null }
-};
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Cache for the full parsed sheet data (all sessions), keyed "executives" and "reps"
+// We cache the raw parsed data and filter per-request (store chosen in api/_cache.js)
+const CACHE_TTL = getCacheTtl('TEAM_CACHE_TTL_SECONDS', 24 * 60 * 60 * 1000); // 24 hours
 const FETCH_TIMEOUT_MS = 10000;
 const MAX_REDIRECTS = 3;
 
@@ -173,6 +173,15 @@ function pickRowValue(row, keys) {
   return '';
 }
 
+/**
+ * Read the optional email column used for roles (see api/_roles.js).
+ * @param {Object} row - Parsed CSV row object.
+ * @returns {string} Lower-cased address, or '' when the row has none.
+ */
+function pickRowEmail(row) {
+  return pickRowValue(row, ['email', 'email address', 'school email', 'e-mail']).trim().toLowerCase();
+}
+
 /**
  * Parse a single CSV line, handling quoted values.
  * @param {string} line - A single CSV line.
@@ -312,14 +321,13 @@ function formatPhotoUrl(url) {
 }
 
 /**
- * Check if cache is still valid.
- * @param {Object} cacheEntry - Cache entry with timestamp.
- * @returns {boolean} True if cache is valid.
+ * Check whether both sheets are cached and unexpired.
+ * @returns {Promise<boolean>} True if both cache entries are valid.
  */
-function isCacheValid(cacheEntry) {
-  return cacheEntry.data !== null &&
-    cacheEntry.timestamp !== null &&
-    (Date.now() - cacheEntry.timestamp) < CACHE_TTL;
+async function isCacheWarm() {
+  const store = getCacheStore('team');
+  const [executives, reps] = await Promise.all([store.get('executives'), store.get('reps')]);
+  return Boolean(executives && reps);
 }
 
 // normalizeSessionLabel is imported from ./_utils.js
@@ -397,8 +405,10 @@ async function fetchAllExecutives(sheetUrl, options = {}) {
   const { bypassCache = false } = options;
 
   // Check cache first
-  if (!bypassCache && isCacheValid(cache.executives)) {
-    return cache.executives.data;
+  const store = getCacheStore('team');
+  const cached = bypassCache ? null : await store.get('executives');
+  if (cached) {
+    return cached.value;
   }
 
   try {
@@ -423,21 +433,23 @@ async function fetchAllExecutives(sheetUrl, options = {}) {
       ])), // Convert Drive links to direct image URLs
 
       order: parseInt(row.order, 10) || 999,
-      session: normalizeSessionLabel(row.session || '')
+      session: normalizeSessionLabel(row.session || ''),
+      email: pickRowEmail(row)
     }));
 
     // Sort by order within each session
     executives.sort((a, b) => a.order - b.order);
 
     // Update cache
-    cache.executives = { data: executives, timestamp: Date.now() };
+    await store.set('executives', executives, CACHE_TTL);
 
     return executives;
   } catch (error) {
     console.error('Failed to fetch executives:', error.message);
     // Return cached data if available, even if stale
-    if (cache.executives.data) {
-      return cache.executives.data;
+    const stale = await store.get('executives', { allowStale: true });
+    if (stale) {
+      return stale.value;
     }
     throw error;
   }
@@ -452,8 +464,10 @@ async function fetchAllDepartmentReps(sheetUrl, options = {}) {
   const { bypassCache = false } = options;
 
   // Check cache first
-  if (!bypassCache && isCacheValid(cache.reps)) {
-    return cache.reps.data;
+  const store = getCacheStore('team');
+  const cached = bypassCache ? null : await store.get('reps');
+  if (cached) {
+    return cached.value;
   }
 
   try {
@@ -477,21 +491,23 @@ async function fetchAllDepartmentReps(sheetUrl, options = {}) {
         'avatar'
       ])), // Convert Drive links to direct image URLs
 
-      session: normalizeSessionLabel(row.session || '')
+      session: normalizeSessionLabel(row.session || ''),
+      email: pickRowEmail(row)
     }));
 
     // Sort by department name
     reps.sort((a, b) => a.department.localeCompare(b.department));
 
     // Update cache
-    cache.reps = { data: reps, timestamp: Date.now() };
+    await store.set('reps', reps, CACHE_TTL);
 
     return reps;
   } catch (error) {
     console.error('Failed to fetch department reps:', error.message);
     // Return cached data if available, even if stale
-    if (cache.reps.data) {
-      return cache.reps.data;
+    const stale = await store.get('reps', { allowStale: true });
+    if (stale) {
+      return stale.value;
     }
     throw error;
   }
@@ -510,6 +526,7 @@ module.exports = async function handler(req, res) {
 
   // Preflight + method guard
   if (handlePreflightAndMethodGuard(req, res)) return;
+  if (requireAuth(req, res)) return;
 
   // Get sheet URLs from environment variables
   const executivesUrl = process.env.TEAM_SHEET_EXECUTIVES_URL;
@@ -527,6 +544,9 @@ module.exports = async function handler(req, res) {
   try {
     const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
 
+    // Re-reading both sheets on demand: reps and executives only
+    if (forceRefresh && await requireRole(req, res, TRACKER_ROLES)) return;
+
     // Fetch both sheets, but tolerate one failing so the endpoint doesn't hard-fail.
     const [execResult, repResult] = await Promise.allSettled([
       fetchAllExecutives(executivesUrl, { bypassCache: forceRefresh }),
@@ -585,15 +605,16 @@ module.exports = async function handler(req, res) {
       ? allReps.filter(r => r.session === activeSession)
       : allReps;
 
-    // Strip session field from response (frontend doesn't need it per-member)
-    const cleanExecutives = executives.map(({ session: _session, ...rest }) => rest);
-    const cleanReps = departmentReps.map(({ session: _session, ...rest }) => rest);
+    // Strip session field from response (frontend doesn't need it per-member).
+    // Emails are only for role lookups and never leave the server.
+    const cleanExecutives = executives.map(({ session: _session, email: _email, ...rest }) => rest);
+    const cleanReps = departmentReps.map(({ session: _session, email: _email, ...rest }) => rest);
 
     // Return combined data with session metadata
     if (forceRefresh) {
       res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     } else {
-      res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+      res.setHeader('Cache-Control', cacheControlFor('public, s-maxage=3600, stale-while-revalidate=86400'));
     }
     return res.status(200).json({
       success: true,
@@ -601,7 +622,7 @@ module.exports = async function handler(req, res) {
       sessions: allSessions,
       executives: cleanExecutives,
       departmentReps: cleanReps,
-      cached: isCacheValid(cache.executives) && isCacheValid(cache.reps),
+      cached: await isCacheWarm(),
       degraded: execResult.status === 'rejected' || repResult.status === 'rejected'
     });
 
@@ -614,3 +635,8 @@ module.exports = async function handler(req, res) {
     });
   }
 };
+
+// Sheet readers, shared with the role lookup in api/_roles.js
+module.exports.fetchAllExecutives = fetchAllExecutives;
+module.exports.fetchAllDepartmentReps = fetchAllDepartmentReps;
+module.exports.extractSessions = extractSessions;
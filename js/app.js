@@ -1,6 +1,14 @@
 // Main Application Logic (Orchestrator)
 // Delegates rendering to Renderer, PWA features to PWAManager
 
+// File search kicks in once a query looks like a course code fragment ("CSC", "201").
+const MIN_FILE_SEARCH_LENGTH = 3;
+const SEARCH_DEBOUNCE_MS = 350;
+// Mirrors TRACKER_ROLES in api/_roles.js: who may open /track and force a refresh.
+const TRACKER_ROLES = ['rep', 'executive', 'admin'];
+// Mirrors DEFAULT_MAX_BYTES in api/submissions.js, so oversized PDFs are caught before uploading.
+const MAX_SUBMISSION_BYTES = 4 * 1024 * 1024;
+
 /**
  * Main application class — orchestrates initialization, routing,
  * event handling, and delegates rendering/PWA to dedicated modules.
@@ -8,6 +16,13 @@
 class App {
   constructor() {
     this.departments = null;
+    this.searchTimer = null;
+    this.searchRequestId = 0;
+    this.viewerOpen = false;
+    // { role, department } from /api/auth/session; null until known
+    this.access = null;
+    // { department, level, session } the student studies in; null when not set
+    this.home = null;
   }
 
   /**
@@ -29,9 +44,14 @@ class App {
         await emailGate.show();
       }
 
+      await this.loadAccess();
+
       // Initialize Drive API
       await driveAPI.init();
 
+      // Ask for (or bring up to date) the student's department and level
+      await this.loadHome();
+
       // Setup event listeners
       this.setupEventListeners();
 
@@ -48,6 +68,115 @@ class App {
     }
   }
 
+  /**
+   * Fetch the signed-in user's role and hide what it does not allow.
+   * The API enforces roles itself; this only keeps students away from buttons that would 403.
+   */
+  async loadAccess() {
+    if (typeof emailGate === 'undefined' || typeof emailGate.getAccess !== 'function') {
+      return;
+    }
+
+    this.access = await emailGate.getAccess();
+    const refreshBtn = document.getElementById('refresh-btn');
+    if (refreshBtn) {
+      refreshBtn.hidden = !this.canTrack();
+    }
+  }
+
+  /**
+   * Whether the user may open the coverage tracker and force a refresh.
+   * Unknown access (offline, or not loaded yet) is left to the server to decide.
+   * @returns {boolean} True when allowed.
+   */
+  canTrack() {
+    return !this.access || TRACKER_ROLES.includes(this.access.role);
+  }
+
+  /**
+   * Whether the user may review shared papers (the Quality Control lead is an admin).
+   * Unknown access is left to the server to decide, as for canTrack.
+   * @returns {boolean} True when allowed.
+   */
+  canModerate() {
+    return !this.access || this.access.role === 'admin';
+  }
+
+  /**
+   * Load the student's department and level, asking for it on the first launch, and
+   * open the app there unless the launch URL already points somewhere.
+   */
+  async loadHome() {
+    // Bring in the profile from the student's other devices; only the first launch
+    // on this device waits for it, since that one may already know the answer
+    const synced = profileStore.sync();
+    let home = profileStore.getHome();
+    if (!home) {
+      await synced;
+      home = profileStore.getHome() || await onboarding.show();
+    }
+
+    this.home = home && !home.skipped ? await this.promoteHome(home) : null;
+    this.updateHomeShortcut();
+
+    // Old #/ links were already turned into paths by the Navigator
+    if (this.home && window.location.pathname === '/') {
+      appNavigator.replaceRoute(renderer.buildRoutePath(this.home));
+    }
+  }
+
+  /**
+   * Move the student up a level when /api/team lists a session newer than the saved one.
+   * @param {Object} home - Saved home ({ department, level, session }).
+   * @returns {Promise<Object>} The home to use.
+   */
+  async promoteHome(home) {
+    const teamData = await renderer.fetchTeamData();
+    // The offline fallback lists the sessions this build shipped with, not the current one
+    if (!teamData.fromApi) return home;
+
+    const { home: updated, promoted } = await onboarding.promote(home, teamData.sessions);
+    if (promoted) {
+      this.showToast(`New session ${teamData.sessions[0]}: you're now on ${displayName(updated.level)}`, 'info');
+    }
+    return updated;
+  }
+
+  /**
+   * Point the header shortcut at the student's level (hidden until one is set).
+   */
+  updateHomeShortcut() {
+    const link = document.getElementById('my-level-link');
+    if (!link) return;
+
+    link.hidden = !this.home;
+    if (this.home) {
+      const label = `${displayName(this.home.department)} · ${displayName(this.home.level)}`;
+      link.href = renderer.buildRoutePath(this.home);
+      link.title = label;
+      link.setAttribute('aria-label', `Go to ${label}`);
+    }
+  }
+
+  /**
+   * Let the student pick (or change) their department and level, then go there.
+   */
+  async chooseHome() {
+    const home = await onboarding.show(this.home);
+    if (!home) {
+      this.showToast('Could not load the departments. Check your connection and try again.', 'error');
+      return;
+    }
+
+    this.home = home.skipped ? null : home;
+    this.updateHomeShortcut();
+    if (this.home) {
+      appNavigator.navigateTo(renderer.buildRoutePath(this.home));
+    } else if (appNavigator.getCurrentRoute().view === 'me') {
+      await renderer.renderMe(document.getElementById('main-content'));
+    }
+  }
+
   /**
    * Load configuration from environment or defaults.
    */
@@ -75,8 +204,11 @@ class App {
     try {
       if ('caches' in window) {
         const cacheNames = await caches.keys();
+        // Saved-offline PDFs are the user's own collection; keep them across versions
         await Promise.all(
-          cacheNames.map(cacheName => caches.delete(cacheName))
+          cacheNames
+            .filter(cacheName => cacheName !== OFFLINE_CACHE_NAME)
+            .map(cacheName => caches.delete(cacheName))
         );
       }
 
@@ -104,6 +236,12 @@ class App {
 
     if (!mainContent) return;
 
+    // Release the previous PDF before the viewer container is replaced
+    if (this.viewerOpen) {
+      renderer.closeViewer();
+      this.viewerOpen = false;
+    }
+
     // Update breadcrumbs and title immediately
     renderer.renderBreadcrumbs();
     appNavigator.updateTitle();
@@ -118,7 +256,24 @@ class App {
           await renderer.renderAboutPage(mainContent, { forceRefresh });
           break;
         case 'track':
-          await renderer.renderCoverage(mainContent, { forceRefresh });
+          if (!this.canTrack()) {
+            mainContent.innerHTML = renderer.renderRestricted();
+            break;
+          }
+          // Reps only see their own department
+          await renderer.renderCoverage(mainContent, this.access && this.access.role === 'rep'
+            ? { forceRefresh, department: this.access.department }
+            : { forceRefresh });
+          break;
+        case 'moderation':
+          if (!this.canModerate()) {
+            mainContent.innerHTML = renderer.renderRestricted(
+              'Quality Control only',
+              'Papers you share are reviewed by the Quality Control team before they appear.'
+            );
+            break;
+          }
+          await renderer.renderModeration(mainContent);
           break;
         case 'levels':
           await renderer.renderLevels(mainContent, route, { forceRefresh });
@@ -132,6 +287,19 @@ class App {
         case 'files':
           await renderer.renderFiles(mainContent, route, { forceRefresh });
           break;
+        case 'course':
+          await renderer.renderCourse(mainContent, route, { forceRefresh });
+          break;
+        case 'offline':
+          await renderer.renderOffline(mainContent);
+          break;
+        case 'me':
+          await renderer.renderMe(mainContent);
+          break;
+        case 'viewer':
+          this.viewerOpen = true;
+          await renderer.renderViewer(mainContent, route, { forceRefresh });
+          break;
         default:
           mainContent.innerHTML = renderer.renderNotFound();
       }
@@ -168,6 +336,20 @@ class App {
         this.handleRefresh();
       } else if (action === 'go-home') {
         appNavigator.goHome();
+      } else if (action === 'toggle-offline') {
+        this.toggleOfflineFile(actionButton);
+      } else if (action === 'download-bundle') {
+        this.downloadBundle(actionButton);
+      } else if (action === 'request-paper') {
+        this.requestPaper(actionButton);
+      } else if (action === 'submit-paper') {
+        this.submitPaper(actionButton);
+      } else if (action === 'toggle-follow') {
+        this.toggleFollow(actionButton);
+      } else if (action === 'toggle-favorite') {
+        this.toggleFavorite(actionButton);
+      } else if (action === 'choose-home') {
+        this.chooseHome();
       }
     });
 
@@ -248,6 +430,12 @@ class App {
    * Handle refresh button — invalidates cache and re-renders.
    */
   async handleRefresh() {
+    if (!this.canTrack()) {
+      // Students cannot bypass the server caches; just re-render
+      await this.handleRouteChange();
+      return;
+    }
+
     const route = appNavigator.getCurrentRoute();
 
     let currentPath = '';
@@ -285,30 +473,69 @@ class App {
   }
 
   /**
-   * Handle department search input.
+   * Handle search input — filters department cards and searches past-question files.
    * @param {string} query - Search query.
    */
   handleSearch(query) {
     const grid = document.getElementById('department-grid');
     if (!grid) return;
 
+    this.scheduleFileSearch(query);
+
     const cards = grid.querySelectorAll('.department-card');
     const lowerQuery = query.toLowerCase().trim();
     let visibleCount = 0;
 
     cards.forEach(card => {
       const deptName = card.dataset.department.toLowerCase();
+      // Hide the whole grid cell, star included
+      const item = card.closest('.department-item') || card;
       if (deptName.includes(lowerQuery)) {
-        card.style.display = '';
+        item.style.display = '';
         visibleCount++;
       } else {
-        card.style.display = 'none';
+        item.style.display = 'none';
       }
     });
 
     this.updateSearchResults(visibleCount, lowerQuery);
   }
 
+  /**
+   * Debounce a file-name search across the whole Drive tree.
+   * Short queries clear the results instead of hitting the API.
+   * @param {string} query - Search query.
+   */
+  scheduleFileSearch(query) {
+    const resultsContainer = document.getElementById('file-search-results');
+    if (!resultsContainer) return;
+
+    const trimmed = query.trim();
+    clearTimeout(this.searchTimer);
+    this.searchRequestId += 1;
+
+    if (trimmed.length < MIN_FILE_SEARCH_LENGTH) {
+      resultsContainer.innerHTML = '';
+      return;
+    }
+
+    const requestId = this.searchRequestId;
+    this.searchTimer = setTimeout(async () => {
+      resultsContainer.innerHTML = '<div class="loading"><div class="spinner"></div><p>Searching past questions...</p></div>';
+
+      try {
+        const response = await driveAPI.searchFiles(trimmed);
+        // Ignore responses for queries the student has already typed past.
+        if (requestId !== this.searchRequestId) return;
+        resultsContainer.innerHTML = renderer.renderSearchResults(response, trimmed);
+      } catch (error) {
+        if (requestId !== this.searchRequestId) return;
+        console.error('File search failed:', error);
+        resultsContainer.innerHTML = `<p class="meta-text file-search-empty">${renderer.escapeHtml(`Search failed: ${error.message}`)}</p>`;
+      }
+    }, SEARCH_DEBOUNCE_MS);
+  }
+
   /**
    * Update search results display (show/hide no-results message).
    * @param {number} visibleCount - Number of visible department cards.
@@ -377,6 +604,219 @@ class App {
     contactModalHelper.close(modal);
   }
 
+  /**
+   * Download every PDF in a folder as one ZIP.
+   * Asks /api/bundle for the size first so limit errors show as a toast, not a broken file.
+   * @param {HTMLElement} button - The "Download all" button (carries data-bundle-path).
+   */
+  async downloadBundle(button) {
+    if (button.disabled) return;
+
+    const url = driveAPI.getBundleUrl(button.getAttribute('data-bundle-path'));
+    button.disabled = true;
+    try {
+      const response = await fetch(`${url}&check=1`, { cache: 'no-store' });
+      const summary = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(summary.message || `Download failed (${response.status})`);
+      }
+
+      this.showToast(`Downloading ${summary.fileCount} files (${driveAPI.formatFileSize(summary.totalBytes)})`, 'info');
+      // Attachment response: the browser saves it and stays on this page
+      window.location.href = url;
+    } catch (error) {
+      console.error('Bundle download failed:', error);
+      this.showToast(error.message || 'Could not prepare the download', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Send a "Request this paper" vote for an empty folder.
+   * @param {HTMLElement} button - The request button (carries data-request-path).
+   */
+  async requestPaper(button) {
+    if (button.disabled) return;
+
+    const box = button.closest('.paper-request');
+    const input = box ? box.querySelector('.paper-request-input') : null;
+    const label = button.querySelector('span');
+    button.disabled = true;
+
+    try {
+      const result = await driveAPI.requestPaper(button.getAttribute('data-request-path'), input ? input.value.trim() : '');
+      const votes = result.paper && result.paper.count > 1 ? ` (${result.paper.count} students asked)` : '';
+      this.showToast(
+        result.alreadyRequested ? 'You already asked for this paper' : `Request sent to your department rep${votes}`,
+        result.alreadyRequested ? 'info' : 'success'
+      );
+      if (label) label.textContent = 'Requested';
+    } catch (error) {
+      console.error('Paper request failed:', error);
+      this.showToast(error.message || 'Could not send the request', 'error');
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Upload a shared paper for review.
+   * @param {HTMLElement} button - The submit button (carries data-submit-path).
+   */
+  async submitPaper(button) {
+    if (button.disabled) return;
+
+    const box = button.closest('.paper-submit');
+    if (!box) return;
+    const codeInput = box.querySelector('.paper-submit-code');
+    const titleInput = box.querySelector('.paper-submit-title');
+    const fileInput = box.querySelector('.paper-submit-file');
+    const file = fileInput && fileInput.files ? fileInput.files[0] : null;
+    const courseCode = codeInput ? codeInput.value.trim() : '';
+
+    if (!courseCode) {
+      this.showToast('Add the course code, e.g. CSC 201', 'error');
+      return;
+    }
+    if (!file || !/\.pdf$/i.test(file.name)) {
+      this.showToast('Choose a PDF file to share', 'error');
+      return;
+    }
+    if (file.size > MAX_SUBMISSION_BYTES) {
+      this.showToast(`PDFs must be ${driveAPI.formatFileSize(MAX_SUBMISSION_BYTES)} or smaller`, 'error');
+      return;
+    }
+
+    const label = button.querySelector('span');
+    button.disabled = true;
+    if (label) label.textContent = 'Sending...';
+
+    try {
+      await driveAPI.submitPaper(button.getAttribute('data-submit-path'), file, {
+        courseCode,
+        title: titleInput ? titleInput.value.trim() : ''
+      });
+      this.showToast('Thanks! The Quality Control team will review your paper', 'success');
+      box.open = false;
+      box.querySelectorAll('input').forEach((input) => {
+        input.value = '';
+      });
+    } catch (error) {
+      console.error('Paper submission failed:', error);
+      this.showToast(error.message || 'Could not send the paper', 'error');
+    } finally {
+      button.disabled = false;
+      if (label) label.textContent = 'Send for review';
+    }
+  }
+
+  /**
+   * Follow or unfollow a department or level for new-paper notifications.
+   * @param {HTMLElement} button - A follow chip (carries data-follow-department and data-follow-level).
+   */
+  async toggleFollow(button) {
+    if (button.disabled) return;
+
+    const department = button.getAttribute('data-follow-department');
+    const level = button.getAttribute('data-follow-level') || '';
+    const follow = button.getAttribute('aria-pressed') !== 'true';
+    const name = displayName(level || department);
+
+    button.disabled = true;
+    try {
+      const follows = await pwaManager.setFollow(department, level, follow);
+      await renderer.syncFollowBar(document, follows);
+      this.showToast(
+        follow ? `You'll get a notification when new papers land in ${name}` : `Stopped following ${name}`,
+        follow ? 'success' : 'info'
+      );
+    } catch (error) {
+      console.error('Follow failed:', error);
+      this.showToast(error.message || 'Could not update notifications', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Star or unstar a file or department. Every star for the same item on the page is
+   * updated; on /me an unstarred item also leaves the favorites lists.
+   * @param {HTMLElement} button - A star button (carries data-favorite-kind and data-favorite).
+   */
+  toggleFavorite(button) {
+    let item;
+    try {
+      item = JSON.parse(button.getAttribute('data-favorite'));
+    } catch (error) {
+      return;
+    }
+
+    const kind = button.getAttribute('data-favorite-kind');
+    const key = button.getAttribute('data-favorite-key');
+    const starred = profileStore.toggleFavorite(kind, item);
+
+    document.querySelectorAll('[data-action="toggle-favorite"]').forEach((star) => {
+      if (star.getAttribute('data-favorite-key') !== key) return;
+      const favoriteCard = starred ? null : star.closest('.profile-favorite');
+      if (favoriteCard) {
+        favoriteCard.remove();
+        return;
+      }
+      star.classList.toggle('starred', starred);
+      star.setAttribute('aria-pressed', String(starred));
+      star.setAttribute('aria-label', `${starred ? 'Remove' : 'Add'} ${item.name} ${starred ? 'from' : 'to'} favorites`);
+      star.title = starred ? 'Remove from favorites' : 'Add to favorites';
+      const icon = star.querySelector('i');
+      if (icon) icon.className = `${starred ? 'fas' : 'far'} fa-star`;
+    });
+
+    this.showToast(starred ? `Added ${item.name} to My files` : `Removed ${item.name} from favorites`, starred ? 'success' : 'info');
+  }
+
+  /**
+   * Save a file card's PDF for offline use, or remove it if already saved.
+   * @param {HTMLElement} button - The "Save offline" button (carries data-offline-file).
+   */
+  async toggleOfflineFile(button) {
+    if (button.disabled) return;
+
+    let details;
+    try {
+      details = JSON.parse(button.getAttribute('data-offline-file'));
+    } catch (error) {
+      return;
+    }
+
+    const label = button.querySelector('span');
+    const icon = button.querySelector('i');
+    const setState = (saved) => {
+      button.classList.toggle('saved', saved);
+      button.setAttribute('aria-pressed', String(saved));
+      if (label) label.textContent = saved ? 'Saved offline' : 'Save offline';
+      if (icon) icon.className = `fas ${saved ? 'fa-circle-check' : 'fa-cloud-arrow-down'}`;
+    };
+
+    button.disabled = true;
+    try {
+      if (offlineStore.has(details.file.id)) {
+        await offlineStore.remove([details.file.id]);
+        setState(false);
+        this.showToast('Removed from offline files', 'info');
+      } else {
+        if (label) label.textContent = 'Saving...';
+        await offlineStore.save(details.file, details.folder);
+        setState(true);
+        this.showToast('Saved — open it any time from Saved offline', 'success');
+      }
+    } catch (error) {
+      console.error('Offline save failed:', error);
+      setState(offlineStore.has(details.file.id));
+      this.showToast(error.message || 'Could not save this file offline', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   /**
    * Show a toast notification.
    * @param {string} message - Message text.
@@ -28,13 +28,15 @@ class PathCacheManager {
    * @param {string} path - The folder path
    * @param {string} type - Content type ('folders' or 'files')
    * @param {*} data - The data to cache
+   * @param {Object} [meta] - Optional listing metadata (e.g. { truncated: true })
    * @returns {boolean} Success status
    */
-  set(path, type, data) {
+  set(path, type, data, meta = {}) {
     try {
       const key = this.getKey(path, type);
       const cacheEntry = {
         data: data,
+        meta: meta,
         timestamp: Date.now(),
         path: path,
         type: type
@@ -54,6 +56,7 @@ class PathCacheManager {
           const key = this.getKey(path, type);
           const cacheEntry = {
             data: data,
+            meta: meta,
             timestamp: Date.now(),
             path: path,
             type: type
@@ -86,6 +89,7 @@ class PathCacheManager {
       // Return entry with staleness info (path-aware TTL)
       return {
         data: cacheEntry.data,
+        meta: cacheEntry.meta || {},
         timestamp: cacheEntry.timestamp,
         isStale: this.isStale(cacheEntry.timestamp, cacheEntry.path),
         isExpired: this.isExpired(cacheEntry.timestamp, cacheEntry.path),
@@ -4,8 +4,18 @@
 class DriveAPI {
   constructor() {
     this.browseEndpoint = '/api/browse';
+    this.searchEndpoint = '/api/search';
+    this.recentEndpoint = '/api/recent';
+    this.fileEndpoint = '/api/file';
+    this.bundleEndpoint = '/api/bundle';
+    this.requestsEndpoint = '/api/requests';
+    this.submissionsEndpoint = '/api/submissions';
+    this.pushEndpoint = '/api/push';
     this.loaded = false;
     this.loading = new Map(); // Track in-flight requests by path
+    this.pathMeta = new Map(); // Listing metadata (e.g. truncated) by path:type
+    this.folderIds = new Map(); // Known Drive folder IDs by path (lets the server skip its path walk)
+    this.signInPromise = null; // Shared by requests that hit 401 at the same time
   }
 
   /**
@@ -71,6 +81,11 @@ class DriveAPI {
       const cached = pathCache.get(path, type);
       
       if (cached && !cached.isExpired) {
+        this.pathMeta.set(cacheKey, cached.meta || {});
+        if (type === 'folders') {
+          this.rememberFolderIds(path, cached.data);
+        }
+
         // If stale but not expired, trigger background refresh
         if (cached.isStale) {
           this.backgroundRefresh(path, type);
@@ -98,16 +113,24 @@ class DriveAPI {
 
   /**
    * Perform the actual API fetch
+   * Sends the folder ID when known so the server can skip walking the path.
    * @param {string} path - The folder path
    * @param {string} type - 'folders' or 'files'
+   * @param {boolean} forceRefresh - Skip cache and force fresh fetch
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again (no second prompt)
    * @returns {Promise<Array>} Data array
    */
-  async doFetch(path, type, forceRefresh = false) {
+  async doFetch(path, type, forceRefresh = false, afterSignIn = false) {
+    const folderId = this.folderIds.get(path);
     const queryParts = [
       `path=${encodeURIComponent(path)}`,
       `type=${encodeURIComponent(type)}`
     ];
 
+    if (folderId) {
+      queryParts.push(`id=${encodeURIComponent(folderId)}`);
+    }
+
     if (forceRefresh) {
       queryParts.push('refresh=1');
     }
@@ -127,19 +150,65 @@ class DriveAPI {
 
     const response = await fetch(url, requestOptions);
 
+    if (response.status === 404 && folderId) {
+      // Folder was moved or deleted in Drive - forget the ID and retry by path
+      this.folderIds.delete(path);
+      return this.doFetch(path, type, forceRefresh, afterSignIn);
+    }
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.doFetch(path, type, forceRefresh, true);
+    }
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       throw new Error(errorData.message || `Server error: ${response.status}`);
     }
 
     const result = await response.json();
+    const meta = { truncated: Boolean(result.truncated) };
     
     // Cache the result
-    pathCache.set(path, type, result.data);
+    pathCache.set(path, type, result.data, meta);
+    this.pathMeta.set(`${path}:${type}`, meta);
+
+    if (result.folderId) {
+      this.folderIds.set(path, result.folderId);
+    }
+    if (type === 'folders') {
+      this.rememberFolderIds(path, result.data);
+    }
     
     return result.data;
   }
 
+  /**
+   * Record the folder IDs of a folder listing's children
+   * @param {string} path - The parent folder path
+   * @param {Array} folders - Folder objects ({ id, name }) listed at that path
+   */
+  rememberFolderIds(path, folders) {
+    if (!Array.isArray(folders)) return;
+
+    const base = path === '/' ? '' : path;
+    folders.forEach(folder => {
+      if (folder && folder.id && folder.name) {
+        // Slashes inside folder names travel as ~ in paths (see encodeSegment)
+        this.folderIds.set(`${base}/${folder.name.replace(/\//g, '~')}`, folder.id);
+      }
+    });
+  }
+
+  /**
+   * Get listing metadata for the last fetch of a path
+   * @param {string} path - The folder path
+   * @param {string} type - 'folders' or 'files'
+   * @returns {Object} Metadata, e.g. { truncated: true } when the server hit its page cap
+   */
+  getPathMeta(path, type = 'folders') {
+    return this.pathMeta.get(`${path}:${type}`) || {};
+  }
+
   /**
    * Background refresh - fetch fresh data without blocking UI
    * @param {string} path - The folder path
@@ -215,6 +284,234 @@ class DriveAPI {
     return this.fetchFiles(path, forceRefresh);
   }
 
+  /**
+   * Search PDF file names across the whole Drive tree
+   * @param {string} query - Search text (e.g. a course code like "CSC 201")
+   * @returns {Promise<Object>} Search response with results and total match count
+   */
+  async searchFiles(query) {
+    return this.requestSearch(`q=${encodeURIComponent(query)}`);
+  }
+
+  /**
+   * Fetch the most recently added papers across the tree, newest first
+   * @param {{department?: string, level?: string, limit?: number}} [filters] - Optional department/level filter and size
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again
+   * @returns {Promise<Object>} { results, total }
+   */
+  async fetchRecent(filters = {}, afterSignIn = false) {
+    const query = new URLSearchParams();
+    if (filters.department) query.set('department', filters.department);
+    if (filters.level) query.set('level', filters.level);
+    if (filters.limit) query.set('limit', String(filters.limit));
+
+    const response = await fetch(`${this.recentEndpoint}?${query}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.fetchRecent(filters, true);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `Server error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return {
+      results: result.data || [],
+      total: result.total || 0
+    };
+  }
+
+  /**
+   * Fetch every session's paper for one course code (with caching)
+   * @param {string} courseCode - Course code (e.g. "CSC 201")
+   * @param {boolean} forceRefresh - Skip cache and force fresh fetch
+   * @returns {Promise<Array>} Array of file objects with breadcrumb fields, latest session first
+   */
+  async fetchCourse(courseCode, forceRefresh = false) {
+    const cachePath = `/course/${courseCode}`;
+
+    if (!forceRefresh) {
+      const cached = pathCache.get(cachePath, 'course');
+      if (cached && !cached.isStale) {
+        return cached.data;
+      }
+    }
+
+    const queryParts = [`course=${encodeURIComponent(courseCode)}`];
+    if (forceRefresh) {
+      queryParts.push('refresh=1');
+    }
+
+    const { results } = await this.requestSearch(queryParts.join('&'), forceRefresh);
+    pathCache.set(cachePath, 'course', results);
+    return results;
+  }
+
+  /**
+   * Show the sign-in screen after the server rejected the session (401 AUTH_REQUIRED).
+   * Concurrent requests share one prompt.
+   * @param {Response} response - The 401 response
+   * @returns {Promise<boolean>} True once signed in again (the caller should retry)
+   */
+  async signInAgain(response) {
+    const errorData = await response.clone().json().catch(() => ({}));
+    if (errorData.code !== 'AUTH_REQUIRED' || typeof emailGate === 'undefined') {
+      return false;
+    }
+
+    if (!this.signInPromise) {
+      emailGate.clearSession();
+      this.signInPromise = emailGate.show().finally(() => {
+        this.signInPromise = null;
+      });
+    }
+
+    await this.signInPromise;
+    return true;
+  }
+
+  /**
+   * Perform a search API request
+   * @param {string} queryString - Encoded query string (without leading ?)
+   * @param {boolean} forceRefresh - Bypass HTTP caches
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again
+   * @returns {Promise<Object>} { results, total, truncated }
+   */
+  async requestSearch(queryString, forceRefresh = false, afterSignIn = false) {
+    const requestOptions = {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (forceRefresh) {
+      requestOptions.cache = 'no-store';
+    }
+
+    const response = await fetch(`${this.searchEndpoint}?${queryString}`, requestOptions);
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.requestSearch(queryString, forceRefresh, true);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `Server error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return {
+      results: result.data || [],
+      total: result.total || 0,
+      truncated: Boolean(result.truncated)
+    };
+  }
+
+  /**
+   * Ask for a paper that is missing from a folder (shown to reps on the Track page)
+   * @param {string} path - Session folder path (e.g. '/Computer Science/100 Level/1st Semester/2024~25 Session')
+   * @param {string} [courseCode] - Course code the student needs, if they know it
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again
+   * @returns {Promise<Object>} { alreadyRequested, paper: { id, count, ... } }
+   */
+  async requestPaper(path, courseCode = '', afterSignIn = false) {
+    const response = await fetch(this.requestsEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ path, courseCode })
+    });
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.requestPaper(path, courseCode, true);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `Server error: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * Fetch the server's push key (VAPID public key) for PushManager.subscribe
+   * @returns {Promise<Object>} { enabled, publicKey }
+   */
+  async fetchPushKey() {
+    const response = await fetch(this.pushEndpoint, { cache: 'no-store' });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `Server error: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * Follow (POST) or unfollow (DELETE) a department or level for push notifications.
+   * POST without a department only lists this browser's follows.
+   * @param {string} method - 'POST' or 'DELETE'
+   * @param {Object} details - { subscription, department?, level? } (subscription is PushSubscription JSON)
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again
+   * @returns {Promise<Object>} { enabled, follows: [{ department, level }] }
+   */
+  async updatePushFollow(method, details, afterSignIn = false) {
+    const response = await fetch(this.pushEndpoint, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(details)
+    });
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.updatePushFollow(method, details, true);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || result.error || `Server error: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * Share a paper for a folder (the Quality Control lead reviews it on /moderation)
+   * @param {string} path - Session folder path
+   * @param {Blob} file - The PDF
+   * @param {{courseCode: string, title: string}} details - Course code and optional title
+   * @param {boolean} [afterSignIn=false] - Set on the retry after signing in again
+   * @returns {Promise<Object>} { ok, submission: { id, status, fileName } }
+   */
+  async submitPaper(path, file, details, afterSignIn = false) {
+    const query = new URLSearchParams({ path, courseCode: details.courseCode, title: details.title || '' });
+    const response = await fetch(`${this.submissionsEndpoint}?${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/pdf'
+      },
+      body: file
+    });
+
+    if (response.status === 401 && !afterSignIn && await this.signInAgain(response)) {
+      return this.submitPaper(path, file, details, true);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `Server error: ${response.status}`);
+    }
+    return result;
+  }
+
   /**
    * Format file size for display
    * @param {number} bytes - File size in bytes
@@ -259,12 +556,32 @@ class DriveAPI {
   }
 
   /**
-   * Get the download link for a file
+   * Get the download link for a file (served through /api/file with the Drive file name)
    * @param {Object} file - File object from Drive API
    * @returns {string} Download URL
    */
   getDownloadLink(file) {
-    return file.webContentLink || `https://drive.google.com/uc?export=download&id=${file.id}`;
+    return this.getFileUrl(file.id, { download: true });
+  }
+
+  /**
+   * Get the same-origin URL that streams a file's bytes (used by the in-app viewer)
+   * @param {string} fileId - File ID from a listing
+   * @param {Object} [options] - { download: true } to ask for an attachment
+   * @returns {string} Proxy URL
+   */
+  getFileUrl(fileId, options = {}) {
+    const download = options.download ? '&download=1' : '';
+    return `${this.fileEndpoint}?id=${encodeURIComponent(fileId)}${download}`;
+  }
+
+  /**
+   * Get the URL that downloads every PDF under a folder path as one ZIP
+   * @param {string} path - Folder path (e.g. '/Computer Science/100 Level/1st Semester/2024~25 Session')
+   * @returns {string} Bundle URL
+   */
+  getBundleUrl(path) {
+    return `${this.bundleEndpoint}?path=${encodeURIComponent(path)}`;
   }
 
   /**
@@ -1,32 +1,73 @@
 /**
  * @fileoverview Email Verification Gate for CURB.
  * Restricts access to students with caleb university email domains.
- * Saves validation state in LocalStorage to persist access.
+ * Sign-in is a code emailed by /api/auth/request and checked by /api/auth/verify,
+ * which sets the session cookie the API routes require.
  *
  * @module js/email-gate
  */
 
 class EmailGate {
   constructor() {
-    this.storageKey = 'curb_email_verified';
+    this.storageKey = 'curb_auth_session';
+    // Pre-server gate flag; no longer trusted, only cleared
+    this.legacyStorageKey = 'curb_email_verified';
+    this.endpoints = {
+      request: '/api/auth/request',
+      verify: '/api/auth/verify',
+      session: '/api/auth/session'
+    };
+    // API responses the service worker keeps for offline use (API_CACHE in sw.js)
+    this.apiCachePrefix = 'curb-api-';
   }
 
   /**
-   * Check if the user has already verified their student email.
+   * Check if this device holds an unexpired sign-in.
+   * The session itself is an HttpOnly cookie the page cannot read; this is the
+   * copy of its expiry saved at sign-in, so startup needs no network round trip.
+   * The server still checks the cookie on every API call.
    * @returns {boolean} True if verified.
    */
   isVerified() {
+    const session = this.getSession();
+    return Boolean(session && session.expiresAt > Date.now());
+  }
+
+  /**
+   * Read the saved sign-in ({ email, expiresAt }).
+   * @returns {Object|null} Saved sign-in or null.
+   */
+  getSession() {
     try {
-      return localStorage.getItem(this.storageKey) === 'true';
+      const raw = localStorage.getItem(this.storageKey);
+      const session = raw ? JSON.parse(raw) : null;
+      return session && typeof session.expiresAt === 'number' ? session : null;
     } catch (e) {
       console.warn('Storage access failed. Defaulting to unverified.', e);
-      return false;
+      return null;
+    }
+  }
+
+  /**
+   * Remember a sign-in confirmed by the server.
+   * @param {{email: string, expiresAt: number}} session - From /api/auth/verify or /api/auth/session.
+   */
+  saveSession(session) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        email: session.email,
+        expiresAt: session.expiresAt
+      }));
+      localStorage.removeItem(this.legacyStorageKey);
+    } catch (e) {
+      console.error('Failed to save verification state:', e);
     }
   }
 
   /**
    * Validate the input email format and domain.
-   * Domain must end with '@calebuniversity.edu.ng' or a subdomain of it.
+   * Domain must be 'calebuniversity.edu.ng' or a subdomain of it. The server runs
+   * the same check; this one only saves a round trip.
    *
    * @param {string} email - The raw input email.
    * @returns {boolean} True if the email belongs to Caleb University.
@@ -37,52 +78,172 @@ class EmailGate {
     }
 
     const trimmed = email.trim().toLowerCase();
-    
-    // Strict regex check: must match name@*.calebuniversity.edu.ng
+
+    // Strict regex check: must match name@calebuniversity.edu.ng or name@<sub>.calebuniversity.edu.ng
     // Requires the 'i' in calebuniversity.
-    const emailRegex = /^[a-z0-9._%+-]+@[a-z0-9.-]*calebuniversity\.edu\.ng$/;
+    const emailRegex = /^[a-z0-9._%+-]+@(?:[a-z0-9-]+\.)*calebuniversity\.edu\.ng$/;
     return emailRegex.test(trimmed);
   }
 
   /**
-   * Perform verification of the email, saving state on success.
-   * @param {string} email - The email to verify.
-   * @returns {boolean} True if validation succeeded.
+   * POST JSON to an auth endpoint.
+   * @param {string} url - Endpoint.
+   * @param {Object} body - Request body.
+   * @returns {Promise<{ok: boolean, status: number, data: Object}>} Response summary.
+   */
+  async postJson(url, body) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json().catch(() => ({}));
+      return { ok: response.ok, status: response.status, data };
+    } catch (error) {
+      return { ok: false, status: 0, data: { message: 'You appear to be offline. Connect and try again.' } };
+    }
+  }
+
+  /**
+   * Ask the server to email a sign-in code.
+   * @param {string} email - University email address.
+   * @returns {Promise<{ok: boolean, message: string}>} Result (message is for the user).
+   */
+  async requestCode(email) {
+    if (!this.validateEmail(email)) {
+      return { ok: false, message: 'Use your Caleb University email address.' };
+    }
+
+    const { ok, data } = await this.postJson(this.endpoints.request, { email: email.trim().toLowerCase() });
+    return {
+      ok,
+      message: ok ? `We sent a 6-digit code to ${data.email}.` : (data.message || 'Could not send the code. Try again.')
+    };
+  }
+
+  /**
+   * Exchange an emailed code for a session.
+   * @param {string} code - Code from the email.
+   * @returns {Promise<{ok: boolean, message: string, code: string|null}>} Result; code is the
+   *   server's error code (CODE_INVALID, CODE_EXPIRED, CODE_LOCKED) on failure.
    */
-  verify(email) {
-    if (this.validateEmail(email)) {
-      try {
-        localStorage.setItem(this.storageKey, 'true');
-        return true;
-      } catch (e) {
-        console.error('Failed to save verification state:', e);
-        return true; // Still allow navigation in case of storage quota error
-      }
+  async verifyCode(code) {
+    const { ok, data } = await this.postJson(this.endpoints.verify, { code: String(code || '').trim() });
+    if (ok) {
+      this.saveSession(data);
+      return { ok: true, message: '', code: null };
     }
-    return false;
+    return { ok: false, message: data.message || 'Could not verify the code. Try again.', code: data.code || null };
   }
 
   /**
-   * Reset verification state (for testing or logging out).
+   * Ask the server whether sign-in is required and whether the cookie is still valid.
+   * @returns {Promise<Object|null>} { authRequired, signedIn, email, expiresAt }, or null when unreachable.
    */
-  reset() {
+  async checkSession() {
+    try {
+      const response = await fetch(this.endpoints.session, { credentials: 'same-origin', cache: 'no-store' });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Look up what the signed-in user may do (role comes from the team sheets).
+   * Only used to hide controls; the API enforces roles itself.
+   * @returns {Promise<{role: string|null, department: string|null}|null>} Access, or null when unreachable.
+   */
+  async getAccess() {
+    const status = await this.checkSession();
+    if (!status) {
+      return null;
+    }
+    return { role: status.role || null, department: status.department || null };
+  }
+
+  /**
+   * Forget the saved sign-in on this device (the server already rejected the cookie).
+   */
+  clearSession() {
     try {
       localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.legacyStorageKey);
     } catch (e) {
       console.error('Failed to reset verification state:', e);
     }
   }
 
   /**
-   * Render and show the full-screen email verification overlay if not verified.
-   * Returns a promise that resolves once verification is completed.
+   * Sign out: forget the saved sign-in, clear the session cookie and drop the API
+   * responses cached while signed in.
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.clearSession();
+
+    try {
+      await fetch(this.endpoints.session, { method: 'DELETE', credentials: 'same-origin' });
+    } catch (error) {
+      // Offline: the cookie stays until it expires or the next sign-out
+    }
+
+    await this.clearApiCache();
+  }
+
+  /**
+   * Delete the service worker's cached API responses, so the next person on this
+   * device cannot read them offline. Saved-offline PDFs are kept.
+   * @returns {Promise<void>}
+   */
+  async clearApiCache() {
+    if (typeof caches === 'undefined') {
+      return;
+    }
+
+    try {
+      const cacheNames = await caches.keys();
+      await Promise.all(
+        cacheNames
+          .filter(cacheName => cacheName.startsWith(this.apiCachePrefix))
+          .map(cacheName => caches.delete(cacheName))
+      );
+    } catch (error) {
+      console.error('Failed to clear cached API responses:', error);
+    }
+  }
+
+  /**
+   * Show the sign-in overlay unless the user is already signed in.
+   * Resolves straight away when sign-in is off (local development), when the server
+   * still recognises the cookie, or when it cannot be reached (offline use of cached pages).
    * @returns {Promise<void>} Resolves when verification completes.
    */
-  show() {
+  async show() {
     if (this.isVerified()) {
-      return Promise.resolve();
+      return;
+    }
+
+    const status = await this.checkSession();
+    if (!status || !status.authRequired) {
+      return;
     }
 
+    if (status.signedIn) {
+      this.saveSession(status);
+      return;
+    }
+
+    await this.renderOverlay();
+  }
+
+  /**
+   * Render the two-step (email, then code) overlay.
+   * @returns {Promise<void>} Resolves once the code is accepted.
+   */
+  renderOverlay() {
     return new Promise((resolve) => {
       const overlay = document.createElement('div');
       overlay.className = 'email-gate-overlay';
@@ -90,12 +251,12 @@ class EmailGate {
 
       overlay.innerHTML = `
         <div class="email-gate-card">
-          <img src="assets/logo.png" alt="Caleb University Logo" class="email-gate-logo">
+          <img src="/assets/logo.png" alt="Caleb University Logo" class="email-gate-logo">
           <h2 class="email-gate-title">Login</h2>
-          <p class="email-gate-subtitle">
+          <p class="email-gate-subtitle" id="gate-subtitle">
             Please enter your school email to gain access to Resource Bank.
           </p>
-          <form class="email-gate-form" novalidate>
+          <form class="email-gate-form" id="gate-email-form" novalidate>
             <div class="email-gate-field">
               <label for="gate-email-input" class="email-gate-label">School Email</label>
               <div class="email-gate-input-wrapper">
@@ -107,65 +268,131 @@ class EmailGate {
                   required
                 />
               </div>
-              <div class="email-gate-error" id="gate-error-message">
-                <i class="fas fa-exclamation-circle"></i>
-                <span id="gate-error-text">Invalid email</span>
+            </div>
+            <button type="submit" class="email-gate-btn">
+              <span>Send code</span>
+            </button>
+          </form>
+          <form class="email-gate-form" id="gate-code-form" novalidate hidden>
+            <div class="email-gate-field">
+              <label for="gate-code-input" class="email-gate-label">6-digit code</label>
+              <div class="email-gate-input-wrapper">
+                <input 
+                  type="text" 
+                  id="gate-code-input" 
+                  class="email-gate-input email-gate-code-input" 
+                  inputmode="numeric"
+                  autocomplete="one-time-code"
+                  maxlength="6"
+                  pattern="[0-9]{6}"
+                  required
+                />
               </div>
             </div>
-            <button type="submit" class="email-gate-btn" id="gate-submit-btn">
+            <button type="submit" class="email-gate-btn">
               <span>Enter</span>
             </button>
+            <div class="email-gate-links">
+              <button type="button" class="email-gate-link" id="gate-resend">Resend code</button>
+              <button type="button" class="email-gate-link" id="gate-change-email">Use a different email</button>
+            </div>
           </form>
+          <div class="email-gate-error" id="gate-error-message" role="alert">
+            <i class="fas fa-exclamation-circle"></i>
+            <span id="gate-error-text">Invalid email</span>
+          </div>
         </div>
       `;
 
       document.body.appendChild(overlay);
 
-      const form = overlay.querySelector('.email-gate-form');
-      const input = overlay.querySelector('#gate-email-input');
       const card = overlay.querySelector('.email-gate-card');
+      const subtitle = overlay.querySelector('#gate-subtitle');
+      const emailForm = overlay.querySelector('#gate-email-form');
+      const codeForm = overlay.querySelector('#gate-code-form');
+      const emailInput = overlay.querySelector('#gate-email-input');
+      const codeInput = overlay.querySelector('#gate-code-input');
       const errorMsg = overlay.querySelector('#gate-error-message');
       const errorText = overlay.querySelector('#gate-error-text');
-      const submitBtn = overlay.querySelector('#gate-submit-btn');
+      let email = '';
 
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        if (submitBtn.disabled) return;
-        
-        const emailVal = input.value;
-        
-        // Remove existing effects
+      const setBusy = (form, busy) => {
+        form.querySelectorAll('button').forEach(button => {
+          button.disabled = busy;
+          button.style.opacity = busy ? '0.7' : '';
+          button.style.cursor = busy ? 'not-allowed' : '';
+        });
+      };
+
+      const showError = (message) => {
         card.classList.remove('shake');
+        setTimeout(() => {
+          card.classList.add('shake');
+        }, 10);
+        errorText.textContent = message;
+        errorMsg.style.display = 'flex';
+      };
+
+      const showStep = (step) => {
+        errorMsg.style.display = 'none';
+        emailForm.hidden = step !== 'email';
+        codeForm.hidden = step !== 'code';
+        (step === 'email' ? emailInput : codeInput).focus();
+      };
+
+      const sendCode = async (form) => {
+        setBusy(form, true);
+        const result = await this.requestCode(email);
+        setBusy(form, false);
+
+        if (!result.ok) {
+          showError(result.message);
+          return;
+        }
+
+        subtitle.textContent = `${result.message} Enter it below. It expires in 10 minutes.`;
+        codeInput.value = '';
+        showStep('code');
+      };
+
+      emailForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (emailForm.querySelector('button').disabled) return;
+
+        email = emailInput.value;
+        if (!this.validateEmail(email)) {
+          showError('Invalid email');
+          return;
+        }
+        sendCode(emailForm);
+      });
+
+      codeForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (codeForm.querySelector('button').disabled) return;
+
         errorMsg.style.display = 'none';
+        setBusy(codeForm, true);
+        const result = await this.verifyCode(codeInput.value);
+        setBusy(codeForm, false);
 
-        if (this.verify(emailVal)) {
+        if (result.ok) {
           // Success: Fade out and resolve
           overlay.classList.add('fade-out');
           setTimeout(() => {
             overlay.remove();
             resolve();
           }, 300);
-        } else {
-          // Validation failed: Show error, shake card, and temporarily disable button
-          submitBtn.disabled = true;
-          submitBtn.style.opacity = '0.7';
-          submitBtn.style.cursor = 'not-allowed';
+          return;
+        }
 
-          setTimeout(() => {
-            card.classList.add('shake');
-          }, 10);
-          
-          errorText.textContent = 'Invalid email';
-          errorMsg.style.display = 'flex';
+        showError(result.message);
+      });
 
-          // Re-enable button after 1 second (1000ms)
-          setTimeout(() => {
-            submitBtn.disabled = false;
-            submitBtn.style.opacity = '';
-            submitBtn.style.cursor = '';
-          }, 1000);
-        }
+      overlay.querySelector('#gate-resend').addEventListener('click', () => sendCode(codeForm));
+      overlay.querySelector('#gate-change-email').addEventListener('click', () => {
+        subtitle.textContent = 'Please enter your school email to gain access to Resource Bank.';
+        showStep('email');
       });
     });
   }
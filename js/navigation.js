@@ -2,19 +2,48 @@
 //
 // ROUTING STRUCTURE:
 // Standard departments: Department → Level → Semester → Session → Files
-//   URL pattern: #/Department/Level/Semester/Session
-//   Example: #/Computer Science/100 Level/1st Semester/2024~25 Session
+//   URL pattern: /browse/Department/Level/Semester/Session
+//   Example: /browse/Computer Science/100 Level/1st Semester/2024~25 Session
 //
 // SPECIAL CASE - Jupeb:
 //   Jupeb uses a different hierarchy: Subject → Session → Files (no Semester layer)
-//   URL pattern: #/Jupeb/Subject/Session
-//   Example: #/Jupeb/Science/2024~25 Session
+//   URL pattern: /browse/Jupeb/Subject/Session
+//   Example: /browse/Jupeb/Science/2024~25 Session
 //   The 'level' route parameter is repurposed as 'subject' for Jupeb
 //   The 'semester' route parameter is skipped entirely
 //
+// PDF VIEWER:
+//   URL pattern: <files route>/view/<fileId>
+//   Example: /browse/Computer Science/100 Level/1st Semester/2024~25 Session/view/1AbC...
+//   Opens one file from that session in the in-app viewer.
+//
+// COURSE VIEW:
+//   URL pattern: /course/<CODE>  (e.g. /course/CSC201)
+//   Lists every session's paper for one course code, across all folders.
+//
+// SAVED OFFLINE:
+//   URL pattern: /offline
+//   Lists PDFs saved with "Save offline" (js/offline-store.js); works with no connection.
+//
+// MY FILES:
+//   URL pattern: /me
+//   Starred departments and files, and recently opened files (js/profile-store.js).
+//
+// Routes are real paths changed with history.pushState; server.js and vercel.json answer
+// them with index.html. Links to them are plain <a href="/browse/..."> and are taken over
+// by handleLinkClick, so they open without a page load but still work in a new tab.
+//
+// OLD HASH LINKS:
+//   Bookmarks, shared links and notifications from the hash router (#/Computer Science/...,
+//   #/about) are rewritten in place to the same route's path (redirectLegacyHash).
+//
 // NOTE: Folder names containing '/' are encoded as '~' in URLs to prevent
 // path parsing issues. Use encodeSegment/decodeSegment for URL building/parsing.
 
+// Single-segment pages; everything else lives under /browse/ or /course/.
+// Mirrored by APP_PAGES in server.js, which serves index.html for them.
+const PAGE_ROUTES = ['about', 'offline', 'me', 'track', 'moderation'];
+
 /**
  * Encode a path segment for use in URLs.
  * Replaces '/' with '~' to prevent path splitting issues.
@@ -50,8 +79,61 @@ function displayName(name) {
   return name.replace(/~/g, '/');
 }
 
+/**
+ * Build the path of a folder route. Empty segments are skipped, so Jupeb folders
+ * (no semester) need no special case.
+ * @param {Array<string>} segments - Raw folder names: department, level, semester, session.
+ * @returns {string} Path (e.g. '/browse/Computer%20Science/100%20Level'), or '/' without segments.
+ */
+function buildBrowsePath(segments) {
+  const encoded = segments.filter(Boolean).map(segment => encodeSegment(segment));
+  return encoded.length > 0 ? `/browse/${encoded.join('/')}` : '/';
+}
+
+/**
+ * Check whether a same-origin path is one of the app's routes (and not a file or API call).
+ * @param {string} pathname - URL pathname.
+ * @returns {boolean} True for routes the Navigator renders.
+ */
+function isAppPath(pathname) {
+  const parts = pathname.split('/').filter(p => p);
+  if (parts.length === 0) return true;
+
+  const first = parts[0].toLowerCase();
+  return first === 'browse' || first === 'course' || (parts.length === 1 && PAGE_ROUTES.includes(first));
+}
+
+/**
+ * Backward compatibility: fix old URLs with session years like "2024/25".
+ * Converts patterns like "/2024/25 Session" or "/2023/24%20Session" to use ~.
+ * @param {string} path - Route path or old hash route.
+ * @returns {string} Path with the session's slash replaced.
+ */
+function fixSessionYears(path) {
+  return path.replace(/\/(\d{4})\/(\d{2})(\s|%20)*(Session|session)/g, '/$1~$2%20$4');
+}
+
+/**
+ * Convert a hash route from the old router into the same route's path.
+ * @param {string} hash - location.hash (e.g. '#/Computer Science/100 Level', '#/about').
+ * @returns {string|null} Path, or null when the hash is not an old route (e.g. an in-page anchor).
+ */
+function legacyHashToPath(hash) {
+  if (!hash || !hash.startsWith('#/')) return null;
+
+  const parts = fixSessionYears(hash.slice(1)).split('/').filter(p => p);
+  if (parts.length === 0) return '/';
+
+  const first = parts[0].toLowerCase();
+  if (first === 'course' || (parts.length === 1 && PAGE_ROUTES.includes(first))) {
+    return `/${parts.join('/')}`;
+  }
+  return `/browse/${parts.join('/')}`;
+}
+
 class Navigator {
   constructor() {
+    this.redirectLegacyHash();
     this.currentRoute = this.parseRoute();
     this.listeners = [];
   }
@@ -67,29 +149,70 @@ class Navigator {
       this.notifyListeners();
     });
 
+    // An old #/ link opened in this tab only changes the hash
+    window.addEventListener('hashchange', () => {
+      if (this.redirectLegacyHash()) {
+        this.currentRoute = this.parseRoute();
+        this.notifyListeners();
+      }
+    });
+
+    document.addEventListener('click', event => this.handleLinkClick(event));
+
     // Handle initial route
     this.notifyListeners();
   }
 
   /**
-   * Parse the current URL hash into route components
-   * @returns {Object} Route object
+   * Rewrite an old hash route (#/Computer Science/...) to its path without a history entry.
+   * @returns {boolean} True when the URL was rewritten.
    */
-  parseRoute() {
-    let hash = window.location.hash.slice(1) || '';
+  redirectLegacyHash() {
+    const path = legacyHashToPath(window.location.hash);
+    if (!path) return false;
+
+    window.history.replaceState(window.history.state, '', `${path}${window.location.search}`);
+    return true;
+  }
+
+  /**
+   * Open same-origin links to app routes with pushState instead of a page load.
+   * Modified clicks (new tab, download) and in-page '#' links are left to the browser.
+   * @param {MouseEvent} event - Document click event.
+   */
+  handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+
+    const href = link.getAttribute('href');
+    if (href.startsWith('#')) return;
 
-    // Backward compatibility: Fix old URLs with session years like "2024/25"
-    // Convert patterns like "/2024/25 Session" or "/2023/24 Session" to use ~
-    hash = hash.replace(/\/(\d{4})\/(\d{2})\s*(Session|session)/g, '/$1~$2 $3');
+    const url = new URL(href, window.location.href);
+    if (url.origin !== window.location.origin || !isAppPath(url.pathname)) return;
 
-    const parts = hash.split('/').filter(p => p);
+    event.preventDefault();
+    this.navigateTo(`${url.pathname}${url.search}`);
+  }
+
+  /**
+   * Parse the current URL path into route components
+   * @returns {Object} Route object
+   */
+  parseRoute() {
+    const path = fixSessionYears(window.location.pathname || '/');
+    const parts = path.split('/').filter(p => p);
 
     const route = {
       view: 'home',
       department: null,
       level: null,
       semester: null,
-      session: null
+      session: null,
+      courseCode: null,
+      fileId: null
     };
 
     // Special route for About page
@@ -98,12 +221,58 @@ class Navigator {
       return route;
     }
 
-    // Special secret route for Coverage Tracking
+    // Files saved for offline use
+    if (parts.length === 1 && parts[0].toLowerCase() === 'offline') {
+      route.view = 'offline';
+      return route;
+    }
+
+    // Favorites and recently opened files
+    if (parts.length === 1 && parts[0].toLowerCase() === 'me') {
+      route.view = 'me';
+      return route;
+    }
+
+    // Coverage Tracking (reps, executives and admins; see api/_roles.js)
     if (parts.length === 1 && parts[0].toLowerCase() === 'track') {
       route.view = 'track';
       return route;
     }
 
+    // Shared-paper review queue (admins; see api/submissions.js)
+    if (parts.length === 1 && parts[0].toLowerCase() === 'moderation') {
+      route.view = 'moderation';
+      return route;
+    }
+
+    // Per-course view across sessions
+    if (parts.length === 2 && parts[0].toLowerCase() === 'course') {
+      route.view = 'course';
+      // Canonical "CSC 201" form, whether the link said CSC201, csc-201 or CSC%20201
+      route.courseCode = decodeSegment(parts[1])
+        .trim()
+        .toUpperCase()
+        .replace(/^([A-Z]{2,4})[\s_-]*(\d)/, '$1 $2');
+      return route;
+    }
+
+    // Folders live under /browse/; any other path is not a route
+    if (parts.length > 0) {
+      if (parts[0].toLowerCase() !== 'browse') {
+        route.view = 'notfound';
+        return route;
+      }
+      parts.shift();
+    }
+
+    // In-app viewer: the files route followed by /view/<fileId>
+    // (Jupeb files routes have 3 parts, standard ones 4)
+    let fileId = null;
+    if (parts.length >= 5 && parts[parts.length - 2] === 'view') {
+      fileId = decodeSegment(parts.pop());
+      parts.pop();
+    }
+
     if (parts.length >= 1) {
       route.view = 'levels';  // Show levels for this department
       route.department = decodeSegment(parts[0]);
@@ -155,15 +324,26 @@ class Navigator {
       }
     }
 
+    if (fileId && route.view === 'files') {
+      route.view = 'viewer';
+      route.fileId = fileId;
+    }
+
     return route;
   }
 
   /**
    * Navigate to a new route
-   * @param {string} path - The route path (e.g., '/Accounting/100 Level')
+   * @param {string} path - The route path (e.g., '/browse/Accounting/100%20Level'; see buildBrowsePath)
    */
   navigateTo(path) {
-    window.location.hash = path;
+    const target = path || '/';
+    // Following a link to the page already open re-renders it without a duplicate history entry
+    if (target === `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(window.history.state, '', target);
+    } else {
+      window.history.pushState(null, '', target);
+    }
     this.currentRoute = this.parseRoute();
     this.notifyListeners();
     window.scrollTo(0, 0);
@@ -174,24 +354,33 @@ class Navigator {
    */
   goBack() {
     const route = this.currentRoute;
-    const isJupeb = route.department === 'Jupeb';
 
-    if (route.session) {
-      if (isJupeb) {
-        // Jupeb has no semester layer: Subject → Session → Files
-        this.navigateTo(`/${route.department}/${route.level}`);
-      } else {
-        this.navigateTo(`/${route.department}/${route.level}/${route.semester}`);
-      }
+    if (route.view === 'viewer') {
+      // Back to the session's file list (Jupeb routes have no semester, which buildBrowsePath skips)
+      this.navigateTo(buildBrowsePath([route.department, route.level, route.semester, route.session]));
+    } else if (route.session) {
+      // Jupeb has no semester layer: Subject → Session → Files, so this lands on the subject
+      this.navigateTo(buildBrowsePath([route.department, route.level, route.semester]));
     } else if (route.semester) {
-      this.navigateTo(`/${route.department}/${route.level}`);
+      this.navigateTo(buildBrowsePath([route.department, route.level]));
     } else if (route.level) {
-      this.navigateTo(`/${route.department}`);
-    } else if (route.department) {
+      this.navigateTo(buildBrowsePath([route.department]));
+    } else if (route.department || route.view === 'course' || route.view === 'offline' || route.view === 'me' ||
+      route.view === 'notfound') {
       this.navigateTo('/');
     }
   }
 
+  /**
+   * Swap the current route without a history entry or a route change notification
+   * (App.init uses it to open the student's own level before the first render).
+   * @param {string} path - Route path (e.g. '/browse/Computer%20Science/200%20Level').
+   */
+  replaceRoute(path) {
+    window.history.replaceState(window.history.state, '', path);
+    this.currentRoute = this.parseRoute();
+  }
+
   /**
    * Navigate to home
    */
@@ -217,10 +406,29 @@ class Navigator {
       { label: 'Home', path: '/', active: route.view === 'home' }
     ];
 
+    if (route.view === 'offline') {
+      breadcrumbs.push({ label: 'Saved Offline', path: '/offline', active: true });
+      return breadcrumbs;
+    }
+
+    if (route.view === 'me') {
+      breadcrumbs.push({ label: 'My Files', path: '/me', active: true });
+      return breadcrumbs;
+    }
+
+    if (route.view === 'course') {
+      breadcrumbs.push({
+        label: `Course ${route.courseCode}`,
+        path: `/course/${encodeSegment(route.courseCode)}`,
+        active: true
+      });
+      return breadcrumbs;
+    }
+
     if (route.department) {
       breadcrumbs.push({
         label: displayName(route.department),
-        path: `/${encodeSegment(route.department)}`,
+        path: buildBrowsePath([route.department]),
         active: route.view === 'levels'
       });
     }
@@ -228,7 +436,7 @@ class Navigator {
     if (route.level) {
       breadcrumbs.push({
         label: displayName(route.level),
-        path: `/${encodeSegment(route.department)}/${encodeSegment(route.level)}`,
+        path: buildBrowsePath([route.department, route.level]),
         active: route.view === 'semesters'
       });
     }
@@ -236,7 +444,7 @@ class Navigator {
     if (route.semester) {
       breadcrumbs.push({
         label: displayName(route.semester),
-        path: `/${encodeSegment(route.department)}/${encodeSegment(route.level)}/${encodeSegment(route.semester)}`,
+        path: buildBrowsePath([route.department, route.level, route.semester]),
         active: route.view === 'sessions'
       });
     }
@@ -244,11 +452,19 @@ class Navigator {
     if (route.session) {
       breadcrumbs.push({
         label: displayName(route.session),
-        path: `/${encodeSegment(route.department)}/${encodeSegment(route.level)}/${encodeSegment(route.semester)}/${encodeSegment(route.session)}`,
+        path: buildBrowsePath([route.department, route.level, route.semester, route.session]),
         active: route.view === 'files'
       });
     }
 
+    if (route.view === 'viewer') {
+      breadcrumbs.push({
+        label: 'Viewer',
+        path: `${breadcrumbs[breadcrumbs.length - 1].path}/view/${encodeSegment(route.fileId)}`,
+        active: true
+      });
+    }
+
     return breadcrumbs;
   }
 
@@ -265,7 +481,12 @@ class Navigator {
     if (route.view === 'home') return true;
 
     // Special routes are also valid
-    if (route.view === 'about' || route.view === 'track') return true;
+    if (route.view === 'about' || route.view === 'track' || route.view === 'moderation' ||
+      route.view === 'offline' || route.view === 'me') return true;
+
+    if (route.view === 'course') return Boolean(route.courseCode);
+
+    if (route.view === 'viewer') return Boolean(route.department && route.fileId);
 
     // If we have a department name, the route is structurally valid
     // The actual department existence will be validated by the API call
@@ -320,12 +541,33 @@ class Navigator {
       return `Coverage Tracker - ${baseTitle}`;
     }
 
+    if (route.view === 'moderation') {
+      return `Submissions - ${baseTitle}`;
+    }
+
+    if (route.view === 'offline') {
+      return `Saved Offline - ${baseTitle}`;
+    }
+
+    if (route.view === 'me') {
+      return `My Files - ${baseTitle}`;
+    }
+
+    if (route.view === 'course') {
+      return `${route.courseCode} Past Questions - ${baseTitle}`;
+    }
+
+    if (route.view === 'notfound') {
+      return `Page Not Found - ${baseTitle}`;
+    }
+
     const parts = [baseTitle];
 
     if (route.department) parts.push(route.department);
     if (route.level) parts.push(route.level);
     if (route.semester) parts.push(route.semester);
     if (route.session) parts.push(route.session);
+    if (route.view === 'viewer') parts.push('Viewer');
 
     return parts.join(' - ');
   }
@@ -343,6 +585,15 @@ const appNavigator = new Navigator();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Navigator, appNavigator, encodeSegment, decodeSegment, displayName };
+  module.exports = {
+    Navigator,
+    appNavigator,
+    encodeSegment,
+    decodeSegment,
+    displayName,
+    buildBrowsePath,
+    isAppPath,
+    legacyHashToPath
+  };
 }
 
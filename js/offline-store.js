@@ -0,0 +1,196 @@
+// Offline "Save for exam" Store
+// Keeps chosen PDFs in a dedicated Cache Storage bucket that the service worker
+// serves from when /api/file is requested, so saved papers open with no data.
+// The bucket name is not versioned: app updates and cache clears leave it alone.
+
+const OFFLINE_CACHE_NAME = 'curb-offline-files';
+
+class OfflineStore {
+  /**
+   * @param {Object} [options] - Store options.
+   * @param {string} [options.fileEndpoint='/api/file'] - Same-origin file proxy (must match sw.js).
+   */
+  constructor(options = {}) {
+    this.fileEndpoint = options.fileEndpoint || '/api/file';
+    this.indexKey = 'curb_offline_files';
+  }
+
+  /**
+   * Check whether this browser can save files offline.
+   * @returns {boolean} True when Cache Storage is available.
+   */
+  isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * Cache key for a file. The service worker looks files up by the same URL.
+   * @param {string} fileId - File ID from a listing
+   * @returns {string} Same-origin file URL
+   */
+  getCacheUrl(fileId) {
+    return `${this.fileEndpoint}?id=${encodeURIComponent(fileId)}`;
+  }
+
+  /**
+   * Read the saved-file index (metadata the Cache API cannot hold).
+   * @returns {Array} Saved entries ({ id, name, size, savedAt, folder, courseCode }), newest first
+   */
+  list() {
+    try {
+      const raw = localStorage.getItem(this.indexKey);
+      const entries = raw ? JSON.parse(raw) : [];
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the saved-file index.
+   * @param {Array} entries - Saved entries
+   */
+  writeIndex(entries) {
+    try {
+      localStorage.setItem(this.indexKey, JSON.stringify(entries));
+    } catch (error) {
+      console.warn('Failed to update offline index:', error);
+    }
+  }
+
+  /**
+   * Check whether a file is saved.
+   * @param {string} fileId - File ID
+   * @returns {boolean} True if saved
+   */
+  has(fileId) {
+    return this.list().some(entry => entry.id === fileId);
+  }
+
+  /**
+   * Get a saved file's entry.
+   * @param {string} fileId - File ID
+   * @returns {Object|null} Entry or null
+   */
+  get(fileId) {
+    return this.list().find(entry => entry.id === fileId) || null;
+  }
+
+  /**
+   * Download a PDF into the offline bucket.
+   * @param {Object} file - { id, name, courseCode } from a listing
+   * @param {Object} folder - { department, level, semester, session } the file lives in
+   * @returns {Promise<Object>} The saved entry
+   * @throws {Error} When offline storage is unavailable, the download fails or the quota is full
+   */
+  async save(file, folder) {
+    if (!this.isSupported()) {
+      throw new Error('This browser cannot save files for offline use.');
+    }
+
+    const url = this.getCacheUrl(file.id);
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Download failed (${response.status}). Try again when you are online.`);
+    }
+
+    const blob = await response.clone().blob();
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    try {
+      await cache.put(url, response);
+    } catch (error) {
+      if (error && error.name === 'QuotaExceededError') {
+        throw new Error('Not enough storage space. Remove some saved files and try again.');
+      }
+      throw error;
+    }
+
+    // Ask the browser not to evict saved papers under storage pressure
+    if (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.persist === 'function') {
+      navigator.storage.persist().catch(() => false);
+    }
+
+    const entry = {
+      id: file.id,
+      name: file.name,
+      size: blob.size,
+      courseCode: file.courseCode || null,
+      folder: {
+        department: folder.department || null,
+        level: folder.level || null,
+        semester: folder.semester || null,
+        session: folder.session || null
+      },
+      savedAt: Date.now()
+    };
+
+    this.writeIndex([entry, ...this.list().filter(existing => existing.id !== file.id)]);
+    return entry;
+  }
+
+  /**
+   * Remove saved files.
+   * @param {Array<string>} fileIds - File IDs to remove
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async remove(fileIds) {
+    const ids = new Set(fileIds);
+    const entries = this.list();
+
+    if (this.isSupported()) {
+      const cache = await caches.open(OFFLINE_CACHE_NAME);
+      await Promise.all(Array.from(ids).map(id => cache.delete(this.getCacheUrl(id))));
+    }
+
+    const remaining = entries.filter(entry => !ids.has(entry.id));
+    this.writeIndex(remaining);
+    return entries.length - remaining.length;
+  }
+
+  /**
+   * Drop index entries whose bytes are gone (e.g. the browser evicted the bucket).
+   * @returns {Promise<Array>} Entries that are still available offline
+   */
+  async reconcile() {
+    const entries = this.list();
+    if (!this.isSupported() || entries.length === 0) return entries;
+
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    const keys = await cache.keys();
+    const cachedUrls = new Set(keys.map(request => {
+      const url = new URL(request.url, 'http://localhost');
+      return `${url.pathname}${url.search}`;
+    }));
+
+    const available = entries.filter(entry => cachedUrls.has(this.getCacheUrl(entry.id)));
+    if (available.length !== entries.length) {
+      this.writeIndex(available);
+    }
+    return available;
+  }
+
+  /**
+   * Report storage usage for the whole origin.
+   * @returns {Promise<{usage: number, quota: number}|null>} Bytes used and available, or null if unknown
+   */
+  async estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+      return null;
+    }
+
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const offlineStore = new OfflineStore();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OfflineStore, offlineStore, OFFLINE_CACHE_NAME };
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Department and level onboarding for CURB.
+ * After sign-in, asks once which department and level the student is in, so the app
+ * can open there instead of on the department grid. The answer lives in the student's
+ * profile (js/profile-store.js) and moves up a level when /api/team reports a new
+ * academic session.
+ *
+ * @module js/onboarding
+ */
+
+/**
+ * Read the start year of an academic session label ('2025/26', '2025~26 Session').
+ * @param {string} session - Session label.
+ * @returns {number|null} Start year, or null when the label has none.
+ */
+function sessionStartYear(session) {
+  const match = String(session || '').match(/(\d{4})/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Read the number of a level folder ('200 Level' → 200).
+ * @param {string} level - Level folder name.
+ * @returns {number|null} Level number, or null for non-numeric levels (Jupeb subjects).
+ */
+function levelNumber(level) {
+  const match = String(level || '').match(/^\s*(\d{3})\b/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Move a level up by a number of sessions, staying on levels the department has.
+ * A final-year student stays on the highest level instead of running off the end.
+ * @param {string} level - Current level folder name.
+ * @param {number} steps - Sessions passed since the level was set.
+ * @param {Array<string>} levels - The department's level folder names.
+ * @returns {string} New level folder name (the current one when nothing fits).
+ */
+function advanceLevel(level, steps, levels) {
+  const current = levelNumber(level);
+  if (current === null || steps <= 0) return level;
+
+  const target = current + steps * 100;
+  const candidates = levels
+    .map(name => ({ name, number: levelNumber(name) }))
+    .filter(entry => entry.number !== null && entry.number > current && entry.number <= target)
+    .sort((a, b) => b.number - a.number);
+  return candidates.length > 0 ? candidates[0].name : level;
+}
+
+class Onboarding {
+  /**
+   * Ask for the student's department and level.
+   * @param {Object|null} [current] - Saved home to preselect ({ department, level }).
+   * @returns {Promise<Object|null>} The saved home ({ department, level } or { skipped: true }),
+   *   or null when the departments could not be loaded (asked again next launch).
+   */
+  async show(current = null) {
+    let departments;
+    try {
+      departments = await driveAPI.fetchDepartments();
+    } catch (error) {
+      console.warn('Onboarding skipped, departments unavailable:', error);
+      return null;
+    }
+    if (!departments || departments.length === 0) return null;
+
+    return this.renderOverlay(departments, current && !current.skipped ? current : null);
+  }
+
+  /**
+   * Render the department and level picker.
+   * @param {Array<string>} departments - Department folder names.
+   * @param {Object|null} current - Saved home to preselect.
+   * @returns {Promise<Object>} Resolves with the saved home once the student answers.
+   */
+  renderOverlay(departments, current) {
+    return new Promise((resolve) => {
+      const escape = value => renderer.escapeHtml(value);
+      const overlay = document.createElement('div');
+      overlay.className = 'email-gate-overlay onboarding-overlay';
+      overlay.id = 'onboarding';
+
+      overlay.innerHTML = `
+        <div class="email-gate-card" role="dialog" aria-modal="true" aria-labelledby="onboarding-title">
+          <img src="/assets/logo.png" alt="Caleb University Logo" class="email-gate-logo">
+          <h2 class="email-gate-title" id="onboarding-title">Where do you study?</h2>
+          <p class="email-gate-subtitle">
+            Pick your department and current level and the Resource Bank will open there.
+          </p>
+          <form class="email-gate-form" id="onboarding-form" novalidate>
+            <div class="email-gate-field">
+              <label for="onboarding-department" class="email-gate-label">Department</label>
+              <select id="onboarding-department" class="email-gate-input" required>
+                <option value="">Choose your department</option>
+                ${departments.map(dept => `
+                  <option value="${escape(dept)}"${current && current.department === dept ? ' selected' : ''}>${escape(displayName(dept))}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="email-gate-field">
+              <label for="onboarding-level" class="email-gate-label" id="onboarding-level-label">Level</label>
+              <select id="onboarding-level" class="email-gate-input" required disabled>
+                <option value="">Choose a department first</option>
+              </select>
+            </div>
+            <button type="submit" class="email-gate-btn" disabled>
+              <span>Continue</span>
+            </button>
+            <div class="email-gate-links">
+              <button type="button" class="email-gate-link" id="onboarding-skip">Skip, show all departments</button>
+            </div>
+          </form>
+        </div>
+      `;
+
+      document.body.appendChild(overlay);
+
+      const form = overlay.querySelector('#onboarding-form');
+      const departmentSelect = overlay.querySelector('#onboarding-department');
+      const levelSelect = overlay.querySelector('#onboarding-level');
+      const levelLabel = overlay.querySelector('#onboarding-level-label');
+      const submit = form.querySelector('button[type="submit"]');
+      let loadId = 0;
+
+      const finish = (home) => {
+        overlay.classList.add('fade-out');
+        setTimeout(() => {
+          overlay.remove();
+          resolve(home);
+        }, 300);
+      };
+
+      const updateSubmit = () => {
+        submit.disabled = !departmentSelect.value || !levelSelect.value;
+      };
+
+      const loadLevels = async () => {
+        const department = departmentSelect.value;
+        const requestId = ++loadId;
+        levelSelect.disabled = true;
+        levelLabel.textContent = department === 'Jupeb' ? 'Subject' : 'Level';
+        levelSelect.innerHTML = `<option value="">${department ? 'Loading...' : 'Choose a department first'}</option>`;
+        updateSubmit();
+        if (!department) return;
+
+        const levels = await driveAPI.fetchLevels(department).catch(() => []);
+        if (requestId !== loadId) return;
+
+        levelSelect.innerHTML = `
+          <option value="">${levels.length > 0 ? 'Choose your level' : 'No levels found'}</option>
+          ${levels.map(level => `
+            <option value="${escape(level)}"${current && current.level === level ? ' selected' : ''}>${escape(displayName(level))}</option>
+          `).join('')}
+        `;
+        levelSelect.disabled = levels.length === 0;
+        updateSubmit();
+      };
+
+      departmentSelect.addEventListener('change', loadLevels);
+      levelSelect.addEventListener('change', updateSubmit);
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (submit.disabled) return;
+        finish(profileStore.setHome({ department: departmentSelect.value, level: levelSelect.value }));
+      });
+
+      overlay.querySelector('#onboarding-skip').addEventListener('click', () => finish(profileStore.skipHome()));
+
+      if (departmentSelect.value) {
+        loadLevels();
+      }
+      departmentSelect.focus();
+    });
+  }
+
+  /**
+   * Move the saved level up when a new academic session has started since it was set.
+   * The first time it only records the current session.
+   * @param {Object} home - Saved home ({ department, level, session }).
+   * @param {Array<string>} sessions - Sessions from /api/team, latest first.
+   * @returns {Promise<{home: Object, promoted: boolean}>} The (possibly updated) home.
+   */
+  async promote(home, sessions) {
+    const latest = Array.isArray(sessions) && sessions.length > 0 ? sessions[0] : null;
+    const latestYear = sessionStartYear(latest);
+    if (!latestYear || home.session === latest) {
+      return { home, promoted: false };
+    }
+
+    const savedYear = sessionStartYear(home.session);
+    const steps = savedYear ? latestYear - savedYear : 0;
+    if (steps < 0) {
+      return { home, promoted: false };
+    }
+
+    let level = home.level;
+    if (steps > 0) {
+      const levels = await driveAPI.fetchLevels(home.department).catch(() => null);
+      // Without the level list we cannot tell where to go; try again next launch
+      if (!levels) return { home, promoted: false };
+      level = advanceLevel(home.level, steps, levels);
+    }
+
+    const updated = profileStore.setHome({ department: home.department, level, session: latest });
+    return { home: updated, promoted: level !== home.level };
+  }
+}
+
+// Create singleton instance
+const onboarding = new Onboarding();
+
+// Export for tests and Node environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Onboarding, onboarding, advanceLevel, sessionStartYear, levelNumber };
+}
@@ -0,0 +1,270 @@
+// Student Profile Store
+// Favorites (files and departments), the files last opened in the viewer and the
+// student's own department and level. Kept in localStorage first, so they work signed
+// out and offline; once the student is signed in, sync() merges them with /api/profile
+// so they follow the student across devices.
+//
+// Profile shape (same on the server):
+//   { favorites: [{ key, kind, id, name, ...details, updatedAt, removed? }],
+//     recent: [{ id, name, courseCode, folder, viewedAt }],
+//     home: { department, level, session, updatedAt } | { skipped: true, updatedAt } | null }
+// Unstarring keeps a "removed" entry for a while, so the next sync removes the star on
+// the student's other devices instead of bringing it back.
+//
+// A synced profile remembers whose it is; when someone else signs in on the same device,
+// the previous student's favorites are dropped rather than merged into the new account.
+
+const PROFILE_STORAGE_KEY = 'curb_profile';
+const MAX_RECENT_FILES = 20;
+const PROFILE_SYNC_DELAY_MS = 1000;
+
+class ProfileStore {
+  /**
+   * @param {Object} [options] - Store options.
+   * @param {string} [options.endpoint='/api/profile'] - Profile sync endpoint.
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || '/api/profile';
+    this.storageKey = PROFILE_STORAGE_KEY;
+    // Bumped on every local change, so a sync can tell it raced with one
+    this.revision = 0;
+    this.syncTimer = null;
+    this.syncPromise = null;
+    this.syncAgain = false;
+  }
+
+  /**
+   * Read the stored profile.
+   * @returns {{favorites: Array, recent: Array, home: Object|null}} Profile (empty when nothing is stored).
+   */
+  read() {
+    try {
+      const profile = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      return {
+        favorites: profile && Array.isArray(profile.favorites) ? profile.favorites : [],
+        recent: profile && Array.isArray(profile.recent) ? profile.recent : [],
+        home: profile && profile.home ? profile.home : null
+      };
+    } catch (error) {
+      return { favorites: [], recent: [], home: null };
+    }
+  }
+
+  /**
+   * Read which signed-in email the stored profile was last synced for.
+   * @returns {string|null} Email, or null when never synced.
+   */
+  readOwner() {
+    try {
+      const profile = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      return profile && typeof profile.owner === 'string' ? profile.owner : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write the profile.
+   * @param {{favorites: Array, recent: Array, home: Object|null}} profile - Profile.
+   * @param {string|null} [owner=this.readOwner()] - Email the profile belongs to.
+   */
+  write(profile, owner = this.readOwner()) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        owner,
+        favorites: profile.favorites,
+        recent: profile.recent,
+        home: profile.home || null
+      }));
+    } catch (error) {
+      console.warn('Failed to save profile:', error);
+    }
+  }
+
+  /**
+   * Check whether an item is starred.
+   * @param {string} kind - 'file' or 'department'.
+   * @param {string} id - File ID or department name.
+   * @returns {boolean} True if starred.
+   */
+  isFavorite(kind, id) {
+    return this.read().favorites.some(entry => entry.key === `${kind}:${id}` && !entry.removed);
+  }
+
+  /**
+   * List starred items, most recently starred first.
+   * @param {string} [kind] - Only this kind ('file' or 'department').
+   * @returns {Array} Favorite entries.
+   */
+  listFavorites(kind) {
+    return this.read().favorites
+      .filter(entry => !entry.removed && (!kind || entry.kind === kind))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Star or unstar an item.
+   * @param {string} kind - 'file' or 'department'.
+   * @param {Object} item - { id, name } plus, for files, courseCode and folder ({ department, level, semester, session }).
+   * @returns {boolean} True if the item is starred afterwards.
+   */
+  toggleFavorite(kind, item) {
+    const profile = this.read();
+    const key = `${kind}:${item.id}`;
+    const starred = !profile.favorites.some(entry => entry.key === key && !entry.removed);
+    const entry = starred
+      ? { ...item, key, kind, updatedAt: Date.now() }
+      : { key, kind, id: item.id, name: item.name, updatedAt: Date.now(), removed: true };
+
+    profile.favorites = [entry, ...profile.favorites.filter(existing => existing.key !== key)];
+    this.write(profile);
+    this.changed();
+    return starred;
+  }
+
+  /**
+   * Remember a file opened in the viewer.
+   * @param {Object} file - { id, name, courseCode }.
+   * @param {Object} folder - { department, level, semester, session } the file lives in.
+   */
+  recordView(file, folder) {
+    const profile = this.read();
+    const entry = {
+      id: file.id,
+      name: file.name,
+      courseCode: file.courseCode || null,
+      folder: {
+        department: folder.department || null,
+        level: folder.level || null,
+        semester: folder.semester || null,
+        session: folder.session || null
+      },
+      viewedAt: Date.now()
+    };
+
+    profile.recent = [entry, ...profile.recent.filter(existing => existing.id !== file.id)].slice(0, MAX_RECENT_FILES);
+    this.write(profile);
+    this.changed();
+  }
+
+  /**
+   * List recently opened files, newest first.
+   * @returns {Array} Recent entries.
+   */
+  listRecent() {
+    return this.read().recent.slice().sort((a, b) => b.viewedAt - a.viewedAt);
+  }
+
+  /**
+   * Read the student's own department and level.
+   * @returns {Object|null} { department, level, session } or { skipped: true }; null when never asked.
+   */
+  getHome() {
+    return this.read().home;
+  }
+
+  /**
+   * Save the student's own department and level.
+   * @param {{department: string, level: string, session?: string|null}} home - Where the app should open.
+   * @returns {Object} Stored home.
+   */
+  setHome(home) {
+    const profile = this.read();
+    profile.home = {
+      department: home.department,
+      level: home.level,
+      session: home.session || null,
+      updatedAt: Date.now()
+    };
+    this.write(profile);
+    this.changed();
+    return profile.home;
+  }
+
+  /**
+   * Remember that the student would rather start from the department grid.
+   * @returns {Object} Stored home ({ skipped: true }).
+   */
+  skipHome() {
+    const profile = this.read();
+    profile.home = { skipped: true, updatedAt: Date.now() };
+    this.write(profile);
+    this.changed();
+    return profile.home;
+  }
+
+  /**
+   * Note a local change and sync it shortly (changes in quick succession share one request).
+   */
+  changed() {
+    this.revision += 1;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), PROFILE_SYNC_DELAY_MS);
+  }
+
+  /**
+   * Merge the local profile with the server's copy. Only runs when signed in; failures
+   * leave the local profile as it is (it syncs again on the next change or visit).
+   * @returns {Promise<boolean>} True when the local profile now matches the server.
+   */
+  sync() {
+    if (typeof emailGate === 'undefined' || !emailGate.isVerified()) {
+      return Promise.resolve(false);
+    }
+    if (this.syncPromise) {
+      // Changes made while a request is out go in one more request after it
+      this.syncAgain = true;
+      return this.syncPromise;
+    }
+
+    this.syncPromise = this.pushProfile().finally(() => {
+      this.syncPromise = null;
+      if (this.syncAgain) {
+        this.syncAgain = false;
+        this.sync();
+      }
+    });
+    return this.syncPromise;
+  }
+
+  /**
+   * Send the local profile and keep the merged one the server answers with.
+   * @returns {Promise<boolean>} True when stored.
+   */
+  async pushProfile() {
+    const revision = this.revision;
+    const session = emailGate.getSession();
+    const email = session && session.email ? session.email : null;
+    const owner = this.readOwner();
+    const local = owner && owner !== email ? { favorites: [], recent: [], home: null } : this.read();
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(local)
+      });
+      if (!response.ok) return false;
+
+      const { profile } = await response.json();
+      // A star or view landed while the request was out; the follow-up sync carries it
+      if (revision !== this.revision || !profile) return false;
+
+      this.write(profile, email);
+      return true;
+    } catch (error) {
+      console.warn('Profile sync failed:', error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const profileStore = new ProfileStore();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProfileStore, profileStore, MAX_RECENT_FILES };
+}
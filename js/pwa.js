@@ -1,5 +1,6 @@
 // PWA Installation Manager for CURB
-// Handles install prompts, engagement tracking, and installation UI
+// Handles install prompts, engagement tracking, installation UI, and the push
+// subscription behind "follow a department" notifications
 
 /**
  * Manages Progressive Web App installation features.
@@ -391,6 +392,74 @@ class PWAManager {
             }
         });
     }
+
+    /**
+     * Check whether this browser can receive push notifications.
+     * @returns {boolean} True when service workers, PushManager and Notification exist.
+     */
+    isPushSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+            typeof window !== 'undefined' && 'PushManager' in window && 'Notification' in window;
+    }
+
+    /**
+     * Get this browser's push subscription, optionally creating it.
+     * Creating one asks for notification permission first.
+     * @param {boolean} [create=false] - Subscribe when there is no subscription yet.
+     * @returns {Promise<PushSubscription|null>} Subscription, or null when none and not creating.
+     */
+    async getPushSubscription(create = false) {
+        const registration = await navigator.serviceWorker.ready;
+        const existing = await registration.pushManager.getSubscription();
+        if (existing || !create) return existing;
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked for this site. Allow them in your browser settings to follow.');
+        }
+
+        const { enabled, publicKey } = await driveAPI.fetchPushKey();
+        if (!enabled || !publicKey) {
+            throw new Error('Notifications are not available right now.');
+        }
+
+        // applicationServerKey wants the raw key bytes, not base64url
+        const base64 = publicKey.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+        const applicationServerKey = Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+        return registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+    }
+
+    /**
+     * List the departments and levels this browser follows.
+     * @returns {Promise<Array<{department: string, level: string|null}>>} Follows.
+     */
+    async getFollows() {
+        const subscription = await this.getPushSubscription(false);
+        if (!subscription) return [];
+
+        const { follows } = await driveAPI.updatePushFollow('POST', { subscription: subscription.toJSON() });
+        return follows || [];
+    }
+
+    /**
+     * Follow or unfollow a department (level '') or one of its levels.
+     * @param {string} department - Department name.
+     * @param {string} level - Level name, or '' for the whole department.
+     * @param {boolean} follow - True to follow, false to unfollow.
+     * @returns {Promise<Array<{department: string, level: string|null}>>} Follows afterwards.
+     */
+    async setFollow(department, level, follow) {
+        const subscription = await this.getPushSubscription(follow);
+        if (!subscription) return [];
+
+        const { follows } = await driveAPI.updatePushFollow(follow ? 'POST' : 'DELETE', {
+            subscription: subscription.toJSON(),
+            department,
+            level
+        });
+        return follows || [];
+    }
 }
 
 // Create singleton instance
@@ -10,6 +10,11 @@ class Renderer {
   constructor() {
     this.teamRenderer = new TeamRenderer(this);
     this.coverageRenderer = new CoverageRenderer(this);
+    this.viewerRenderer = new ViewerRenderer(this);
+    this.offlineRenderer = new OfflineRenderer(this);
+    this.moderationRenderer = new ModerationRenderer(this);
+    this.recentRenderer = new RecentRenderer(this);
+    this.profileRenderer = new ProfileRenderer(this);
   }
 
   /**
@@ -116,21 +121,28 @@ class Renderer {
             type="text"
             id="search-input"
             class="search-input"
-            placeholder="Search departments..."
-            aria-label="Search departments"
+            placeholder="Search departments or course codes..."
+            aria-label="Search departments or course codes"
           />
         </div>
       </section>
 
+      <div id="file-search-results" class="file-search-results" aria-live="polite"></div>
+
+      <section id="recent-section" class="recent-section" aria-live="polite"></section>
+
       <p class="departments-section-label">All Departments</p>
       <div class="departments-grid" id="department-grid">
         ${departments.map(dept => `
-          <a href="#/${encodeSegment(dept)}" class="department-card" data-department="${this.escapeAttr(dept)}">
-            <div class="card-icon">
-              <i data-lucide="${this.getDepartmentLucideIcon(dept)}"></i>
-            </div>
-            <span class="card-title">${this.escapeHtml(dept)}</span>
-          </a>
+          <div class="department-item">
+            <a href="${buildBrowsePath([dept])}" class="department-card" data-department="${this.escapeAttr(dept)}">
+              <div class="card-icon">
+                <i data-lucide="${this.getDepartmentLucideIcon(dept)}"></i>
+              </div>
+              <span class="card-title">${this.escapeHtml(dept)}</span>
+            </a>
+            ${this.renderFavoriteButton('department', { id: dept, name: displayName(dept) })}
+          </div>
         `).join('')}
       </div>
     `;
@@ -139,6 +151,8 @@ class Renderer {
             setTimeout(() => lucide.createIcons(), 0);
         }
         this.ensureFontAwesomeIcons();
+        // The feed fills in on its own; the department grid does not wait for it.
+        this.recentRenderer.renderRecent(container, departments);
         return departments;
     }
 
@@ -161,9 +175,10 @@ class Renderer {
 
         if (route.department === 'Jupeb') {
             container.innerHTML = `
+        ${this.renderFollowBar(route.department, levels)}
         <div class="level-grid">
           ${levels.map(level => `
-            <a href="#/${encodeSegment(route.department)}/${encodeSegment(level)}"
+            <a href="${buildBrowsePath([route.department, level])}"
                class="level-card">
               <div class="level-icon">
                 <i class="fas fa-book"></i>
@@ -175,9 +190,10 @@ class Renderer {
       `;
         } else {
             container.innerHTML = `
+        ${this.renderFollowBar(route.department, levels)}
         <div class="level-grid">
           ${levels.map(level => `
-            <a href="#/${encodeSegment(route.department)}/${encodeSegment(level)}"
+            <a href="${buildBrowsePath([route.department, level])}"
                class="level-card">
               <div class="level-number">${this.escapeHtml(level.match(/\d+/)?.[0] || level)}</div>
               <div class="level-label">Level</div>
@@ -188,6 +204,56 @@ class Renderer {
         }
 
         this.ensureFontAwesomeIcons();
+        this.syncFollowBar(container);
+    }
+
+    /**
+     * Render the "notify me" chips for a department page: the whole department and each level.
+     * The bar stays hidden until syncFollowBar knows this browser can receive push.
+     * @param {string} department - Department name from the route.
+     * @param {Array<string>} levels - Level (or Jupeb subject) names.
+     * @returns {string} HTML string.
+     */
+    renderFollowBar(department, levels) {
+        const chip = (level, label) => `
+          <button type="button" class="follow-chip" data-action="toggle-follow" aria-pressed="false"
+            data-follow-department="${this.escapeAttr(department)}" data-follow-level="${this.escapeAttr(level)}">
+            <i class="far fa-bell"></i> <span>${this.escapeHtml(label)}</span>
+          </button>
+        `;
+
+        return `
+        <div class="follow-bar" hidden>
+          <span class="meta-text">Notify me about new papers in</span>
+          ${chip('', `All of ${displayName(department)}`)}
+          ${levels.map(level => chip(level, displayName(level))).join('')}
+        </div>
+      `;
+    }
+
+    /**
+     * Show the follow chips when push works in this browser and mark the followed ones.
+     * @param {ParentNode} root - Element holding the .follow-bar.
+     * @param {Array<{department: string, level: string|null}>} [follows] - Follows, fetched when omitted.
+     */
+    async syncFollowBar(root, follows) {
+        const bar = root.querySelector('.follow-bar');
+        if (!bar || typeof pwaManager === 'undefined' || !pwaManager.isPushSupported()) return;
+        bar.hidden = false;
+
+        try {
+            const current = follows || await pwaManager.getFollows();
+            const keyOf = (department, level) => `${displayName(department)}|${displayName(level || '')}`.toLowerCase();
+            const followed = new Set(current.map(follow => keyOf(follow.department, follow.level)));
+
+            bar.querySelectorAll('[data-action="toggle-follow"]').forEach((chip) => {
+                const on = followed.has(keyOf(chip.dataset.followDepartment, chip.dataset.followLevel));
+                chip.classList.toggle('active', on);
+                chip.setAttribute('aria-pressed', String(on));
+            });
+        } catch (error) {
+            console.warn('Could not load followed departments:', error);
+        }
     }
 
     /**
@@ -209,7 +275,7 @@ class Renderer {
         container.innerHTML = `
       <div class="semester-grid">
         ${semesters.map(semester => `
-          <a href="#/${encodeSegment(route.department)}/${encodeSegment(route.level)}/${encodeSegment(semester)}"
+          <a href="${buildBrowsePath([route.department, route.level, semester])}"
              class="semester-card">
             <div class="semester-name">${this.escapeHtml(semester)}</div>
           </a>
@@ -249,9 +315,10 @@ class Renderer {
 
         if (isJupeb) {
             container.innerHTML = `
+        ${this.renderBundleBar(`/${route.department}/${route.level}`, 'Download all sessions (ZIP)')}
         <div class="semester-grid">
           ${sessions.map(session => `
-            <a href="#/${encodeSegment(route.department)}/${encodeSegment(route.level)}/${encodeSegment(session)}"
+            <a href="${buildBrowsePath([route.department, route.level, session])}"
                class="semester-card">
               <div class="semester-name">${this.escapeHtml(session)}</div>
             </a>
@@ -260,9 +327,10 @@ class Renderer {
       `;
         } else {
             container.innerHTML = `
+        ${this.renderBundleBar(`/${route.department}/${route.level}/${route.semester}`, 'Download whole semester (ZIP)')}
         <div class="semester-grid">
           ${sessions.map(session => `
-            <a href="#/${encodeSegment(route.department)}/${encodeSegment(route.level)}/${encodeSegment(route.semester)}/${encodeSegment(session)}"
+            <a href="${buildBrowsePath([route.department, route.level, route.semester, session])}"
                class="semester-card">
               <div class="semester-name">${this.escapeHtml(session)}</div>
             </a>
@@ -303,15 +371,28 @@ class Renderer {
                     'Files are available from 2nd semester 2024/2025 onwards.'
                 );
             } else {
-                container.innerHTML = this.renderEmptyState(
+                container.innerHTML = `
+          ${this.renderEmptyState(
                     'No files available yet',
-                    'Files will be added soon. Check back later or contact us if you have materials to share.'
-                );
+                    'Files will be added soon. Request the paper you need below, or share one you have.'
+                )}
+          ${this.renderPaperRequest(path)}
+          ${this.renderPaperSubmit(path)}
+        `;
             }
             return;
         }
 
+        const { truncated } = driveAPI.getPathMeta(path, 'files');
+
         container.innerHTML = `
+      ${truncated ? `
+        <div class="listing-warning" role="status">
+          <i class="fas fa-triangle-exclamation"></i>
+          <span>This folder has more files than we could list at once. Showing the first ${files.length} — search by course code to find a specific paper, or contact us so we can split the folder.</span>
+        </div>
+      ` : ''}
+      ${files.length > 1 && !truncated ? this.renderBundleBar(path, `Download all ${files.length} files (ZIP)`) : ''}
       <div class="file-list">
         ${files.map(file => `
           <div class="file-card">
@@ -322,19 +403,288 @@ class Renderer {
                 ${this.escapeHtml(file.size ? driveAPI.formatFileSize(file.size) : '')} •
                 ${this.escapeHtml(file.modifiedTime ? driveAPI.formatDate(file.modifiedTime) : '')}
               </div>
+              ${file.courseCode ? `
+                <a href="/course/${encodeSegment(file.courseCode.replace(/\s+/g, ''))}" class="course-chip" title="See ${this.escapeAttr(file.courseCode)} from every session">
+                  <i class="fas fa-layer-group"></i> ${this.escapeHtml(file.courseCode)} · all sessions
+                </a>
+              ` : ''}
               <div class="file-actions">
-                <a href="${this.escapeAttr(this.safeUrl(driveAPI.getViewLink(file)))}" target="_blank" rel="noopener noreferrer" class="btn-secondary">View</a>
-                <a href="${this.escapeAttr(this.safeUrl(driveAPI.getDownloadLink(file)))}" target="_blank" rel="noopener noreferrer" class="btn-primary">Download</a>
+                <a href="${this.escapeAttr(this.buildViewerPath(route, file.id))}" class="btn-secondary">View</a>
+                <a href="${this.escapeAttr(this.safeUrl(driveAPI.getDownloadLink(file)))}" class="btn-primary" download>Download</a>
+                ${this.renderOfflineButton(file, route)}
+                ${this.renderFavoriteButton('file', this.toFavoriteFile(file, route))}
               </div>
             </div>
           </div>
         `).join('')}
       </div>
+      ${this.renderPaperSubmit(path)}
     `;
 
         this.ensureFontAwesomeIcons();
     }
 
+    /**
+     * Render every session's paper for one course, side by side (latest session first).
+     * @param {HTMLElement} container - Main content container.
+     * @param {Object} route - Current route object (uses route.courseCode).
+     */
+    async renderCourse(container, route, options = {}) {
+      const { forceRefresh = false } = options;
+        container.innerHTML = this.renderSkeleton('files', `Loading ${route.courseCode} past questions...`);
+
+        const files = await driveAPI.fetchCourse(route.courseCode, forceRefresh);
+
+        if (!files || files.length === 0) {
+            container.innerHTML = this.renderEmptyState(
+                `No past questions found for ${route.courseCode}`,
+                'Check the course code, or browse by department instead.'
+            );
+            return;
+        }
+
+        // Server returns latest session first; keep that order while grouping.
+        const sessions = new Map();
+        files.forEach(file => {
+            const key = file.session || 'Unsorted';
+            if (!sessions.has(key)) sessions.set(key, []);
+            sessions.get(key).push(file);
+        });
+
+        container.innerHTML = `
+      <h1 class="page-title course-title">${this.escapeHtml(route.courseCode)}</h1>
+      <p class="meta-text course-subtitle">
+        ${files.length} ${files.length === 1 ? 'paper' : 'papers'} across ${sessions.size} ${sessions.size === 1 ? 'session' : 'sessions'}
+      </p>
+      <div class="course-sessions">
+        ${Array.from(sessions.entries()).map(([session, sessionFiles]) => `
+          <section class="course-session-column">
+            <h2 class="course-session-title">${this.escapeHtml(displayName(session))}</h2>
+            ${sessionFiles.map(file => `
+              <div class="file-card">
+                <div class="file-info">
+                  <div class="file-name">${this.escapeHtml(file.name)}</div>
+                  <div class="file-meta">
+                    <a href="${this.escapeAttr(this.buildRoutePath(file))}">${this.escapeHtml(
+                        [file.department, file.level, file.semester].filter(Boolean).map(segment => displayName(segment)).join(' › ')
+                    )}</a>
+                  </div>
+                  <div class="file-actions">
+                    <a href="${this.escapeAttr(this.buildViewerPath(file, file.id))}" class="btn-secondary">View</a>
+                    <a href="${this.escapeAttr(this.safeUrl(driveAPI.getDownloadLink(file)))}" class="btn-primary" download>Download</a>
+                    ${this.renderOfflineButton(file, file)}
+                    ${this.renderFavoriteButton('file', this.toFavoriteFile(file, file))}
+                  </div>
+                </div>
+              </div>
+            `).join('')}
+          </section>
+        `).join('')}
+      </div>
+    `;
+
+        this.ensureFontAwesomeIcons();
+    }
+
+    /**
+     * Build the route path for a folder described by breadcrumb fields.
+     * Jupeb results carry no semester, so it is skipped automatically.
+     * @param {Object} crumbs - { department, level, semester, session }.
+     * @returns {string} Route path (e.g. '/browse/Computer%20Science/100%20Level/...').
+     */
+    buildRoutePath(crumbs) {
+        return buildBrowsePath([crumbs.department, crumbs.level, crumbs.semester, crumbs.session]);
+    }
+
+    /**
+     * Render the "Request this paper" box for an empty session folder.
+     * App.requestPaper posts it to /api/requests; reps see the counts on the Track page.
+     * @param {string} path - Session folder path.
+     * @returns {string} HTML string.
+     */
+    renderPaperRequest(path) {
+        return `
+      <div class="paper-request">
+        <label class="paper-request-label" for="paper-request-code">Need a paper from this folder?</label>
+        <div class="paper-request-row">
+          <input id="paper-request-code" class="search-input paper-request-input" type="text"
+            maxlength="12" autocomplete="off" placeholder="Course code, e.g. CSC 201" aria-label="Course code (optional)">
+          <button type="button" class="btn-primary" data-action="request-paper" data-request-path="${this.escapeAttr(path)}">
+            <i class="fas fa-hand"></i> <span>Request this paper</span>
+          </button>
+        </div>
+      </div>
+    `;
+    }
+
+    /**
+     * Render the "Share a paper" form for a session folder.
+     * App.submitPaper uploads the PDF to /api/submissions; the Quality Control lead reviews
+     * it on /moderation before it appears here.
+     * @param {string} path - Session folder path.
+     * @returns {string} HTML string.
+     */
+    renderPaperSubmit(path) {
+        return `
+      <details class="paper-submit">
+        <summary class="paper-request-label">Have a paper that is missing here? Share it</summary>
+        <div class="paper-submit-fields">
+          <input class="search-input paper-request-input paper-submit-code" type="text"
+            maxlength="12" autocomplete="off" placeholder="Course code, e.g. CSC 201" aria-label="Course code">
+          <input class="search-input paper-request-input paper-submit-title" type="text"
+            maxlength="80" autocomplete="off" placeholder="Title (optional), e.g. Exam" aria-label="Title (optional)">
+          <input class="paper-submit-file" type="file" accept="application/pdf,.pdf" aria-label="PDF file">
+          <button type="button" class="btn-primary" data-action="submit-paper" data-submit-path="${this.escapeAttr(path)}">
+            <i class="fas fa-upload"></i> <span>Send for review</span>
+          </button>
+        </div>
+      </details>
+    `;
+    }
+
+    /**
+     * Render the "Download all" bar for a folder (files are bundled by /api/bundle).
+     * App.downloadBundle checks the size first, then starts the download.
+     * @param {string} path - Folder path to bundle.
+     * @param {string} label - Button label.
+     * @returns {string} HTML string.
+     */
+    renderBundleBar(path, label) {
+        return `
+      <div class="bundle-bar">
+        <button type="button" class="btn-secondary" data-action="download-bundle" data-bundle-path="${this.escapeAttr(path)}">
+          <i class="fas fa-file-zipper"></i> ${this.escapeHtml(label)}
+        </button>
+      </div>
+    `;
+    }
+
+    /**
+     * Render the "Save offline" toggle for a file card (empty when Cache Storage is unavailable).
+     * App.toggleOfflineFile reads the file details back from data-offline-file.
+     * @param {Object} file - File object from a listing.
+     * @param {Object} folder - { department, level, semester, session } the file lives in.
+     * @returns {string} HTML string.
+     */
+    renderOfflineButton(file, folder) {
+        if (typeof offlineStore === 'undefined' || !offlineStore.isSupported()) return '';
+
+        const saved = offlineStore.has(file.id);
+        const details = {
+            file: { id: file.id, name: file.name, courseCode: file.courseCode || null },
+            folder: {
+                department: folder.department,
+                level: folder.level,
+                semester: folder.semester,
+                session: folder.session
+            }
+        };
+
+        return `
+      <button type="button" class="btn-secondary btn-offline${saved ? ' saved' : ''}" data-action="toggle-offline"
+        data-offline-file="${this.escapeAttr(JSON.stringify(details))}" aria-pressed="${saved}">
+        <i class="fas ${saved ? 'fa-circle-check' : 'fa-cloud-arrow-down'}"></i>
+        <span>${saved ? 'Saved offline' : 'Save offline'}</span>
+      </button>
+    `;
+    }
+
+    /**
+     * Describe a file for the profile store (what /me needs to list and open it again).
+     * @param {Object} file - File object from a listing.
+     * @param {Object} folder - { department, level, semester, session } the file lives in.
+     * @returns {Object} { id, name, courseCode, folder }.
+     */
+    toFavoriteFile(file, folder) {
+        return {
+            id: file.id,
+            name: file.name,
+            courseCode: file.courseCode || null,
+            folder: {
+                department: folder.department,
+                level: folder.level,
+                semester: folder.semester,
+                session: folder.session
+            }
+        };
+    }
+
+    /**
+     * Render the star toggle for a file card or department card.
+     * App.toggleFavorite reads the item back from data-favorite; every star for the same
+     * item on the page is kept in step.
+     * @param {string} kind - 'file' or 'department'.
+     * @param {Object} item - { id, name, ... } as stored by profileStore.toggleFavorite.
+     * @returns {string} HTML string.
+     */
+    renderFavoriteButton(kind, item) {
+        if (typeof profileStore === 'undefined') return '';
+
+        const starred = profileStore.isFavorite(kind, item.id);
+        const label = `${starred ? 'Remove' : 'Add'} ${item.name} ${starred ? 'from' : 'to'} favorites`;
+
+        return `
+      <button type="button" class="btn-favorite btn-favorite-${kind}${starred ? ' starred' : ''}" data-action="toggle-favorite"
+        data-favorite-kind="${kind}" data-favorite-key="${this.escapeAttr(`${kind}:${item.id}`)}"
+        data-favorite="${this.escapeAttr(JSON.stringify(item))}" aria-pressed="${starred}"
+        aria-label="${this.escapeAttr(label)}" title="${starred ? 'Remove from favorites' : 'Add to favorites'}">
+        <i class="${starred ? 'fas' : 'far'} fa-star"></i>
+      </button>
+    `;
+    }
+
+    /**
+     * Build the in-app viewer route path for a file in a session folder.
+     * @param {Object} crumbs - { department, level, semester, session } of the file's folder.
+     * @param {string} fileId - File ID from the listing.
+     * @returns {string} Route path ending in /view/<fileId>.
+     */
+    buildViewerPath(crumbs, fileId) {
+        return `${this.buildRoutePath(crumbs)}/view/${encodeSegment(fileId)}`;
+    }
+
+    /**
+     * Render file search results below the home search box.
+     * @param {Object} response - { results, total, truncated } from driveAPI.searchFiles.
+     * @param {string} query - The search query shown in the heading.
+     * @returns {string} HTML string.
+     */
+    renderSearchResults(response, query) {
+        const results = response && Array.isArray(response.results) ? response.results : [];
+
+        if (results.length === 0) {
+            return `
+      <p class="departments-section-label">Past Questions</p>
+      <p class="meta-text file-search-empty">No past questions match "${this.escapeHtml(query)}".</p>
+    `;
+        }
+
+        const countLabel = response.truncated
+            ? `Showing ${results.length} of ${response.total} matches — refine your search to narrow it down.`
+            : `${results.length} ${results.length === 1 ? 'match' : 'matches'}`;
+
+        return `
+      <p class="departments-section-label">Past Questions</p>
+      <p class="meta-text file-search-count">${this.escapeHtml(countLabel)}</p>
+      <div class="file-list">
+        ${results.map(result => {
+            const trail = [result.department, result.level, result.semester, result.session]
+                .filter(Boolean)
+                .map(segment => displayName(segment));
+            return `
+          <a href="${this.escapeAttr(this.buildRoutePath(result))}" class="file-card file-search-result">
+            <div class="file-icon"><i class="far fa-file-pdf"></i></div>
+            <div class="file-info">
+              <div class="file-name">${this.escapeHtml(result.name)}</div>
+              <div class="file-meta">${this.escapeHtml(trail.join(' › '))}</div>
+            </div>
+          </a>
+        `;
+        }).join('')}
+      </div>
+    `;
+    }
+
     /**
      * Fetch team data from the API, optionally filtered by session.
      * Falls back to CONFIG.about when the API is unavailable.
@@ -505,6 +855,46 @@ class Renderer {
       return this.coverageRenderer.renderCoverage(container, options);
     }
 
+    /**
+     * Render the in-app PDF viewer (viewer route).
+     * @param {HTMLElement} container - Main content container
+     * @param {Object} route - Current route object (uses route.fileId)
+     */
+    async renderViewer(container, route, options = {}) {
+      return this.viewerRenderer.renderViewer(container, route, options);
+    }
+
+    /**
+     * Render the saved-offline collection (offline route).
+     * @param {HTMLElement} container - Main content container
+     */
+    async renderOffline(container) {
+      return this.offlineRenderer.renderOffline(container);
+    }
+
+    /**
+     * Render favorites and recently opened files (me route).
+     * @param {HTMLElement} container - Main content container
+     */
+    async renderMe(container) {
+      return this.profileRenderer.renderMe(container);
+    }
+
+    /**
+     * Render the submission moderation queue (moderation route).
+     * @param {HTMLElement} container - Main content container
+     */
+    async renderModeration(container) {
+      return this.moderationRenderer.renderModeration(container);
+    }
+
+    /**
+     * Release the open PDF and viewer listeners when navigating away.
+     */
+    closeViewer() {
+      this.viewerRenderer.destroy();
+    }
+
     /**
      * Renders the coverage data table for a department.
      * @param {Array} coverageData - Coverage tree data returned from new API.
@@ -526,7 +916,7 @@ class Renderer {
             const isLast = index === breadcrumbs.length - 1;
             const crumbHTML = isLast || crumb.active
               ? `<span class="breadcrumb-item active">${this.escapeHtml(crumb.label)}</span>`
-              : `<a href="#${this.escapeAttr(crumb.path)}" class="breadcrumb-item">${this.escapeHtml(crumb.label)}</a>`;
+              : `<a href="${this.escapeAttr(crumb.path)}" class="breadcrumb-item">${this.escapeHtml(crumb.label)}</a>`;
 
             const separator = isLast ? '' : '<span class="breadcrumb-separator">›</span>';
             return crumbHTML + separator;
@@ -593,6 +983,30 @@ class Renderer {
     `;
     }
 
+    /**
+     * Render the page shown when the signed-in user lacks the role a route needs.
+     * @param {string} [title] - Who the page is for.
+     * @param {string} [message] - What to do instead.
+     * @returns {string} HTML string.
+     */
+    renderRestricted(
+        title = 'Reps and executives only',
+        message = 'Ask your department rep if something is missing from the Resource Bank.'
+    ) {
+        return `
+      <div class="empty-state">
+        <div class="empty-state-icon-wrap">
+          <i class="fas fa-lock"></i>
+        </div>
+        <p class="empty-state-title">${this.escapeHtml(title)}</p>
+        <p class="meta-text">${this.escapeHtml(message)}</p>
+          <button class="btn-secondary" data-action="go-home" type="button">
+          <i class="fas fa-house"></i> Go Home
+        </button>
+      </div>
+    `;
+    }
+
     /**
      * Get Lucide icon name for a department card.
      * @param {string} dept - Department name.
@@ -2,6 +2,9 @@
 // CoverageRenderer module
 // Extracts track-page coverage rendering and table generation from the main Renderer.
 
+// Session columns shown in the heatmap (latest first)
+const MAX_HEATMAP_SESSIONS = 6;
+
 class CoverageRenderer {
   /**
    * @param {Renderer} renderer - Shared renderer facade with escape helpers and API methods.
@@ -10,13 +13,31 @@ class CoverageRenderer {
     this.renderer = renderer;
   }
 
+  /**
+   * Compare a Drive folder name with a department from the reps sheet.
+   * Sheet values arrive HTML-escaped from /api/team.
+   * @param {string} folderName - Department folder name.
+   * @param {string} sheetDepartment - Department column value.
+   * @returns {boolean} True when they name the same department.
+   */
+  isSameDepartment(folderName, sheetDepartment) {
+    const normalize = (value) => String(value || '')
+      .replace(/&amp;/g, '&')
+      .replace(/&#039;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+    return normalize(folderName) === normalize(sheetDepartment);
+  }
+
   /**
    * Render the Coverage Dashboard (track route).
    * @param {HTMLElement} container - Main content container.
-   * @param {{forceRefresh?: boolean}} [options] - Render options.
+   * @param {{forceRefresh?: boolean, department?: string}} [options] - Render options;
+   *   department limits the list to one (a rep's own).
    */
   async renderCoverage(container, options = {}) {
-    const { forceRefresh = false } = options;
+    const { forceRefresh = false, department = null } = options;
     const renderer = this.renderer;
 
     container.innerHTML = `
@@ -29,6 +50,12 @@ class CoverageRenderer {
           Select a target session and click a department to perform a live scan of its Drive structure.
         </p>
 
+        <section id="coverage-heatmap" class="coverage-heatmap" aria-label="University coverage overview">
+          <div class="loading"><div class="spinner"></div><p>Building university overview...</p></div>
+        </section>
+
+        <section id="coverage-requests" class="coverage-requests" aria-label="Most requested papers"></section>
+
         <div style="margin-bottom: var(--space-6); max-width: 300px;">
           <label style="display:block; font-size: 0.8rem; font-weight: 600; margin-bottom: 4px; color: var(--color-text-secondary);">Target Session</label>
           <select id="target-session-select" class="search-input" style="width: 100%; border: 1px solid var(--color-border); padding: var(--space-2) var(--space-3); border-radius: var(--radius-sm); background: var(--color-surface); color: var(--color-text-primary);" aria-label="Select target session">
@@ -42,9 +69,15 @@ class CoverageRenderer {
       </div>
     `;
 
+    // The overview and request board load alongside the department list and handle their own errors
+    const heatmapLoaded = Promise.all([this.loadHeatmap(forceRefresh), this.loadRequests()]);
+
     try {
       const teamData = await renderer.fetchTeamData(undefined, { forceRefresh });
-      const departments = await driveAPI.fetchDepartments(forceRefresh);
+      const allDepartments = await driveAPI.fetchDepartments(forceRefresh);
+      const departments = department && Array.isArray(allDepartments)
+        ? allDepartments.filter((dept) => this.isSameDepartment(dept, department))
+        : allDepartments;
       const deptContainer = document.getElementById('coverage-departments');
       const sessionSelect = document.getElementById('target-session-select');
       if (!deptContainer) return;
@@ -75,6 +108,7 @@ class CoverageRenderer {
           'No departments found',
           'Cannot generate coverage report.'
         );
+        await heatmapLoaded;
         return;
       }
 
@@ -151,9 +185,15 @@ class CoverageRenderer {
                   throw new Error(errData.error || 'Failed to fetch');
                 }
                 const data = await response.json();
-                body.innerHTML = this._renderCoverageTable(data.data);
+                const reportUrl = `${CONFIG.apiBase}/coverage?${queryParts.slice(0, 2).join('&')}`;
+                body.innerHTML = `
+                  ${this._renderExportLinks(reportUrl, `${dept} ${currentSession}`)}
+                  ${this._renderCoverageTable(data.data)}
+                  <div class="coverage-trend"></div>
+                `;
                 body.dataset.loaded = 'true';
                 body.dataset.scannedSession = currentSession;
+                this.loadTrend(body.querySelector('.coverage-trend'), dept, currentSession);
               } catch (err) {
                 body.innerHTML = `<div class="empty-state"><p class="empty-state-title">Scan Failed</p><p class="meta-text">${renderer.escapeHtml(err.message)}</p></div>`;
               }
@@ -161,11 +201,312 @@ class CoverageRenderer {
           }
         });
       });
+
+      await heatmapLoaded;
     } catch (error) {
       container.innerHTML = renderer.renderErrorState(error.message);
     }
   }
 
+  /**
+   * Fetch the most-requested missing papers and draw them into #coverage-requests.
+   * The server limits reps to their own department. "Clear" removes a request once the
+   * paper is uploaded.
+   * @returns {Promise<void>}
+   */
+  async loadRequests() {
+    const section = document.getElementById('coverage-requests');
+    if (!section) return;
+
+    try {
+      const response = await fetch(`${CONFIG.apiBase}/requests?limit=5`, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error('Failed to fetch');
+      }
+      section.innerHTML = this._renderRequests(await response.json());
+    } catch (error) {
+      // The board is an extra; the tracker works without it
+      section.innerHTML = '';
+      return;
+    }
+
+    section.querySelectorAll('[data-request-clear]').forEach((button) => {
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          const query = `department=${encodeURIComponent(button.dataset.requestDept)}&id=${encodeURIComponent(button.dataset.requestClear)}`;
+          const response = await fetch(`${CONFIG.apiBase}/requests?${query}`, { method: 'DELETE' });
+          if (!response.ok && response.status !== 404) {
+            throw new Error('Failed to clear');
+          }
+          button.closest('.coverage-requests__item').remove();
+        } catch (error) {
+          button.disabled = false;
+          app.showToast('Could not clear the request', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Render the request board from /api/requests.
+   * @param {Object} result - { departments: [{ department, total, papers }] }.
+   * @returns {string} HTML string.
+   */
+  _renderRequests(result) {
+    const renderer = this.renderer;
+    const departments = result && Array.isArray(result.departments) ? result.departments : null;
+    if (!departments) {
+      return '';
+    }
+
+    const header = '<h2 class="coverage-heatmap__title">Most requested papers</h2>';
+    if (departments.length === 0) {
+      return `${header}<p class="meta-text">No open requests. Students can request a paper from any empty session folder.</p>`;
+    }
+
+    const plain = (segment) => String(segment || '').replace(/~/g, '/');
+
+    return `
+      ${header}
+      ${departments.map((entry) => `
+        <div class="coverage-requests__dept">
+          <h3 class="coverage-requests__dept-name">
+            ${renderer.escapeHtml(entry.department)}
+            <span class="meta-text">${entry.total} ${entry.total === 1 ? 'request' : 'requests'}</span>
+          </h3>
+          <ol class="coverage-requests__list">
+            ${entry.papers.map((paper) => `
+              <li class="coverage-requests__item">
+                <span class="coverage-requests__count" title="Students who asked">${paper.count}</span>
+                <a class="coverage-requests__paper" href="${renderer.escapeAttr(buildBrowsePath(paper.path.split('/')))}">
+                  <strong>${renderer.escapeHtml(paper.courseCode || 'Any paper')}</strong>
+                  <span class="meta-text">${renderer.escapeHtml([paper.level, paper.semester, paper.session].filter(Boolean).map(plain).join(' › '))}</span>
+                </a>
+                <button type="button" class="btn-secondary" data-request-clear="${renderer.escapeAttr(paper.id)}"
+                  data-request-dept="${renderer.escapeAttr(entry.department)}" title="Clear once the paper is uploaded">
+                  Clear
+                </button>
+              </li>
+            `).join('')}
+          </ol>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Render the CSV / printable report links for a coverage endpoint.
+   * The API answers format=csv with a download and format=html with a page to print or
+   * save as PDF; both reuse the scan the JSON request just cached.
+   * @param {string} url - Coverage endpoint URL, with or without a query.
+   * @param {string} label - What the report covers, for screen readers.
+   * @returns {string} HTML string.
+   */
+  _renderExportLinks(url, label) {
+    const renderer = this.renderer;
+    const withFormat = (format) => `${url}${url.includes('?') ? '&' : '?'}format=${format}`;
+
+    return `
+      <div class="coverage-export">
+        <a class="btn-secondary" href="${renderer.escapeAttr(withFormat('csv'))}" download
+          aria-label="${renderer.escapeAttr(`Download CSV for ${label}`)}">
+          <i class="fas fa-file-csv"></i> CSV
+        </a>
+        <a class="btn-secondary" href="${renderer.escapeAttr(withFormat('html'))}" target="_blank" rel="noopener"
+          aria-label="${renderer.escapeAttr(`Printable report for ${label}`)}">
+          <i class="fas fa-print"></i> Printable report
+        </a>
+      </div>
+    `;
+  }
+
+  /**
+   * Fetch a department's weekly completion history and draw it under its coverage table.
+   * The scan that just ran is already part of it (api/coverage.js records every scan).
+   * @param {HTMLElement} target - Trend container inside the accordion body.
+   * @param {string} dept - Department name.
+   * @param {string} session - Target session.
+   * @returns {Promise<void>}
+   */
+  async loadTrend(target, dept, session) {
+    if (!target) return;
+
+    try {
+      const query = `department=${encodeURIComponent(dept)}&session=${encodeURIComponent(session)}`;
+      const response = await fetch(`${CONFIG.apiBase}/coverage-history?${query}`, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error('Failed to fetch');
+      }
+      target.innerHTML = this._renderTrend(await response.json());
+    } catch (error) {
+      // The table is what matters; the trend just stays empty
+      target.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render a completion-over-time line chart from /api/coverage-history.
+   * @param {Object} history - { session, points: [{ period, completion, uploaded, total }] }.
+   * @returns {string} HTML string.
+   */
+  _renderTrend(history) {
+    const renderer = this.renderer;
+    const points = history && Array.isArray(history.points)
+      ? history.points.filter((point) => typeof point.completion === 'number')
+      : [];
+
+    if (points.length < 2) {
+      return `<p class="meta-text coverage-trend__empty"><i class="fas fa-chart-line"></i> Trend appears once this department has been scanned in more than one week.</p>`;
+    }
+
+    const width = 320;
+    const height = 120;
+    const pad = 12;
+    const step = (width - pad * 2) / (points.length - 1);
+    const coords = points.map((point, i) => ({
+      x: Math.round(pad + i * step),
+      y: Math.round(height - pad - (point.completion / 100) * (height - pad * 2)),
+      point
+    }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = last.completion - first.completion;
+
+    return `
+      <div class="coverage-trend__header">
+        <span class="coverage-trend__title">Weekly completion, ${renderer.escapeHtml(history.session || '')}</span>
+        <span class="coverage-trend__change ${change >= 0 ? 'status-yes' : 'status-no'}">
+          ${change >= 0 ? '+' : ''}${change} pts since ${renderer.escapeHtml(first.period)}
+        </span>
+      </div>
+      <svg class="coverage-trend__chart" viewBox="0 0 ${width} ${height}" role="img"
+        aria-label="${renderer.escapeAttr(`Completion went from ${first.completion}% to ${last.completion}%`)}">
+        <line class="coverage-trend__axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"></line>
+        <polyline class="coverage-trend__line" points="${coords.map(({ x, y }) => `${x},${y}`).join(' ')}"></polyline>
+        ${coords.map(({ x, y, point }) => `
+          <circle class="coverage-trend__dot" cx="${x}" cy="${y}" r="3">
+            <title>${renderer.escapeHtml(`Week of ${point.period}: ${point.completion}% (${point.uploaded} of ${point.total})`)}</title>
+          </circle>`).join('')}
+      </svg>
+      <div class="coverage-trend__labels meta-text">
+        <span>${renderer.escapeHtml(first.period)}</span>
+        <span>${renderer.escapeHtml(last.period)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Fetch the whole-university matrix and draw it into #coverage-heatmap.
+   * Clicking a department name opens its accordion below.
+   * @param {boolean} forceRefresh - Ask the server to rescan instead of using its cache.
+   * @returns {Promise<void>}
+   */
+  async loadHeatmap(forceRefresh) {
+    const section = document.getElementById('coverage-heatmap');
+    if (!section) return;
+
+    try {
+      const response = await fetch(
+        `${CONFIG.apiBase}/coverage/summary${forceRefresh ? '?refresh=1' : ''}`,
+        forceRefresh ? { cache: 'no-store' } : undefined
+      );
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.message || errData.error || 'Failed to fetch');
+      }
+
+      section.innerHTML = this._renderHeatmap(await response.json());
+      section.querySelectorAll('[data-heatmap-dept]').forEach((button) => {
+        button.addEventListener('click', () => {
+          const accordion = Array.from(document.querySelectorAll('.coverage-accordion'))
+            .find((item) => item.dataset.dept === button.dataset.heatmapDept);
+          if (!accordion) return;
+          accordion.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          const body = accordion.querySelector('.coverage-accordion__body');
+          if (body && body.style.display !== 'block') {
+            accordion.querySelector('.coverage-accordion__header').click();
+          }
+        });
+      });
+    } catch (error) {
+      section.innerHTML = `<div class="empty-state" style="min-height: 0; padding: 1.5rem;"><p class="empty-state-title">Overview unavailable</p><p class="meta-text">${this.renderer.escapeHtml(error.message)}</p></div>`;
+    }
+  }
+
+  /**
+   * Render the department × session heatmap from /api/coverage/summary.
+   * Each cell is the share of a department's level/semester slots with PDFs for that session.
+   * @param {Object} summary - { sessions, completion, departments: [{ department, completion, sessions }] }.
+   * @returns {string} HTML string.
+   */
+  _renderHeatmap(summary) {
+    const renderer = this.renderer;
+    const departments = summary && Array.isArray(summary.departments) ? summary.departments : [];
+    if (departments.length === 0) {
+      return '';
+    }
+
+    // Older sessions stay in the API response; the table keeps to the latest few
+    const sessions = (summary.sessions || []).slice(0, MAX_HEATMAP_SESSIONS);
+    const bucket = (percent) => {
+      if (percent === null || percent === undefined) return 'none';
+      if (percent === 0) return '0';
+      if (percent < 50) return '1';
+      if (percent < 100) return '2';
+      return '3';
+    };
+    const cell = (percent, title) => `
+      <td class="coverage-heatmap__cell coverage-heat-${bucket(percent)}" title="${renderer.escapeAttr(title)}">
+        ${percent === null || percent === undefined ? '–' : `${percent}%`}
+      </td>`;
+
+    const rows = departments.map((entry) => {
+      const sessionCells = sessions.map((session) => {
+        const stats = (entry.sessions && entry.sessions[session]) || { uploaded: 0, total: 0, completion: null };
+        return cell(stats.completion, `${entry.department}, ${session}: ${stats.uploaded} of ${stats.total} uploaded`);
+      }).join('');
+
+      return `
+        <tr>
+          <th scope="row">
+            <button type="button" class="coverage-heatmap__dept" data-heatmap-dept="${renderer.escapeAttr(entry.department)}">
+              ${renderer.escapeHtml(entry.department)}
+            </button>
+          </th>
+          ${sessionCells}
+          ${cell(entry.completion, `${entry.department}: overall`)}
+        </tr>`;
+    }).join('');
+
+    return `
+      <div class="coverage-heatmap__header">
+        <h2 class="coverage-heatmap__title">University overview</h2>
+        ${
+          summary.completion === null || summary.completion === undefined
+            ? ''
+            : `<span class="status-yes"><i class="fas fa-chart-pie"></i> ${summary.completion}% uploaded</span>`
+        }
+      </div>
+      ${this._renderExportLinks(`${CONFIG.apiBase}/coverage/summary`, 'the whole university')}
+      <div class="coverage-table-container">
+        <table class="coverage-table coverage-heatmap__table">
+          <thead>
+            <tr>
+              <th>Department</th>
+              ${sessions.map((session) => `<th>${renderer.escapeHtml(session)}</th>`).join('')}
+              <th>Overall</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="meta-text coverage-heatmap__legend">
+        Share of level/semester slots with PDFs uploaded. Click a department for its breakdown.
+      </p>
+    `;
+  }
+
   /**
    * Renders the coverage data table for a department.
    * @param {Array} coverageData - Coverage tree data returned from new API.
@@ -0,0 +1,197 @@
+/* exported ModerationRenderer */
+// ModerationRenderer module
+// Renders the /moderation page: papers students have shared through "Share it", for the
+// Quality Control lead (admins) to preview, then approve (filed into the folder) or reject.
+
+const MODERATION_STATUSES = [
+  { value: 'pending', label: 'Waiting' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+class ModerationRenderer {
+  /**
+   * @param {Renderer} renderer - Shared renderer facade with escape helpers.
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.status = 'pending';
+  }
+
+  /**
+   * Render the moderation page and load the selected queue.
+   * @param {HTMLElement} container - Main content container.
+   */
+  async renderModeration(container) {
+    container.innerHTML = `
+      <h1 class="page-title">
+        <i class="fas fa-inbox" style="color: var(--color-brand); margin-right: 8px;"></i>
+        Submissions
+      </h1>
+      <p class="meta-text moderation-subtitle">Papers shared by students. Approved papers are filed into their folder straight away.</p>
+      <div class="moderation-tabs" role="tablist">
+        ${MODERATION_STATUSES.map(({ value, label }) => `
+          <button type="button" class="btn-secondary moderation-tab" role="tab" data-moderation-status="${value}">${label}</button>
+        `).join('')}
+      </div>
+      <div id="moderation-list"></div>
+    `;
+
+    container.querySelectorAll('[data-moderation-status]').forEach((tab) => {
+      tab.addEventListener('click', () => {
+        this.status = tab.dataset.moderationStatus;
+        this.loadQueue(container);
+      });
+    });
+
+    await this.loadQueue(container);
+  }
+
+  /**
+   * Fetch and render one status of the queue.
+   * @param {HTMLElement} container - Main content container.
+   */
+  async loadQueue(container) {
+    const renderer = this.renderer;
+    const list = container.querySelector('#moderation-list');
+    if (!list) return;
+
+    container.querySelectorAll('[data-moderation-status]').forEach((tab) => {
+      const selected = tab.dataset.moderationStatus === this.status;
+      tab.classList.toggle('active', selected);
+      tab.setAttribute('aria-selected', String(selected));
+    });
+    list.innerHTML = renderer.renderSkeleton('files', 'Loading submissions...');
+
+    try {
+      const response = await fetch(`${CONFIG.apiBase}/submissions?status=${encodeURIComponent(this.status)}`, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`Server error: ${response.status}`);
+      }
+      list.innerHTML = this._renderQueue(await response.json());
+    } catch (error) {
+      list.innerHTML = renderer.renderErrorState(error.message);
+      return;
+    }
+
+    renderer.ensureFontAwesomeIcons();
+    list.querySelectorAll('[data-moderation-action]').forEach((button) => {
+      button.addEventListener('click', () => this.review(button));
+    });
+  }
+
+  /**
+   * Approve or reject one submission, then drop its card from the queue.
+   * @param {HTMLElement} button - Approve or Reject button (carries data-moderation-id).
+   */
+  async review(button) {
+    const card = button.closest('.moderation-item');
+    const action = button.dataset.moderationAction;
+    const reasonInput = card ? card.querySelector('.moderation-reason') : null;
+    const buttons = card ? card.querySelectorAll('[data-moderation-action]') : [button];
+    buttons.forEach((item) => { item.disabled = true; });
+
+    try {
+      const query = `id=${encodeURIComponent(button.dataset.moderationId)}&action=${action}`;
+      const response = await fetch(`${CONFIG.apiBase}/submissions?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: reasonInput ? reasonInput.value.trim() : '' })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.message || result.error || `Server error: ${response.status}`);
+      }
+
+      app.showToast(action === 'approve' ? 'Filed into the Resource Bank' : 'Submission rejected', 'success');
+      if (card) card.remove();
+    } catch (error) {
+      app.showToast(error.message || 'Could not review the submission', 'error');
+      buttons.forEach((item) => { item.disabled = false; });
+    }
+  }
+
+  /**
+   * Render the queue from /api/submissions.
+   * @param {Object} result - { status, total, submissions }.
+   * @returns {string} HTML string.
+   */
+  _renderQueue(result) {
+    const renderer = this.renderer;
+    const submissions = result && Array.isArray(result.submissions) ? result.submissions : [];
+
+    if (submissions.length === 0) {
+      return renderer.renderEmptyState(
+        this.status === 'pending' ? 'Nothing to review' : 'No submissions yet',
+        'Students can share a paper from any session folder.'
+      );
+    }
+
+    return `
+      <div class="file-list">
+        ${submissions.map((submission) => {
+          const location = [submission.department, submission.level, submission.semester, submission.session]
+            .filter(Boolean)
+            .map((segment) => displayName(segment))
+            .join(' › ');
+          const submitted = driveAPI.formatDate(new Date(submission.submittedAt).toISOString());
+
+          return `
+          <div class="file-card moderation-item">
+            <div class="file-icon"><i class="far fa-file-pdf"></i></div>
+            <div class="file-info">
+              <div class="file-name">${renderer.escapeHtml(submission.fileName)}</div>
+              <div class="file-meta">
+                ${renderer.escapeHtml(location)} •
+                ${renderer.escapeHtml(driveAPI.formatFileSize(submission.size))} •
+                ${renderer.escapeHtml(submitted)}${submission.submittedBy ? ` • ${renderer.escapeHtml(submission.submittedBy)}` : ''}
+              </div>
+              ${this._renderReview(submission)}
+            </div>
+          </div>
+        `;
+        }).join('')}
+      </div>
+      ${result.total > submissions.length ? `<p class="meta-text">Showing ${submissions.length} of ${result.total}.</p>` : ''}
+    `;
+  }
+
+  /**
+   * Render a submission's actions (pending) or outcome (reviewed).
+   * @param {Object} submission - Submission record.
+   * @returns {string} HTML string.
+   */
+  _renderReview(submission) {
+    const renderer = this.renderer;
+
+    if (submission.status === 'approved') {
+      const filedAs = String(submission.filedPath || '').split('/').filter(Boolean).map((segment) => displayName(segment)).join(' › ');
+      return `<p class="meta-text moderation-outcome">Filed as ${renderer.escapeHtml(filedAs)}</p>`;
+    }
+    if (submission.status === 'rejected') {
+      return `<p class="meta-text moderation-outcome">Rejected${submission.reason ? `: ${renderer.escapeHtml(submission.reason)}` : ''}</p>`;
+    }
+    if (submission.status !== 'pending') {
+      return `<p class="meta-text moderation-outcome">Being filed…</p>`;
+    }
+
+    const id = renderer.escapeAttr(submission.id);
+    return `
+      <div class="file-actions">
+        <a href="${renderer.escapeAttr(`${CONFIG.apiBase}/submissions?id=${encodeURIComponent(submission.id)}&file=1`)}"
+          class="btn-secondary" target="_blank" rel="noopener">Preview</a>
+        <button type="button" class="btn-primary" data-moderation-action="approve" data-moderation-id="${id}">Approve</button>
+      </div>
+      <div class="paper-request-row moderation-reject">
+        <input class="search-input paper-request-input moderation-reason" type="text" maxlength="300"
+          autocomplete="off" placeholder="Reason (optional), e.g. blurry scan" aria-label="Rejection reason">
+        <button type="button" class="btn-secondary" data-moderation-action="reject" data-moderation-id="${id}">Reject</button>
+      </div>
+    `;
+  }
+}
+
+// Export for use in tests/Node environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ModerationRenderer };
+}
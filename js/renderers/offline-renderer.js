@@ -0,0 +1,178 @@
+/* exported OfflineRenderer */
+// OfflineRenderer module
+// Renders the /offline page: PDFs saved with "Save offline", the device storage
+// readout and bulk removal. Everything here works with no connection.
+
+class OfflineRenderer {
+  /**
+   * @param {Renderer} renderer - Shared renderer facade with escape helpers.
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+  }
+
+  /**
+   * Render the saved-offline collection.
+   * @param {HTMLElement} container - Main content container.
+   */
+  async renderOffline(container) {
+    const renderer = this.renderer;
+
+    if (!offlineStore.isSupported()) {
+      container.innerHTML = renderer.renderEmptyState(
+        'Offline saving is not available',
+        'This browser cannot keep files for offline use. Try the installed app or a recent Chrome, Edge, Firefox or Safari.'
+      );
+      return;
+    }
+
+    container.innerHTML = renderer.renderSkeleton('files', 'Loading saved files...');
+
+    const [entries, estimate] = await Promise.all([offlineStore.reconcile(), offlineStore.estimate()]);
+    const savedBytes = entries.reduce((total, entry) => total + (Number(entry.size) || 0), 0);
+
+    container.innerHTML = `
+      <h1 class="page-title">
+        <i class="fas fa-cloud-arrow-down" style="color: var(--color-brand); margin-right: 8px;"></i>
+        Saved Offline
+      </h1>
+      <p class="meta-text offline-subtitle">
+        ${entries.length} ${entries.length === 1 ? 'file' : 'files'} · ${savedBytes ? renderer.escapeHtml(driveAPI.formatFileSize(savedBytes)) : 'Nothing'} saved on this device
+      </p>
+      ${this.renderQuota(estimate)}
+      ${entries.length === 0
+        ? renderer.renderEmptyState(
+          'No saved files yet',
+          'Tap "Save offline" on any past question and it will open here even without data.'
+        )
+        : this.renderList(entries)}
+    `;
+
+    renderer.ensureFontAwesomeIcons();
+    if (entries.length > 0) {
+      this.attachListeners(container);
+    }
+  }
+
+  /**
+   * Render the device storage readout.
+   * @param {{usage: number, quota: number}|null} estimate - From offlineStore.estimate().
+   * @returns {string} HTML string.
+   */
+  renderQuota(estimate) {
+    if (!estimate || !estimate.quota) return '';
+
+    const percent = Math.min(100, Math.round((estimate.usage / estimate.quota) * 100));
+    return `
+      <div class="offline-quota" role="group" aria-label="Storage on this device">
+        <div class="offline-quota-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+          <span style="width: ${percent}%;"></span>
+        </div>
+        <p class="meta-text">
+          Using ${this.renderer.escapeHtml(driveAPI.formatFileSize(estimate.usage))}
+          of ${this.renderer.escapeHtml(driveAPI.formatFileSize(estimate.quota))} available to this app (${percent}%)
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the saved files with selection controls.
+   * @param {Array} entries - Saved entries from offlineStore.
+   * @returns {string} HTML string.
+   */
+  renderList(entries) {
+    const renderer = this.renderer;
+
+    return `
+      <div class="offline-toolbar">
+        <label class="offline-select-all">
+          <input type="checkbox" id="offline-select-all"> Select all
+        </label>
+        <button type="button" class="btn-secondary" id="offline-remove-selected" disabled>Remove selected</button>
+        <button type="button" class="btn-secondary" id="offline-remove-all">Remove all</button>
+      </div>
+      <div class="file-list">
+        ${entries.map(entry => {
+          const folder = entry.folder || {};
+          const location = [folder.department, folder.level, folder.semester, folder.session]
+            .filter(Boolean)
+            .map(segment => displayName(segment))
+            .join(' › ');
+          const canOpen = Boolean(folder.department && folder.session);
+
+          return `
+          <div class="file-card offline-file">
+            <input type="checkbox" class="offline-select" value="${renderer.escapeAttr(entry.id)}" aria-label="Select ${renderer.escapeAttr(entry.name)}">
+            <div class="file-icon"><i class="far fa-file-pdf"></i></div>
+            <div class="file-info">
+              <div class="file-name">${renderer.escapeHtml(entry.name)}</div>
+              <div class="file-meta">
+                ${renderer.escapeHtml(driveAPI.formatFileSize(entry.size))} •
+                saved ${renderer.escapeHtml(driveAPI.formatDate(new Date(entry.savedAt).toISOString()))}
+                ${location ? `• ${renderer.escapeHtml(location)}` : ''}
+              </div>
+              <div class="file-actions">
+                ${canOpen ? `<a href="${renderer.escapeAttr(renderer.buildViewerPath(folder, entry.id))}" class="btn-primary">Open</a>` : ''}
+                <button type="button" class="btn-secondary" data-offline-remove="${renderer.escapeAttr(entry.id)}">Remove</button>
+              </div>
+            </div>
+          </div>
+        `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Wire selection and removal controls.
+   * @param {HTMLElement} container - Main content container.
+   */
+  attachListeners(container) {
+    const selectAll = document.getElementById('offline-select-all');
+    const removeSelected = document.getElementById('offline-remove-selected');
+    const removeAll = document.getElementById('offline-remove-all');
+    const checkboxes = () => Array.from(container.querySelectorAll('.offline-select'));
+
+    const updateSelection = () => {
+      const selected = checkboxes().filter(box => box.checked).length;
+      removeSelected.disabled = selected === 0;
+      removeSelected.textContent = selected > 0 ? `Remove selected (${selected})` : 'Remove selected';
+      selectAll.checked = selected > 0 && selected === checkboxes().length;
+    };
+
+    const removeAndRefresh = async (ids) => {
+      await offlineStore.remove(ids);
+      await this.renderOffline(container);
+    };
+
+    selectAll.addEventListener('change', () => {
+      checkboxes().forEach(box => { box.checked = selectAll.checked; });
+      updateSelection();
+    });
+
+    container.querySelector('.file-list').addEventListener('change', (event) => {
+      if (event.target.classList.contains('offline-select')) updateSelection();
+    });
+
+    removeSelected.addEventListener('click', () => {
+      const ids = checkboxes().filter(box => box.checked).map(box => box.value);
+      if (ids.length > 0) removeAndRefresh(ids);
+    });
+
+    removeAll.addEventListener('click', () => {
+      if (window.confirm('Remove every saved file from this device?')) {
+        removeAndRefresh(checkboxes().map(box => box.value));
+      }
+    });
+
+    container.querySelectorAll('[data-offline-remove]').forEach(button => {
+      button.addEventListener('click', () => removeAndRefresh([button.getAttribute('data-offline-remove')]));
+    });
+  }
+}
+
+// Export for use in tests/Node environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OfflineRenderer };
+}
@@ -0,0 +1,152 @@
+/* exported ProfileRenderer */
+// ProfileRenderer module
+// Renders the /me page: the student's own department and level, starred departments
+// and files, and the last files opened in the viewer. Reads profileStore, so it works signed out and offline; when signed in it
+// syncs first so favorites starred on another device show up too.
+
+class ProfileRenderer {
+  /**
+   * @param {Renderer} renderer - Shared renderer facade with escape helpers.
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+  }
+
+  /**
+   * Render the My Files page.
+   * @param {HTMLElement} container - Main content container.
+   */
+  async renderMe(container) {
+    const renderer = this.renderer;
+
+    container.innerHTML = renderer.renderSkeleton('files', 'Loading your files...');
+    await profileStore.sync();
+
+    const departments = profileStore.listFavorites('department');
+    const files = profileStore.listFavorites('file');
+    const recent = profileStore.listRecent();
+    const home = profileStore.getHome();
+    const signedIn = typeof emailGate !== 'undefined' && emailGate.isVerified();
+
+    container.innerHTML = `
+      <h1 class="page-title">
+        <i class="fas fa-star" style="color: var(--color-brand); margin-right: 8px;"></i>
+        My Files
+      </h1>
+      <p class="meta-text profile-subtitle">
+        ${signedIn
+          ? 'Your favorites and recently opened files, on every device you sign in on.'
+          : 'Your favorites and recently opened files on this device.'}
+      </p>
+
+      ${this.renderHome(home && !home.skipped ? home : null)}
+
+      <section class="profile-section">
+        <p class="departments-section-label">Favorite Departments</p>
+        ${departments.length === 0
+          ? '<p class="meta-text profile-empty">Star a department on the home page to keep it here.</p>'
+          : `<div class="follow-bar profile-departments">
+              ${departments.map(entry => `
+                <span class="profile-department profile-favorite">
+                  <a href="${buildBrowsePath([entry.id])}" class="follow-chip">${renderer.escapeHtml(displayName(entry.id))}</a>
+                  ${renderer.renderFavoriteButton('department', { id: entry.id, name: entry.name })}
+                </span>
+              `).join('')}
+            </div>`}
+      </section>
+
+      <section class="profile-section">
+        <p class="departments-section-label">Favorite Files</p>
+        ${files.length === 0
+          ? '<p class="meta-text profile-empty">Tap the star on any past question to keep it here.</p>'
+          : this.renderFileList(files, entry => `starred ${driveAPI.formatDate(new Date(entry.updatedAt).toISOString())}`, 'profile-favorite')}
+      </section>
+
+      <section class="profile-section">
+        <p class="departments-section-label">Recently Opened</p>
+        ${recent.length === 0
+          ? '<p class="meta-text profile-empty">Files you open in the viewer will show up here.</p>'
+          : this.renderFileList(recent, entry => `opened ${driveAPI.formatDate(new Date(entry.viewedAt).toISOString())}`)}
+      </section>
+    `;
+
+    renderer.ensureFontAwesomeIcons();
+  }
+
+  /**
+   * Render the student's own department and level, with a button to change it
+   * (App.chooseHome opens the onboarding picker).
+   * @param {Object|null} home - Saved home ({ department, level }), or null when not set.
+   * @returns {string} HTML string.
+   */
+  renderHome(home) {
+    const renderer = this.renderer;
+
+    return `
+      <section class="profile-section">
+        <p class="departments-section-label">My Department</p>
+        <div class="profile-home">
+          ${home
+            ? `<a href="${renderer.escapeAttr(renderer.buildRoutePath(home))}" class="follow-chip">
+                <i class="fas fa-house-user"></i>
+                ${renderer.escapeHtml(`${displayName(home.department)} · ${displayName(home.level)}`)}
+              </a>`
+            : '<p class="meta-text profile-empty">Set your department and level and the app will open there.</p>'}
+          <button type="button" class="btn-secondary" data-action="choose-home">${home ? 'Change' : 'Choose'}</button>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Render profile file entries as file cards.
+   * @param {Array} entries - Favorite or recent entries ({ id, name, courseCode, folder }).
+   * @param {Function} describeTime - entry → "starred …" / "opened …" text.
+   * @param {string} [cardClass=''] - Extra class for each card ('profile-favorite' lets
+   *   App.toggleFavorite drop an unstarred card).
+   * @returns {string} HTML string.
+   */
+  renderFileList(entries, describeTime, cardClass = '') {
+    const renderer = this.renderer;
+
+    return `
+      <div class="file-list">
+        ${entries.map(entry => {
+          const folder = entry.folder || {};
+          const location = [folder.department, folder.level, folder.semester, folder.session]
+            .filter(Boolean)
+            .map(segment => displayName(segment))
+            .join(' › ');
+          const canOpen = Boolean(folder.department && folder.session);
+
+          return `
+          <div class="file-card profile-file${cardClass ? ` ${cardClass}` : ''}">
+            <div class="file-icon"><i class="far fa-file-pdf"></i></div>
+            <div class="file-info">
+              <div class="file-name">${renderer.escapeHtml(entry.name)}</div>
+              <div class="file-meta">
+                ${renderer.escapeHtml(describeTime(entry))}
+                ${location ? `• <a href="${renderer.escapeAttr(renderer.buildRoutePath(folder))}">${renderer.escapeHtml(location)}</a>` : ''}
+              </div>
+              <div class="file-actions">
+                ${canOpen ? `<a href="${renderer.escapeAttr(renderer.buildViewerPath(folder, entry.id))}" class="btn-primary">Open</a>` : ''}
+                ${renderer.renderFavoriteButton('file', {
+                  id: entry.id,
+                  name: entry.name,
+                  courseCode: entry.courseCode || null,
+                  folder
+                })}
+              </div>
+            </div>
+          </div>
+        `;
+        }).join('')}
+      </div>
+    `;
+  }
+}
+
+// Export for use in tests/Node environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProfileRenderer };
+}
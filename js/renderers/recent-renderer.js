@@ -0,0 +1,189 @@
+/* exported RecentRenderer */
+// RecentRenderer module
+// Renders the "Recently added" section on the home page from /api/recent, with a
+// department/level filter and a badge counting papers added since the last visit.
+
+// When the student last saw the feed (ms since epoch); papers newer than this are "New"
+const RECENT_SEEN_KEY = 'recent_last_visit';
+const RECENT_LIMIT = 8;
+
+class RecentRenderer {
+  /**
+   * @param {Renderer} renderer - Shared renderer facade with escape helpers.
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.lastVisit = null;
+  }
+
+  /**
+   * Read the previous visit time from localStorage.
+   * @returns {number|null} Timestamp, or null on a first visit.
+   */
+  readLastVisit() {
+    try {
+      const stored = Number.parseInt(localStorage.getItem(RECENT_SEEN_KEY), 10);
+      return Number.isFinite(stored) ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record this visit so the next one only flags papers added after it.
+   */
+  markVisited() {
+    try {
+      localStorage.setItem(RECENT_SEEN_KEY, String(Date.now()));
+    } catch (error) {
+      // Private mode or full storage: every visit just shows no badge.
+    }
+  }
+
+  /**
+   * Fill the home page's #recent-section and wire its filters.
+   * @param {HTMLElement} container - Main content container (holds #recent-section).
+   * @param {Array<string>} departments - Department names for the filter.
+   */
+  async renderRecent(container, departments) {
+    const section = container.querySelector('#recent-section');
+    if (!section) return;
+    const renderer = this.renderer;
+
+    // Same baseline for every filter change on this page; the stored value moves on once shown.
+    this.lastVisit = this.readLastVisit();
+
+    section.innerHTML = `
+      <div class="recent-header">
+        <p class="departments-section-label">Recently added <span class="recent-badge" hidden></span></p>
+        <div class="recent-filters">
+          <select class="recent-filter" id="recent-department" aria-label="Filter recently added by department">
+            <option value="">All departments</option>
+            ${departments.map(dept => `<option value="${renderer.escapeAttr(dept)}">${renderer.escapeHtml(displayName(dept))}</option>`).join('')}
+          </select>
+          <select class="recent-filter" id="recent-level" aria-label="Filter recently added by level" hidden>
+            <option value="">All levels</option>
+          </select>
+        </div>
+      </div>
+      <div id="recent-list"></div>
+    `;
+
+    const departmentSelect = section.querySelector('#recent-department');
+    const levelSelect = section.querySelector('#recent-level');
+
+    departmentSelect.addEventListener('change', async () => {
+      levelSelect.value = '';
+      levelSelect.hidden = true;
+      levelSelect.innerHTML = '<option value="">All levels</option>';
+      this.loadRecent(section);
+
+      const department = departmentSelect.value;
+      if (!department) return;
+      try {
+        const levels = await driveAPI.fetchLevels(department);
+        if (departmentSelect.value !== department) return;
+        levelSelect.innerHTML += levels
+          .map(level => `<option value="${renderer.escapeAttr(level)}">${renderer.escapeHtml(displayName(level))}</option>`)
+          .join('');
+        levelSelect.hidden = levels.length === 0;
+      } catch (error) {
+        // The department filter still works without the level list.
+      }
+    });
+    levelSelect.addEventListener('change', () => this.loadRecent(section));
+
+    await this.loadRecent(section);
+    this.markVisited();
+  }
+
+  /**
+   * Fetch and render the feed for the selected filters.
+   * @param {HTMLElement} section - The #recent-section element.
+   */
+  async loadRecent(section) {
+    const list = section.querySelector('#recent-list');
+    const department = section.querySelector('#recent-department').value;
+    const level = section.querySelector('#recent-level').value;
+    const requestKey = `${department}/${level}`;
+    this.requestKey = requestKey;
+
+    list.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading recent papers...</p></div>';
+
+    try {
+      const response = await driveAPI.fetchRecent({ department, level, limit: RECENT_LIMIT });
+      // Ignore answers for a filter the student has already changed.
+      if (this.requestKey !== requestKey) return;
+      list.innerHTML = this.renderRecentList(response.results);
+      this.updateBadge(section, response.results);
+    } catch (error) {
+      if (this.requestKey !== requestKey) return;
+      console.error('Recently added failed:', error);
+      list.innerHTML = `<p class="meta-text file-search-empty">${this.renderer.escapeHtml(`Could not load recent papers: ${error.message}`)}</p>`;
+    }
+    this.renderer.ensureFontAwesomeIcons();
+  }
+
+  /**
+   * Whether a paper was added after the previous visit.
+   * @param {Object} result - File result from /api/recent.
+   * @returns {boolean} True when it is new to this student.
+   */
+  isUnread(result) {
+    const modified = Date.parse(result.modifiedTime);
+    return this.lastVisit !== null && Number.isFinite(modified) && modified > this.lastVisit;
+  }
+
+  /**
+   * Show how many of the listed papers are new since the last visit.
+   * @param {HTMLElement} section - The #recent-section element.
+   * @param {Array} results - File results.
+   */
+  updateBadge(section, results) {
+    const badge = section.querySelector('.recent-badge');
+    const unread = results.filter(result => this.isUnread(result)).length;
+    badge.textContent = `${unread} new`;
+    badge.hidden = unread === 0;
+  }
+
+  /**
+   * Render the feed as file cards linking to each paper's folder.
+   * @param {Array} results - File results from driveAPI.fetchRecent.
+   * @returns {string} HTML string.
+   */
+  renderRecentList(results) {
+    const renderer = this.renderer;
+
+    if (!results || results.length === 0) {
+      return '<p class="meta-text file-search-empty">No papers have been added here yet.</p>';
+    }
+
+    return `
+      <div class="file-list">
+        ${results.map(result => {
+          const trail = [result.department, result.level, result.semester, result.session]
+            .filter(Boolean)
+            .map(segment => displayName(segment));
+          const added = result.modifiedTime ? driveAPI.formatDate(result.modifiedTime) : '';
+          return `
+          <a href="${renderer.escapeAttr(renderer.buildRoutePath(result))}" class="file-card file-search-result recent-item">
+            <div class="file-icon"><i class="far fa-file-pdf"></i></div>
+            <div class="file-info">
+              <div class="file-name">
+                ${renderer.escapeHtml(result.name)}
+                ${this.isUnread(result) ? '<span class="recent-new">New</span>' : ''}
+              </div>
+              <div class="file-meta">${renderer.escapeHtml(trail.join(' › '))}${added ? ` • ${renderer.escapeHtml(added)}` : ''}</div>
+            </div>
+          </a>
+        `;
+        }).join('')}
+      </div>
+    `;
+  }
+}
+
+// Export for use in tests/Node environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RecentRenderer };
+}
@@ -43,7 +43,7 @@ class TeamRenderer {
     container.innerHTML = `
       <div class="about-page">
         <div class="about-back">
-          <a href="#/" class="about-back__link">
+          <a href="/" class="about-back__link">
             <i class="fas fa-arrow-left"></i>
             <span>Back to Home</span>
           </a>
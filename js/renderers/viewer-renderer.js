@@ -0,0 +1,440 @@
+/* exported ViewerRenderer */
+// ViewerRenderer module
+// In-app PDF viewer for the /browse/…/view/<fileId> route: page navigation, zoom, a
+// thumbnail strip and keyboard shortcuts. PDF bytes come from the same-origin
+// /api/file proxy; pdf.js is loaded the first time a viewer opens, from the pinned
+// pdfjs-dist 3.11.174 copy in js/vendor/pdfjs/ that sw.js precaches, so saved files open offline.
+
+const PDFJS_SRC = '/js/vendor/pdfjs/pdf.min.js';
+const PDFJS_INTEGRITY = 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e';
+const PDFJS_WORKER_SRC = '/js/vendor/pdfjs/pdf.worker.min.js';
+
+const VIEWER_MIN_SCALE = 0.5;
+const VIEWER_MAX_SCALE = 3;
+const VIEWER_SCALE_STEP = 0.25;
+const THUMBNAIL_WIDTH = 96;
+
+class ViewerRenderer {
+  /**
+   * @param {Renderer} renderer - Shared renderer facade with escape helpers.
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.pdfjsPromise = null;
+    this.openCount = 0;
+    this.state = null;
+    this.keyHandler = null;
+    this.resizeHandler = null;
+    this.thumbnailObserver = null;
+  }
+
+  /**
+   * Load pdf.js once (UMD build exposes window.pdfjsLib).
+   * @returns {Promise<Object>} The pdfjsLib global.
+   */
+  loadPdfJs() {
+    if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+
+    if (!this.pdfjsPromise) {
+      this.pdfjsPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = PDFJS_SRC;
+        script.integrity = PDFJS_INTEGRITY;
+        script.onload = () => {
+          if (!window.pdfjsLib) {
+            reject(new Error('The PDF viewer failed to load.'));
+            return;
+          }
+          window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+          resolve(window.pdfjsLib);
+        };
+        script.onerror = () => {
+          script.remove();
+          this.pdfjsPromise = null;
+          reject(new Error('Could not load the PDF viewer. Check your connection and try again.'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+
+    return this.pdfjsPromise;
+  }
+
+  /**
+   * Render the viewer route.
+   * @param {HTMLElement} container - Main content container.
+   * @param {Object} route - Current route object (uses route.fileId).
+   * @param {{forceRefresh?: boolean}} [options] - Render options.
+   */
+  async renderViewer(container, route, options = {}) {
+    const { forceRefresh = false } = options;
+    const renderer = this.renderer;
+    this.destroy();
+    const openId = ++this.openCount;
+
+    const isJupeb = route.department === 'Jupeb';
+    const filesPath = isJupeb
+      ? `/${route.department}/${route.level}/${route.session}`
+      : `/${route.department}/${route.level}/${route.semester}/${route.session}`;
+    const filesRoute = renderer.buildRoutePath(route);
+
+    // Name comes from the (usually cached) session listing, or the offline index with no connection
+    const files = await driveAPI.fetchFiles(filesPath, forceRefresh).catch(() => []);
+    const saved = typeof offlineStore !== 'undefined' ? offlineStore.get(route.fileId) : null;
+    const file = (files || []).find(f => f.id === route.fileId) || saved || { id: route.fileId, name: 'Past question' };
+    if (openId !== this.openCount) return;
+
+    container.innerHTML = `
+      <div class="pdf-viewer" id="pdf-viewer">
+        <div class="pdf-toolbar" role="toolbar" aria-label="PDF viewer controls">
+          <a href="${renderer.escapeAttr(filesRoute)}" class="pdf-tool" title="Back to files (Esc)" aria-label="Back to files">
+            <i class="fas fa-arrow-left"></i>
+          </a>
+          <div class="pdf-title" title="${renderer.escapeAttr(file.name)}">${renderer.escapeHtml(file.name)}</div>
+          <div class="pdf-tool-group">
+            <button type="button" class="pdf-tool" data-viewer-action="prev" title="Previous page (←)" aria-label="Previous page">
+              <i class="fas fa-chevron-left"></i>
+            </button>
+            <span class="pdf-page-indicator">
+              <input type="number" id="pdf-page-input" class="pdf-page-input" min="1" value="1" aria-label="Page number">
+              / <span id="pdf-page-count">–</span>
+            </span>
+            <button type="button" class="pdf-tool" data-viewer-action="next" title="Next page (→)" aria-label="Next page">
+              <i class="fas fa-chevron-right"></i>
+            </button>
+          </div>
+          <div class="pdf-tool-group">
+            <button type="button" class="pdf-tool" data-viewer-action="zoom-out" title="Zoom out (-)" aria-label="Zoom out">
+              <i class="fas fa-magnifying-glass-minus"></i>
+            </button>
+            <span id="pdf-zoom-level" class="pdf-zoom-level">Fit</span>
+            <button type="button" class="pdf-tool" data-viewer-action="zoom-in" title="Zoom in (+)" aria-label="Zoom in">
+              <i class="fas fa-magnifying-glass-plus"></i>
+            </button>
+            <button type="button" class="pdf-tool" data-viewer-action="fit-width" title="Fit to width (0)" aria-label="Fit to width">
+              <i class="fas fa-arrows-left-right"></i>
+            </button>
+          </div>
+          <a href="${renderer.escapeAttr(driveAPI.getFileUrl(file.id, { download: true }))}" class="pdf-tool" title="Download" aria-label="Download" download>
+            <i class="fas fa-download"></i>
+          </a>
+        </div>
+        <div class="pdf-body">
+          <aside class="pdf-thumbnails" id="pdf-thumbnails" aria-label="Pages"></aside>
+          <div class="pdf-stage" id="pdf-stage" tabindex="0">
+            <div class="loading"><div class="spinner"></div><p>Opening PDF...</p></div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    try {
+      const pdfjsLib = await this.loadPdfJs();
+      const pdf = await pdfjsLib.getDocument({ url: driveAPI.getFileUrl(file.id) }).promise;
+
+      if (openId !== this.openCount) {
+        pdf.destroy();
+        return;
+      }
+
+      this.state = { pdf, page: 1, scale: 1, fitWidth: true, renderTask: null, filesRoute };
+      if (typeof profileStore !== 'undefined') {
+        profileStore.recordView(file, route);
+      }
+      document.getElementById('pdf-page-count').textContent = String(pdf.numPages);
+      document.getElementById('pdf-page-input').max = String(pdf.numPages);
+
+      this.attachControls();
+      this.renderThumbnails();
+      await this.renderPage();
+    } catch (error) {
+      if (openId !== this.openCount) return;
+      console.error('PDF viewer error:', error);
+      const stage = document.getElementById('pdf-stage');
+      if (stage) {
+        stage.innerHTML = renderer.renderErrorState(
+          `${error.message || 'This PDF could not be opened.'} You can still use the download button.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Wire toolbar buttons, the page input, keyboard shortcuts and resize handling.
+   */
+  attachControls() {
+    const viewer = document.getElementById('pdf-viewer');
+    const pageInput = document.getElementById('pdf-page-input');
+
+    viewer.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-viewer-action]');
+      if (button) this.handleAction(button.getAttribute('data-viewer-action'));
+    });
+
+    pageInput.addEventListener('change', () => {
+      this.goToPage(Number.parseInt(pageInput.value, 10));
+    });
+
+    this.keyHandler = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+      const target = event.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+      const actions = {
+        ArrowLeft: 'prev',
+        PageUp: 'prev',
+        ArrowRight: 'next',
+        PageDown: 'next',
+        Home: 'first',
+        End: 'last',
+        '+': 'zoom-in',
+        '=': 'zoom-in',
+        '-': 'zoom-out',
+        0: 'fit-width',
+        Escape: 'close'
+      };
+      const action = actions[event.key];
+      if (!action) return;
+
+      event.preventDefault();
+      this.handleAction(action);
+    };
+    document.addEventListener('keydown', this.keyHandler);
+
+    let resizeTimer = null;
+    this.resizeHandler = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        if (this.state && this.state.fitWidth) this.renderPage();
+      }, 150);
+    };
+    window.addEventListener('resize', this.resizeHandler);
+  }
+
+  /**
+   * Run a toolbar/keyboard action.
+   * @param {string} action - Action name.
+   */
+  handleAction(action) {
+    const state = this.state;
+    if (!state) return;
+
+    switch (action) {
+      case 'prev':
+        this.goToPage(state.page - 1);
+        break;
+      case 'next':
+        this.goToPage(state.page + 1);
+        break;
+      case 'first':
+        this.goToPage(1);
+        break;
+      case 'last':
+        this.goToPage(state.pdf.numPages);
+        break;
+      case 'zoom-in':
+        this.setScale(state.scale + VIEWER_SCALE_STEP);
+        break;
+      case 'zoom-out':
+        this.setScale(state.scale - VIEWER_SCALE_STEP);
+        break;
+      case 'fit-width':
+        state.fitWidth = true;
+        this.renderPage();
+        break;
+      case 'close':
+        appNavigator.navigateTo(state.filesRoute);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Show a page (clamped to the document).
+   * @param {number} pageNumber - 1-based page number.
+   */
+  goToPage(pageNumber) {
+    const state = this.state;
+    if (!state || !Number.isFinite(pageNumber)) return;
+
+    const page = Math.min(Math.max(1, pageNumber), state.pdf.numPages);
+    if (page === state.page) {
+      document.getElementById('pdf-page-input').value = String(page);
+      return;
+    }
+
+    state.page = page;
+    this.renderPage();
+  }
+
+  /**
+   * Set a fixed zoom level (leaves fit-to-width mode).
+   * @param {number} scale - Requested scale.
+   */
+  setScale(scale) {
+    const state = this.state;
+    if (!state) return;
+
+    state.fitWidth = false;
+    state.scale = Math.min(Math.max(VIEWER_MIN_SCALE, scale), VIEWER_MAX_SCALE);
+    this.renderPage();
+  }
+
+  /**
+   * Render the current page into the stage.
+   */
+  async renderPage() {
+    const state = this.state;
+    const stage = document.getElementById('pdf-stage');
+    if (!state || !stage) return;
+
+    const pageNumber = state.page;
+    const page = await state.pdf.getPage(pageNumber);
+    if (this.state !== state || state.page !== pageNumber) return;
+
+    const baseViewport = page.getViewport({ scale: 1 });
+    if (state.fitWidth) {
+      const available = Math.max(stage.clientWidth - 32, 200);
+      state.scale = Math.min(Math.max(VIEWER_MIN_SCALE, available / baseViewport.width), VIEWER_MAX_SCALE);
+    }
+
+    const viewport = page.getViewport({ scale: state.scale });
+    const pixelRatio = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'pdf-page-canvas';
+    canvas.width = Math.floor(viewport.width * pixelRatio);
+    canvas.height = Math.floor(viewport.height * pixelRatio);
+    canvas.style.width = `${Math.floor(viewport.width)}px`;
+    canvas.style.height = `${Math.floor(viewport.height)}px`;
+    canvas.setAttribute('aria-label', `Page ${pageNumber} of ${state.pdf.numPages}`);
+
+    if (state.renderTask) {
+      state.renderTask.cancel();
+    }
+
+    state.renderTask = page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      transform: pixelRatio !== 1 ? [pixelRatio, 0, 0, pixelRatio, 0, 0] : null
+    });
+
+    try {
+      await state.renderTask.promise;
+    } catch (error) {
+      // A newer render replaced this one
+      if (error && error.name === 'RenderingCancelledException') return;
+      throw error;
+    }
+
+    stage.replaceChildren(canvas);
+    stage.scrollTop = 0;
+
+    document.getElementById('pdf-page-input').value = String(pageNumber);
+    document.getElementById('pdf-zoom-level').textContent = `${Math.round(state.scale * 100)}%`;
+    this.highlightThumbnail(pageNumber);
+  }
+
+  /**
+   * Build the thumbnail strip; each thumbnail renders when it scrolls into view.
+   */
+  renderThumbnails() {
+    const state = this.state;
+    const strip = document.getElementById('pdf-thumbnails');
+    if (!state || !strip) return;
+
+    strip.innerHTML = Array.from({ length: state.pdf.numPages }, (_, index) => `
+      <button type="button" class="pdf-thumbnail" data-page="${index + 1}" aria-label="Go to page ${index + 1}">
+        <canvas width="${THUMBNAIL_WIDTH}" height="${Math.round(THUMBNAIL_WIDTH * 1.414)}"></canvas>
+        <span>${index + 1}</span>
+      </button>
+    `).join('');
+
+    strip.addEventListener('click', (event) => {
+      const thumbnail = event.target.closest('.pdf-thumbnail');
+      if (thumbnail) this.goToPage(Number.parseInt(thumbnail.getAttribute('data-page'), 10));
+    });
+
+    const drawThumbnail = async (button) => {
+      if (button.dataset.rendered) return;
+      button.dataset.rendered = '1';
+
+      const page = await state.pdf.getPage(Number.parseInt(button.getAttribute('data-page'), 10));
+      if (this.state !== state) return;
+
+      const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+      const canvas = button.querySelector('canvas');
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    };
+
+    const buttons = Array.from(strip.querySelectorAll('.pdf-thumbnail'));
+
+    if ('IntersectionObserver' in window) {
+      this.thumbnailObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.thumbnailObserver.unobserve(entry.target);
+            drawThumbnail(entry.target).catch(error => console.warn('Thumbnail render failed:', error));
+          }
+        });
+      }, { root: strip, rootMargin: '200px' });
+      buttons.forEach(button => this.thumbnailObserver.observe(button));
+    } else {
+      buttons.slice(0, 20).forEach(button => {
+        drawThumbnail(button).catch(error => console.warn('Thumbnail render failed:', error));
+      });
+    }
+  }
+
+  /**
+   * Mark the current page's thumbnail and keep it visible.
+   * @param {number} pageNumber - 1-based page number.
+   */
+  highlightThumbnail(pageNumber) {
+    const strip = document.getElementById('pdf-thumbnails');
+    if (!strip) return;
+
+    strip.querySelectorAll('.pdf-thumbnail').forEach(button => {
+      const isActive = Number.parseInt(button.getAttribute('data-page'), 10) === pageNumber;
+      button.classList.toggle('active', isActive);
+      if (isActive) {
+        button.setAttribute('aria-current', 'page');
+        button.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Tear down the open document and global listeners (called when leaving the viewer).
+   */
+  destroy() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
+      this.keyHandler = null;
+    }
+    if (this.resizeHandler) {
+      window.removeEventListener('resize', this.resizeHandler);
+      this.resizeHandler = null;
+    }
+    if (this.thumbnailObserver) {
+      this.thumbnailObserver.disconnect();
+      this.thumbnailObserver = null;
+    }
+    if (this.state) {
+      if (this.state.renderTask) this.state.renderTask.cancel();
+      this.state.pdf.destroy();
+      this.state = null;
+    }
+    // Invalidate any viewer still loading
+    this.openCount += 1;
+  }
+}
+
+// Export for use in tests/Node environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ViewerRenderer };
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Index Builder
+ *
+ * Crawls the whole storage tree (Google Drive, or LOCAL_STORAGE_ROOT with
+ * STORAGE_BACKEND=local) and stores the index browse, search and coverage read from.
+ * Same crawl as /api/drive-index?rebuild=1, without a serverless time limit, so it
+ * suits a cron job on the host that serves the API.
+ *
+ * The index goes into the shared cache store, so it needs the store the server reads:
+ * CACHE_STORE=file with the same CACHE_DIR, or the KV database (KV_REST_API_URL and
+ * KV_REST_API_TOKEN, as on Vercel). An in-memory index would vanish on exit.
+ *
+ * Files that were not in the previous index are pushed to the students following their
+ * department or level when VAPID keys are set. They are read from the same data store as the
+ * server: DATA_DIR, or the KV database when KV_REST_API_URL and KV_REST_API_TOKEN are set.
+ *
+ * Run via:  CACHE_STORE=file node scripts/build-index.js [--incremental]
+ *      or:  KV_REST_API_URL=... KV_REST_API_TOKEN=... node scripts/build-index.js
+ *
+ * @module scripts/build-index
+ */
+
+const { getStorage } = require('../api/_storage');
+const { rebuildIndex, describeIndex } = require('../api/_index');
+const { notifyFollowers } = require('../api/_push');
+const { getCacheStore } = require('../api/_cache');
+
+const incremental = process.argv.includes('--incremental');
+
+if (getCacheStore('index').name === 'memory') {
+  console.error('\nSet CACHE_STORE=file (and CACHE_DIR if the server uses one), or KV_REST_API_URL and KV_REST_API_TOKEN, so the index outlives this process.\n');
+  process.exit(1);
+}
+
+const storage = getStorage();
+if (!storage.isConfigured()) {
+  console.error('\nStorage is not configured: set GOOGLE_DRIVE_API_KEY and GOOGLE_DRIVE_ROOT_FOLDER_ID, or STORAGE_BACKEND=local with LOCAL_STORAGE_ROOT.\n');
+  process.exit(1);
+}
+
+console.log(`\nCrawling ${storage.name} storage (${incremental ? 'incremental' : 'full'})...\n`);
+const startedAt = Date.now();
+
+rebuildIndex(storage, { incremental })
+  .then(async ({ index, stats, added }) => {
+    const summary = describeIndex(index);
+    console.log(`  ✓ ${summary.folders} folders, ${summary.files} files`);
+    console.log(`  ✓ file listings: ${stats.listedFolders} fetched, ${stats.reusedFolders} reused`);
+
+    try {
+      const push = await notifyFollowers(added);
+      console.log(`  ✓ ${added.length} new files, ${push.sent} notifications sent` +
+        (push.failed ? `, ${push.failed} failed` : ''));
+    } catch (error) {
+      console.error(`  ✗ ${added.length} new files, notifications failed: ${error.message}`);
+    }
+    console.log(`\nIndex built in ${((Date.now() - startedAt) / 1000).toFixed(1)}s.\n`);
+  })
+  .catch((error) => {
+    console.error(`\nIndex build failed: ${error.message}\n`);
+    process.exit(1);
+  });
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+/**
+ * VAPID Key Generator
+ *
+ * Prints a fresh VAPID key pair for push notifications (api/_webpush.js), ready to
+ * paste into the environment. Generate it once per deployment: browsers subscribe
+ * against the public key, so changing it silently cuts off every existing follower.
+ *
+ * Run via:  node scripts/generate-vapid-keys.js
+ *
+ * @module scripts/generate-vapid-keys
+ */
+
+const { generateVapidKeys } = require('../api/_webpush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log('\nAdd these to the environment (keep the private key secret):\n');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@calebuniversity.edu.ng\n');
@@ -1,6 +1,10 @@
 /**
  * @fileoverview Lightweight Node.js HTTP server for CURB.
  * Serves static assets and mounts API handlers compatible with serverless endpoints.
+ *
+ * Local mode serves past questions from a folder on disk instead of Google Drive:
+ *   node server.js --local ./past-questions
+ * (or STORAGE_BACKEND=local with LOCAL_STORAGE_ROOT=./past-questions).
  */
 
 const http = require('http');
@@ -9,12 +13,20 @@ const path = require('path');
 const { URL } = require('url');
 
 const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 16 * 1024;
+// Methods whose JSON bodies handlers read (Vercel parses them for every method)
+const BODY_METHODS = new Set(['POST', 'PUT', 'DELETE']);
 const STATIC_ROOT = path.resolve(__dirname);
 
+// Client-side routes (js/navigation.js): single-segment pages (PAGE_ROUTES there) and
+// the /browse/ and /course/ trees. Deep links to them get index.html.
+const APP_PAGES = new Set(['about', 'offline', 'me', 'track', 'moderation']);
+const APP_ROUTE_PREFIXES = new Set(['browse', 'course']);
+
 /**
  * Build a minimal response wrapper compatible with serverless handlers.
  * @param {http.ServerResponse} res - Node.js response.
- * @returns {Object} Response wrapper with status/json/end helpers.
+ * @returns {Object} Response wrapper with status/json/end helpers (plus write/once for streaming).
  */
 function createResponse(res) {
   const wrapper = {
@@ -27,6 +39,11 @@ function createResponse(res) {
       res.setHeader('Content-Type', 'application/json; charset=utf-8');
       res.end(JSON.stringify(payload));
     },
+    get headersSent() {
+      return res.headersSent;
+    },
+    write: (chunk) => res.write(chunk),
+    once: (event, listener) => res.once(event, listener),
     end: (data) => res.end(data)
   };
 
@@ -46,6 +63,54 @@ function parseQuery(parsedUrl) {
   return query;
 }
 
+/**
+ * Read a JSON request body (as Vercel does for application/json requests).
+ * @param {http.IncomingMessage} req - Request object.
+ * @param {number} [limit=MAX_BODY_BYTES] - Largest body accepted.
+ * @returns {Promise<Object|undefined>} Parsed body, or undefined when it is not JSON.
+ * @throws {Error} With statusCode 413 (too large) or 400 (malformed JSON).
+ */
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  if (!contentType.startsWith('application/json')) {
+    return Promise.resolve(undefined);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        req.destroy();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (parseError) {
+        const error = new Error('Invalid JSON body');
+        error.statusCode = 400;
+        reject(error);
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
 /**
  * Map a URL path to an API handler.
  * @param {string} pathname - Request path.
@@ -55,7 +120,21 @@ function parseQuery(parsedUrl) {
 function resolveApiHandler(pathname, apiHandlers) {
   if (pathname === '/api/browse') return apiHandlers.browse;
   if (pathname === '/api/coverage') return apiHandlers.coverage;
+  if (pathname === '/api/coverage/summary') return apiHandlers.coverageSummary || null;
+  if (pathname === '/api/coverage-history') return apiHandlers.coverageHistory || null;
   if (pathname === '/api/team') return apiHandlers.team;
+  if (pathname === '/api/search') return apiHandlers.search;
+  if (pathname === '/api/recent') return apiHandlers.recent || null;
+  if (pathname === '/api/file') return apiHandlers.file || null;
+  if (pathname === '/api/bundle') return apiHandlers.bundle || null;
+  if (pathname === '/api/drive-index') return apiHandlers.driveIndex || null;
+  if (pathname === '/api/requests') return apiHandlers.requests || null;
+  if (pathname === '/api/push') return apiHandlers.push || null;
+  if (pathname === '/api/profile') return apiHandlers.profile || null;
+  if (pathname === '/api/submissions') return apiHandlers.submissions || null;
+  if (pathname === '/api/auth/request') return apiHandlers.authRequest || null;
+  if (pathname === '/api/auth/verify') return apiHandlers.authVerify || null;
+  if (pathname === '/api/auth/session') return apiHandlers.authSession || null;
   return null;
 }
 
@@ -88,6 +167,21 @@ function resolveStaticPath(pathname, staticRoot) {
   return absolutePath;
 }
 
+/**
+ * Check whether a path is one of the app's client-side routes.
+ * Folder names may contain dots ("B.Sc. Programmes"), so these are matched by prefix
+ * rather than by the missing-extension guess used for other paths.
+ * @param {string} pathname - Request pathname.
+ * @returns {boolean} True when index.html should answer it.
+ */
+function isAppRoute(pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+  if (parts.length === 0) return false;
+
+  const first = parts[0].toLowerCase();
+  return APP_ROUTE_PREFIXES.has(first) || (parts.length === 1 && APP_PAGES.has(first));
+}
+
 /**
  * Determine a basic content type for a file path.
  * @param {string} filePath - Absolute file path.
@@ -121,7 +215,8 @@ function getContentType(filePath) {
 }
 
 /**
- * Serve a static file or fallback to index.html for SPA-style paths.
+ * Serve a static file, or index.html for app routes (see isAppRoute) and other
+ * extension-less paths, which the app renders as not found.
  * @param {string} pathname - Request pathname.
  * @param {http.IncomingMessage} req - Request object.
  * @param {Object} res - Response wrapper.
@@ -134,7 +229,9 @@ function serveStatic(pathname, req, res, staticRoot, logger) {
     return;
   }
 
-  const resolvedPath = resolveStaticPath(pathname, staticRoot);
+  const resolvedPath = isAppRoute(pathname)
+    ? path.join(staticRoot, 'index.html')
+    : resolveStaticPath(pathname, staticRoot);
   if (!resolvedPath) {
     res.status(400).end('Bad Request');
     return;
@@ -182,28 +279,72 @@ async function handleApi(pathname, req, res, apiHandlers, logger) {
     return;
   }
 
+  if (BODY_METHODS.has(req.method)) {
+    try {
+      req.body = await readJsonBody(req);
+    } catch (error) {
+      res.status(error.statusCode || 400).json({ error: error.message });
+      return;
+    }
+  }
+
   try {
     await handler(req, res);
   } catch (error) {
     logger.error('API handler error:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
     res.status(500).json({ error: 'Internal Server Error' });
   }
 }
 
+/**
+ * Resolve the local storage root, if local mode is enabled.
+ * @param {Object} options - createServer options.
+ * @returns {string|null} Local root directory or null for Google Drive mode.
+ */
+function resolveLocalRoot(options) {
+  if (options.localRoot) return options.localRoot;
+  if (String(process.env.STORAGE_BACKEND || '').trim().toLowerCase() === 'local') {
+    return process.env.LOCAL_STORAGE_ROOT || null;
+  }
+  return null;
+}
+
 /**
  * Create the CURB HTTP server instance.
  * @param {Object} [options] - Optional configuration overrides.
  * @param {Object} [options.apiHandlers] - Override API handlers.
+ * @param {string} [options.localRoot] - Serve browse/coverage/file from this folder instead of Google Drive.
  * @param {string} [options.staticRoot] - Static root folder.
  * @param {Object} [options.logger] - Logger implementation.
  * @returns {http.Server} Node.js HTTP server.
  */
 function createServer(options = {}) {
-  const apiHandlers = options.apiHandlers || {
-    browse: require('./api/browse'),
-    coverage: require('./api/coverage'),
-    team: require('./api/team')
-  };
+  const localRoot = resolveLocalRoot(options);
+  const apiHandlers = options.apiHandlers || (localRoot
+    ? require('./api/_storage/local-handlers').createLocalApiHandlers(localRoot)
+    : {
+      browse: require('./api/browse'),
+      coverage: require('./api/coverage'),
+      coverageSummary: require('./api/coverage/summary'),
+      coverageHistory: require('./api/coverage-history'),
+      team: require('./api/team'),
+      search: require('./api/search'),
+      recent: require('./api/recent'),
+      file: require('./api/file'),
+      bundle: require('./api/bundle'),
+      driveIndex: require('./api/drive-index'),
+      requests: require('./api/requests'),
+      push: require('./api/push'),
+      profile: require('./api/profile'),
+      submissions: require('./api/submissions'),
+      authRequest: require('./api/auth/request'),
+      authVerify: require('./api/auth/verify'),
+      authSession: require('./api/auth/session')
+    });
   const staticRoot = options.staticRoot || STATIC_ROOT;
   const logger = options.logger || console;
 
@@ -228,18 +369,31 @@ function createServer(options = {}) {
 /**
  * Start the server when running directly.
  * @param {number} [port] - Port to listen on.
+ * @param {Object} [options] - createServer options.
  */
-function startServer(port = DEFAULT_PORT) {
-  const server = createServer();
+function startServer(port = DEFAULT_PORT, options = {}) {
+  const server = createServer(options);
+  const localRoot = resolveLocalRoot(options);
   server.listen(port, () => {
     console.log(`CURB server running on http://localhost:${port}`);
+    if (localRoot) {
+      console.log(`Serving past questions from ${path.resolve(localRoot)} (local mode)`);
+    }
   });
 }
 
 if (require.main === module) {
   const portEnv = Number.parseInt(process.env.PORT, 10);
   const port = Number.isFinite(portEnv) ? portEnv : DEFAULT_PORT;
-  startServer(port);
+  const localFlag = process.argv.indexOf('--local');
+  const localRoot = localFlag !== -1 ? process.argv[localFlag + 1] : null;
+
+  if (localFlag !== -1 && !localRoot) {
+    console.error('Usage: node server.js --local <folder>');
+    process.exit(1);
+  }
+
+  startServer(port, { localRoot });
 }
 
 module.exports = {
@@ -1,10 +1,12 @@
 // Service Worker for CURB
 // Versioned cache name; bump only when cache schema/behavior changes.
-const SW_VERSION = '1.5.3';
+const SW_VERSION = '1.6.17';
 const CACHE_PREFIX = 'curb-';
 const APP_SHELL_CACHE = `${CACHE_PREFIX}app-shell-v${SW_VERSION}`;
 const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v${SW_VERSION}`;
 const API_CACHE = `${CACHE_PREFIX}api-v${SW_VERSION}`;
+// Files saved with "Save offline" (js/offline-store.js). Unversioned so updates keep them.
+const OFFLINE_FILES_CACHE = `${CACHE_PREFIX}offline-files`;
 const urlsToCache = [
   '/',
   '/index.html',
@@ -14,6 +16,9 @@ const urlsToCache = [
   '/js/email-gate.js',
   '/js/config.js',
   '/js/cache.js',
+  '/js/offline-store.js',
+  '/js/profile-store.js',
+  '/js/onboarding.js',
   '/js/drive-api.js',
   '/js/navigation.js',
   '/js/pwa.js',
@@ -21,6 +26,13 @@ const urlsToCache = [
   '/js/ui/contact-modal-helper.js',
   '/js/renderers/team-renderer.js',
   '/js/renderers/coverage-renderer.js',
+  '/js/renderers/viewer-renderer.js',
+  '/js/vendor/pdfjs/pdf.min.js',
+  '/js/vendor/pdfjs/pdf.worker.min.js',
+  '/js/renderers/offline-renderer.js',
+  '/js/renderers/moderation-renderer.js',
+  '/js/renderers/recent-renderer.js',
+  '/js/renderers/profile-renderer.js',
   '/js/renderer.js',
   '/js/app.js',
   '/assets/logo.png',
@@ -84,12 +96,69 @@ async function staleWhileRevalidate(request, cacheName) {
   const networkResponse = await networkPromise;
   if (networkResponse) return networkResponse;
 
+  // Offline before this file reached the runtime cache: use the precached copy
   const shellCache = await caches.open(APP_SHELL_CACHE);
+  const precached = await shellCache.match(request);
+  if (precached) return precached;
   const fallback = await shellCache.match('/offline.html');
   if (fallback) return fallback;
   return new Response('Offline', { status: 503, statusText: 'Offline' });
 }
 
+/**
+ * Answer a page load of an app route (/browse/..., /me, ...). Every route is index.html,
+ * so offline any of them gets the precached shell and the Navigator renders the route;
+ * only the shell's own cache entry is kept, not one copy per path.
+ * @param {Request} request - Navigation request.
+ * @returns {Promise<Response>} Response.
+ */
+async function appRoute(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shellCache = await caches.open(APP_SHELL_CACHE);
+    const shell = await shellCache.match('/index.html') || await shellCache.match('/offline.html');
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+/**
+ * Serve a saved PDF from the offline bucket, or fall through to the network.
+ * pdf.js asks for byte ranges, so a Range request gets a 206 slice of the saved copy.
+ * @param {Request} request - Fetch request for /api/file.
+ * @param {URL} url - Parsed request URL.
+ * @returns {Promise<Response>} Response.
+ */
+async function offlineFileOrNetwork(request, url) {
+  const cacheUrl = `/api/file?id=${encodeURIComponent(url.searchParams.get('id') || '')}`;
+  const cache = await caches.open(OFFLINE_FILES_CACHE);
+  const cached = await cache.match(cacheUrl);
+  if (!cached) return fetch(request);
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec((request.headers.get('range') || '').trim());
+  if (!range || (range[1] === '' && range[2] === '')) return cached;
+
+  const blob = await cached.blob();
+  const size = blob.size;
+  const start = range[1] === '' ? Math.max(size - Number(range[2]), 0) : Number(range[1]);
+  const end = range[1] === '' || range[2] === '' ? size - 1 : Math.min(Number(range[2]), size - 1);
+
+  if (start >= size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
 // Install event - cache resources
 self.addEventListener('install', event => {
   event.waitUntil(
@@ -107,7 +176,7 @@ self.addEventListener('install', event => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
-  const expectedCaches = new Set([APP_SHELL_CACHE, RUNTIME_CACHE, API_CACHE]);
+  const expectedCaches = new Set([APP_SHELL_CACHE, RUNTIME_CACHE, API_CACHE, OFFLINE_FILES_CACHE]);
 
   event.waitUntil(
     caches.keys().then(cacheNames => {
@@ -137,6 +206,30 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // PDF bytes - saved copies first, otherwise straight to the network. Nothing is cached
+  // here: 206 responses cannot be stored with Cache.put, and whole PDFs would crowd
+  // listings out of the API cache. Saving is explicit (js/offline-store.js).
+  if (url.pathname === '/api/file') {
+    event.respondWith(offlineFileOrNetwork(event.request, url));
+    return;
+  }
+
+  // ZIP bundles - always from the network; never worth keeping in the API cache
+  if (url.pathname === '/api/bundle') {
+    return;
+  }
+
+  // Submission queue and submitted PDFs - admin-only and changing by the minute; never cached
+  if (url.pathname === '/api/submissions') {
+    return;
+  }
+
+  // Sign-in state and the student's profile - personal; never cached, so whoever signs in
+  // next on this device cannot be served them offline
+  if (url.pathname.startsWith('/api/auth/') || url.pathname === '/api/profile') {
+    return;
+  }
+
   // API calls - Network First (fresh data preferred, offline fallback preserved)
   if (url.pathname.includes('/api/')) {
     event.respondWith(networkFirst(event.request, API_CACHE));
@@ -151,6 +244,12 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // Deep links to app routes - the network, or the cached shell when offline
+  if (event.request.mode === 'navigate' && url.pathname !== '/' && !url.pathname.endsWith('.html')) {
+    event.respondWith(appRoute(event.request));
+    return;
+  }
+
   // HTML shell - Network First so navigation picks latest deploys quickly
   if (url.pathname.endsWith('.html') || url.pathname === '/') {
     event.respondWith(networkFirst(event.request, RUNTIME_CACHE, '/offline.html'));
@@ -161,6 +260,47 @@ self.addEventListener('fetch', event => {
   event.respondWith(networkFirst(event.request, RUNTIME_CACHE));
 });
 
+// Push event - a followed department or level has new papers (sent by api/_push.js)
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'CURB', {
+      body: data.body || 'New past questions are available.',
+      icon: '/assets/logo.png',
+      badge: '/assets/logo.png',
+      tag: data.tag || 'curb',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+// Notification click - open (or focus) the app on the notification's route
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  // Only ever navigate within this app, whatever the payload says
+  const requested = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin);
+  const target = requested.origin === self.location.origin ? requested.href : `${self.location.origin}/`;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(async (windows) => {
+      const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+      if (existing) {
+        // Reuse the open tab rather than stacking up windows
+        await existing.focus();
+        return existing.navigate(target).catch(() => self.clients.openWindow(target));
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
+
 // Handle messages from the main thread
 self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
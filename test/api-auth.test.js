@@ -0,0 +1,320 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createOutboxTransport, getMailTransport } = require('../api/_mail');
+const { createFakeKv } = require('./helpers/fake-kv');
+const { createLocalProvider } = require('../api/_storage');
+const {
+  SESSION_COOKIE,
+  CHALLENGE_COOKIE,
+  MAX_CODE_ATTEMPTS,
+  resetAuthState
+} = require('../api/_auth');
+const authRequest = require('../api/auth/request');
+const authVerify = require('../api/auth/verify');
+const authSession = require('../api/auth/session');
+const browseHandler = require('../api/browse');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+const STUDENT = 'student@calebuniversity.edu.ng';
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Turn Set-Cookie header values into a Cookie request header.
+ * @param {string|Array<string>} setCookie - Set-Cookie value(s).
+ * @returns {string} Cookie header.
+ */
+function toCookieHeader(setCookie) {
+  return [].concat(setCookie).map(value => value.split(';')[0]).join('; ');
+}
+
+describe('/api/auth', () => {
+  let outboxDir;
+  let transport;
+  let requestHandler;
+
+  beforeEach(async () => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'curb-outbox-'));
+    transport = createOutboxTransport({ dir: outboxDir });
+    requestHandler = authRequest.withTransport(transport);
+    await resetAuthState();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Request a code and read it back from the outbox.
+   * @returns {Promise<{code: string, cookie: string}>} Emailed code and challenge cookie header.
+   */
+  async function requestCode(email = STUDENT) {
+    const res = createMockRes();
+    await requestHandler({ method: 'POST', headers: {}, query: {}, body: { email } }, res);
+    expect(res.statusCode).toBe(200);
+
+    const [fileName] = fs.readdirSync(outboxDir);
+    const message = JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8'));
+    return {
+      message,
+      code: message.text.match(/\b(\d{6})\b/)[1],
+      cookie: toCookieHeader(res.headers['Set-Cookie'])
+    };
+  }
+
+  async function verify(code, cookie) {
+    const res = createMockRes();
+    await authVerify({ method: 'POST', headers: { cookie }, query: {}, body: { code } }, res);
+    return res;
+  }
+
+  test('emails a code to a university address and sets a challenge cookie', async () => {
+    const { message, cookie } = await requestCode();
+
+    expect(message.to).toBe(STUDENT);
+    expect(message.subject).toMatch(/sign-in code/);
+    expect(cookie.startsWith(`${CHALLENGE_COOKIE}=`)).toBe(true);
+  });
+
+  test('rejects addresses outside the university', async () => {
+    const res = createMockRes();
+
+    await requestHandler({ method: 'POST', headers: {}, query: {}, body: { email: 'student@gmail.com' } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_EMAIL');
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+  });
+
+  test('only accepts POST', async () => {
+    const res = createMockRes();
+
+    await requestHandler({ method: 'GET', headers: {}, query: {} }, res);
+
+    expect(res.statusCode).toBe(405);
+  });
+
+  test('throttles repeated code requests for the same address', async () => {
+    await requestCode();
+    const res = createMockRes();
+
+    await requestHandler({ method: 'POST', headers: {}, query: {}, body: { email: STUDENT } }, res);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('CODE_COOLDOWN');
+  });
+
+  test('the right code sets an HttpOnly session cookie', async () => {
+    const { code, cookie } = await requestCode();
+
+    const res = await verify(code, cookie);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, email: STUDENT });
+    const [sessionCookie, clearedChallenge] = res.headers['Set-Cookie'];
+    expect(sessionCookie).toMatch(new RegExp(`^${SESSION_COOKIE}=`));
+    expect(sessionCookie).toContain('HttpOnly');
+    expect(clearedChallenge).toContain('Max-Age=0');
+  });
+
+  test('a wrong code is refused, and the challenge locks after too many tries', async () => {
+    const { code, cookie } = await requestCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const first = await verify(wrong, cookie);
+    expect(first.statusCode).toBe(400);
+    expect(first.body.code).toBe('CODE_INVALID');
+
+    for (let i = 1; i < MAX_CODE_ATTEMPTS; i++) {
+      await verify(wrong, cookie);
+    }
+
+    const locked = await verify(code, cookie);
+    expect(locked.statusCode).toBe(429);
+    expect(locked.body.code).toBe('CODE_LOCKED');
+  });
+
+  test('the wrong-code limit and resend cooldown hold across instances sharing the KV store', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    /**
+     * Load the auth routes fresh, as a new serverless instance would.
+     * @returns {{request: Function, verify: Function}} Handlers.
+     */
+    function loadInstance() {
+      let handlers;
+      jest.isolateModules(() => {
+        handlers = {
+          request: require('../api/auth/request').withTransport(transport),
+          verify: require('../api/auth/verify')
+        };
+      });
+      return handlers;
+    }
+
+    try {
+      const first = loadInstance();
+      const sent = createMockRes();
+      await first.request({ method: 'POST', headers: {}, query: {}, body: { email: STUDENT } }, sent);
+      expect(sent.statusCode).toBe(200);
+      const cookie = toCookieHeader(sent.headers['Set-Cookie']);
+      const [fileName] = fs.readdirSync(outboxDir);
+      const code = JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8')).text.match(/\b(\d{6})\b/)[1];
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      const resent = createMockRes();
+      await loadInstance().request({ method: 'POST', headers: {}, query: {}, body: { email: STUDENT } }, resent);
+      expect(resent.statusCode).toBe(429);
+      expect(resent.body.code).toBe('CODE_COOLDOWN');
+
+      // Each guess lands on a different instance
+      for (let i = 0; i < MAX_CODE_ATTEMPTS; i++) {
+        const res = createMockRes();
+        await loadInstance().verify({ method: 'POST', headers: { cookie }, query: {}, body: { code: wrong } }, res);
+        expect(res.body.code).toBe('CODE_INVALID');
+      }
+
+      const locked = createMockRes();
+      await loadInstance().verify({ method: 'POST', headers: { cookie }, query: {}, body: { code } }, locked);
+      expect(locked.statusCode).toBe(429);
+      expect(locked.body.code).toBe('CODE_LOCKED');
+      expect([...kv.data.keys()].some(key => key.startsWith('curb:auth:'))).toBe(true);
+    } finally {
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+    }
+  });
+
+  test('a tampered challenge cookie is treated as expired', async () => {
+    const { code, cookie } = await requestCode();
+
+    const res = await verify(code, `${cookie}x`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('CODE_EXPIRED');
+  });
+
+  test('refuses to run without AUTH_SECRET', async () => {
+    delete process.env.AUTH_SECRET;
+    const res = createMockRes();
+
+    await requestHandler({ method: 'POST', headers: {}, query: {}, body: { email: STUDENT } }, res);
+
+    expect(res.statusCode).toBe(500);
+  });
+
+  test('production falls back to the outbox only when MAIL_TRANSPORT=outbox is set', () => {
+    expect(getMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'outbox' }).name).toBe('outbox');
+    expect(getMailTransport({ NODE_ENV: 'production' }).name).toBe('resend');
+    expect(getMailTransport({ NODE_ENV: 'development' }).name).toBe('outbox');
+    expect(getMailTransport({ RESEND_API_KEY: 're_test' }).name).toBe('resend');
+  });
+
+  test('a production server without RESEND_API_KEY answers 500 naming it', async () => {
+    const res = createMockRes();
+
+    await authRequest.withTransport(getMailTransport({ NODE_ENV: 'production' }))(
+      { method: 'POST', headers: {}, query: {}, body: { email: STUDENT } }, res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.message).toMatch(/RESEND_API_KEY/);
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+  });
+
+  describe('session checks', () => {
+    const browse = browseHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+
+    async function signIn() {
+      const { code, cookie } = await requestCode();
+      const res = await verify(code, cookie);
+      return toCookieHeader(res.headers['Set-Cookie'][0]);
+    }
+
+    test('browse answers 401 without a session', async () => {
+      const res = createMockRes();
+
+      await browse({ method: 'GET', headers: {}, query: { path: '/' } }, res);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('browse serves signed-in students with a private Cache-Control', async () => {
+      const cookie = await signIn();
+      const res = createMockRes();
+
+      await browse({ method: 'GET', headers: { cookie }, query: { path: '/' } }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(folder => folder.name)).toContain('Computer Science');
+      expect(res.headers['Cache-Control']).toBe('private, no-cache');
+    });
+
+    test('a challenge cookie cannot stand in for a session', async () => {
+      const { cookie } = await requestCode();
+      const challengeToken = cookie.slice(cookie.indexOf('=') + 1);
+      const res = createMockRes();
+
+      await browse({ method: 'GET', headers: { cookie: `${SESSION_COOKIE}=${challengeToken}` }, query: { path: '/' } }, res);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('requireAuth guards every data endpoint and exposes the session', async () => {
+      const { requireAuth } = require('../api/_utils');
+      const cookie = await signIn();
+
+      const signedIn = { headers: { cookie } };
+      expect(requireAuth(signedIn, createMockRes())).toBe(false);
+      expect(signedIn.auth.email).toBe(STUDENT);
+
+      const coverage = require('../api/coverage').withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+      const res = createMockRes();
+      await coverage({ method: 'GET', headers: {}, query: { department: 'Computer Science' } }, res);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('session status reports the signed-in address, and DELETE signs out', async () => {
+      const cookie = await signIn();
+      const status = createMockRes();
+
+      await authSession({ method: 'GET', headers: { cookie }, query: {} }, status);
+
+      expect(status.body).toMatchObject({ authRequired: true, signedIn: true, email: STUDENT });
+
+      const signOut = createMockRes();
+      await authSession({ method: 'DELETE', headers: { cookie }, query: {} }, signOut);
+      expect(signOut.headers['Set-Cookie']).toContain('Max-Age=0');
+    });
+  });
+});
@@ -1,10 +1,13 @@
 jest.mock('../api/_utils', () => ({
   LEVEL_EXCEPTIONS: {},
+  MAX_SEGMENTS: jest.requireActual('../api/_utils').MAX_SEGMENTS,
+  parseBrowsePath: jest.requireActual('../api/_utils').parseBrowsePath,
   normalizeFolderName: jest.fn((value) => value),
   makeAPIRequest: jest.fn(),
   listFolders: jest.fn(),
   setupCors: jest.fn(),
-  handlePreflightAndMethodGuard: jest.fn(() => false)
+  handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false)
 }));
 
 const browseHandler = require('../api/browse');
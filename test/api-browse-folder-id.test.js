@@ -0,0 +1,131 @@
+jest.mock('../api/_utils', () => ({
+  LEVEL_EXCEPTIONS: {},
+  MAX_SEGMENTS: jest.requireActual('../api/_utils').MAX_SEGMENTS,
+  parseBrowsePath: jest.requireActual('../api/_utils').parseBrowsePath,
+  normalizeFolderName: jest.fn((value) => value),
+  extractCourseCode: jest.fn(() => null),
+  listDriveFiles: jest.fn(),
+  listFolders: jest.fn(),
+  isValidDriveId: jest.requireActual('../api/_utils').isValidDriveId,
+  resolveAncestry: jest.fn(),
+  setupCors: jest.fn(),
+  handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false)
+}));
+
+const browseHandler = require('../api/browse');
+const utils = require('../api/_utils');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+const FOLDERS_BY_PARENT = {
+  'root-folder': [{ id: 'dept-cs', name: 'Computer Science' }],
+  'dept-cs': [{ id: 'cs-100', name: '100 Level' }],
+  'cs-100': [{ id: 'cs-100-1', name: '1st Semester' }],
+  'cs-100-1': [{ id: 'cs-100-1-2425', name: '2024/25 Session' }]
+};
+
+describe('browse API folder IDs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GOOGLE_DRIVE_API_KEY = 'test-key';
+    process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID = 'root-folder';
+
+    utils.listFolders.mockImplementation(async (parentId) => FOLDERS_BY_PARENT[parentId] || []);
+    utils.listDriveFiles.mockResolvedValue({ files: [{ id: 'file-1', name: 'CSC 101.pdf' }], truncated: false });
+  });
+
+  test('returns the folder ID and reuses cached IDs for deeper paths', async () => {
+    const first = createMockRes();
+    await browseHandler({
+      method: 'GET',
+      query: { path: '/Computer Science/100 Level', type: 'folders' },
+      headers: {}
+    }, first);
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.folderId).toBe('cs-100');
+    expect(utils.listFolders).toHaveBeenCalledTimes(3);
+
+    const second = createMockRes();
+    await browseHandler({
+      method: 'GET',
+      query: { path: '/Computer Science/100 Level/1st Semester', type: 'folders' },
+      headers: {}
+    }, second);
+
+    // 1st Semester's ID came back with the previous listing, so only its own listing is fetched
+    expect(second.body.folderId).toBe('cs-100-1');
+    expect(utils.listFolders).toHaveBeenCalledTimes(4);
+    expect(utils.listFolders).toHaveBeenLastCalledWith('cs-100-1', 'test-key', 'files(id,name,modifiedTime)');
+  });
+
+  test('id parameter skips the path walk for folders in the tree', async () => {
+    utils.resolveAncestry.mockResolvedValue([
+      { id: 'dept-cs', name: 'Computer Science', mimeType: 'application/vnd.google-apps.folder' },
+      { id: 'cs-100', name: '100 Level', mimeType: 'application/vnd.google-apps.folder' },
+      { id: 'cs-100-1', name: '1st Semester', mimeType: 'application/vnd.google-apps.folder' },
+      { id: 'cs-100-1-2425-b', name: '2024/25 Session', mimeType: 'application/vnd.google-apps.folder' }
+    ]);
+    const res = createMockRes();
+
+    await browseHandler({
+      method: 'GET',
+      query: { id: 'cs-100-1-2425-b', type: 'files' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.path).toBe('/Computer Science/100 Level/1st Semester/2024~25 Session');
+    expect(res.body.folderId).toBe('cs-100-1-2425-b');
+    expect(utils.listFolders).not.toHaveBeenCalled();
+    expect(utils.listDriveFiles.mock.calls[0][0]).toContain("'cs-100-1-2425-b' in parents");
+  });
+
+  test('id outside the root tree returns 404', async () => {
+    utils.resolveAncestry.mockResolvedValue(null);
+    const res = createMockRes();
+
+    await browseHandler({
+      method: 'GET',
+      query: { id: 'someone-elses-folder', type: 'folders' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(utils.listFolders).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed ids before calling Drive', async () => {
+    const res = createMockRes();
+
+    await browseHandler({
+      method: 'GET',
+      query: { id: "x' or name contains '", type: 'folders' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(utils.resolveAncestry).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createLocalProvider } = require('../api/_storage');
+const { crc32 } = require('../api/_zip');
+const bundleHandler = require('../api/bundle');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+const SEMESTER_PATH = '/Computer Science/100 Level/1st Semester';
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    chunks: [],
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    write: jest.fn((chunk) => {
+      res.chunks.push(Buffer.from(chunk));
+      return true;
+    }),
+    once: jest.fn(),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Read entry names, sizes and data out of a stored-only ZIP via its central directory.
+ * @param {Buffer} zip - Archive bytes.
+ * @returns {Array<{name: string, crc: number, data: Buffer}>} Entries.
+ */
+function readZip(zip) {
+  const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(endOffset + 10);
+  let offset = zip.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(offset)).toBe(0x02014b50);
+    const crc = zip.readUInt32LE(offset + 16);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const headerOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = headerOffset + 30 + zip.readUInt16LE(headerOffset + 26);
+    entries.push({ name, crc, data: zip.subarray(dataStart, dataStart + size) });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('/api/bundle', () => {
+  const provider = createLocalProvider({ rootDir: FIXTURE_ROOT });
+  const handler = bundleHandler.withStorage(provider);
+
+  test('streams every PDF under a semester as a ZIP with session folders', async () => {
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { path: SEMESTER_PATH }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/zip');
+    expect(res.headers['Content-Disposition'])
+      .toMatch(/^attachment; filename="Computer Science - 100 Level - 1st Semester.zip"/);
+    expect(res.end).toHaveBeenCalled();
+
+    const entries = readZip(Buffer.concat(res.chunks));
+    expect(entries.map(entry => entry.name)).toEqual([
+      '2023-24 Session/CSC 101 exam.pdf',
+      '2024-25 Session/CSC 101 - Introduction to Computing.pdf'
+    ]);
+
+    const original = fs.readFileSync(path.join(
+      FIXTURE_ROOT, 'Computer Science', '100 Level', '1st Semester', '2023~24 Session', 'CSC 101 exam.pdf'
+    ));
+    expect(entries[0].data.equals(original)).toBe(true);
+    expect(entries[0].crc).toBe(crc32(0, original));
+  });
+
+  test('check=1 reports the size without streaming', async () => {
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { path: SEMESTER_PATH, check: '1' }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ fileCount: 2, maxFiles: 40, maxBytes: 50 * 1024 * 1024 });
+    expect(res.body.totalBytes).toBeGreaterThan(0);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  test('refuses bundles over the file limit before streaming', async () => {
+    const limited = bundleHandler.withStorage(provider, { maxFiles: 1, maxBytes: 1024 * 1024 });
+    const res = createMockRes();
+
+    await limited({ method: 'GET', query: { path: SEMESTER_PATH }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(413);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  test('BUNDLE_MAX_FILES and BUNDLE_MAX_MB override the default limits', async () => {
+    expect(bundleHandler.getBundleLimits({ BUNDLE_MAX_FILES: '80', BUNDLE_MAX_MB: '120' })).toEqual({
+      maxFiles: 80,
+      maxBytes: 120 * 1024 * 1024
+    });
+    expect(bundleHandler.getBundleLimits({ BUNDLE_MAX_FILES: 'lots', BUNDLE_MAX_MB: '0' })).toEqual({
+      maxFiles: 40,
+      maxBytes: 50 * 1024 * 1024
+    });
+
+    process.env.BUNDLE_MAX_FILES = '1';
+    try {
+      const res = createMockRes();
+      await handler({ method: 'GET', query: { path: SEMESTER_PATH, check: '1' }, headers: {} }, res);
+      expect(res.statusCode).toBe(413);
+      expect(res.body.maxFiles).toBe(1);
+    } finally {
+      delete process.env.BUNDLE_MAX_FILES;
+    }
+  });
+
+  test('department-wide bundles are rejected', async () => {
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { path: '/Computer Science' }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('paths that fail browse validation are rejected', async () => {
+    const res = createMockRes();
+    const tooDeep = '/' + Array.from({ length: 9 }, (_, i) => `Folder ${i}`).join('/');
+
+    await handler({ method: 'GET', query: { path: tooDeep }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('path has too many segments.');
+  });
+
+  test('folders without PDFs are not found', async () => {
+    const res = createMockRes();
+
+    await handler({
+      method: 'GET',
+      query: { path: '/Computer Science/100 Level/2nd Semester' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore, createFileStore, createKvStore, getCacheStore, getCacheTtl } = require('../api/_cache');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+describe('cache stores', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'curb-cache-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['memory', () => createMemoryStore()],
+    ['file', () => createFileStore({ dir: cacheDir })],
+    ['kv', () => createKvStore({ url: 'https://kv.example.com', token: 't', namespace: 'browse', fetchImpl: createFakeKv().fetchImpl })]
+  ])('%s store expires entries but can still serve them stale', async (_name, create) => {
+    const store = create();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await store.set('path:/:folders', { data: [1, 2] }, 1000);
+    await expect(store.get('path:/:folders')).resolves.toEqual({
+      value: { data: [1, 2] },
+      storedAt: now,
+      expiresAt: now + 1000
+    });
+
+    Date.now.mockReturnValue(now + 1000);
+    await expect(store.get('path:/:folders')).resolves.toBeNull();
+    await expect(store.get('path:/:folders', { allowStale: true })).resolves.toMatchObject({ value: { data: [1, 2] } });
+
+    await store.delete('path:/:folders');
+    await expect(store.get('path:/:folders', { allowStale: true })).resolves.toBeNull();
+  });
+
+  test('memory store evicts the oldest entry at its cap', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+
+    await store.set('a', 1, 60000);
+    await store.set('b', 2, 60000);
+    await store.set('c', 3, 60000);
+
+    await expect(store.get('a')).resolves.toBeNull();
+    await expect(store.get('c')).resolves.toMatchObject({ value: 3 });
+  });
+
+  test('file stores on the same folder share entries', async () => {
+    const writer = createFileStore({ dir: cacheDir });
+    const reader = createFileStore({ dir: cacheDir });
+
+    await writer.set('executives', [{ name: 'Ada' }], 60000);
+
+    await expect(reader.get('executives')).resolves.toMatchObject({ value: [{ name: 'Ada' }] });
+    expect(fs.readdirSync(cacheDir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+
+    await reader.clear();
+    await expect(writer.get('executives')).resolves.toBeNull();
+  });
+
+  test('file store treats unreadable entries as missing', async () => {
+    const store = createFileStore({ dir: cacheDir });
+    await store.set('reps', [], 60000);
+    const [file] = fs.readdirSync(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, file), '{not json');
+
+    await expect(store.get('reps')).resolves.toBeNull();
+  });
+
+  test('kv stores on the same database share entries and clear only their namespace', async () => {
+    const kv = createFakeKv();
+    const options = { url: 'https://kv.example.com', token: 'secret', fetchImpl: kv.fetchImpl };
+    const writer = createKvStore({ ...options, namespace: 'team' });
+    const reader = createKvStore({ ...options, namespace: 'team' });
+    const other = createKvStore({ ...options, namespace: 'browse' });
+
+    await writer.set('executives', [{ name: 'Ada' }], 60000);
+    await other.set('executives', 'not team', 60000);
+
+    await expect(reader.get('executives')).resolves.toMatchObject({ value: [{ name: 'Ada' }] });
+    expect(kv.commands[0]).toEqual(['SET', 'curb:team:executives', expect.any(String), 'PX', String(60000 + 7 * 24 * 60 * 60 * 1000)]);
+    expect(kv.fetchImpl.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+
+    await reader.clear();
+    await expect(writer.get('executives')).resolves.toBeNull();
+    await expect(other.get('executives')).resolves.toMatchObject({ value: 'not team' });
+  });
+
+  test('kv store treats failed reads as missing and throws on failed writes', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchImpl = jest.fn(async () => ({ ok: false, status: 401, json: async () => ({ error: 'WRONGPASS' }) }));
+    const store = createKvStore({ url: 'https://kv.example.com', token: 'bad', namespace: 'team', fetchImpl });
+
+    await expect(store.get('reps')).resolves.toBeNull();
+    await expect(store.set('reps', [], 60000)).rejects.toThrow('WRONGPASS');
+  });
+
+  test('getCacheStore picks the backing from the environment and reuses it', () => {
+    const memory = getCacheStore('browse', {});
+    const file = getCacheStore('browse', { CACHE_STORE: 'file', CACHE_DIR: cacheDir });
+
+    expect(memory.name).toBe('memory');
+    expect(getCacheStore('browse', {})).toBe(memory);
+    expect(getCacheStore('team', {})).not.toBe(memory);
+    expect(file.name).toBe('file');
+    expect(file.dir).toBe(path.join(cacheDir, 'browse'));
+
+    const kvEnv = { KV_REST_API_URL: 'https://kv.example.com', KV_REST_API_TOKEN: 't' };
+    expect(getCacheStore('browse', kvEnv).name).toBe('kv');
+    expect(getCacheStore('browse', { ...kvEnv, CACHE_STORE: 'memory' })).toBe(memory);
+    expect(() => getCacheStore('browse', { CACHE_STORE: 'kv' })).toThrow('KV_REST_API_URL');
+  });
+
+  test('getCacheTtl reads seconds and falls back on bad values', () => {
+    expect(getCacheTtl('TEAM_CACHE_TTL_SECONDS', 5000, { TEAM_CACHE_TTL_SECONDS: '60' })).toBe(60000);
+    expect(getCacheTtl('TEAM_CACHE_TTL_SECONDS', 5000, { TEAM_CACHE_TTL_SECONDS: 'soon' })).toBe(5000);
+    expect(getCacheTtl('TEAM_CACHE_TTL_SECONDS', 5000, {})).toBe(5000);
+  });
+
+  test('browse listings cached in the file store survive a cold start', async () => {
+    process.env.CACHE_STORE = 'file';
+    process.env.CACHE_DIR = cacheDir;
+
+    try {
+      const { createLocalProvider } = require('../api/_storage');
+      const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+      const first = createMockRes();
+      const second = createMockRes();
+
+      await require('../api/browse').withStorage(storage)({ method: 'GET', headers: {}, query: { path: '/' } }, first);
+
+      // A fresh module registry stands in for a new serverless instance
+      jest.resetModules();
+      await require('../api/browse').withStorage(storage)({ method: 'GET', headers: {}, query: { path: '/' } }, second);
+
+      expect(first.headers['X-Cache']).toBe('MISS');
+      expect(second.headers['X-Cache']).toBe('HIT');
+      expect(second.body.data).toEqual(first.body.data);
+    } finally {
+      delete process.env.CACHE_STORE;
+      delete process.env.CACHE_DIR;
+    }
+  });
+
+  test('browse listings cached in the kv store survive a cold start', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    try {
+      const { createLocalProvider } = require('../api/_storage');
+      const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+      const first = createMockRes();
+      const second = createMockRes();
+
+      await require('../api/browse').withStorage(storage)({ method: 'GET', headers: {}, query: { path: '/' } }, first);
+      jest.resetModules();
+      await require('../api/browse').withStorage(storage)({ method: 'GET', headers: {}, query: { path: '/' } }, second);
+
+      expect(first.headers['X-Cache']).toBe('MISS');
+      expect(second.headers['X-Cache']).toBe('HIT');
+      expect([...kv.data.keys()].every(key => key.startsWith('curb:browse:'))).toBe(true);
+    } finally {
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+    }
+  });
+});
@@ -1,10 +1,14 @@
+// Scans record coverage history; keep it off the disk
+process.env.DATA_STORE = 'memory';
+
 jest.mock('../api/_utils', () => ({
   LEVEL_EXCEPTIONS: {},
   normalizeFolderName: jest.fn((value) => value),
   makeAPIRequest: jest.fn(),
   listFolders: jest.fn(),
   setupCors: jest.fn(),
-  handlePreflightAndMethodGuard: jest.fn(() => false)
+  handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false)
 }));
 
 const coverageHandler = require('../api/coverage');
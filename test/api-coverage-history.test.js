@@ -0,0 +1,180 @@
+process.env.DATA_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../api/team', () => ({
+  fetchAllExecutives: jest.fn().mockResolvedValue([]),
+  fetchAllDepartmentReps: jest.fn().mockResolvedValue([
+    { department: 'Jupeb', name: 'Rep', session: '2025/26', email: 'rep@calebuniversity.edu.ng' }
+  ]),
+  extractSessions: jest.requireActual('../api/team').extractSessions
+}));
+
+const { createLocalProvider } = require('../api/_storage');
+const { getCacheStore } = require('../api/_cache');
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const { createFileDatastore } = require('../api/_datastore');
+const { createHistoryStore, getHistoryStore, toHistoryPoint, toTrend } = require('../api/_history');
+const coverageHandler = require('../api/coverage');
+const historyHandler = require('../api/coverage-history');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+const DAY = 24 * 60 * 60 * 1000;
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+describe('coverage history', () => {
+  beforeEach(async () => {
+    await getCacheStore('coverage').clear();
+    await getHistoryStore().clear();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    delete process.env.TEAM_SHEET_EXECUTIVES_URL;
+    delete process.env.TEAM_SHEET_REPS_URL;
+  });
+
+  test('toTrend keeps the last scan of each week, oldest first', () => {
+    // 2026-03-02 is a Monday
+    const monday = Date.UTC(2026, 2, 2, 9);
+    const points = [
+      { session: '2025/26', scannedAt: monday, completion: 10 },
+      { session: '2025/26', scannedAt: monday + 4 * DAY, completion: 20 },
+      { session: '2025/26', scannedAt: monday + 7 * DAY, completion: 40 }
+    ];
+
+    expect(toTrend(points, 'week').map(point => [point.period, point.completion]))
+      .toEqual([['2026-03-02', 20], ['2026-03-09', 40]]);
+    expect(toTrend(points, 'day')).toHaveLength(3);
+  });
+
+  test('the file store keeps appends across instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'curb-history-'));
+    try {
+      const writer = createHistoryStore(createFileDatastore({ dir }));
+      await Promise.all([
+        writer.append('Computer Science', toHistoryPoint('2025/26', [{ status: 'uploaded' }], 1)),
+        writer.append('Computer Science', toHistoryPoint('2025/26', [{ status: 'empty-folder' }], 2))
+      ]);
+
+      const points = await createHistoryStore(createFileDatastore({ dir })).list('Computer Science');
+      expect(points.map(point => point.completion)).toEqual([100, 0]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('on the shared KV store a scan recorded by one instance is in the trend another serves', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.DATA_STORE = 'kv';
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    try {
+      const scan = coverageHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+      await scan({ method: 'GET', headers: {}, query: { department: 'Computer Science', session: '2024/25' } }, createMockRes());
+
+      let coldHistory;
+      // A fresh module registry stands in for a cold-started instance
+      jest.isolateModules(() => {
+        coldHistory = require('../api/coverage-history');
+      });
+      const res = createMockRes();
+      await coldHistory({ method: 'GET', headers: {}, query: { department: 'Computer Science', interval: 'scan' } }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.points).toHaveLength(1);
+      expect([...kv.data.keys()]).toContain('curb:data:history:Computer Science');
+    } finally {
+      process.env.DATA_STORE = 'memory';
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('completed scans are recorded and served as a trend; cache hits are not', async () => {
+    const scan = coverageHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+    const query = { department: 'Computer Science', session: '2024/25' };
+
+    await scan({ method: 'GET', headers: {}, query }, createMockRes());
+    await scan({ method: 'GET', headers: {}, query }, createMockRes());
+
+    const res = createMockRes();
+    await historyHandler({ method: 'GET', headers: {}, query: { department: 'Computer Science', interval: 'scan' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toMatchObject({ department: 'Computer Science', session: '2024/25', sessions: ['2024/25'] });
+    expect(res.body.points).toHaveLength(1);
+    expect(res.body.points[0]).toMatchObject({ uploaded: 1, total: 2, completion: 50 });
+  });
+
+  test('a scan still answers when the cache and history writes fail', async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(getCacheStore('coverage'), 'set').mockRejectedValue(new Error('KV SET failed: 500'));
+    delete process.env.DATA_STORE;
+    process.env.VERCEL = '1';
+
+    try {
+      const scan = coverageHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+      const res = createMockRes();
+      await scan({ method: 'GET', headers: {}, query: { department: 'Computer Science', session: '2024/25' } }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(errors).toHaveBeenCalledWith('Coverage cache write failed:', expect.any(Error));
+      expect(errors).toHaveBeenCalledWith('Coverage history write failed:', expect.stringContaining('No shared data store'));
+    } finally {
+      process.env.DATA_STORE = 'memory';
+      delete process.env.VERCEL;
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('validates the interval and keeps reps to their own department', async () => {
+    const invalid = createMockRes();
+    await historyHandler({ method: 'GET', headers: {}, query: { department: 'Jupeb', interval: 'month' } }, invalid);
+    expect(invalid.statusCode).toBe(400);
+
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.TEAM_SHEET_EXECUTIVES_URL = 'https://docs.google.com/executives.csv';
+    process.env.TEAM_SHEET_REPS_URL = 'https://docs.google.com/reps.csv';
+    const cookie = `${SESSION_COOKIE}=${createSession('rep@calebuniversity.edu.ng').token}`;
+    const own = createMockRes();
+    const other = createMockRes();
+
+    await historyHandler({ method: 'GET', headers: { cookie }, query: { department: 'Jupeb' } }, own);
+    await historyHandler({ method: 'GET', headers: { cookie }, query: { department: 'Computer Science' } }, other);
+
+    expect(own.statusCode).toBe(200);
+    expect(own.body.points).toEqual([]);
+    expect(other.statusCode).toBe(403);
+    expect(other.body.code).toBe('DEPARTMENT_FORBIDDEN');
+  });
+});
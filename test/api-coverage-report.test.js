@@ -0,0 +1,110 @@
+// Scans record coverage history; keep it off the disk
+process.env.DATA_STORE = 'memory';
+
+const path = require('path');
+
+const { createLocalProvider } = require('../api/_storage');
+const { getCacheStore } = require('../api/_cache');
+const { toCsv, summarizeBySemester } = require('../api/_report');
+const coverageHandler = require('../api/coverage');
+const summaryHandler = require('../api/coverage/summary');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    })
+  };
+
+  return res;
+}
+
+describe('coverage report export', () => {
+  const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+  const query = { department: 'Computer Science', session: '2024/25' };
+
+  beforeEach(async () => {
+    await getCacheStore('coverage').clear();
+  });
+
+  test('toCsv quotes fields and neutralises spreadsheet formulas', () => {
+    const csv = toCsv({
+      title: 'Report',
+      subtitle: 'Sub',
+      sections: [{ heading: 'Rows', columns: ['Name', 'Note'], rows: [['=SUM(A1)', 'a, "b"']] }]
+    });
+
+    expect(csv.split('\r\n')).toEqual(['Report', 'Sub', '', 'Rows', 'Name,Note', '\'=SUM(A1),"a, ""b"""', '']);
+  });
+
+  test('summarizeBySemester counts statuses per semester', () => {
+    expect(summarizeBySemester([
+      { semester: '1st Semester', status: 'uploaded' },
+      { semester: '1st Semester', status: 'missing-folder' },
+      { semester: '2nd Semester', status: 'empty-folder' }
+    ])).toEqual([
+      { semester: '1st Semester', uploaded: 1, emptyFolder: 0, missingFolder: 1, other: 0 },
+      { semester: '2nd Semester', uploaded: 0, emptyFolder: 1, missingFolder: 0, other: 0 }
+    ]);
+  });
+
+  test('format=csv downloads levels and per-semester summaries of a department', async () => {
+    const res = createMockRes();
+
+    await coverageHandler.withStorage(storage)({ method: 'GET', headers: {}, query: { ...query, format: 'csv' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['Content-Disposition']).toContain('attachment; filename="Computer Science coverage 2024-25.csv"');
+    expect(res.body).toContain('Semester,Uploaded,Empty folder,Missing folder,Other\r\n1st Semester,1,0,0,0\r\n');
+    expect(res.body).toContain('100 Level,2nd Semester,"Session found, no PDFs"');
+  });
+
+  test('format=html serves a printable page, also from the cache', async () => {
+    const handler = coverageHandler.withStorage(storage);
+    await handler({ method: 'GET', headers: {}, query }, createMockRes());
+    const res = createMockRes();
+
+    await handler({ method: 'GET', headers: {}, query: { ...query, format: 'html' } }, res);
+
+    expect(res.headers['X-Cache']).toBe('HIT');
+    expect(res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+    expect(res.body).toContain('<h1>Computer Science coverage report</h1>');
+    expect(res.body).not.toContain('<script');
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = createMockRes();
+
+    await coverageHandler.withStorage(storage)({ method: 'GET', headers: {}, query: { ...query, format: 'xlsx' } }, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('the university summary exports every department and session', async () => {
+    const res = createMockRes();
+
+    await summaryHandler.withStorage(storage)({ method: 'GET', headers: {}, query: { format: 'csv' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toContain('Department,2024/25,2023/24,Overall\r\nComputer Science,50%,50%,50%\r\nJupeb,100%,0%,50%\r\n');
+    expect(res.body).toContain('Jupeb,Science,Full Year,Uploaded,Session folder missing');
+  });
+});
@@ -0,0 +1,121 @@
+const path = require('path');
+
+jest.mock('../api/team', () => ({
+  fetchAllExecutives: jest.fn().mockResolvedValue([]),
+  fetchAllDepartmentReps: jest.fn().mockResolvedValue([
+    { department: 'Jupeb', name: 'Rep', session: '2025/26', email: 'rep@calebuniversity.edu.ng' }
+  ]),
+  extractSessions: jest.requireActual('../api/team').extractSessions
+}));
+
+const { createLocalProvider } = require('../api/_storage');
+const { getCacheStore } = require('../api/_cache');
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const summaryHandler = require('../api/coverage/summary');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+describe('coverage summary API', () => {
+  const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+  const handler = summaryHandler.withStorage(storage);
+
+  beforeEach(async () => {
+    await getCacheStore('coverage').clear();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    delete process.env.TEAM_SHEET_EXECUTIVES_URL;
+    delete process.env.TEAM_SHEET_REPS_URL;
+  });
+
+  test('returns the department × level × semester × session matrix with completion', async () => {
+    const res = createMockRes();
+
+    await handler({ method: 'GET', headers: {}, query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['X-Cache']).toBe('MISS');
+    expect(res.body.sessions).toEqual(['2024/25', '2023/24']);
+    expect(res.body.completion).toBe(50);
+
+    const [computerScience, jupeb] = res.body.departments;
+    expect(computerScience).toMatchObject({
+      department: 'Computer Science',
+      completion: 50,
+      rows: [
+        { level: '100 Level', semester: '1st Semester', cells: { '2024/25': 'uploaded', '2023/24': 'uploaded' } },
+        { level: '100 Level', semester: '2nd Semester', cells: { '2024/25': 'empty-folder', '2023/24': 'missing-folder' } }
+      ]
+    });
+    expect(jupeb).toMatchObject({
+      department: 'Jupeb',
+      sessions: {
+        '2024/25': { uploaded: 1, total: 1, completion: 100 },
+        '2023/24': { uploaded: 0, total: 1, completion: 0 }
+      },
+      rows: [{ level: 'Science', semester: 'Full Year' }]
+    });
+  });
+
+  test('serves repeat requests from the cache and rescans on refresh=1', async () => {
+    const first = createMockRes();
+    const second = createMockRes();
+    const forced = createMockRes();
+
+    await handler({ method: 'GET', headers: {}, query: {} }, first);
+    await handler({ method: 'GET', headers: {}, query: {} }, second);
+    await handler({ method: 'GET', headers: {}, query: { refresh: '1' } }, forced);
+
+    expect(second.headers['X-Cache']).toBe('HIT');
+    expect(second.body.generatedAt).toBe(first.body.generatedAt);
+    expect(forced.headers['X-Cache']).toBe('BYPASS');
+    expect(forced.headers['Cache-Control']).toBe('no-store, no-cache, must-revalidate');
+  });
+
+  test('reps only get their own department, students are refused', async () => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.TEAM_SHEET_EXECUTIVES_URL = 'https://docs.google.com/executives.csv';
+    process.env.TEAM_SHEET_REPS_URL = 'https://docs.google.com/reps.csv';
+    const rep = createMockRes();
+    const student = createMockRes();
+
+    await handler({
+      method: 'GET',
+      headers: { cookie: `${SESSION_COOKIE}=${createSession('rep@calebuniversity.edu.ng').token}` },
+      query: {}
+    }, rep);
+    await handler({
+      method: 'GET',
+      headers: { cookie: `${SESSION_COOKIE}=${createSession('someone@calebuniversity.edu.ng').token}` },
+      query: {}
+    }, student);
+
+    expect(rep.statusCode).toBe(200);
+    expect(rep.body.departments.map(entry => entry.department)).toEqual(['Jupeb']);
+    expect(rep.body.completion).toBe(50);
+    expect(student.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  createKvDatastore,
+  createKvBlobStore,
+  getDatastore,
+  getBlobStore
+} = require('../api/_datastore');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const KV = { url: 'https://kv.example.com', token: 't' };
+
+describe('data stores', () => {
+  test('kv stores on the same database share records and list them by namespace', async () => {
+    const kv = createFakeKv();
+    const writer = createKvDatastore({ ...KV, namespace: 'requests', fetchImpl: kv.fetchImpl });
+    const reader = createKvDatastore({ ...KV, namespace: 'requests', fetchImpl: kv.fetchImpl });
+    const other = createKvDatastore({ ...KV, namespace: 'history', fetchImpl: kv.fetchImpl });
+
+    await writer.update('Computer Science/100 Level', () => ({ votes: 1 }));
+    await other.update('Computer Science', () => [1]);
+
+    await expect(reader.read('Computer Science/100 Level')).resolves.toEqual({ votes: 1 });
+    await expect(reader.entries()).resolves.toEqual([{ key: 'Computer Science/100 Level', value: { votes: 1 } }]);
+
+    await reader.delete('Computer Science/100 Level');
+    await expect(writer.read('Computer Science/100 Level')).resolves.toBeNull();
+
+    await other.clear();
+    expect(kv.data.size).toBe(0);
+  });
+
+  test('a kv update re-runs when another instance wrote the record first', async () => {
+    const kv = createFakeKv();
+    const first = createKvDatastore({ ...KV, namespace: 'requests', fetchImpl: kv.fetchImpl });
+    const second = createKvDatastore({ ...KV, namespace: 'requests', fetchImpl: kv.fetchImpl });
+    let interleaved = false;
+
+    const result = await first.update('Jupeb', async (record) => {
+      // The other instance votes between this read and the write
+      if (!interleaved) {
+        interleaved = true;
+        await second.update('Jupeb', current => ({ votes: ((current && current.votes) || 0) + 1 }));
+      }
+      return { votes: ((record && record.votes) || 0) + 1 };
+    });
+
+    expect(result).toEqual({ votes: 2 });
+    await expect(second.read('Jupeb')).resolves.toEqual({ votes: 2 });
+  });
+
+  test('kv blobs are stored in chunks and read back whole', async () => {
+    const kv = createFakeKv();
+    const blobs = createKvBlobStore({ ...KV, namespace: 'submissions', fetchImpl: kv.fetchImpl });
+    const pdf = Buffer.alloc(1200 * 1024, 7);
+
+    await blobs.put('abc', pdf);
+    expect([...kv.data.keys()].filter(key => key.startsWith('curb:blob:submissions:abc:'))).toHaveLength(3);
+    expect((await blobs.get('abc')).equals(pdf)).toBe(true);
+
+    await blobs.put('abc', Buffer.from('%PDF-1.4'));
+    expect((await blobs.get('abc')).toString()).toBe('%PDF-1.4');
+    expect([...kv.data.keys()].filter(key => key.startsWith('curb:blob:submissions:abc:'))).toHaveLength(1);
+
+    await blobs.delete('abc');
+    await expect(blobs.get('abc')).resolves.toBeNull();
+    expect(kv.data.size).toBe(0);
+  });
+
+  test('the environment picks kv when the database is configured', () => {
+    const env = { KV_REST_API_URL: KV.url, KV_REST_API_TOKEN: KV.token };
+
+    expect(getDatastore('requests', env).name).toBe('kv');
+    expect(getBlobStore('submissions', { ...env, VERCEL: '1' }).name).toBe('kv');
+    expect(getDatastore('requests', { ...env, DATA_STORE: 'memory' }).name).toBe('memory');
+  });
+
+  test('on Vercel without a shared store every call fails as unavailable instead of writing to /tmp', async () => {
+    const env = { VERCEL: '1' };
+
+    await expect(getDatastore('requests', env).update('Jupeb', () => ({}))).rejects.toMatchObject({
+      code: 'DATASTORE_UNAVAILABLE',
+      message: expect.stringContaining('KV_REST_API_URL')
+    });
+    await expect(getBlobStore('submissions', env).put('abc', Buffer.from('x'))).rejects.toMatchObject({
+      code: 'DATASTORE_UNAVAILABLE'
+    });
+    await expect(getDatastore('requests', { DATA_STORE: 'kv' }).read('Jupeb')).rejects.toMatchObject({
+      code: 'DATASTORE_UNAVAILABLE'
+    });
+    expect(getDatastore('requests', { VERCEL: '1', DATA_DIR: '/srv/curb' }).name).toBe('file');
+  });
+});
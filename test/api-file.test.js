@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createLocalProvider } = require('../api/_storage');
+const { parseByteRange } = require('../api/_utils');
+const fileHandler = require('../api/file');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+const SESSION_SEGMENTS = ['Computer Science', '100 Level', '1st Semester', '2024~25 Session'];
+const FILE_NAME = 'CSC 101 - Introduction to Computing.pdf';
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    chunks: [],
+    headersSent: false,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    write: jest.fn((chunk) => {
+      res.headersSent = true;
+      res.chunks.push(Buffer.from(chunk));
+      return true;
+    }),
+    once: jest.fn(),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Find a fixture item's ID through the provider (IDs are opaque).
+ * @param {Object} provider - Storage provider.
+ * @param {Array<string>} segments - Folder names.
+ * @param {string} [fileName] - PDF name inside the last folder.
+ * @returns {Promise<string>} Item ID.
+ */
+async function findId(provider, segments, fileName) {
+  let folder = { id: provider.rootId };
+  for (const segment of segments) {
+    folder = await provider.findChildByName(folder.id, segment);
+  }
+  if (!fileName) return folder.id;
+
+  const { files } = await provider.listFiles(folder.id);
+  return files.find(f => f.name === fileName).id;
+}
+
+describe('/api/file', () => {
+  const provider = createLocalProvider({ rootDir: FIXTURE_ROOT });
+  const handler = fileHandler.withStorage(provider);
+
+  test('streams a PDF inline with its name and length', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: {} }, res);
+
+    const expected = fs.readFileSync(path.join(FIXTURE_ROOT, ...SESSION_SEGMENTS, FILE_NAME));
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/pdf');
+    expect(res.headers['Content-Length']).toBe(String(expected.length));
+    expect(res.headers['Content-Disposition']).toMatch(/^inline; filename="CSC 101 - Introduction to Computing.pdf"/);
+    expect(Buffer.concat(res.chunks).equals(expected)).toBe(true);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('download=1 sends an attachment', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id, download: '1' }, headers: {} }, res);
+
+    expect(res.headers['Content-Disposition']).toMatch(/^attachment;/);
+  });
+
+  test('HEAD sends headers without a body', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const res = createMockRes();
+
+    await handler({ method: 'HEAD', query: { id }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Length']).toBeDefined();
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  test('sends ETag and Accept-Ranges, and answers a matching If-None-Match with 304', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const first = createMockRes();
+    await handler({ method: 'GET', query: { id }, headers: {} }, first);
+
+    expect(first.headers.ETag).toMatch(/^"[^"]+"$/);
+    expect(first.headers['Accept-Ranges']).toBe('bytes');
+
+    const res = createMockRes();
+    await handler({ method: 'GET', query: { id }, headers: { 'if-none-match': first.headers.ETag } }, res);
+
+    expect(res.statusCode).toBe(304);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  test('serves a byte range with 206 and Content-Range', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const expected = fs.readFileSync(path.join(FIXTURE_ROOT, ...SESSION_SEGMENTS, FILE_NAME));
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: { range: 'bytes=0-9' } }, res);
+
+    expect(res.statusCode).toBe(206);
+    expect(res.headers['Content-Range']).toBe(`bytes 0-9/${expected.length}`);
+    expect(res.headers['Content-Length']).toBe('10');
+    expect(Buffer.concat(res.chunks).equals(expected.subarray(0, 10))).toBe(true);
+  });
+
+  test('ignores the range when If-Range names an older version', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: { range: 'bytes=0-9', 'if-range': '"stale"' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Range']).toBeUndefined();
+  });
+
+  test('answers an unsatisfiable range with 416', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: { range: 'bytes=99999999-' } }, res);
+
+    expect(res.statusCode).toBe(416);
+    expect(res.headers['Content-Range']).toMatch(/^bytes \*\/\d+$/);
+  });
+
+  test('folder IDs are not served', async () => {
+    const id = await findId(provider, SESSION_SEGMENTS);
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('IDs pointing outside the root are not found', async () => {
+    const id = `L${Buffer.from('../package.json').toString('base64url')}`;
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  test('malformed IDs are rejected', async () => {
+    const res = createMockRes();
+
+    await handler({ method: 'GET', query: { id: '../etc/passwd' }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('verified metadata is kept in the shared cache store for other instances', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    try {
+      const id = await findId(provider, SESSION_SEGMENTS, FILE_NAME);
+      const first = createMockRes();
+      await handler({ method: 'GET', query: { id }, headers: {} }, first);
+      expect([...kv.data.keys()]).toEqual([`curb:file:local:${id}`]);
+
+      let other;
+      // A fresh module registry stands in for another serverless instance
+      jest.isolateModules(() => {
+        other = require('../api/file').withStorage(provider);
+      });
+      const resolveAncestry = jest.spyOn(provider, 'resolveAncestry');
+      const second = createMockRes();
+      await other({ method: 'GET', query: { id }, headers: {} }, second);
+
+      expect(second.statusCode).toBe(200);
+      expect(second.headers.ETag).toBe(first.headers.ETag);
+      expect(resolveAncestry).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+      jest.restoreAllMocks();
+    }
+  });
+});
+
+describe('parseByteRange', () => {
+  test('parses closed, open-ended and suffix ranges', () => {
+    expect(parseByteRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseByteRange('bytes=900-', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseByteRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseByteRange('bytes=990-2000', 1000)).toEqual({ start: 990, end: 999 });
+  });
+
+  test('returns null for headers it does not handle', () => {
+    expect(parseByteRange(undefined, 1000)).toBeNull();
+    expect(parseByteRange('bytes=0-1,5-9', 1000)).toBeNull();
+    expect(parseByteRange('items=0-1', 1000)).toBeNull();
+  });
+
+  test('returns false for unsatisfiable ranges', () => {
+    expect(parseByteRange('bytes=1000-', 1000)).toBe(false);
+    expect(parseByteRange('bytes=50-10', 1000)).toBe(false);
+    expect(parseByteRange('bytes=-0', 1000)).toBe(false);
+  });
+});
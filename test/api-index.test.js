@@ -0,0 +1,252 @@
+// Scans record coverage history; keep it off the disk
+process.env.DATA_STORE = 'memory';
+
+const path = require('path');
+
+const { createLocalProvider } = require('../api/_storage');
+const { getCacheStore } = require('../api/_cache');
+const {
+  crawlIndex,
+  rebuildIndex,
+  loadIndex,
+  listIndexedFiles,
+  createIndexedProvider
+} = require('../api/_index');
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const browseHandler = require('../api/browse');
+const coverageHandler = require('../api/coverage');
+const driveIndexHandler = require('../api/drive-index');
+const searchHandler = require('../api/search');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Local provider whose reads are spies, to tell index answers from live ones.
+ * @returns {Object} Storage provider.
+ */
+function createSpiedProvider() {
+  const live = createLocalProvider({ rootDir: FIXTURE_ROOT });
+  return {
+    ...live,
+    listFolders: jest.fn(live.listFolders.bind(live)),
+    listFiles: jest.fn(live.listFiles.bind(live)),
+    hasFiles: jest.fn(live.hasFiles.bind(live))
+  };
+}
+
+/**
+ * In-memory provider with a fixed tree for incremental crawl tests.
+ * @param {Object} tree - { [folderId]: { folders: [{ id, name, modifiedTime }], files: [...] } }
+ * @returns {Object} Storage provider.
+ */
+function createTreeProvider(tree) {
+  return {
+    name: 'memory-tree',
+    rootId: 'root',
+    isConfigured: () => true,
+    listFolders: jest.fn(async (id) => (tree[id] ? tree[id].folders : [])),
+    listFiles: jest.fn(async (id) => ({ files: tree[id] ? tree[id].files : [], truncated: false }))
+  };
+}
+
+describe('storage index', () => {
+  beforeEach(async () => {
+    await getCacheStore('index').clear();
+    await getCacheStore('browse').clear();
+    await getCacheStore('coverage').clear();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.LOCAL_STORAGE_ROOT;
+    jest.restoreAllMocks();
+  });
+
+  test('crawlIndex records every folder and file under the root', async () => {
+    const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+    const { index, stats } = await crawlIndex(storage);
+
+    expect(index.rootId).toBe(storage.rootId);
+    expect(index.mode).toBe('full');
+    expect(stats).toMatchObject({ folders: 11, files: 3, listedFolders: 11, reusedFolders: 0 });
+
+    const files = listIndexedFiles(index);
+    expect(files.map(({ file }) => file.name).sort()).toEqual([
+      'BIO 001 - Biology.pdf',
+      'CSC 101 - Introduction to Computing.pdf',
+      'CSC 101 exam.pdf'
+    ]);
+    expect(files.find(({ file }) => file.name === 'CSC 101 exam.pdf').segments)
+      .toEqual(['Computer Science', '100 Level', '1st Semester', '2023/24 Session']);
+  });
+
+  test('incremental crawls only re-list files of folders whose modifiedTime changed', async () => {
+    const tree = {
+      root: { folders: [{ id: 'a', name: 'A', modifiedTime: 't1' }, { id: 'b', name: 'B', modifiedTime: 't1' }], files: [] },
+      a: { folders: [], files: [{ id: 'fa', name: 'a.pdf' }] },
+      b: { folders: [], files: [{ id: 'fb', name: 'b.pdf' }] }
+    };
+    const storage = createTreeProvider(tree);
+    const { index: previous } = await crawlIndex(storage);
+
+    tree.root.folders[1].modifiedTime = 't2';
+    tree.b.files.push({ id: 'fb2', name: 'b2.pdf' });
+    storage.listFiles.mockClear();
+
+    const { index, stats } = await crawlIndex(storage, { incremental: true, previous });
+
+    expect(index.mode).toBe('incremental');
+    expect(stats).toMatchObject({ listedFolders: 2, reusedFolders: 1 });
+    expect(storage.listFiles.mock.calls.map(([id]) => id).sort()).toEqual(['b', 'root']);
+    expect(index.folders.b.files).toHaveLength(2);
+    expect(index.folders.a.files).toEqual([{ id: 'fa', name: 'a.pdf' }]);
+  });
+
+  test('the indexed provider answers from the index and goes live on a miss', async () => {
+    const storage = createSpiedProvider();
+    const { index } = await crawlIndex(storage);
+    storage.listFolders.mockClear();
+    storage.listFiles.mockClear();
+
+    const indexed = createIndexedProvider(index, storage);
+    const [department] = await indexed.listFolders(storage.rootId);
+    const level = await indexed.findChildByName(department.id, '100 Level');
+    const ancestry = await indexed.resolveAncestry(level.id, 8);
+
+    expect(department.name).toBe('Computer Science');
+    expect(ancestry.map(item => item.name)).toEqual(['Computer Science', '100 Level']);
+    expect(storage.listFolders).not.toHaveBeenCalled();
+
+    await expect(indexed.listFolders('L-not-indexed')).resolves.toEqual([]);
+    expect(storage.listFolders).toHaveBeenCalledWith('L-not-indexed');
+  });
+
+  test('browse and coverage read from a stored index; force refresh goes live', async () => {
+    const storage = createSpiedProvider();
+    await rebuildIndex(storage);
+    storage.listFolders.mockClear();
+    storage.hasFiles.mockClear();
+
+    const browsed = createMockRes();
+    const covered = createMockRes();
+    await browseHandler.withStorage(storage)({
+      method: 'GET',
+      headers: {},
+      query: { path: '/Computer Science/100 Level', type: 'folders' }
+    }, browsed);
+    await coverageHandler.withStorage(storage)({
+      method: 'GET',
+      headers: {},
+      query: { department: 'Computer Science', session: '2024/25' }
+    }, covered);
+
+    expect(browsed.statusCode).toBe(200);
+    expect(browsed.body.data.map(folder => folder.name)).toEqual(['1st Semester', '2nd Semester']);
+    expect(covered.body.data).toEqual([
+      { level: '100 Level', semester: '1st Semester', status: 'uploaded' },
+      { level: '100 Level', semester: '2nd Semester', status: 'empty-folder' }
+    ]);
+    expect(storage.listFolders).not.toHaveBeenCalled();
+    expect(storage.hasFiles).not.toHaveBeenCalled();
+
+    const forced = createMockRes();
+    await browseHandler.withStorage(storage)({
+      method: 'GET',
+      headers: {},
+      query: { path: '/Computer Science/100 Level', type: 'folders', refresh: '1' }
+    }, forced);
+    expect(forced.statusCode).toBe(200);
+    expect(storage.listFolders).toHaveBeenCalled();
+  });
+
+  test('browse lists live once the index is older than the browse cache TTL', async () => {
+    const storage = createSpiedProvider();
+    const builtAt = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(builtAt);
+    await rebuildIndex(storage);
+    storage.listFolders.mockClear();
+
+    // 31 minutes on: the index is still unexpired (24 hours) but older than browse's 30-minute cache
+    Date.now.mockReturnValue(builtAt + 31 * 60 * 1000);
+    const res = createMockRes();
+    await browseHandler.withStorage(storage)({
+      method: 'GET',
+      headers: {},
+      query: { path: '/Computer Science/100 Level', type: 'folders' }
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(folder => folder.name)).toEqual(['1st Semester', '2nd Semester']);
+    expect(storage.listFolders).toHaveBeenCalled();
+    await expect(loadIndex(storage)).resolves.not.toBeNull();
+  });
+
+  test('search answers from the index without Drive credentials', async () => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.LOCAL_STORAGE_ROOT = FIXTURE_ROOT;
+    await rebuildIndex(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+
+    const res = createMockRes();
+    await searchHandler({ method: 'GET', headers: {}, query: { q: 'CSC 101' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data[0]).toMatchObject({ department: 'Computer Science', level: '100 Level' });
+  });
+
+  describe('/api/drive-index', () => {
+    const storage = createLocalProvider({ rootDir: FIXTURE_ROOT });
+    const handler = driveIndexHandler.withStorage(storage);
+
+    test('reports the index and rebuilds it on ?rebuild=1', async () => {
+      const before = createMockRes();
+      const rebuilt = createMockRes();
+      const incremental = createMockRes();
+
+      await handler({ method: 'GET', headers: {}, query: {} }, before);
+      await handler({ method: 'GET', headers: {}, query: { rebuild: '1' } }, rebuilt);
+      await handler({ method: 'GET', headers: {}, query: { rebuild: '1', incremental: '1' } }, incremental);
+
+      expect(before.body).toMatchObject({ indexed: false, folders: 0 });
+      expect(rebuilt.body).toMatchObject({ indexed: true, rebuilt: true, mode: 'full', folders: 11, files: 3 });
+      expect(incremental.body).toMatchObject({ mode: 'incremental', reusedFolders: 10 });
+      expect(rebuilt.headers['Cache-Control']).toBe('no-store');
+      await expect(loadIndex(storage)).resolves.toMatchObject({ mode: 'incremental' });
+    });
+
+    test('only admins can trigger a rebuild', async () => {
+      process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+      const cookie = `${SESSION_COOKIE}=${createSession('someone@calebuniversity.edu.ng').token}`;
+      const res = createMockRes();
+
+      await handler({ method: 'GET', headers: { cookie }, query: { rebuild: '1' } }, res);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('ROLE_REQUIRED');
+      await expect(loadIndex(storage)).resolves.toBeNull();
+    });
+  });
+});
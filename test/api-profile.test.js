@@ -0,0 +1,183 @@
+process.env.DATA_STORE = 'memory';
+
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const { getDatastore } = require('../api/_datastore');
+const profileHandler = require('../api/profile');
+
+const STUDENT = 'student@calebuniversity.edu.ng';
+const FOLDER = {
+  department: 'Computer Science',
+  level: '100 Level',
+  semester: '1st Semester',
+  session: '2024~25 Session'
+};
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Call the handler as a signed-in student.
+ * @param {string} email - Session email.
+ * @param {Object} req - method, body.
+ * @returns {Promise<Object>} Mock response.
+ */
+async function callAs(email, req) {
+  const res = createMockRes();
+  await profileHandler({
+    headers: { cookie: `${SESSION_COOKIE}=${createSession(email).token}` },
+    query: {},
+    ...req
+  }, res);
+  return res;
+}
+
+function fileFavorite(id, updatedAt, extra = {}) {
+  return { kind: 'file', id, name: `${id}.pdf`, courseCode: 'CSC 101', folder: FOLDER, updatedAt, ...extra };
+}
+
+describe('/api/profile', () => {
+  beforeEach(async () => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    await getDatastore('profiles').clear();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+  });
+
+  test('two devices merge into one profile per student', async () => {
+    const now = Date.now();
+    await callAs(STUDENT, {
+      method: 'PUT',
+      body: {
+        favorites: [fileFavorite('phone_file', now - 5000), { kind: 'department', id: 'Accounting', name: 'Accounting', updatedAt: now - 4000 }],
+        recent: [{ id: 'phone_file', name: 'phone_file.pdf', folder: FOLDER, viewedAt: now - 5000 }]
+      }
+    });
+
+    const laptop = await callAs(STUDENT.toUpperCase(), {
+      method: 'PUT',
+      body: {
+        favorites: [fileFavorite('laptop_file', now - 1000)],
+        recent: [{ id: 'laptop_file', name: 'laptop_file.pdf', folder: FOLDER, viewedAt: now - 1000 }]
+      }
+    });
+
+    expect(laptop.statusCode).toBe(200);
+    expect(laptop.headers['Cache-Control']).toBe('no-store');
+    expect(laptop.body.profile.favorites.map(item => item.key)).toEqual([
+      'file:laptop_file',
+      'department:Accounting',
+      'file:phone_file'
+    ]);
+    expect(laptop.body.profile.favorites[0]).toMatchObject({ courseCode: 'CSC 101', folder: FOLDER });
+    expect(laptop.body.profile.recent.map(item => item.id)).toEqual(['laptop_file', 'phone_file']);
+
+    const other = await callAs('someone@calebuniversity.edu.ng', { method: 'GET' });
+    expect(other.body.profile).toEqual({ favorites: [], recent: [], home: null });
+  });
+
+  test('the newer change to a favorite wins, so unstarring on one device sticks', async () => {
+    const now = Date.now();
+    await callAs(STUDENT, { method: 'PUT', body: { favorites: [fileFavorite('abc', now - 10000)], recent: [] } });
+    await callAs(STUDENT, {
+      method: 'PUT',
+      body: { favorites: [{ kind: 'file', id: 'abc', name: 'abc.pdf', updatedAt: now - 5000, removed: true }], recent: [] }
+    });
+
+    // A device that missed the unstar still holds the older star
+    const stale = await callAs(STUDENT, { method: 'PUT', body: { favorites: [fileFavorite('abc', now - 10000)], recent: [] } });
+    expect(stale.body.profile.favorites).toEqual([
+      expect.objectContaining({ key: 'file:abc', removed: true })
+    ]);
+
+    // Unstars older than the retention window are forgotten
+    const expired = await callAs(STUDENT, {
+      method: 'PUT',
+      body: { favorites: [{ kind: 'file', id: 'old', updatedAt: now - 100 * 24 * 60 * 60 * 1000, removed: true }], recent: [] }
+    });
+    expect(expired.body.profile.favorites.map(item => item.key)).toEqual(['file:abc']);
+  });
+
+  test('the newest department and level choice wins', async () => {
+    const now = Date.now();
+    await callAs(STUDENT, {
+      method: 'PUT',
+      body: { favorites: [], recent: [], home: { department: 'Computer Science', level: '200 Level', session: '2025/26', updatedAt: now - 1000 } }
+    });
+
+    // An older skip from another device does not undo it; a device without a home sends none
+    const older = await callAs(STUDENT, { method: 'PUT', body: { favorites: [], recent: [], home: { skipped: true, updatedAt: now - 5000 } } });
+    const without = await callAs(STUDENT, { method: 'PUT', body: { favorites: [], recent: [] } });
+    expect(older.body.profile.home).toEqual({ department: 'Computer Science', level: '200 Level', session: '2025/26', updatedAt: now - 1000 });
+    expect(without.body.profile.home).toEqual(older.body.profile.home);
+
+    const changed = await callAs(STUDENT, {
+      method: 'PUT',
+      body: { favorites: [], recent: [], home: { department: 'Accounting', level: '300 Level', updatedAt: now } }
+    });
+    expect(changed.body.profile.home).toMatchObject({ department: 'Accounting', level: '300 Level', session: null });
+
+    const invalid = await callAs(STUDENT, { method: 'PUT', body: { favorites: [], recent: [], home: { department: 'Accounting', updatedAt: now + 1 } } });
+    expect(invalid.body.profile.home.department).toBe('Accounting');
+  });
+
+  test('keeps the 20 newest recent files and drops malformed entries', async () => {
+    const now = Date.now();
+    const recent = Array.from({ length: 25 }, (_, index) => ({
+      id: `file_${index}`,
+      name: `File ${index}.pdf`,
+      folder: FOLDER,
+      viewedAt: now - index * 1000
+    }));
+
+    const res = await callAs(STUDENT, {
+      method: 'PUT',
+      body: {
+        favorites: [
+          { kind: 'folder', id: 'x', updatedAt: now },
+          { kind: 'file', id: '', updatedAt: now },
+          { kind: 'file', id: 'future', updatedAt: now + 60 * 60 * 1000 }
+        ],
+        recent
+      }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.profile.recent).toHaveLength(20);
+    expect(res.body.profile.recent[0].id).toBe('file_0');
+    expect(res.body.profile.favorites).toHaveLength(1);
+    expect(res.body.profile.favorites[0].updatedAt).toBeLessThanOrEqual(Date.now());
+
+    const invalid = await callAs(STUDENT, { method: 'PUT', body: { favorites: 'all' } });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  test('without sign-in there is no profile to sync', async () => {
+    delete process.env.AUTH_SECRET;
+    const res = createMockRes();
+    await profileHandler({ method: 'GET', headers: {}, query: {} }, res);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('PROFILE_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../api/_utils', () => ({
+  ...jest.requireActual('../api/_utils'),
+  normalizeFolderName: jest.fn((value) => value),
+  listDriveFiles: jest.fn(),
+  setupCors: jest.fn(),
+  handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false)
+}));
+
+const recentHandler = require('../api/recent');
+const utils = require('../api/_utils');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+const FOLDERS_BY_PARENT = {
+  'root-folder': [
+    { id: 'dept-cs', name: 'Computer Science' },
+    { id: 'dept-acc', name: 'Accounting' }
+  ],
+  'dept-cs': [
+    { id: 'cs-100', name: '100 Level' },
+    { id: 'cs-200', name: '200 Level' }
+  ],
+  'cs-100': [{ id: 'cs-100-1', name: '1st Semester' }],
+  'cs-200': [{ id: 'cs-200-1', name: '1st Semester' }],
+  'cs-100-1': [{ id: 'cs-100-1-2425', name: '2024/25 Session' }],
+  'cs-200-1': [{ id: 'cs-200-1-2425', name: '2024/25 Session' }],
+  'dept-acc': [{ id: 'acc-100', name: '100 Level' }],
+  'acc-100': [{ id: 'acc-100-1', name: '1st Semester' }],
+  'acc-100-1': [{ id: 'acc-100-1-2425', name: '2024/25 Session' }]
+};
+
+const FILES_BY_PARENT = {
+  'cs-100-1-2425': [
+    { id: 'file-csc101', name: 'CSC 101.pdf', modifiedTime: '2025-03-01T10:00:00.000Z' },
+    { id: 'file-mth101', name: 'MTH 101.pdf', modifiedTime: '2025-05-01T10:00:00.000Z' }
+  ],
+  'cs-200-1-2425': [{ id: 'file-csc201', name: 'CSC 201.pdf', modifiedTime: '2025-04-01T10:00:00.000Z' }],
+  'acc-100-1-2425': [{ id: 'file-acc101', name: 'ACC 101.pdf', modifiedTime: '2025-06-01T10:00:00.000Z' }]
+};
+
+/**
+ * Answer batched Drive queries from the fixture tree above.
+ * @param {string} query - Drive files.list query.
+ * @returns {Promise<Object>} listDriveFiles-like result.
+ */
+async function fakeDriveList(query) {
+  const parentIds = Array.from(query.matchAll(/'([^']+)' in parents/g)).map(match => match[1]);
+  const source = query.includes('application/pdf') ? FILES_BY_PARENT : FOLDERS_BY_PARENT;
+
+  const files = [];
+  for (const parentId of parentIds) {
+    for (const item of source[parentId] || []) {
+      files.push({ ...item, parents: [parentId] });
+    }
+  }
+  return { files, truncated: false };
+}
+
+describe('recent API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GOOGLE_DRIVE_API_KEY = 'test-key';
+    process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID = 'root-folder';
+    utils.listDriveFiles.mockImplementation(fakeDriveList);
+  });
+
+  test('lists papers across departments, newest first, with breadcrumbs', async () => {
+    const res = createMockRes();
+
+    await recentHandler({ method: 'GET', query: { refresh: '1' }, headers: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(file => file.id)).toEqual(['file-acc101', 'file-mth101', 'file-csc201', 'file-csc101']);
+    expect(res.body.data[1]).toEqual(expect.objectContaining({
+      courseCode: 'MTH 101',
+      department: 'Computer Science',
+      level: '100 Level',
+      modifiedTime: '2025-05-01T10:00:00.000Z',
+      path: '/Computer Science/100 Level/1st Semester/2024~25 Session'
+    }));
+  });
+
+  test('filters by department and level and honours the limit', async () => {
+    const byDepartment = createMockRes();
+    const byLevel = createMockRes();
+
+    await recentHandler({ method: 'GET', query: { refresh: '1', department: 'Computer Science', limit: '2' }, headers: {} }, byDepartment);
+    await recentHandler({ method: 'GET', query: { department: 'computer science', level: '200 Level' }, headers: {} }, byLevel);
+
+    expect(byDepartment.body.total).toBe(3);
+    expect(byDepartment.body.data.map(file => file.id)).toEqual(['file-mth101', 'file-csc201']);
+    expect(byLevel.body.data.map(file => file.id)).toEqual(['file-csc201']);
+    expect(byLevel.headers['X-Cache']).toBe('HIT');
+  });
+
+  test('rejects a level without a department and control characters', async () => {
+    const levelOnly = createMockRes();
+    const badName = createMockRes();
+
+    await recentHandler({ method: 'GET', query: { level: '100 Level' }, headers: {} }, levelOnly);
+    await recentHandler({ method: 'GET', query: { department: 'Computer\u0000Science' }, headers: {} }, badName);
+
+    expect(levelOnly.statusCode).toBe(400);
+    expect(badName.statusCode).toBe(400);
+  });
+});
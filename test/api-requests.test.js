@@ -0,0 +1,164 @@
+process.env.DATA_STORE = 'memory';
+
+jest.mock('../api/team', () => ({
+  fetchAllExecutives: jest.fn().mockResolvedValue([]),
+  fetchAllDepartmentReps: jest.fn().mockResolvedValue([
+    { department: 'Jupeb', name: 'Rep', session: '2025/26', email: 'rep@calebuniversity.edu.ng' }
+  ]),
+  extractSessions: jest.requireActual('../api/team').extractSessions
+}));
+
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const { getDatastore } = require('../api/_datastore');
+const requestsHandler = require('../api/requests');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const CS_PATH = '/Computer Science/100 Level/1st Semester/2024~25 Session';
+const JUPEB_PATH = '/Jupeb/Science/2024~25 Session';
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Call the handler as a signed-in user.
+ * @param {string} email - Session email.
+ * @param {Object} req - method, query, body.
+ * @param {Function} [handler] - Handler instance (defaults to this module's).
+ * @returns {Promise<Object>} Mock response.
+ */
+async function callAs(email, req, handler = requestsHandler) {
+  const res = createMockRes();
+  await handler({
+    headers: { cookie: `${SESSION_COOKIE}=${createSession(email).token}` },
+    query: {},
+    ...req
+  }, res);
+  return res;
+}
+
+describe('/api/requests', () => {
+  beforeEach(async () => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.TEAM_SHEET_EXECUTIVES_URL = 'https://docs.google.com/executives.csv';
+    process.env.TEAM_SHEET_REPS_URL = 'https://docs.google.com/reps.csv';
+    process.env.ADMIN_EMAILS = 'admin@calebuniversity.edu.ng';
+    await getDatastore('requests').clear();
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    delete process.env.TEAM_SHEET_EXECUTIVES_URL;
+    delete process.env.TEAM_SHEET_REPS_URL;
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  test('students request papers once each; the board ranks them by votes', async () => {
+    await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'csc101' } });
+    await callAs('b@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'CSC 101' } });
+    const repeat = await callAs('b@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'CSC-101' } });
+    await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH } });
+    await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: JUPEB_PATH } });
+
+    expect(repeat.body).toMatchObject({ ok: true, alreadyRequested: true, paper: { courseCode: 'CSC 101', count: 2 } });
+    expect(repeat.body.paper.voters).toBeUndefined();
+
+    const board = await callAs('admin@calebuniversity.edu.ng', { method: 'GET' });
+    expect(board.statusCode).toBe(200);
+    expect(board.headers['Cache-Control']).toBe('no-store');
+    expect(board.body.departments.map(entry => [entry.department, entry.total])).toEqual([
+      ['Computer Science', 3],
+      ['Jupeb', 1]
+    ]);
+    expect(board.body.departments[0].papers.map(paper => [paper.courseCode, paper.count])).toEqual([
+      ['CSC 101', 2],
+      [null, 1]
+    ]);
+    expect(board.body.departments[1].papers[0]).toMatchObject({ level: 'Science', semester: null, session: '2024~25 Session' });
+  });
+
+  test('rejects paths that are not session folders and malformed course codes', async () => {
+    const shallow = await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: '/Computer Science' } });
+    const badCode = await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'hello' } });
+
+    expect(shallow.statusCode).toBe(400);
+    expect(badCode.statusCode).toBe(400);
+  });
+
+  test('students cannot read the board; reps only see and clear their own department', async () => {
+    await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH } });
+    const jupeb = await callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: JUPEB_PATH } });
+
+    const student = await callAs('a@calebuniversity.edu.ng', { method: 'GET' });
+    const rep = await callAs('rep@calebuniversity.edu.ng', { method: 'GET' });
+    const otherDepartment = await callAs('rep@calebuniversity.edu.ng', {
+      method: 'DELETE',
+      query: { department: 'Computer Science', id: jupeb.body.paper.id }
+    });
+    const cleared = await callAs('rep@calebuniversity.edu.ng', {
+      method: 'DELETE',
+      query: { department: 'Jupeb', id: jupeb.body.paper.id }
+    });
+
+    expect(student.statusCode).toBe(403);
+    expect(rep.body.departments.map(entry => entry.department)).toEqual(['Jupeb']);
+    expect(otherDepartment.statusCode).toBe(403);
+    expect(cleared.body).toEqual({ ok: true, id: jupeb.body.paper.id });
+
+    const after = await callAs('rep@calebuniversity.edu.ng', { method: 'GET' });
+    expect(after.body.departments).toEqual([]);
+  });
+
+  test('on the shared KV store votes cast on different instances add up on one board', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.DATA_STORE = 'kv';
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    try {
+      // Each fresh module registry stands in for another serverless instance
+      const instances = [requestsHandler];
+      jest.isolateModules(() => instances.push(require('../api/requests')));
+      jest.isolateModules(() => instances.push(require('../api/requests')));
+
+      await Promise.all([
+        callAs('a@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'CSC 101' } }, instances[0]),
+        callAs('b@calebuniversity.edu.ng', { method: 'POST', body: { path: CS_PATH, courseCode: 'CSC 101' } }, instances[1]),
+        callAs('c@calebuniversity.edu.ng', { method: 'POST', body: { path: JUPEB_PATH } }, instances[1])
+      ]);
+      const board = await callAs('admin@calebuniversity.edu.ng', { method: 'GET' }, instances[2]);
+      const rep = await callAs('rep@calebuniversity.edu.ng', { method: 'GET' }, instances[0]);
+
+      expect(board.body.departments.map(entry => [entry.department, entry.total])).toEqual([
+        ['Computer Science', 2],
+        ['Jupeb', 1]
+      ]);
+      expect(board.body.departments[0].papers.map(paper => [paper.courseCode, paper.count])).toEqual([['CSC 101', 2]]);
+      expect(rep.body.departments.map(entry => entry.department)).toEqual(['Jupeb']);
+    } finally {
+      process.env.DATA_STORE = 'memory';
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,179 @@
+// Scans record coverage history; keep it off the disk
+process.env.DATA_STORE = 'memory';
+
+const path = require('path');
+
+jest.mock('../api/team', () => ({
+  fetchAllExecutives: jest.fn(),
+  fetchAllDepartmentReps: jest.fn(),
+  extractSessions: jest.requireActual('../api/team').extractSessions
+}));
+
+const team = require('../api/team');
+const { createLocalProvider } = require('../api/_storage');
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const { ROLES, resolveRole, canAccessDepartment } = require('../api/_roles');
+const coverageHandler = require('../api/coverage');
+const browseHandler = require('../api/browse');
+const authSession = require('../api/auth/session');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+const EXECUTIVES = [
+  { name: 'Ada', role: 'President', session: '2025/26', email: 'ada@calebuniversity.edu.ng' },
+  { name: 'Old', role: 'President', session: '2024/25', email: 'old@calebuniversity.edu.ng' }
+];
+const REPS = [
+  { department: 'Computer Science', name: 'Rep', session: '2025/26', email: 'rep@calebuniversity.edu.ng' }
+];
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+function cookieFor(email) {
+  return `${SESSION_COOKIE}=${createSession(email).token}`;
+}
+
+describe('roles', () => {
+  beforeEach(() => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.TEAM_SHEET_EXECUTIVES_URL = 'https://docs.google.com/executives.csv';
+    process.env.TEAM_SHEET_REPS_URL = 'https://docs.google.com/reps.csv';
+    process.env.ADMIN_EMAILS = 'Admin@CalebUniversity.edu.ng, other@calebuniversity.edu.ng';
+    team.fetchAllExecutives.mockResolvedValue(EXECUTIVES);
+    team.fetchAllDepartmentReps.mockResolvedValue(REPS);
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_SECRET;
+    delete process.env.TEAM_SHEET_EXECUTIVES_URL;
+    delete process.env.TEAM_SHEET_REPS_URL;
+    delete process.env.ADMIN_EMAILS;
+    jest.restoreAllMocks();
+  });
+
+  test('resolveRole maps addresses to roles from the current session', async () => {
+    await expect(resolveRole('admin@calebuniversity.edu.ng')).resolves.toEqual({ role: ROLES.ADMIN, department: null });
+    await expect(resolveRole('ADA@calebuniversity.edu.ng')).resolves.toEqual({ role: ROLES.EXECUTIVE, department: null });
+    await expect(resolveRole('rep@calebuniversity.edu.ng'))
+      .resolves.toEqual({ role: ROLES.REP, department: 'Computer Science' });
+    // Last session's executive no longer has rights
+    await expect(resolveRole('old@calebuniversity.edu.ng')).resolves.toEqual({ role: ROLES.STUDENT, department: null });
+    await expect(resolveRole('someone@calebuniversity.edu.ng')).resolves.toEqual({ role: ROLES.STUDENT, department: null });
+  });
+
+  test('resolveRole grants nothing when the sheets cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    team.fetchAllExecutives.mockRejectedValue(new Error('down'));
+    team.fetchAllDepartmentReps.mockRejectedValue(new Error('down'));
+
+    await expect(resolveRole('ada@calebuniversity.edu.ng')).resolves.toEqual({ role: ROLES.STUDENT, department: null });
+  });
+
+  test('canAccessDepartment limits reps to their own department', () => {
+    const rep = { role: ROLES.REP, department: 'Mass Communication &amp; Media' };
+
+    expect(canAccessDepartment(rep, 'mass communication & media')).toBe(true);
+    expect(canAccessDepartment(rep, 'Computer Science')).toBe(false);
+    expect(canAccessDepartment({ role: ROLES.EXECUTIVE, department: null }, 'Computer Science')).toBe(true);
+  });
+
+  test('session status includes the role so the client can hide the tracker', async () => {
+    const rep = createMockRes();
+    const signedOut = createMockRes();
+
+    await authSession({ method: 'GET', headers: { cookie: cookieFor('rep@calebuniversity.edu.ng') }, query: {} }, rep);
+    await authSession({ method: 'GET', headers: {}, query: {} }, signedOut);
+
+    expect(rep.body).toMatchObject({ signedIn: true, role: ROLES.REP, department: 'Computer Science' });
+    expect(signedOut.body).toMatchObject({ signedIn: false, role: null, department: null });
+  });
+
+  describe('coverage tracker', () => {
+    const coverage = coverageHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+    const query = { department: 'Computer Science', session: '2024/25' };
+
+    test('students are refused', async () => {
+      const res = createMockRes();
+
+      await coverage({ method: 'GET', headers: { cookie: cookieFor('someone@calebuniversity.edu.ng') }, query }, res);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('ROLE_REQUIRED');
+    });
+
+    test('reps can scan their own department only', async () => {
+      const cookie = cookieFor('rep@calebuniversity.edu.ng');
+      const own = createMockRes();
+      const other = createMockRes();
+
+      await coverage({ method: 'GET', headers: { cookie }, query }, own);
+      await coverage({ method: 'GET', headers: { cookie }, query: { department: 'Jupeb', session: '2024/25' } }, other);
+
+      expect(own.statusCode).toBe(200);
+      expect(other.statusCode).toBe(403);
+      expect(other.body.code).toBe('DEPARTMENT_FORBIDDEN');
+    });
+
+    test('executives can scan any department', async () => {
+      const res = createMockRes();
+
+      await coverage({
+        method: 'GET',
+        headers: { cookie: cookieFor('ada@calebuniversity.edu.ng') },
+        query: { department: 'Jupeb', session: '2024/25' }
+      }, res);
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('force refresh', () => {
+    const browse = browseHandler.withStorage(createLocalProvider({ rootDir: FIXTURE_ROOT }));
+
+    test('students cannot bypass the caches', async () => {
+      const res = createMockRes();
+
+      await browse({
+        method: 'GET',
+        headers: { cookie: cookieFor('someone@calebuniversity.edu.ng') },
+        query: { path: '/', refresh: '1' }
+      }, res);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('ROLE_REQUIRED');
+    });
+
+    test('reps and executives can', async () => {
+      const res = createMockRes();
+
+      await browse({
+        method: 'GET',
+        headers: { cookie: cookieFor('rep@calebuniversity.edu.ng') },
+        query: { path: '/', refresh: '1' }
+      }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Cache-Control']).toBe('no-store, no-cache, must-revalidate');
+    });
+  });
+});
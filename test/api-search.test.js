@@ -0,0 +1,162 @@
+jest.mock('../api/_utils', () => ({
+  ...jest.requireActual('../api/_utils'),
+  normalizeFolderName: jest.fn((value) => value),
+  listDriveFiles: jest.fn(),
+  setupCors: jest.fn(),
+  handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false)
+}));
+
+const searchHandler = require('../api/search');
+const utils = require('../api/_utils');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+const FOLDERS_BY_PARENT = {
+  'root-folder': [
+    { id: 'dept-cs', name: 'Computer Science' },
+    { id: 'dept-jupeb', name: 'Jupeb' }
+  ],
+  'dept-cs': [{ id: 'cs-200', name: '200 Level' }],
+  'cs-200': [{ id: 'cs-200-1', name: '1st Semester' }],
+  'cs-200-1': [
+    { id: 'cs-200-1-2324', name: '2023/24 Session' },
+    { id: 'cs-200-1-2425', name: '2024/25 Session' }
+  ],
+  'dept-jupeb': [{ id: 'jupeb-sci', name: 'Science' }],
+  'jupeb-sci': [{ id: 'jupeb-sci-2425', name: '2024/25 Session' }]
+};
+
+const FILES_BY_PARENT = {
+  'cs-200-1-2425': [
+    { id: 'file-csc201', name: 'CSC201 - Computer Programming I.pdf' },
+    { id: 'file-mth201', name: 'MTH 201 - Mathematical Methods.pdf' }
+  ],
+  'cs-200-1-2324': [{ id: 'file-csc201-old', name: 'csc 201 exam.pdf' }],
+  'jupeb-sci-2425': [{ id: 'file-bio', name: 'BIO 001 - Biology.pdf' }]
+};
+
+/**
+ * Answer batched Drive queries from the fixture tree above.
+ * @param {string} query - Drive files.list query.
+ * @returns {Promise<Object>} listDriveFiles-like result.
+ */
+async function fakeDriveList(query) {
+  const parentIds = Array.from(query.matchAll(/'([^']+)' in parents/g)).map(match => match[1]);
+  const source = query.includes('application/pdf') ? FILES_BY_PARENT : FOLDERS_BY_PARENT;
+
+  const files = [];
+  for (const parentId of parentIds) {
+    for (const item of source[parentId] || []) {
+      files.push({ ...item, parents: [parentId] });
+    }
+  }
+  return { files, truncated: false };
+}
+
+describe('search API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GOOGLE_DRIVE_API_KEY = 'test-key';
+    process.env.GOOGLE_DRIVE_ROOT_FOLDER_ID = 'root-folder';
+    utils.listDriveFiles.mockImplementation(fakeDriveList);
+  });
+
+  test('matches course codes regardless of spacing and returns breadcrumbs', async () => {
+    const req = { method: 'GET', query: { q: 'csc 201', refresh: '1' }, headers: {} };
+    const res = createMockRes();
+
+    await searchHandler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data.find(file => file.id === 'file-csc201')).toEqual(expect.objectContaining({
+      id: 'file-csc201',
+      courseCode: 'CSC 201',
+      department: 'Computer Science',
+      level: '200 Level',
+      semester: '1st Semester',
+      session: '2024/25 Session',
+      path: '/Computer Science/200 Level/1st Semester/2024~25 Session'
+    }));
+  });
+
+  test('Jupeb results skip the semester layer', async () => {
+    const req = { method: 'GET', query: { q: 'BIO001', refresh: '1' }, headers: {} };
+    const res = createMockRes();
+
+    await searchHandler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data[0]).toEqual(expect.objectContaining({
+      department: 'Jupeb',
+      level: 'Science',
+      semester: null,
+      session: '2024/25 Session'
+    }));
+  });
+
+  test('second search is served from the cached tree', async () => {
+    const first = createMockRes();
+    await searchHandler({ method: 'GET', query: { q: 'MTH', refresh: '1' }, headers: {} }, first);
+    const callsAfterWalk = utils.listDriveFiles.mock.calls.length;
+
+    const second = createMockRes();
+    await searchHandler({ method: 'GET', query: { q: 'MTH 201' }, headers: {} }, second);
+
+    expect(second.body.cached).toBe(true);
+    expect(second.headers['X-Cache']).toBe('HIT');
+    expect(second.body.data[0].id).toBe('file-mth201');
+    expect(utils.listDriveFiles.mock.calls.length).toBe(callsAfterWalk);
+  });
+
+  test('course parameter lists every session of that course, latest first', async () => {
+    const req = { method: 'GET', query: { course: 'csc201', refresh: '1' }, headers: {} };
+    const res = createMockRes();
+
+    await searchHandler(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.course).toBe('CSC 201');
+    expect(res.body.data.map(file => file.session)).toEqual(['2024/25 Session', '2023/24 Session']);
+  });
+
+  test('rejects malformed course codes', async () => {
+    const req = { method: 'GET', query: { course: 'not a code' }, headers: {} };
+    const res = createMockRes();
+
+    await searchHandler(req, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('rejects queries that are too short', async () => {
+    const req = { method: 'GET', query: { q: 'a' }, headers: {} };
+    const res = createMockRes();
+
+    await searchHandler(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(utils.listDriveFiles).not.toHaveBeenCalled();
+  });
+});
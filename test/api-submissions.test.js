@@ -0,0 +1,268 @@
+process.env.DATA_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../api/team', () => ({
+  fetchAllExecutives: jest.fn().mockResolvedValue([]),
+  fetchAllDepartmentReps: jest.fn().mockResolvedValue([]),
+  extractSessions: jest.requireActual('../api/team').extractSessions
+}));
+
+const { createLocalProvider, createDriveProvider } = require('../api/_storage');
+const { SESSION_COOKIE, createSession } = require('../api/_auth');
+const { getDatastore, getBlobStore } = require('../api/_datastore');
+const submissionsHandler = require('../api/submissions');
+const { createFakeKv } = require('./helpers/fake-kv');
+
+const CS_PATH = '/Computer Science/100 Level/1st Semester/2024~25 Session';
+const PDF = Buffer.from('%PDF-1.4\n% test paper\n');
+const STUDENT = 'student@calebuniversity.edu.ng';
+const ADMIN = 'qc@calebuniversity.edu.ng';
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    })
+  };
+
+  return res;
+}
+
+describe('/api/submissions', () => {
+  let rootDir;
+  let handler;
+
+  /**
+   * Call the handler as a signed-in user.
+   * @param {string} email - Session email.
+   * @param {Object} req - method, query, body.
+   * @returns {Promise<Object>} Mock response.
+   */
+  async function callAs(email, req) {
+    const res = createMockRes();
+    await handler({
+      method: 'GET',
+      headers: { cookie: `${SESSION_COOKIE}=${createSession(email).token}` },
+      query: {},
+      ...req
+    }, res);
+    return res;
+  }
+
+  const submit = (query, body = PDF) => callAs(STUDENT, {
+    method: 'POST',
+    query: { path: CS_PATH, courseCode: 'csc101', ...query },
+    body
+  });
+
+  beforeEach(async () => {
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.TEAM_SHEET_EXECUTIVES_URL = 'https://docs.google.com/executives.csv';
+    process.env.TEAM_SHEET_REPS_URL = 'https://docs.google.com/reps.csv';
+    process.env.ADMIN_EMAILS = ADMIN;
+    await getDatastore('submissions').clear();
+
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'curb-submissions-'));
+    fs.mkdirSync(path.join(rootDir, 'Computer Science', '100 Level', '1st Semester'), { recursive: true });
+    handler = submissionsHandler.withStorage(createLocalProvider({ rootDir }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    delete process.env.AUTH_SECRET;
+    delete process.env.TEAM_SHEET_EXECUTIVES_URL;
+    delete process.env.TEAM_SHEET_REPS_URL;
+    delete process.env.ADMIN_EMAILS;
+    delete process.env.SUBMISSION_MAX_BYTES;
+  });
+
+  test('students queue PDFs; only admins see the queue and the files', async () => {
+    const created = await submit({ title: 'First Semester Exam' });
+    const student = await callAs(STUDENT, {});
+    const queue = await callAs(ADMIN, {});
+    const file = await callAs(ADMIN, { query: { id: created.body.submission.id, file: '1' } });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.submission).toMatchObject({ status: 'pending', fileName: 'CSC 101 - First Semester Exam.pdf' });
+    expect(student.statusCode).toBe(403);
+    expect(queue.headers['Cache-Control']).toBe('no-store');
+    expect(queue.body.submissions).toHaveLength(1);
+    expect(queue.body.submissions[0]).toMatchObject({
+      department: 'Computer Science',
+      level: '100 Level',
+      semester: '1st Semester',
+      session: '2024~25 Session',
+      courseCode: 'CSC 101',
+      submittedBy: STUDENT,
+      size: PDF.length
+    });
+    expect(file.headers['Content-Type']).toBe('application/pdf');
+    expect(file.body.equals(PDF)).toBe(true);
+  });
+
+  test('rejects files that are not PDFs, oversized uploads and bad tags', async () => {
+    process.env.SUBMISSION_MAX_BYTES = '10';
+
+    const notPdf = await submit({}, Buffer.from('hello'));
+    const tooLarge = await submit({}, Buffer.concat([PDF, PDF]));
+    const noCode = await submit({ courseCode: '' });
+    const shallow = await submit({ path: '/Computer Science' });
+
+    expect(notPdf.statusCode).toBe(400);
+    expect(tooLarge.statusCode).toBe(413);
+    expect(noCode.statusCode).toBe(400);
+    expect(shallow.statusCode).toBe(400);
+  });
+
+  test('accepts a body the host already read into a Buffer or byte array', async () => {
+    // The stream is drained, as on hosts that buffer the body before the handler runs
+    const drained = { on: jest.fn(), readableEnded: true };
+    const fromBuffer = await callAs(STUDENT, {
+      method: 'POST',
+      query: { path: CS_PATH, courseCode: 'csc101' },
+      body: PDF,
+      ...drained
+    });
+    const fromBytes = await submit({}, new Uint8Array(PDF));
+    const queue = await callAs(ADMIN, {});
+
+    expect(fromBuffer.statusCode).toBe(201);
+    expect(fromBytes.statusCode).toBe(201);
+    expect(drained.on).not.toHaveBeenCalled();
+    expect(queue.body.submissions.map(item => item.size)).toEqual([PDF.length, PDF.length]);
+  });
+
+  test('approval files the PDF at its path, creating the missing session folder', async () => {
+    const first = await submit({});
+    const second = await submit({});
+
+    const approved = await callAs(ADMIN, { method: 'POST', query: { id: first.body.submission.id, action: 'approve' } });
+    const again = await callAs(ADMIN, { method: 'POST', query: { id: first.body.submission.id, action: 'approve' } });
+    const duplicate = await callAs(ADMIN, { method: 'POST', query: { id: second.body.submission.id, action: 'approve' } });
+
+    const sessionDir = path.join(rootDir, 'Computer Science', '100 Level', '1st Semester', '2024~25 Session');
+    expect(approved.statusCode).toBe(200);
+    expect(approved.body.submission).toMatchObject({
+      status: 'approved',
+      reviewedBy: ADMIN,
+      filedPath: `${CS_PATH}/CSC 101.pdf`
+    });
+    expect(again.statusCode).toBe(409);
+    // Same course code twice: the second copy is kept alongside, never over the first
+    expect(duplicate.body.submission.filedPath).toBe(`${CS_PATH}/CSC 101 (2).pdf`);
+    expect(fs.readdirSync(sessionDir).sort()).toEqual(['CSC 101 (2).pdf', 'CSC 101.pdf']);
+    expect(fs.readFileSync(path.join(sessionDir, 'CSC 101.pdf')).equals(PDF)).toBe(true);
+    expect(await getBlobStore('submissions').get(first.body.submission.id)).toBeNull();
+  });
+
+  test('rejection keeps the reason and drops the file', async () => {
+    const created = await submit({});
+    const { id } = created.body.submission;
+
+    const rejected = await callAs(ADMIN, { method: 'POST', query: { id, action: 'reject' }, body: { reason: 'Blurry scan' } });
+    const pending = await callAs(ADMIN, {});
+    const reviewed = await callAs(ADMIN, { query: { status: 'rejected' } });
+
+    expect(rejected.body.submission).toMatchObject({ status: 'rejected', reason: 'Blurry scan' });
+    expect(pending.body.submissions).toEqual([]);
+    expect(reviewed.body.submissions.map(item => item.id)).toEqual([id]);
+    expect(fs.existsSync(path.join(rootDir, 'Computer Science', '100 Level', '1st Semester', '2024~25 Session'))).toBe(false);
+  });
+
+  test('approval needs a writable backend and leaves the submission pending without one', async () => {
+    const created = await submit({});
+    handler = submissionsHandler.withStorage(createDriveProvider({ apiKey: 'key', rootFolderId: 'root' }));
+
+    const res = await callAs(ADMIN, { method: 'POST', query: { id: created.body.submission.id, action: 'approve' } });
+    const queue = await callAs(ADMIN, {});
+
+    expect(res.statusCode).toBe(503);
+    expect(queue.body.submissions.map(item => item.status)).toEqual(['pending']);
+  });
+
+  test('an approval left filing by a run that never finished can be retried later', async () => {
+    const created = await submit({});
+    const { id } = created.body.submission;
+    const store = getDatastore('submissions');
+
+    await store.update(id, record => ({ ...record, status: 'filing', filingAt: Date.now() }));
+    const busy = await callAs(ADMIN, { method: 'POST', query: { id, action: 'approve' } });
+    expect(busy.statusCode).toBe(409);
+    expect((await callAs(ADMIN, {})).body.submissions).toEqual([]);
+
+    await store.update(id, record => ({ ...record, filingAt: Date.now() - 60 * 60 * 1000 }));
+    const queue = await callAs(ADMIN, {});
+    const approved = await callAs(ADMIN, { method: 'POST', query: { id, action: 'approve' } });
+
+    expect(queue.body.submissions.map(item => [item.id, item.status])).toEqual([[id, 'pending']]);
+    expect(approved.statusCode).toBe(200);
+    expect(approved.body.submission).toMatchObject({ status: 'approved', filedPath: `${CS_PATH}/CSC 101.pdf` });
+    expect(approved.body.submission.filingAt).toBeUndefined();
+  });
+
+  test('on the shared KV store an upload reaches the queue served by another instance', async () => {
+    const kv = createFakeKv();
+    jest.spyOn(global, 'fetch').mockImplementation(kv.fetchImpl);
+    process.env.DATA_STORE = 'kv';
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 't';
+
+    try {
+      const created = await submit({});
+      let reviewer;
+      // A fresh module registry stands in for the instance serving the QC lead
+      jest.isolateModules(() => {
+        reviewer = require('../api/submissions').withStorage(createLocalProvider({ rootDir }));
+      });
+      handler = reviewer;
+
+      const queue = await callAs(ADMIN, {});
+      const approved = await callAs(ADMIN, { method: 'POST', query: { id: created.body.submission.id, action: 'approve' } });
+
+      expect(queue.body.submissions.map(item => item.id)).toEqual([created.body.submission.id]);
+      expect(approved.body.submission.status).toBe('approved');
+      expect(fs.readFileSync(path.join(rootDir, 'Computer Science', '100 Level', '1st Semester', '2024~25 Session', 'CSC 101.pdf'))
+        .equals(PDF)).toBe(true);
+    } finally {
+      process.env.DATA_STORE = 'memory';
+      delete process.env.KV_REST_API_URL;
+      delete process.env.KV_REST_API_TOKEN;
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('on Vercel without a shared store uploads answer 503', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete process.env.DATA_STORE;
+    process.env.VERCEL = '1';
+
+    try {
+      const res = await submit({});
+
+      expect(res.statusCode).toBe(503);
+      expect(res.body.code).toBe('DATASTORE_UNAVAILABLE');
+    } finally {
+      process.env.DATA_STORE = 'memory';
+      delete process.env.VERCEL;
+      jest.restoreAllMocks();
+    }
+  });
+});
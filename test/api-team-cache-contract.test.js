@@ -7,6 +7,7 @@ jest.mock('https', () => ({
 jest.mock('../api/_utils', () => ({
   setupCors: jest.fn(),
   handlePreflightAndMethodGuard: jest.fn(() => false),
+  requireAuth: jest.fn(() => false),
   normalizeSessionLabel: jest.fn((value) => {
     if (!value || typeof value !== 'string') return '';
 
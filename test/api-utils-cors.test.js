@@ -0,0 +1,67 @@
+const { setupCors, handlePreflightAndMethodGuard } = require('../api/_utils');
+
+/**
+ * Minimal response double for the CORS helpers.
+ * @returns {Object} Mock response.
+ */
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(() => res),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+describe('CORS headers', () => {
+  const ORIGIN = 'https://curb.example.edu';
+
+  beforeEach(() => {
+    process.env.ALLOWED_ORIGIN = ORIGIN;
+  });
+
+  afterEach(() => {
+    delete process.env.ALLOWED_ORIGIN;
+  });
+
+  test('a preflight lists the methods the endpoint accepts and allows credentials', () => {
+    const req = { method: 'OPTIONS', headers: { origin: ORIGIN } };
+    const res = createMockRes();
+
+    setupCors(req, res);
+    const handled = handlePreflightAndMethodGuard(req, res, ['GET', 'PUT']);
+
+    expect(handled).toBe(true);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Access-Control-Allow-Origin']).toBe(ORIGIN);
+    expect(res.headers['Access-Control-Allow-Credentials']).toBe('true');
+    expect(res.headers['Access-Control-Allow-Methods']).toBe('GET, PUT, OPTIONS');
+  });
+
+  test('GET-only endpoints keep the default methods', () => {
+    const res = createMockRes();
+
+    setupCors({ method: 'GET', headers: { origin: ORIGIN } }, res);
+
+    expect(res.headers['Access-Control-Allow-Methods']).toBe('GET, OPTIONS');
+  });
+
+  test('other origins get neither the origin nor credentials', () => {
+    const req = { method: 'OPTIONS', headers: { origin: 'https://elsewhere.example.com' } };
+    const res = createMockRes();
+
+    handlePreflightAndMethodGuard(req, res, ['POST']);
+
+    expect(res.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(res.headers['Access-Control-Allow-Credentials']).toBeUndefined();
+  });
+});
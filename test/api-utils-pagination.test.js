@@ -0,0 +1,75 @@
+const { EventEmitter } = require('events');
+
+jest.mock('https', () => ({
+  get: jest.fn()
+}));
+
+const https = require('https');
+const { listDriveFiles, listFolders } = require('../api/_utils');
+
+/**
+ * Serve Drive files.list pages keyed by pageToken.
+ * @param {Object} pages - Map of pageToken ('' for first page) to response body.
+ */
+function mockDrivePages(pages) {
+  https.get.mockImplementation((url, callback) => {
+    const token = new URL(url).searchParams.get('pageToken') || '';
+    const response = new EventEmitter();
+    response.statusCode = 200;
+
+    process.nextTick(() => {
+      callback(response);
+      response.emit('data', JSON.stringify(pages[token]));
+      response.emit('end');
+    });
+
+    const request = new EventEmitter();
+    return request;
+  });
+}
+
+describe('Drive listing pagination', () => {
+  const threePages = {
+    '': { files: [{ id: 'a' }], nextPageToken: 'p2' },
+    p2: { files: [{ id: 'b' }], nextPageToken: 'p3' },
+    p3: { files: [{ id: 'c' }] }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.DRIVE_MAX_PAGES;
+  });
+
+  test('follows nextPageToken until the last page', async () => {
+    mockDrivePages(threePages);
+
+    const result = await listDriveFiles("'root' in parents", 'key');
+
+    expect(result.files.map(f => f.id)).toEqual(['a', 'b', 'c']);
+    expect(result.truncated).toBe(false);
+    expect(https.get).toHaveBeenCalledTimes(3);
+    expect(https.get.mock.calls[0][0]).toContain('pageSize=1000');
+    expect(https.get.mock.calls[0][0]).toContain(encodeURIComponent('nextPageToken,files(id,name)'));
+  });
+
+  test('stops at the configured page cap and flags truncation', async () => {
+    mockDrivePages(threePages);
+    process.env.DRIVE_MAX_PAGES = '2';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await listDriveFiles("'root' in parents", 'key');
+
+    expect(result.files.map(f => f.id)).toEqual(['a', 'b']);
+    expect(result.truncated).toBe(true);
+    expect(https.get).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  test('listFolders returns every page as a flat array', async () => {
+    mockDrivePages(threePages);
+
+    const folders = await listFolders('root', 'key');
+
+    expect(folders.map(f => f.id)).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -70,7 +70,9 @@ describe('route-level integration smoke tests', () => {
       renderSemesters: jest.fn().mockResolvedValue(undefined),
       renderSessions: jest.fn().mockResolvedValue(undefined),
       renderFiles: jest.fn().mockResolvedValue(undefined),
+      renderModeration: jest.fn().mockResolvedValue(undefined),
       renderNotFound: jest.fn(() => '<div>Not Found</div>'),
+      renderRestricted: jest.fn(() => '<div>Restricted</div>'),
       renderErrorState: jest.fn((msg) => `<div>${msg}</div>`)
     };
 
@@ -144,6 +146,114 @@ describe('route-level integration smoke tests', () => {
     expect(app.showToast).toHaveBeenCalledWith('Content refreshed successfully!', 'success');
   });
 
+  test('students get the restricted page on track and no refresh button', async () => {
+    global.appNavigator.getCurrentRoute.mockReturnValue({ view: 'track' });
+    global.emailGate.getAccess = jest.fn().mockResolvedValue({ role: 'student', department: null });
+
+    const app = new App();
+    await app.loadAccess();
+    await app.handleRouteChange();
+
+    expect(document.getElementById('refresh-btn').hidden).toBe(true);
+    expect(global.renderer.renderCoverage).not.toHaveBeenCalled();
+    expect(document.getElementById('main-content').innerHTML).toContain('Restricted');
+  });
+
+  test('reps get the tracker limited to their department', async () => {
+    global.appNavigator.getCurrentRoute.mockReturnValue({ view: 'track' });
+    global.emailGate.getAccess = jest.fn().mockResolvedValue({ role: 'rep', department: 'Computer Science' });
+
+    const app = new App();
+    await app.loadAccess();
+    await app.handleRouteChange();
+
+    expect(document.getElementById('refresh-btn').hidden).toBe(false);
+    expect(global.renderer.renderCoverage).toHaveBeenCalledWith(
+      document.getElementById('main-content'),
+      { forceRefresh: false, department: 'Computer Science' }
+    );
+  });
+
+  test('only admins get the submission queue on moderation', async () => {
+    global.appNavigator.getCurrentRoute.mockReturnValue({ view: 'moderation' });
+    global.emailGate.getAccess = jest.fn().mockResolvedValue({ role: 'executive', department: null });
+
+    const app = new App();
+    await app.loadAccess();
+    await app.handleRouteChange();
+
+    expect(global.renderer.renderModeration).not.toHaveBeenCalled();
+    expect(global.renderer.renderRestricted).toHaveBeenCalledWith('Quality Control only', expect.any(String));
+
+    app.access = { role: 'admin', department: null };
+    await app.handleRouteChange();
+
+    expect(global.renderer.renderModeration).toHaveBeenCalledWith(document.getElementById('main-content'));
+  });
+
+  test('a saved department and level opens the app there and fills the header shortcut', async () => {
+    const home = { department: 'Computer Science', level: '200 Level', session: '2025/26' };
+    document.body.insertAdjacentHTML('afterbegin', '<a id="my-level-link" href="/" hidden></a>');
+    window.history.replaceState(null, '', '/');
+    global.displayName = (name) => String(name || '').replace(/~/g, '/');
+    global.profileStore = { sync: jest.fn().mockResolvedValue(false), getHome: jest.fn(() => home) };
+    global.onboarding = {
+      show: jest.fn(),
+      promote: jest.fn().mockResolvedValue({ home: { ...home, level: '300 Level', session: '2026/27' }, promoted: true })
+    };
+    global.renderer.fetchTeamData = jest.fn().mockResolvedValue({ fromApi: true, sessions: ['2026/27', '2025/26'] });
+    global.renderer.buildRoutePath = (crumbs) => `/browse/${crumbs.department}/${crumbs.level}`;
+    global.appNavigator.replaceRoute = jest.fn();
+
+    const app = new App();
+    app.showToast = jest.fn();
+    await app.loadHome();
+
+    expect(global.onboarding.show).not.toHaveBeenCalled();
+    expect(global.onboarding.promote).toHaveBeenCalledWith(home, ['2026/27', '2025/26']);
+    expect(app.showToast).toHaveBeenCalledWith("New session 2026/27: you're now on 300 Level", 'info');
+    expect(global.appNavigator.replaceRoute).toHaveBeenCalledWith('/browse/Computer Science/300 Level');
+
+    const link = document.getElementById('my-level-link');
+    expect(link.hidden).toBe(false);
+    expect(link.getAttribute('href')).toBe('/browse/Computer Science/300 Level');
+  });
+
+  test('a launch URL that points somewhere keeps its route', async () => {
+    const home = { department: 'Computer Science', level: '200 Level', session: '2025/26' };
+    window.history.replaceState(null, '', '/course/CSC201');
+    global.profileStore = { sync: jest.fn().mockResolvedValue(false), getHome: jest.fn(() => home) };
+    global.onboarding = { show: jest.fn(), promote: jest.fn().mockResolvedValue({ home, promoted: false }) };
+    global.renderer.fetchTeamData = jest.fn().mockResolvedValue({ fromApi: true, sessions: ['2025/26'] });
+    global.renderer.buildRoutePath = (crumbs) => `/browse/${crumbs.department}/${crumbs.level}`;
+    global.appNavigator.replaceRoute = jest.fn();
+
+    const app = new App();
+    await app.loadHome();
+
+    expect(app.home).toEqual(home);
+    expect(global.appNavigator.replaceRoute).not.toHaveBeenCalled();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('the first launch asks for a department; skipping keeps the department grid', async () => {
+    document.body.insertAdjacentHTML('afterbegin', '<a id="my-level-link" href="/" hidden></a>');
+    window.history.replaceState(null, '', '/');
+    global.profileStore = { sync: jest.fn().mockResolvedValue(true), getHome: jest.fn(() => null) };
+    global.onboarding = { show: jest.fn().mockResolvedValue({ skipped: true, updatedAt: 1 }), promote: jest.fn() };
+    global.appNavigator.replaceRoute = jest.fn();
+
+    const app = new App();
+    await app.loadHome();
+
+    expect(global.profileStore.sync).toHaveBeenCalled();
+    expect(global.onboarding.show).toHaveBeenCalled();
+    expect(global.onboarding.promote).not.toHaveBeenCalled();
+    expect(global.appNavigator.replaceRoute).not.toHaveBeenCalled();
+    expect(app.home).toBeNull();
+    expect(document.getElementById('my-level-link').hidden).toBe(true);
+  });
+
 });
 
 describe('track page coverage scan integration smoke', () => {
@@ -206,4 +316,227 @@ describe('track page coverage scan integration smoke', () => {
       expect.objectContaining({ cache: 'no-store' })
     );
   });
+
+  test('track page draws the university heatmap from /api/coverage/summary', async () => {
+    const { CoverageRenderer } = require('../js/renderers/coverage-renderer');
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(url.includes('/coverage/summary')
+        ? {
+          sessions: ['2024/25', '2023/24'],
+          completion: 50,
+          departments: [{
+            department: 'Computer Science',
+            completion: 50,
+            sessions: {
+              '2024/25': { uploaded: 2, total: 2, completion: 100 },
+              '2023/24': { uploaded: 0, total: 2, completion: 0 }
+            }
+          }]
+        }
+        : { data: [] })
+    }));
+
+    const rendererFacade = {
+      fetchTeamData: jest.fn().mockResolvedValue({ session: '2025/26', sessions: ['2025/26'] }),
+      escapeAttr: (value) => String(value),
+      escapeHtml: (value) => String(value),
+      getDepartmentLucideIcon: () => 'book-open',
+      renderEmptyState: jest.fn(() => '<div>Empty</div>'),
+      renderErrorState: jest.fn((msg) => `<div>${msg}</div>`)
+    };
+
+    const container = document.getElementById('main-content');
+    await new CoverageRenderer(rendererFacade).renderCoverage(container, { forceRefresh: false });
+
+    const cells = Array.from(container.querySelectorAll('#coverage-heatmap .coverage-heatmap__cell'));
+    expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/coverage\/summary$/), undefined);
+    expect(cells.map(cell => cell.textContent.trim())).toEqual(['100%', '0%', '50%']);
+    expect(cells[1].classList.contains('coverage-heat-0')).toBe(true);
+    expect(container.querySelector('[data-heatmap-dept]').dataset.heatmapDept).toBe('Computer Science');
+    expect(container.querySelector('#coverage-heatmap .coverage-export a[download]').getAttribute('href'))
+      .toMatch(/\/coverage\/summary\?format=csv$/);
+  });
+
+  test('coverage trend charts weekly completion from /api/coverage-history', () => {
+    const { CoverageRenderer } = require('../js/renderers/coverage-renderer');
+    const coverageRenderer = new CoverageRenderer({
+      escapeAttr: (value) => String(value),
+      escapeHtml: (value) => String(value)
+    });
+
+    const html = coverageRenderer._renderTrend({
+      session: '2025/26',
+      points: [
+        { period: '2026-03-02', completion: 20, uploaded: 1, total: 5 },
+        { period: '2026-03-09', completion: 60, uploaded: 3, total: 5 }
+      ]
+    });
+
+    expect(html).toContain('+40 pts since 2026-03-02');
+    expect(html.match(/<circle/g)).toHaveLength(2);
+    expect(coverageRenderer._renderTrend({ points: [] })).toContain('more than one week');
+  });
+
+  test('request board lists the most-requested papers with links to their folders', () => {
+    global.buildBrowsePath = require('../js/navigation').buildBrowsePath;
+    const { CoverageRenderer } = require('../js/renderers/coverage-renderer');
+    const coverageRenderer = new CoverageRenderer({
+      escapeAttr: (value) => String(value),
+      escapeHtml: (value) => String(value)
+    });
+    const container = document.getElementById('main-content');
+
+    container.innerHTML = coverageRenderer._renderRequests({
+      departments: [{
+        department: 'Computer Science',
+        total: 3,
+        papers: [{
+          id: '0123456789abcdef',
+          path: '/Computer Science/100 Level/1st Semester/2024~25 Session',
+          courseCode: 'CSC 101',
+          level: '100 Level',
+          semester: '1st Semester',
+          session: '2024~25 Session',
+          count: 3
+        }]
+      }]
+    });
+
+    const item = container.querySelector('.coverage-requests__item');
+    expect(item.querySelector('.coverage-requests__count').textContent).toBe('3');
+    expect(item.querySelector('a').getAttribute('href')).toBe('/browse/Computer%20Science/100%20Level/1st%20Semester/2024~25%20Session');
+    expect(item.textContent).toContain('2024/25 Session');
+    expect(coverageRenderer._renderRequests({ departments: [] })).toContain('No open requests');
+  });
+});
+
+describe('submission moderation integration smoke', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    document.body.innerHTML = '<main id="main-content"></main>';
+
+    global.CONFIG = { apiBase: '/api' };
+    global.app = { showToast: jest.fn() };
+    global.displayName = (name) => String(name || '').replace(/~/g, '/');
+    global.driveAPI = {
+      formatDate: () => '1 Mar 2026',
+      formatFileSize: () => '1.00 MB'
+    };
+  });
+
+  test('the queue lists pending papers and approving one files it', async () => {
+    const { ModerationRenderer } = require('../js/renderers/moderation-renderer');
+    global.fetch = jest.fn((url, options = {}) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(options.method === 'POST'
+        ? { ok: true, submission: { status: 'approved' } }
+        : {
+          status: 'pending',
+          total: 1,
+          submissions: [{
+            id: '0123456789abcdef',
+            status: 'pending',
+            department: 'Computer Science',
+            level: '100 Level',
+            semester: '1st Semester',
+            session: '2024~25 Session',
+            fileName: 'CSC 101 - Exam.pdf',
+            size: 1048576,
+            submittedBy: 'student@calebuniversity.edu.ng',
+            submittedAt: Date.UTC(2026, 2, 1)
+          }]
+        })
+    }));
+
+    const container = document.getElementById('main-content');
+    await new ModerationRenderer({
+      escapeAttr: (value) => String(value),
+      escapeHtml: (value) => String(value),
+      renderSkeleton: () => '<div>Loading</div>',
+      renderEmptyState: (title) => `<div>${title}</div>`,
+      renderErrorState: (msg) => `<div>${msg}</div>`,
+      ensureFontAwesomeIcons: jest.fn()
+    }).renderModeration(container);
+
+    const item = container.querySelector('.moderation-item');
+    expect(fetch).toHaveBeenCalledWith('/api/submissions?status=pending', { cache: 'no-store' });
+    expect(item.textContent).toContain('Computer Science › 100 Level › 1st Semester › 2024/25 Session');
+    expect(item.querySelector('a').getAttribute('href')).toBe('/api/submissions?id=0123456789abcdef&file=1');
+
+    item.querySelector('[data-moderation-action="approve"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(fetch).toHaveBeenLastCalledWith(
+      '/api/submissions?id=0123456789abcdef&action=approve',
+      expect.objectContaining({ method: 'POST' })
+    );
+    expect(global.app.showToast).toHaveBeenCalledWith('Filed into the Resource Bank', 'success');
+    expect(container.querySelector('.moderation-item')).toBeNull();
+  });
+});
+
+describe('recently added integration smoke', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    document.body.innerHTML = '<main id="main-content"><section id="recent-section"></section></main>';
+
+    global.displayName = (name) => String(name || '').replace(/~/g, '/');
+    window.localStorage.setItem('recent_last_visit', String(Date.UTC(2026, 2, 1)));
+    global.driveAPI = {
+      formatDate: () => '1 Mar 2026',
+      fetchLevels: jest.fn().mockResolvedValue(['100 Level']),
+      fetchRecent: jest.fn().mockResolvedValue({
+        total: 2,
+        results: [
+          {
+            id: 'file-new',
+            name: 'CSC 101.pdf',
+            modifiedTime: '2026-03-05T10:00:00.000Z',
+            department: 'Computer Science',
+            level: '100 Level',
+            semester: '1st Semester',
+            session: '2024/25 Session'
+          },
+          {
+            id: 'file-old',
+            name: 'MTH 101.pdf',
+            modifiedTime: '2026-02-01T10:00:00.000Z',
+            department: 'Computer Science',
+            level: '100 Level',
+            semester: '1st Semester',
+            session: '2024/25 Session'
+          }
+        ]
+      })
+    };
+  });
+
+  test('flags papers added since the last visit and filters by department', async () => {
+    const { RecentRenderer } = require('../js/renderers/recent-renderer');
+    const container = document.getElementById('main-content');
+    const recentRenderer = new RecentRenderer({
+      escapeAttr: (value) => String(value),
+      escapeHtml: (value) => String(value),
+      buildRoutePath: (crumbs) => `/browse/${crumbs.department}`,
+      ensureFontAwesomeIcons: jest.fn()
+    });
+
+    await recentRenderer.renderRecent(container, ['Computer Science', 'Accounting']);
+
+    const badge = container.querySelector('.recent-badge');
+    expect(badge.hidden).toBe(false);
+    expect(badge.textContent).toBe('1 new');
+    expect(container.querySelectorAll('.recent-item')).toHaveLength(2);
+    expect(container.querySelectorAll('.recent-new')).toHaveLength(1);
+    expect(Number(window.localStorage.getItem('recent_last_visit'))).toBeGreaterThan(Date.UTC(2026, 2, 1));
+
+    const select = container.querySelector('#recent-department');
+    select.value = 'Computer Science';
+    select.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(driveAPI.fetchRecent).toHaveBeenLastCalledWith({ department: 'Computer Science', level: '', limit: 8 });
+    expect(container.querySelector('#recent-level').hidden).toBe(false);
+  });
 });
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Tests for DriveAPI's handling of rejected sessions.
+ */
+
+const { DriveAPI } = require('../js/drive-api');
+
+/**
+ * Build a minimal fetch Response stand-in.
+ * @param {number} status - HTTP status.
+ * @param {Object} body - JSON body.
+ * @returns {Object} Response-like object.
+ */
+function jsonResponse(status, body) {
+  const response = {
+    status,
+    ok: status >= 200 && status < 300,
+    json: () => Promise.resolve(body),
+    clone: () => response
+  };
+  return response;
+}
+
+describe('DriveAPI sign-in handling', () => {
+  let api;
+
+  beforeEach(() => {
+    global.pathCache = { get: jest.fn(() => null), set: jest.fn() };
+    global.emailGate = {
+      clearSession: jest.fn(),
+      show: jest.fn().mockResolvedValue()
+    };
+    api = new DriveAPI();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    delete global.pathCache;
+    delete global.emailGate;
+  });
+
+  test('shows the sign-in screen on 401 AUTH_REQUIRED and retries once', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(401, { code: 'AUTH_REQUIRED' }))
+      .mockResolvedValueOnce(jsonResponse(200, { data: [{ id: '1', name: 'Computer Science' }] }));
+
+    const data = await api.fetchFolders('/');
+
+    expect(global.emailGate.clearSession).toHaveBeenCalledTimes(1);
+    expect(global.emailGate.show).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(data).toEqual([{ id: '1', name: 'Computer Science' }]);
+  });
+
+  test('does not prompt again when the retry is still rejected', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, {
+      code: 'AUTH_REQUIRED',
+      message: 'Sign in with your Caleb University email to continue.'
+    }));
+
+    await expect(api.fetchFolders('/')).rejects.toThrow('Sign in with your Caleb University email');
+    expect(global.emailGate.show).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('concurrent 401s share one sign-in prompt', async () => {
+    let signedIn = false;
+    let finishSignIn;
+    global.emailGate.show.mockReturnValue(new Promise(resolve => {
+      finishSignIn = resolve;
+    }));
+    global.fetch = jest.fn(() => Promise.resolve(
+      signedIn ? jsonResponse(200, { data: [] }) : jsonResponse(401, { code: 'AUTH_REQUIRED' })
+    ));
+
+    const pending = Promise.all([api.fetchFolders('/'), api.fetchFiles('/Computer Science')]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    signedIn = true;
+    finishSignIn();
+
+    await expect(pending).resolves.toEqual([[], []]);
+    expect(global.emailGate.show).toHaveBeenCalledTimes(1);
+  });
+
+  test('other 401s surface as errors without a prompt', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(401, { message: 'Nope' }));
+
+    await expect(api.fetchFolders('/')).rejects.toThrow('Nope');
+    expect(global.emailGate.show).not.toHaveBeenCalled();
+  });
+});
@@ -17,6 +17,7 @@ describe('EmailGate logic tests', () => {
 
   afterEach(() => {
     jest.restoreAllMocks();
+    delete global.fetch;
   });
 
   test('validateEmail handles correct Caleb University email formats', () => {
@@ -43,31 +44,129 @@ describe('EmailGate logic tests', () => {
     expect(gate.validateEmail('not-an-email')).toBe(false);
   });
 
-  test('isVerified returns verification status from localStorage', () => {
+  test('validateEmail rejects look-alike domains', () => {
+    expect(gate.validateEmail('student@notcalebuniversity.edu.ng')).toBe(false);
+    expect(gate.validateEmail('student@calebuniversity.edu.ng.example.com')).toBe(false);
+  });
+
+  test('isVerified only trusts an unexpired saved sign-in', () => {
     expect(gate.isVerified()).toBe(false);
 
+    // The old client-only flag no longer grants access
     localStorage.setItem('curb_email_verified', 'true');
+    expect(gate.isVerified()).toBe(false);
+
+    localStorage.setItem('curb_auth_session', JSON.stringify({ email: 'a@calebuniversity.edu.ng', expiresAt: Date.now() - 1000 }));
+    expect(gate.isVerified()).toBe(false);
+
+    localStorage.setItem('curb_auth_session', JSON.stringify({ email: 'a@calebuniversity.edu.ng', expiresAt: Date.now() + 60000 }));
     expect(gate.isVerified()).toBe(true);
   });
 
-  test('verify saves correct verification state to localStorage', () => {
-    expect(gate.verify('student@calebuniversity.edu.ng')).toBe(true);
-    expect(localStorage.setItem).toHaveBeenCalledWith('curb_email_verified', 'true');
+  test('requestCode rejects non-university email without calling the server', async () => {
+    global.fetch = jest.fn();
+
+    const result = await gate.requestCode('student@gmail.com');
+
+    expect(result.ok).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('requestCode posts the normalized email', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ ok: true, email: 'student@calebuniversity.edu.ng' })
+    });
+
+    const result = await gate.requestCode(' Student@CalebUniversity.edu.ng ');
+
+    expect(result.ok).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith('/api/auth/request', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ email: 'student@calebuniversity.edu.ng' })
+    }));
+  });
+
+  test('verifyCode saves the session on success', async () => {
+    const expiresAt = Date.now() + 60000;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ ok: true, email: 'student@calebuniversity.edu.ng', expiresAt })
+    });
+
+    const result = await gate.verifyCode('123456');
+
+    expect(result.ok).toBe(true);
     expect(gate.isVerified()).toBe(true);
+    expect(gate.getSession()).toEqual({ email: 'student@calebuniversity.edu.ng', expiresAt });
   });
 
-  test('verify rejects invalid email and does not save state', () => {
-    expect(gate.verify('student@gmail.com')).toBe(false);
+  test('verifyCode reports the server error and does not save state', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ code: 'CODE_INVALID', message: 'That code is not right.' })
+    });
+
+    const result = await gate.verifyCode('000000');
+
+    expect(result).toEqual({ ok: false, message: 'That code is not right.', code: 'CODE_INVALID' });
     expect(localStorage.setItem).not.toHaveBeenCalled();
     expect(gate.isVerified()).toBe(false);
   });
 
-  test('reset clears verification state', () => {
-    gate.verify('student@calebuniversity.edu.ng');
-    expect(gate.isVerified()).toBe(true);
+  test('show resolves without an overlay when the server does not require sign-in', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ authRequired: false, signedIn: false })
+    });
+
+    await gate.show();
+
+    expect(document.getElementById('email-gate')).toBeNull();
+  });
+
+  test('show renders the overlay when sign-in is required', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ authRequired: true, signedIn: false })
+    });
+
+    gate.show();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('email-gate')).not.toBeNull();
+    expect(document.getElementById('gate-code-form').hidden).toBe(true);
+    document.getElementById('email-gate').remove();
+  });
+
+  test('reset clears verification state and the session cookie', async () => {
+    localStorage.setItem('curb_auth_session', JSON.stringify({ email: 'a@calebuniversity.edu.ng', expiresAt: Date.now() + 60000 }));
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+
+    await gate.reset();
 
-    gate.reset();
     expect(gate.isVerified()).toBe(false);
-    expect(localStorage.removeItem).toHaveBeenCalledWith('curb_email_verified');
+    expect(localStorage.removeItem).toHaveBeenCalledWith('curb_auth_session');
+    expect(global.fetch).toHaveBeenCalledWith('/api/auth/session', expect.objectContaining({ method: 'DELETE' }));
+  });
+
+  test('reset deletes the cached API responses but keeps saved-offline files', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    global.caches = {
+      keys: jest.fn().mockResolvedValue(['curb-api-v1.6.17', 'curb-app-shell-v1.6.17', 'curb-offline-files']),
+      delete: jest.fn().mockResolvedValue(true)
+    };
+
+    try {
+      await gate.reset();
+
+      expect(global.caches.delete).toHaveBeenCalledTimes(1);
+      expect(global.caches.delete).toHaveBeenCalledWith('curb-api-v1.6.17');
+    } finally {
+      delete global.caches;
+    }
   });
 });
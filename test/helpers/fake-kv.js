@@ -0,0 +1,56 @@
+const { COMPARE_AND_SET_SCRIPT } = require('../../api/_kv');
+
+/**
+ * A fetch that answers Upstash REST commands from a Map, like one Redis database shared
+ * by every instance. Key expiry (PX) is ignored; the stores check their own timestamps.
+ * @returns {{data: Map, commands: Array, fetchImpl: Function}} Database contents, the
+ *   commands it received and the fetch to hand to the stores.
+ */
+function createFakeKv() {
+  const data = new Map();
+  const commands = [];
+
+  /**
+   * Run one command against the Map.
+   * @param {string} command - Command name.
+   * @param {Array<string>} args - Arguments.
+   * @returns {*} Redis-style result.
+   */
+  function execute(command, args) {
+    switch (command) {
+      case 'GET':
+        return data.has(args[0]) ? data.get(args[0]) : null;
+      case 'MGET':
+        return args.map(key => (data.has(key) ? data.get(key) : null));
+      case 'SET':
+        data.set(args[0], args[1]);
+        return 'OK';
+      case 'DEL':
+        return args.filter(key => data.delete(key)).length;
+      case 'SCAN': {
+        const prefix = args[2].replace(/\*$/, '');
+        return ['0', [...data.keys()].filter(key => key.startsWith(prefix))];
+      }
+      case 'EVAL': {
+        if (args[0] !== COMPARE_AND_SET_SCRIPT) throw new Error('Unknown script');
+        const [, , key, expected, next] = args;
+        if ((data.has(key) ? data.get(key) : '') !== expected) return 0;
+        data.set(key, next);
+        return 1;
+      }
+      default:
+        throw new Error(`Unsupported command ${command}`);
+    }
+  }
+
+  const fetchImpl = jest.fn(async (url, init) => {
+    const [command, ...args] = JSON.parse(init.body);
+    commands.push([command, ...args]);
+    const result = execute(command, args);
+    return { ok: true, status: 200, json: async () => ({ result }) };
+  });
+
+  return { data, commands, fetchImpl };
+}
+
+module.exports = { createFakeKv };
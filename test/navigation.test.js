@@ -1,10 +1,26 @@
-// Mock window and CONFIG for navigation tests
+// Mock window, history and CONFIG for navigation tests
 global.window = {
-    location: { hash: '', href: 'http://localhost/' },
+    location: { hash: '', pathname: '/', search: '', origin: 'http://localhost', href: 'http://localhost/' },
+    history: { state: null },
     addEventListener: jest.fn(),
     scrollTo: jest.fn()
 };
 
+/**
+ * Point the mocked location at a URL, the way the browser does after pushState.
+ * @param {string} url - Path with optional query and hash.
+ */
+function setUrl(url) {
+    const parsed = new URL(url, 'http://localhost');
+    window.location.pathname = parsed.pathname;
+    window.location.search = parsed.search;
+    window.location.hash = parsed.hash;
+    window.location.href = parsed.href;
+}
+
+window.history.pushState = jest.fn((state, title, url) => setUrl(url));
+window.history.replaceState = jest.fn((state, title, url) => setUrl(url));
+
 global.CONFIG = {
     app: { name: 'Caleb University Resource Bank' }
 };
@@ -19,7 +35,8 @@ const { Navigator } = require('../js/navigation');
 let nav;
 
 beforeEach(() => {
-    window.location.hash = '';
+    setUrl('/');
+    jest.clearAllMocks();
     nav = new Navigator();
 });
 
@@ -52,22 +69,22 @@ describe('encodeSegment and decodeSegment', () => {
 });
 
 describe('Navigator.parseRoute', () => {
-    test('empty hash returns home view', () => {
-        window.location.hash = '';
+    test('root path returns home view', () => {
+        setUrl('/');
         const route = nav.parseRoute();
         expect(route.view).toBe('home');
         expect(route.department).toBeNull();
     });
 
     test('single segment returns levels view', () => {
-        window.location.hash = '#/Computer Science';
+        setUrl('/browse/Computer Science');
         const route = nav.parseRoute();
         expect(route.view).toBe('levels');
         expect(route.department).toBe('Computer Science');
     });
 
     test('two segments returns semesters view for standard departments', () => {
-        window.location.hash = '#/Computer Science/100 Level';
+        setUrl('/browse/Computer Science/100 Level');
         const route = nav.parseRoute();
         expect(route.view).toBe('semesters');
         expect(route.department).toBe('Computer Science');
@@ -75,7 +92,7 @@ describe('Navigator.parseRoute', () => {
     });
 
     test('two segments returns sessions view for Jupeb', () => {
-        window.location.hash = '#/Jupeb/Science';
+        setUrl('/browse/Jupeb/Science');
         const route = nav.parseRoute();
         expect(route.view).toBe('sessions');
         expect(route.department).toBe('Jupeb');
@@ -84,13 +101,13 @@ describe('Navigator.parseRoute', () => {
 
     test('three segments: standard → sessions, Jupeb → files', () => {
         // Standard
-        window.location.hash = '#/Computer Science/100 Level/1st Semester';
+        setUrl('/browse/Computer Science/100 Level/1st Semester');
         let route = nav.parseRoute();
         expect(route.view).toBe('sessions');
         expect(route.semester).toBe('1st Semester');
 
         // Jupeb
-        window.location.hash = '#/Jupeb/Science/2024~25 Session';
+        setUrl('/browse/Jupeb/Science/2024~25 Session');
         route = nav.parseRoute();
         expect(route.view).toBe('files');
         expect(route.session).toBe('2024~25 Session');
@@ -98,7 +115,7 @@ describe('Navigator.parseRoute', () => {
     });
 
     test('four segments returns files view for standard', () => {
-        window.location.hash = '#/Computer Science/100 Level/1st Semester/2024~25 Session';
+        setUrl('/browse/Computer Science/100 Level/1st Semester/2024~25 Session');
         const route = nav.parseRoute();
         expect(route.view).toBe('files');
         expect(route.department).toBe('Computer Science');
@@ -108,20 +125,77 @@ describe('Navigator.parseRoute', () => {
     });
 
     test('about route is recognized', () => {
-        window.location.hash = '#/about';
+        setUrl('/about');
         const route = nav.parseRoute();
         expect(route.view).toBe('about');
     });
 
     test('track route is recognized (case-insensitive)', () => {
-        window.location.hash = '#/TRACK';
+        setUrl('/TRACK');
         const route = nav.parseRoute();
         expect(route.view).toBe('track');
         expect(route.department).toBeNull();
     });
 
+    test('offline route is recognized', () => {
+        setUrl('/offline');
+        const route = nav.parseRoute();
+        expect(route.view).toBe('offline');
+        expect(route.department).toBeNull();
+    });
+
+    test('replaceRoute swaps the route without notifying listeners', () => {
+        const listener = jest.fn();
+        nav.addListener(listener);
+
+        nav.replaceRoute('/browse/Computer%20Science/200%20Level');
+
+        expect(window.history.replaceState).toHaveBeenCalledWith(null, '', '/browse/Computer%20Science/200%20Level');
+        expect(window.history.pushState).not.toHaveBeenCalled();
+        expect(nav.getCurrentRoute()).toMatchObject({ view: 'semesters', department: 'Computer Science', level: '200 Level' });
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('me route is recognized', () => {
+        setUrl('/me');
+        const route = nav.parseRoute();
+        expect(route.view).toBe('me');
+        expect(route.department).toBeNull();
+    });
+
+    test('course route is recognized and normalizes the code', () => {
+        setUrl('/course/csc201');
+        const route = nav.parseRoute();
+        expect(route.view).toBe('course');
+        expect(route.courseCode).toBe('CSC 201');
+        expect(route.department).toBeNull();
+    });
+
+    test('view segment opens the viewer for a file in a session', () => {
+        setUrl('/browse/Computer Science/100 Level/1st Semester/2024~25 Session/view/abc_123');
+        const route = nav.parseRoute();
+        expect(route.view).toBe('viewer');
+        expect(route.fileId).toBe('abc_123');
+        expect(route.session).toBe('2024~25 Session');
+    });
+
+    test('Jupeb viewer route has no semester', () => {
+        setUrl('/browse/Jupeb/Science/2024~25 Session/view/abc_123');
+        const route = nav.parseRoute();
+        expect(route.view).toBe('viewer');
+        expect(route.semester).toBeNull();
+        expect(route.fileId).toBe('abc_123');
+    });
+
+    test('view segment above session level is not a viewer route', () => {
+        setUrl('/browse/Computer Science/100 Level/view/abc_123');
+        const route = nav.parseRoute();
+        expect(route.view).not.toBe('viewer');
+        expect(route.fileId).toBeNull();
+    });
+
     test('backward compatibility: fixes old session URLs with /', () => {
-        window.location.hash = '#/Computer Science/100 Level/1st Semester/2024/25 Session';
+        setUrl('/browse/Computer Science/100 Level/1st Semester/2024/25 Session');
         const route = nav.parseRoute();
         expect(route.view).toBe('files');
         expect(route.session).toBe('2024~25 Session');
@@ -130,25 +204,31 @@ describe('Navigator.parseRoute', () => {
 
 describe('Navigator.getPageTitle', () => {
     test('home returns base title', () => {
-        window.location.hash = '';
+        setUrl('/');
         nav.currentRoute = nav.parseRoute();
         expect(nav.getPageTitle()).toBe('Caleb University Resource Bank');
     });
 
     test('about returns about title', () => {
-        window.location.hash = '#/about';
+        setUrl('/about');
         nav.currentRoute = nav.parseRoute();
         expect(nav.getPageTitle()).toBe('About Us - Caleb University Resource Bank');
     });
 
     test('track returns coverage tracker title', () => {
-        window.location.hash = '#/track';
+        setUrl('/track');
         nav.currentRoute = nav.parseRoute();
         expect(nav.getPageTitle()).toBe('Coverage Tracker - Caleb University Resource Bank');
     });
 
+    test('course returns course title', () => {
+        setUrl('/course/CSC%20201');
+        nav.currentRoute = nav.parseRoute();
+        expect(nav.getPageTitle()).toBe('CSC 201 Past Questions - Caleb University Resource Bank');
+    });
+
     test('department adds department name to title', () => {
-        window.location.hash = '#/Computer Science';
+        setUrl('/browse/Computer Science');
         nav.currentRoute = nav.parseRoute();
         expect(nav.getPageTitle()).toContain('Computer Science');
     });
@@ -156,20 +236,151 @@ describe('Navigator.getPageTitle', () => {
 
 describe('Navigator.isValidRoute', () => {
     test('home is always valid', () => {
-        window.location.hash = '';
+        setUrl('/');
         nav.currentRoute = nav.parseRoute();
         expect(nav.isValidRoute()).toBe(true);
     });
 
     test('any department name is structurally valid', () => {
-        window.location.hash = '#/Anything';
+        setUrl('/browse/Anything');
+        nav.currentRoute = nav.parseRoute();
+        expect(nav.isValidRoute()).toBe(true);
+    });
+
+    test('offline route is valid', () => {
+        setUrl('/offline');
         nav.currentRoute = nav.parseRoute();
         expect(nav.isValidRoute()).toBe(true);
     });
 
     test('track route is valid', () => {
-        window.location.hash = '#/track';
+        setUrl('/track');
         nav.currentRoute = nav.parseRoute();
         expect(nav.isValidRoute()).toBe(true);
     });
 });
+
+describe('Navigator.goBack', () => {
+    test('viewer returns to the session file list', () => {
+        setUrl('/browse/Computer Science/100 Level/1st Semester/2024~25 Session/view/abc_123');
+        nav.currentRoute = nav.parseRoute();
+        nav.goBack();
+        expect(window.location.pathname).toBe('/browse/Computer%20Science/100%20Level/1st%20Semester/2024~25%20Session');
+        expect(nav.getCurrentRoute().view).toBe('files');
+    });
+
+    test('a Jupeb session goes back to its subject', () => {
+        setUrl('/browse/Jupeb/Science/2024~25 Session');
+        nav.currentRoute = nav.parseRoute();
+        nav.goBack();
+        expect(window.location.pathname).toBe('/browse/Jupeb/Science');
+    });
+});
+
+describe('Navigator.navigateTo', () => {
+    test('pushes a history entry and notifies listeners', () => {
+        const listener = jest.fn();
+        nav.addListener(listener);
+
+        nav.navigateTo('/browse/Accounting/100%20Level');
+
+        expect(window.history.pushState).toHaveBeenCalledWith(null, '', '/browse/Accounting/100%20Level');
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ view: 'semesters', level: '100 Level' }));
+        expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+    });
+
+    test('the page already open is re-rendered without a new history entry', () => {
+        setUrl('/me');
+        nav.navigateTo('/me');
+        expect(window.history.pushState).not.toHaveBeenCalled();
+        expect(window.history.replaceState).toHaveBeenCalledWith(null, '', '/me');
+    });
+
+    test('breadcrumbs link to browse paths', () => {
+        setUrl('/browse/Computer Science/100 Level/1st Semester');
+        nav.currentRoute = nav.parseRoute();
+        expect(nav.getBreadcrumbs().map(crumb => crumb.path)).toEqual([
+            '/',
+            '/browse/Computer%20Science',
+            '/browse/Computer%20Science/100%20Level',
+            '/browse/Computer%20Science/100%20Level/1st%20Semester'
+        ]);
+    });
+});
+
+describe('old hash links', () => {
+    const { legacyHashToPath } = require('../js/navigation');
+
+    test('map to the same route under the new paths', () => {
+        expect(legacyHashToPath('#/')).toBe('/');
+        expect(legacyHashToPath('#/about')).toBe('/about');
+        expect(legacyHashToPath('#/course/CSC201')).toBe('/course/CSC201');
+        expect(legacyHashToPath('#/Computer%20Science/100%20Level')).toBe('/browse/Computer%20Science/100%20Level');
+        expect(legacyHashToPath('#contact')).toBeNull();
+        expect(legacyHashToPath('')).toBeNull();
+    });
+
+    test('are redirected in place when the app loads', () => {
+        setUrl('/?utm_source=whatsapp#/Computer Science/100 Level/1st Semester/2024/25 Session/view/abc_123');
+        const legacy = new Navigator();
+
+        expect(window.history.replaceState).toHaveBeenCalledTimes(1);
+        expect(window.location.pathname).toBe('/browse/Computer%20Science/100%20Level/1st%20Semester/2024~25%20Session/view/abc_123');
+        expect(window.location.search).toBe('?utm_source=whatsapp');
+        expect(window.location.hash).toBe('');
+        expect(legacy.getCurrentRoute()).toMatchObject({ view: 'viewer', session: '2024~25 Session', fileId: 'abc_123' });
+    });
+
+    test('unknown paths outside /browse are not routes', () => {
+        setUrl('/Computer Science');
+        nav.currentRoute = nav.parseRoute();
+        expect(nav.getCurrentRoute().view).toBe('notfound');
+        expect(nav.getPageTitle()).toBe('Page Not Found - Caleb University Resource Bank');
+    });
+});
+
+describe('Navigator.handleLinkClick', () => {
+    /**
+     * Build a click event on a link.
+     * @param {Object} attributes - Link attributes (href, target, download).
+     * @param {Object} [init] - Event fields (button, ctrlKey...).
+     * @returns {Object} Mock event.
+     */
+    function clickOn(attributes, init = {}) {
+        const link = {
+            target: attributes.target || '',
+            getAttribute: name => attributes[name],
+            hasAttribute: name => name in attributes
+        };
+        return {
+            button: 0,
+            defaultPrevented: false,
+            target: { closest: () => link },
+            preventDefault: jest.fn(),
+            ...init
+        };
+    }
+
+    test('takes over links to app routes', () => {
+        const event = clickOn({ href: '/browse/Accounting' });
+        nav.handleLinkClick(event);
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(window.history.pushState).toHaveBeenCalledWith(null, '', '/browse/Accounting');
+        expect(nav.getCurrentRoute()).toMatchObject({ view: 'levels', department: 'Accounting' });
+    });
+
+    test('leaves files, anchors, new tabs and downloads to the browser', () => {
+        const events = [
+            clickOn({ href: '/api/file?id=abc', download: '' }),
+            clickOn({ href: '/offline.html' }),
+            clickOn({ href: '#' }),
+            clickOn({ href: 'https://docs.google.com/forms' }),
+            clickOn({ href: '/me', target: '_blank' }),
+            clickOn({ href: '/me' }, { ctrlKey: true })
+        ];
+        events.forEach(event => nav.handleLinkClick(event));
+
+        events.forEach(event => expect(event.preventDefault).not.toHaveBeenCalled());
+        expect(window.history.pushState).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,101 @@
+// Mock localStorage, Cache Storage and fetch for the offline store
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: jest.fn((key) => store[key] || null),
+        setItem: jest.fn((key, value) => { store[key] = String(value); }),
+        removeItem: jest.fn((key) => { delete store[key]; }),
+        clear: jest.fn(() => { store = {}; })
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+const cacheEntries = new Map();
+const offlineCache = {
+    put: jest.fn(async (url, response) => { cacheEntries.set(url, response); }),
+    delete: jest.fn(async (url) => cacheEntries.delete(url)),
+    keys: jest.fn(async () => Array.from(cacheEntries.keys()).map(url => ({ url: `http://localhost${url}` })))
+};
+
+global.caches = {
+    open: jest.fn(async () => offlineCache)
+};
+
+function pdfResponse(bytes, status = 200) {
+    const response = {
+        ok: status >= 200 && status < 300,
+        status,
+        clone: () => response,
+        blob: async () => ({ size: bytes })
+    };
+    return response;
+}
+
+const { OfflineStore, OFFLINE_CACHE_NAME } = require('../js/offline-store');
+
+const FILE = { id: 'abc_123', name: 'CSC 101 Exam.pdf', courseCode: 'CSC 101' };
+const FOLDER = {
+    department: 'Computer Science',
+    level: '100 Level',
+    semester: '1st Semester',
+    session: '2024~25 Session'
+};
+
+let store;
+
+beforeEach(() => {
+    localStorageMock.clear();
+    cacheEntries.clear();
+    jest.clearAllMocks();
+    global.fetch = jest.fn(async () => pdfResponse(2048));
+    store = new OfflineStore();
+});
+
+describe('OfflineStore', () => {
+    test('save caches the proxy URL and records the file in the index', async () => {
+        const entry = await store.save(FILE, FOLDER);
+
+        expect(global.caches.open).toHaveBeenCalledWith(OFFLINE_CACHE_NAME);
+        expect(offlineCache.put).toHaveBeenCalledWith('/api/file?id=abc_123', expect.any(Object));
+        expect(entry).toMatchObject({ id: 'abc_123', name: 'CSC 101 Exam.pdf', size: 2048, folder: FOLDER });
+        expect(store.has('abc_123')).toBe(true);
+    });
+
+    test('saving the same file twice keeps one entry', async () => {
+        await store.save(FILE, FOLDER);
+        await store.save(FILE, FOLDER);
+
+        expect(store.list()).toHaveLength(1);
+    });
+
+    test('a failed download is not recorded', async () => {
+        global.fetch = jest.fn(async () => pdfResponse(0, 404));
+
+        await expect(store.save(FILE, FOLDER)).rejects.toThrow('Download failed (404)');
+        expect(store.has('abc_123')).toBe(false);
+        expect(offlineCache.put).not.toHaveBeenCalled();
+    });
+
+    test('remove deletes the cached bytes and index entries', async () => {
+        await store.save(FILE, FOLDER);
+        await store.save({ id: 'def_456', name: 'MTH 101.pdf' }, FOLDER);
+
+        const removed = await store.remove(['abc_123', 'def_456']);
+
+        expect(removed).toBe(2);
+        expect(offlineCache.delete).toHaveBeenCalledWith('/api/file?id=abc_123');
+        expect(store.list()).toEqual([]);
+    });
+
+    test('reconcile drops entries whose bytes were evicted', async () => {
+        await store.save(FILE, FOLDER);
+        await store.save({ id: 'def_456', name: 'MTH 101.pdf' }, FOLDER);
+        cacheEntries.delete('/api/file?id=def_456');
+
+        const available = await store.reconcile();
+
+        expect(available.map(entry => entry.id)).toEqual(['abc_123']);
+        expect(store.has('def_456')).toBe(false);
+    });
+});
@@ -0,0 +1,71 @@
+// Mock the globals the onboarding module reads at call time
+global.driveAPI = {
+    fetchDepartments: jest.fn(),
+    fetchLevels: jest.fn()
+};
+global.profileStore = {
+    setHome: jest.fn(home => ({ ...home, updatedAt: 1 })),
+    skipHome: jest.fn(() => ({ skipped: true, updatedAt: 1 }))
+};
+
+const { Onboarding, advanceLevel, sessionStartYear, levelNumber } = require('../js/onboarding');
+
+const LEVELS = ['100 Level', '200 Level', '300 Level', '400 Level'];
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('level helpers', () => {
+    test('read session years and level numbers', () => {
+        expect(sessionStartYear('2025/26')).toBe(2025);
+        expect(sessionStartYear('2024~25 Session')).toBe(2024);
+        expect(sessionStartYear('')).toBeNull();
+        expect(levelNumber('200 Level')).toBe(200);
+        expect(levelNumber('Physics')).toBeNull();
+    });
+
+    test('advanceLevel moves up one level per session and stops at the top', () => {
+        expect(advanceLevel('100 Level', 1, LEVELS)).toBe('200 Level');
+        expect(advanceLevel('100 Level', 2, LEVELS)).toBe('300 Level');
+        expect(advanceLevel('400 Level', 1, LEVELS)).toBe('400 Level');
+        expect(advanceLevel('300 Level', 3, LEVELS)).toBe('400 Level');
+        // Jupeb subjects have no order to move along
+        expect(advanceLevel('Physics', 1, ['Physics', 'Chemistry'])).toBe('Physics');
+    });
+});
+
+describe('Onboarding.promote', () => {
+    const onboarding = new Onboarding();
+    const HOME = { department: 'Computer Science', level: '200 Level', session: '2024/25' };
+
+    test('a new session moves the student up and records it', async () => {
+        driveAPI.fetchLevels.mockResolvedValue(LEVELS);
+
+        const result = await onboarding.promote(HOME, ['2025/26', '2024/25']);
+
+        expect(driveAPI.fetchLevels).toHaveBeenCalledWith('Computer Science');
+        expect(profileStore.setHome).toHaveBeenCalledWith({
+            department: 'Computer Science',
+            level: '300 Level',
+            session: '2025/26'
+        });
+        expect(result).toMatchObject({ promoted: true, home: { level: '300 Level', session: '2025/26' } });
+    });
+
+    test('the same session, or a home set before sessions were known, keeps the level', async () => {
+        await expect(onboarding.promote(HOME, ['2024/25'])).resolves.toEqual({ home: HOME, promoted: false });
+        expect(profileStore.setHome).not.toHaveBeenCalled();
+
+        const result = await onboarding.promote({ ...HOME, session: null }, ['2025/26']);
+        expect(driveAPI.fetchLevels).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ promoted: false, home: { level: '200 Level', session: '2025/26' } });
+    });
+
+    test('an unreachable level list leaves the home for the next launch', async () => {
+        driveAPI.fetchLevels.mockRejectedValue(new Error('offline'));
+
+        await expect(onboarding.promote(HOME, ['2025/26'])).resolves.toEqual({ home: HOME, promoted: false });
+        expect(profileStore.setHome).not.toHaveBeenCalled();
+    });
+});
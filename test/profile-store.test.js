@@ -0,0 +1,128 @@
+// Mock localStorage, the sign-in state and fetch for the profile store
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: jest.fn((key) => store[key] || null),
+        setItem: jest.fn((key, value) => { store[key] = String(value); }),
+        removeItem: jest.fn((key) => { delete store[key]; }),
+        clear: jest.fn(() => { store = {}; })
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+let session = null;
+global.emailGate = {
+    getSession: () => session,
+    isVerified: () => Boolean(session && session.expiresAt > Date.now())
+};
+
+const { ProfileStore, MAX_RECENT_FILES } = require('../js/profile-store');
+
+const FILE = { id: 'abc_123', name: 'CSC 101 Exam.pdf', courseCode: 'CSC 101' };
+const FOLDER = {
+    department: 'Computer Science',
+    level: '100 Level',
+    semester: '1st Semester',
+    session: '2024~25 Session'
+};
+
+function jsonResponse(body, status = 200) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+let store;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    localStorageMock.clear();
+    jest.clearAllMocks();
+    session = null;
+    global.fetch = jest.fn();
+    store = new ProfileStore();
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('ProfileStore', () => {
+    test('stars and unstars files and departments locally', () => {
+        expect(store.toggleFavorite('file', { ...FILE, folder: FOLDER })).toBe(true);
+        expect(store.toggleFavorite('department', { id: 'Accounting', name: 'Accounting' })).toBe(true);
+
+        expect(store.isFavorite('file', 'abc_123')).toBe(true);
+        expect(store.listFavorites('file')).toEqual([
+            expect.objectContaining({ key: 'file:abc_123', courseCode: 'CSC 101', folder: FOLDER })
+        ]);
+
+        expect(store.toggleFavorite('file', { ...FILE, folder: FOLDER })).toBe(false);
+        expect(store.isFavorite('file', 'abc_123')).toBe(false);
+        expect(store.listFavorites().map(entry => entry.key)).toEqual(['department:Accounting']);
+        // The unstar is kept so a sync can pass it on to other devices
+        expect(store.read().favorites).toContainEqual(expect.objectContaining({ key: 'file:abc_123', removed: true }));
+    });
+
+    test('recent files keep the newest open of each file, up to the limit', () => {
+        for (let index = 0; index < MAX_RECENT_FILES + 3; index++) {
+            jest.setSystemTime(1000 + index);
+            store.recordView({ id: `file_${index}`, name: `File ${index}.pdf` }, FOLDER);
+        }
+        jest.setSystemTime(5000);
+        store.recordView({ id: 'file_22', name: 'File 22.pdf' }, FOLDER);
+
+        const recent = store.listRecent();
+        expect(recent).toHaveLength(MAX_RECENT_FILES);
+        expect(recent[0]).toMatchObject({ id: 'file_22', folder: FOLDER, viewedAt: 5000 });
+        expect(recent.filter(entry => entry.id === 'file_22')).toHaveLength(1);
+    });
+
+    test('keeps the student\'s department and level, or that they skipped choosing one', () => {
+        expect(store.getHome()).toBeNull();
+
+        jest.setSystemTime(2000);
+        expect(store.setHome({ department: 'Computer Science', level: '200 Level' })).toEqual({
+            department: 'Computer Science',
+            level: '200 Level',
+            session: null,
+            updatedAt: 2000
+        });
+        expect(store.getHome()).toMatchObject({ department: 'Computer Science', level: '200 Level' });
+
+        store.skipHome();
+        expect(store.getHome()).toEqual({ skipped: true, updatedAt: 2000 });
+    });
+
+    test('changes are only synced when signed in, and keep the merged server copy', async () => {
+        store.toggleFavorite('department', { id: 'Accounting', name: 'Accounting' });
+        jest.runOnlyPendingTimers();
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        session = { email: 'student@calebuniversity.edu.ng', expiresAt: Date.now() + 60000 };
+        const merged = {
+            favorites: [{ key: 'file:phone', kind: 'file', id: 'phone', name: 'Phone.pdf', updatedAt: 1 }],
+            recent: []
+        };
+        global.fetch.mockResolvedValue(jsonResponse({ profile: merged }));
+
+        await expect(store.sync()).resolves.toBe(true);
+        expect(global.fetch).toHaveBeenCalledWith('/api/profile', expect.objectContaining({ method: 'PUT' }));
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).favorites[0]).toMatchObject({ key: 'department:Accounting' });
+        expect(store.isFavorite('file', 'phone')).toBe(true);
+        expect(store.readOwner()).toBe('student@calebuniversity.edu.ng');
+    });
+
+    test('a different student signing in does not inherit the previous favorites', async () => {
+        session = { email: 'first@calebuniversity.edu.ng', expiresAt: Date.now() + 60000 };
+        store.write({ favorites: [{ key: 'department:Accounting', kind: 'department', id: 'Accounting', updatedAt: 1 }], recent: [] },
+            'first@calebuniversity.edu.ng');
+
+        session = { email: 'second@calebuniversity.edu.ng', expiresAt: Date.now() + 60000 };
+        global.fetch.mockResolvedValue(jsonResponse({ profile: { favorites: [], recent: [] } }));
+
+        await store.sync();
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ favorites: [], recent: [], home: null });
+        expect(store.listFavorites()).toEqual([]);
+    });
+});
@@ -8,8 +8,8 @@ const { createServer } = require('../server');
 
 /**
  * Perform a basic HTTP request.
- * @param {Object} options - Request options.
- * @returns {Promise<{ statusCode: number, body: string }>} Response info.
+ * @param {Object} options - Request options (plus an optional string `body`).
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string }>} Response info.
  */
 function httpRequest(options) {
   return new Promise((resolve, reject) => {
@@ -20,12 +20,12 @@ function httpRequest(options) {
         data += chunk;
       });
       res.on('end', () => {
-        resolve({ statusCode: res.statusCode, body: data });
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
       });
     });
 
     req.on('error', reject);
-    req.end();
+    req.end(options.body);
   });
 }
 
@@ -84,6 +84,33 @@ describe('CURB server', () => {
     expect(response.statusCode).toBe(404);
   });
 
+  test('serves index.html for app routes, even with dots in folder names', async () => {
+    const { server, port } = await startTestServer({
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const paths = [
+      '/browse/Computer%20Science/B.Sc.%20Year%201',
+      '/browse/Computer%20Science/100%20Level/1st%20Semester/2024~25%20Session/view/abc_123',
+      '/course/CSC201',
+      '/me'
+    ];
+    const responses = await Promise.all(paths.map(routePath => httpRequest({
+      hostname: 'localhost',
+      port,
+      path: routePath,
+      method: 'GET'
+    })));
+
+    server.close();
+
+    responses.forEach((response) => {
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+      expect(response.body).toContain('<!DOCTYPE html>');
+    });
+  });
+
   test('routes API requests to handler', async () => {
     const apiHandlers = {
       browse: (req, res) => {
@@ -113,4 +140,190 @@ describe('CURB server', () => {
     expect(parsed.query.path).toBe('/Computer Science');
     expect(parsed.query.type).toBe('folders');
   });
+
+  test('routes the nested coverage summary path', async () => {
+    const { server, port } = await startTestServer({
+      apiHandlers: { coverageSummary: (req, res) => res.status(200).json({ summary: true }) },
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const response = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: '/api/coverage/summary?format=csv',
+      method: 'GET'
+    });
+
+    server.close();
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ summary: true });
+  });
+
+  test('parses JSON bodies for POST API requests', async () => {
+    const apiHandlers = {
+      authRequest: (req, res) => res.status(200).json({ body: req.body })
+    };
+
+    const { server, port } = await startTestServer({
+      apiHandlers,
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const post = body => httpRequest({
+      hostname: 'localhost',
+      port,
+      path: '/api/auth/request',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+
+    const valid = await post(JSON.stringify({ email: 'student@calebuniversity.edu.ng' }));
+    const malformed = await post('{"email":');
+
+    server.close();
+
+    expect(valid.statusCode).toBe(200);
+    expect(JSON.parse(valid.body).body).toEqual({ email: 'student@calebuniversity.edu.ng' });
+    expect(malformed.statusCode).toBe(400);
+  });
+
+  test('syncs a profile over HTTP with PUT and reads it back', async () => {
+    process.env.DATA_STORE = 'memory';
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    const { SESSION_COOKIE, createSession } = require('../api/_auth');
+    const cookie = `${SESSION_COOKIE}=${createSession('student@calebuniversity.edu.ng').token}`;
+
+    const { server, port } = await startTestServer({
+      apiHandlers: { profile: require('../api/profile') },
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const favorite = { kind: 'department', id: 'Accounting', name: 'Accounting', updatedAt: Date.now() - 1000 };
+    const put = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: '/api/profile',
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: JSON.stringify({ favorites: [favorite], recent: [] })
+    });
+    const get = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: '/api/profile',
+      method: 'GET',
+      headers: { Cookie: cookie }
+    });
+
+    server.close();
+    delete process.env.AUTH_SECRET;
+    delete process.env.DATA_STORE;
+
+    expect(put.statusCode).toBe(200);
+    expect(get.statusCode).toBe(200);
+    expect(JSON.parse(get.body).profile.favorites).toEqual([
+      expect.objectContaining({ key: 'department:Accounting' })
+    ]);
+  });
+
+  test('follows and unfollows a folder over HTTP with a JSON body', async () => {
+    const { generateVapidKeys } = require('../api/_webpush');
+    const vapid = generateVapidKeys();
+    process.env.DATA_STORE = 'memory';
+    process.env.AUTH_SECRET = 'test-secret-0123456789abcdef0123456789';
+    process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:qc@calebuniversity.edu.ng';
+    const { SESSION_COOKIE, createSession } = require('../api/_auth');
+    const cookie = `${SESSION_COOKIE}=${createSession('student@calebuniversity.edu.ng').token}`;
+
+    const { server, port } = await startTestServer({
+      apiHandlers: { push: require('../api/push') },
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const subscription = {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/server-test',
+      keys: {
+        p256dh: require('crypto').createECDH('prime256v1').generateKeys().toString('base64url'),
+        auth: Buffer.alloc(16, 1).toString('base64url')
+      }
+    };
+    const body = JSON.stringify({ subscription, department: 'Accounting' });
+    // Browsers always frame DELETE bodies with Content-Length; Node's client needs telling
+    const send = method => httpRequest({
+      hostname: 'localhost',
+      port,
+      path: '/api/push',
+      method,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), Cookie: cookie },
+      body
+    });
+
+    const follow = await send('POST');
+    const unfollow = await send('DELETE');
+
+    server.close();
+    ['AUTH_SECRET', 'DATA_STORE', 'VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY', 'VAPID_SUBJECT']
+      .forEach(name => delete process.env[name]);
+
+    expect(follow.statusCode).toBe(200);
+    expect(JSON.parse(follow.body).follows).toEqual([{ department: 'Accounting', level: null }]);
+    expect(unfollow.statusCode).toBe(200);
+    expect(JSON.parse(unfollow.body).follows).toEqual([]);
+  });
+
+  test('local mode browses and streams PDFs from a folder on disk', async () => {
+    const { server, port } = await startTestServer({
+      localRoot: path.resolve(__dirname, 'fixtures', 'storage'),
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const sessionPath = encodeURIComponent('/Computer Science/100 Level/1st Semester/2024~25 Session');
+    const listing = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: `/api/browse?path=${sessionPath}&type=files`,
+      method: 'GET'
+    });
+    const [file] = JSON.parse(listing.body).data;
+
+    const download = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: file.webContentLink,
+      method: 'GET'
+    });
+
+    server.close();
+
+    expect(listing.statusCode).toBe(200);
+    expect(file.name).toBe('CSC 101 - Introduction to Computing.pdf');
+    expect(download.statusCode).toBe(200);
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.headers['content-length']).toBe(file.size);
+    expect(download.headers['content-disposition']).toContain('attachment; filename="CSC 101 - Introduction to Computing.pdf"');
+    expect(download.body.startsWith('%PDF')).toBe(true);
+  });
+
+  test('local mode file endpoint rejects ids outside the folder', async () => {
+    const { server, port } = await startTestServer({
+      localRoot: path.resolve(__dirname, 'fixtures', 'storage'),
+      staticRoot: path.resolve(__dirname, '..')
+    });
+
+    const outside = 'L' + Buffer.from('../../package.json', 'utf8').toString('base64url');
+    const response = await httpRequest({
+      hostname: 'localhost',
+      port,
+      path: `/api/file?id=${outside}`,
+      method: 'GET'
+    });
+
+    server.close();
+
+    expect(response.statusCode).toBe(404);
+  });
 });
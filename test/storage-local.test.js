@@ -0,0 +1,137 @@
+// Scans record coverage history; keep it off the disk
+process.env.DATA_STORE = 'memory';
+
+const path = require('path');
+
+const { getStorage, createLocalProvider } = require('../api/_storage');
+const browseHandler = require('../api/browse');
+const coverageHandler = require('../api/coverage');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'storage');
+
+function createMockRes() {
+  const res = {
+    headers: {},
+    statusCode: null,
+    body: null,
+    setHeader: jest.fn((key, value) => {
+      res.headers[key] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload;
+      return res;
+    }),
+    end: jest.fn(() => res)
+  };
+
+  return res;
+}
+
+/**
+ * Walk path segments down from the provider root.
+ * @param {Object} provider - Storage provider.
+ * @param {Array<string>} segments - Folder names.
+ * @returns {Promise<Object>} The last folder.
+ */
+async function findPath(provider, segments) {
+  let folder = { id: provider.rootId };
+  for (const segment of segments) {
+    folder = await provider.findChildByName(folder.id, segment);
+  }
+  return folder;
+}
+
+describe('local storage provider', () => {
+  const provider = createLocalProvider({ rootDir: FIXTURE_ROOT });
+
+  test('lists folders with ~ restored to / in names', async () => {
+    const departments = await provider.listFolders(provider.rootId);
+    expect(departments.map(f => f.name)).toEqual(['Computer Science', 'Jupeb']);
+
+    const semester = await findPath(provider, ['Computer Science', '100 Level', '1st Semester']);
+    const sessions = await provider.listFolders(semester.id);
+    expect(sessions.map(f => f.name)).toEqual(['2023/24 Session', '2024/25 Session']);
+  });
+
+  test('lists PDFs with Drive-shaped metadata and same-origin links', async () => {
+    const session = await findPath(provider, ['Jupeb', 'Science', '2024~25 Session']);
+
+    const { files, truncated } = await provider.listFiles(session.id);
+
+    expect(truncated).toBe(false);
+    expect(files).toHaveLength(1);
+    expect(files[0].name).toBe('BIO 001 - Biology.pdf');
+    expect(Number(files[0].size)).toBeGreaterThan(0);
+    expect(files[0].webContentLink).toBe(`/api/file?id=${encodeURIComponent(files[0].id)}&download=1`);
+    expect(await provider.hasFiles(session.id)).toBe(true);
+  });
+
+  test('ids cannot escape the root directory', async () => {
+    const outside = 'L' + Buffer.from('../../package.json', 'utf8').toString('base64url');
+
+    expect(await provider.resolveAncestry(outside, 8)).toBeNull();
+    expect(await provider.listFolders(outside)).toEqual([]);
+  });
+});
+
+describe('browse and coverage on the local backend', () => {
+  beforeEach(() => {
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.LOCAL_STORAGE_ROOT = FIXTURE_ROOT;
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.LOCAL_STORAGE_ROOT;
+  });
+
+  test('getStorage selects the local provider', () => {
+    expect(getStorage().name).toBe('local');
+  });
+
+  test('browse walks a session path and tags course codes', async () => {
+    const res = createMockRes();
+
+    await browseHandler({
+      method: 'GET',
+      query: { path: '/Computer Science/100 Level/1st Semester/2024~25 Session', type: 'files' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ name: 'CSC 101 - Introduction to Computing.pdf', courseCode: 'CSC 101' })
+    ]);
+
+    // The returned folder ID works as a shortcut for the same folder
+    const byId = createMockRes();
+    await browseHandler({
+      method: 'GET',
+      query: { id: res.body.folderId, type: 'files', refresh: '1' },
+      headers: {}
+    }, byId);
+
+    expect(byId.statusCode).toBe(200);
+    expect(byId.body.path).toBe('/Computer Science/100 Level/1st Semester/2024~25 Session');
+  });
+
+  test('coverage reports uploaded and empty session folders', async () => {
+    const res = createMockRes();
+
+    await coverageHandler({
+      method: 'GET',
+      query: { department: 'Computer Science', session: '2024/25', refresh: '1' },
+      headers: {}
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual([
+      { level: '100 Level', semester: '1st Semester', status: 'uploaded' },
+      { level: '100 Level', semester: '2nd Semester', status: 'empty-folder' }
+    ]);
+  });
+});